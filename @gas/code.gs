@@ -3,6 +3,7 @@
 
 const SHEET_ID = "";
 const SHEET_NAME = "訂單記錄";
+const REFUND_SHEET_NAME = "退款記錄";
 const WEBHOOK_PATH = "/payuni-webhook";
 
 // ============ 初始化 ============
@@ -20,9 +21,9 @@ function initializeSheet() {
     sheet = ss.insertSheet(SHEET_NAME);
   }
 
-  const headers = ["訂單編號", "商店ID", "交易金額", "訂單狀態", "Email", "建立時間", "完成時間", "交易序號", "備註", "商品ID", "商品名稱"];
+  const headers = ["訂單編號", "商店ID", "交易金額", "訂單狀態", "Email", "建立時間", "完成時間", "交易序號", "備註", "商品ID", "商品名稱", "商品明細", "付款資訊", "優惠碼", "折扣金額", "發票"];
 
-  sheet.getRange("A1:K1").setValues([headers]);
+  sheet.getRange("A1:P1").setValues([headers]);
   sheet.setFrozenRows(1);
 
   Logger.log("Sheet 初始化完成");
@@ -36,10 +37,17 @@ function initializeSheet() {
  * @param {string} merID - 商店 ID
  * @param {number} tradeAmt - 交易金額
  * @param {string} email - 客戶 Email
- * @param {string} productID - 商品ID
+ * @param {string} productID - 商品ID (多件商品時為商品組合識別字串)
+ * @param {string} productName - 商品名稱
+ * @param {Array} items - 商品明細 [{ productID, name, price, quantity }]
+ * @param {string} payType - 付款方式 (C / ATM / CVS)
+ * @param {string} couponCode - 使用的優惠碼，未使用時為空
+ * @param {number} discount - 折扣金額 (交易金額已扣除)
+ * @param {object} invoice - 顧客選擇的發票開立方式 (載具、捐贈或統一編號)，未啟用電子發票時為空
+ * @param {number} installment - 信用卡分期期數，一次付清時為空
  * @returns {boolean} 是否成功建立
  */
-function createOrder(tradeNo, merID, tradeAmt, email, productID, productName) {
+function createOrder(tradeNo, merID, tradeAmt, email, productID, productName, items, payType, couponCode, discount, invoice, installment) {
   try {
     Logger.log("Creating order with tradeNo: " + tradeNo);
     const ss = SpreadsheetApp.openById(SHEET_ID);
@@ -50,6 +58,13 @@ function createOrder(tradeNo, merID, tradeAmt, email, productID, productName) {
       return false;
     }
 
+    // 後端的寫入佇列可能重送已寫入的訂單 (例如上次回應逾時)，已存在就視為成功
+    const tradeNos = sheet.getDataRange().getValues().map((row) => row[0]);
+    if (tradeNos.indexOf(tradeNo) > 0) {
+      Logger.log(`訂單已存在，略過: ${tradeNo}`);
+      return true;
+    }
+
     const now = new Date();
     const newRow = [
       tradeNo, // 訂單編號
@@ -63,6 +78,11 @@ function createOrder(tradeNo, merID, tradeAmt, email, productID, productName) {
       "", // 備註
       productID, // 商品ID
       productName, // 商品名稱
+      items ? JSON.stringify(items) : "", // 商品明細
+      JSON.stringify(installment ? { payType: payType || "C", installment: installment } : { payType: payType || "C" }), // 付款資訊 (ATM / 超商取號後補上繳費資訊，信用卡付款後補上卡片資訊)
+      couponCode || "", // 優惠碼
+      discount || 0, // 折扣金額
+      invoice ? JSON.stringify(invoice) : "", // 發票 (開立後補上發票號碼)
     ];
 
     sheet.appendRow(newRow);
@@ -120,16 +140,24 @@ function handleFindOrder(e) {
     
     for (let i = data.length - 1; i > 0; i--) {
       const row = data[i];
+      const paymentInfo = parsePaymentInfo(row[12]);
       const order = {
         tradeNo: row[0],
         merID: row[1],
         tradeAmt: row[2],
         status: row[3],
         email: row[4],
-        productID: row[9]
+        createdAt: row[5],
+        productID: row[9],
+        payType: paymentInfo.payType,
+        installment: paymentInfo.installment || null,
+        paymentInfo: paymentInfo.payNo ? paymentInfo : null,
+        couponCode: row[13] || null,
+        invoice: parseInvoice(row[15])
       };
 
-      if (order.email === email && order.productID === productID && order.status === "待支付") {
+      // Email 不分大小寫 (舊訂單可能保留原本的大小寫)
+      if (String(order.email).toLowerCase() === String(email).toLowerCase() && order.productID === productID && order.status === "待支付") {
         Logger.log("找到現有待支付訂單: " + order.tradeNo);
         return ContentService.createTextOutput(JSON.stringify({ success: true, order: order })).setMimeType(ContentService.MimeType.JSON);
       }
@@ -164,13 +192,14 @@ function handleGetMyOrders(e) {
     const headers = data.shift(); // 取得標頭
     const emailColumnIndex = 4; // Email 在 E 欄 (索引為 4)
 
-    const userOrders = data.filter(row => row[emailColumnIndex] === email).map(row => {
+    const userOrders = data.filter(row => String(row[emailColumnIndex]).toLowerCase() === String(email).toLowerCase()).map(row => {
       return {
         tradeNo: row[0],
         tradeAmt: row[2],
         status: row[3],
         createdAt: row[5],
-        productName: row[10]
+        productName: row[10],
+        invoice: parseInvoice(row[15])
       };
     }).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)); // 依建立時間降冪排序
 
@@ -183,6 +212,40 @@ function handleGetMyOrders(e) {
   }
 }
 
+/**
+ * 列出所有待支付訂單 (供後端向 PAYUNi 查詢並對帳)
+ * @returns {object} 回應物件
+ */
+function handleGetPendingOrders() {
+  try {
+    const sheet = SpreadsheetApp.openById(SHEET_ID).getSheetByName(SHEET_NAME);
+    if (!sheet) {
+      return ContentService.createTextOutput(JSON.stringify({ success: false, message: "Sheet 不存在" })).setMimeType(ContentService.MimeType.JSON);
+    }
+
+    const data = sheet.getDataRange().getValues();
+    data.shift(); // 移除標頭
+
+    const pendingOrders = data.filter(row => row[3] === "待支付").map(row => {
+      const paymentInfo = parsePaymentInfo(row[12]);
+      return {
+        tradeNo: row[0],
+        merID: row[1],
+        tradeAmt: row[2],
+        status: row[3],
+        email: row[4],
+        createdAt: row[5],
+        paymentInfo: paymentInfo.payNo ? paymentInfo : null
+      };
+    });
+
+    Logger.log(`找到 ${pendingOrders.length} 筆待支付訂單`);
+    return ContentService.createTextOutput(JSON.stringify({ success: true, orders: pendingOrders })).setMimeType(ContentService.MimeType.JSON);
+  } catch (error) {
+    Logger.log(`查找待支付訂單失敗: ${error}`);
+    return ContentService.createTextOutput(JSON.stringify({ success: false, message: `查找待支付訂單錯誤: ${error}` })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
 
 /**
  * 更新訂單狀態
@@ -208,7 +271,15 @@ function updateOrderStatus(data) {
       if (values[i][0] === tradeNo) {
         const now = new Date();
         sheet.getRange(i + 1, 4).setValue(status);
-        sheet.getRange(i + 1, 7).setValue(now);
+        // ATM / 超商取號通知仍是待支付，不寫入完成時間
+        if (status !== "待支付") {
+          sheet.getRange(i + 1, 7).setValue(now);
+        }
+        // 繳費資訊與信用卡的卡片資訊都併入「付款資訊」欄位
+        if (data.PaymentInfo || data.CardInfo) {
+          const paymentInfo = Object.assign(parsePaymentInfo(values[i][12]), data.PaymentInfo, data.CardInfo ? { cardInfo: data.CardInfo } : {});
+          sheet.getRange(i + 1, 13).setValue(JSON.stringify(paymentInfo));
+        }
         if (tradeSeq) {
           sheet.getRange(i + 1, 8).setValue(tradeSeq);
         }
@@ -227,6 +298,174 @@ function updateOrderStatus(data) {
   }
 }
 
+// ============ 退款 ============
+
+/**
+ * 查詢單筆訂單 (含退款記錄)
+ * @param {object} e - 來自 doPost 的請求物件
+ * @returns {object} 回應物件
+ */
+function handleGetOrder(e) {
+  try {
+    const { tradeNo } = JSON.parse(e.postData.contents);
+    const order = getOrderByTradeNo(tradeNo);
+    if (!order) {
+      return ContentService.createTextOutput(JSON.stringify({ success: false, message: "找不到訂單" })).setMimeType(ContentService.MimeType.JSON);
+    }
+
+    order.tradeAmt = order.amount;
+    order.refunds = getRefundsByTradeNo(tradeNo);
+    return ContentService.createTextOutput(JSON.stringify({ success: true, order: order })).setMimeType(ContentService.MimeType.JSON);
+  } catch (error) {
+    Logger.log(`查詢訂單失敗: ${error}`);
+    return ContentService.createTextOutput(JSON.stringify({ success: false, message: `查詢訂單錯誤: ${error}` })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+/**
+ * 記錄一筆退款，並更新訂單狀態
+ * 退款明細寫在獨立的「退款記錄」工作表，不存在時自動建立
+ * @param {object} e - 來自 doPost 的請求物件
+ * @returns {object} 回應物件
+ */
+function handleAddRefund(e) {
+  try {
+    const { tradeNo, refund, status } = JSON.parse(e.postData.contents);
+    const ss = SpreadsheetApp.openById(SHEET_ID);
+    const sheet = ss.getSheetByName(SHEET_NAME);
+    let refundSheet = ss.getSheetByName(REFUND_SHEET_NAME);
+
+    if (!refundSheet) {
+      refundSheet = ss.insertSheet(REFUND_SHEET_NAME);
+      refundSheet.getRange("A1:F1").setValues([["訂單編號", "退款金額", "類型", "退款時間", "操作者", "金流回應"]]);
+      refundSheet.setFrozenRows(1);
+    }
+
+    const values = sheet.getDataRange().getValues();
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] === tradeNo) {
+        // 後端重送同一筆退款時不重複記錄
+        const recorded = refundSheet
+          .getDataRange()
+          .getValues()
+          .some((row) => row[0] === tradeNo && new Date(row[3]).getTime() === new Date(refund.refundedAt).getTime());
+        if (!recorded) {
+          refundSheet.appendRow([tradeNo, refund.amount, refund.type, refund.refundedAt, refund.operator, refund.message || ""]);
+        }
+        sheet.getRange(i + 1, 4).setValue(status);
+        Logger.log(`退款已記錄: ${tradeNo} - ${refund.amount}`);
+        return ContentService.createTextOutput(JSON.stringify({ success: true })).setMimeType(ContentService.MimeType.JSON);
+      }
+    }
+
+    return ContentService.createTextOutput(JSON.stringify({ success: false, message: "找不到訂單" })).setMimeType(ContentService.MimeType.JSON);
+  } catch (error) {
+    Logger.log(`記錄退款失敗: ${error}`);
+    return ContentService.createTextOutput(JSON.stringify({ success: false, message: `記錄退款錯誤: ${error}` })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+/**
+ * 寫入電子發票的開立結果 (發票號碼、開立時間，或開立失敗的原因)
+ * @param {object} e - 來自 doPost 的請求物件
+ * @returns {object} 回應物件
+ */
+function handleUpdateInvoice(e) {
+  try {
+    const { tradeNo, invoice } = JSON.parse(e.postData.contents);
+    const sheet = SpreadsheetApp.openById(SHEET_ID).getSheetByName(SHEET_NAME);
+    const values = sheet.getDataRange().getValues();
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] === tradeNo) {
+        sheet.getRange(i + 1, 16).setValue(JSON.stringify(invoice));
+        Logger.log(`發票已更新: ${tradeNo} - ${invoice.number || invoice.status}`);
+        return ContentService.createTextOutput(JSON.stringify({ success: true })).setMimeType(ContentService.MimeType.JSON);
+      }
+    }
+
+    return ContentService.createTextOutput(JSON.stringify({ success: false, message: "找不到訂單" })).setMimeType(ContentService.MimeType.JSON);
+  } catch (error) {
+    Logger.log(`更新發票失敗: ${error}`);
+    return ContentService.createTextOutput(JSON.stringify({ success: false, message: `更新發票錯誤: ${error}` })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+function getRefundsByTradeNo(tradeNo) {
+  const refundSheet = SpreadsheetApp.openById(SHEET_ID).getSheetByName(REFUND_SHEET_NAME);
+  if (!refundSheet) {
+    return [];
+  }
+
+  return refundSheet
+    .getDataRange()
+    .getValues()
+    .slice(1)
+    .filter(row => row[0] === tradeNo)
+    .map(row => ({ amount: row[1], type: row[2], refundedAt: row[3], operator: row[4], message: row[5] }));
+}
+
+/**
+ * 列出所有訂單 (供管理後台查詢與統計)
+ * @returns {object} 回應物件
+ */
+function handleGetAllOrders() {
+  try {
+    const orders = getAllOrders().map(row => {
+      const paymentInfo = parsePaymentInfo(row[12]);
+      return {
+        tradeNo: row[0],
+        merID: row[1],
+        tradeAmt: row[2],
+        status: row[3],
+        email: row[4],
+        createdAt: row[5],
+        completedAt: row[6],
+        tradeSeq: row[7],
+        productID: row[9],
+        productName: row[10],
+        items: row[11] ? JSON.parse(row[11]) : [],
+        payType: paymentInfo.payType,
+        installment: paymentInfo.installment || null,
+        paymentInfo: paymentInfo.payNo ? paymentInfo : null,
+        cardInfo: paymentInfo.cardInfo || null,
+        couponCode: row[13] || null,
+        discount: row[14] || 0,
+        invoice: parseInvoice(row[15])
+      };
+    });
+    return ContentService.createTextOutput(JSON.stringify({ success: true, orders: orders })).setMimeType(ContentService.MimeType.JSON);
+  } catch (error) {
+    Logger.log(`列出訂單失敗: ${error}`);
+    return ContentService.createTextOutput(JSON.stringify({ success: false, message: `列出訂單錯誤: ${error}` })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+/**
+ * 解析「付款資訊」欄位的 JSON，舊資料沒有此欄位時視為信用卡
+ * @param {string} value - 儲存格內容
+ * @returns {object} 付款資訊
+ */
+function parsePaymentInfo(value) {
+  try {
+    return value ? JSON.parse(value) : { payType: "C" };
+  } catch (error) {
+    return { payType: "C" };
+  }
+}
+
+/**
+ * 解析「發票」欄位的 JSON，舊資料沒有此欄位時為 null
+ * @param {string} value - 儲存格內容
+ * @returns {object|null} 發票資料
+ */
+function parseInvoice(value) {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 // ============ Web App 端點 ============
 
 function doPost(e) {
@@ -236,7 +475,7 @@ function doPost(e) {
     if (action === "createOrder") {
       Logger.log("Received createOrder request");
       const postData = JSON.parse(e.postData.contents);
-      const result = createOrder(postData.tradeNo, postData.merID, postData.tradeAmt, postData.email, postData.productID, postData.productName);
+      const result = createOrder(postData.tradeNo, postData.merID, postData.tradeAmt, postData.email, postData.productID, postData.productName, postData.items, postData.payType, postData.couponCode, postData.discount, postData.invoice, postData.installment);
       if (result) {
         return ContentService.createTextOutput(JSON.stringify({ success: true, message: "訂單建立成功" })).setMimeType(ContentService.MimeType.JSON);
       } else {
@@ -248,6 +487,16 @@ function doPost(e) {
       return handleFindOrder(e);
     } else if (action === "getMyOrders") {
       return handleGetMyOrders(e);
+    } else if (action === "getPendingOrders") {
+      return handleGetPendingOrders();
+    } else if (action === "getAllOrders") {
+      return handleGetAllOrders();
+    } else if (action === "getOrder") {
+      return handleGetOrder(e);
+    } else if (action === "addRefund") {
+      return handleAddRefund(e);
+    } else if (action === "updateInvoice") {
+      return handleUpdateInvoice(e);
     } else if (action === "webhook") {
       return handlePaymentNotification(e);
     } else {
@@ -281,6 +530,7 @@ function getOrderByTradeNo(tradeNo) {
 
   for (let i = 1; i < data.length; i++) {
     if (data[i][0] === tradeNo) {
+      const paymentInfo = parsePaymentInfo(data[i][12]);
       return {
         tradeNo: data[i][0],
         merID: data[i][1],
@@ -293,6 +543,13 @@ function getOrderByTradeNo(tradeNo) {
         remark: data[i][8],
         productID: data[i][9],
         productName: data[i][10],
+        items: data[i][11] ? JSON.parse(data[i][11]) : [],
+        paymentInfo: paymentInfo,
+        installment: paymentInfo.installment || null,
+        cardInfo: paymentInfo.cardInfo || null,
+        couponCode: data[i][13] || null,
+        discount: data[i][14] || 0,
+        invoice: parseInvoice(data[i][15]),
       };
     }
   }
@@ -302,7 +559,7 @@ function getOrderByTradeNo(tradeNo) {
 function getOrderStats() {
   const sheet = SpreadsheetApp.openById(SHEET_ID).getSheetByName(SHEET_NAME);
   const data = sheet.getDataRange().getValues();
-  const stats = { 待支付: 0, 已完成: 0, 已失敗: 0, 其他: 0 };
+  const stats = { 待支付: 0, 已完成: 0, 已失敗: 0, 已取消: 0, 部分退款: 0, 已退款: 0, 其他: 0 };
   for (let i = 1; i < data.length; i++) {
     const status = data[i][3];
     if (status in stats) {
@@ -0,0 +1,291 @@
+const express = require("express");
+const axios = require("axios");
+const path = require("path");
+const session = require("express-session");
+const logger = require("./utils/logger");
+const plans = require("./data/plans");
+const { loadConfig, ConfigError } = require("./config");
+const { createProductRepository } = require("./repositories/productRepository");
+const { createOrderRepository } = require("./repositories/orderRepository");
+const { createCouponRepository } = require("./repositories/couponRepository");
+const { createNotificationLedger } = require("./repositories/notificationLedger");
+const { createEmailLog } = require("./repositories/emailLog");
+const { createWebhookDeadLetters } = require("./repositories/webhookDeadLetters");
+const { createSubscriptionRepository } = require("./repositories/subscriptionRepository");
+const { createAccountRepository } = require("./repositories/accountRepository");
+const { createTurnstileVerifier } = require("./utils/turnstile");
+const { createMerchantRegistry } = require("./services/merchants");
+const { createReconciler } = require("./services/reconciliation");
+const { createOrderExpiry } = require("./services/orderExpiry");
+const { createRefundService } = require("./services/refund");
+const { createNotificationProcessor } = require("./services/paymentNotification");
+const { createInventoryService } = require("./services/inventory");
+const { createOrderService } = require("./services/order");
+const { createOrderTrackingService } = require("./services/orderTracking");
+const { createPaymentService } = require("./services/payment");
+const { createSubscriptionService } = require("./services/subscription");
+const { createEmailService } = require("./services/email");
+const { createAuthService } = require("./services/auth");
+const { createGuestLookupService } = require("./services/guestLookup");
+const { createEventBus, ORDER_EVENTS } = require("./services/events");
+const { createWebhookDispatcher } = require("./services/merchantWebhooks");
+const { createMailTransport } = require("./mail");
+const { createInvoiceService } = require("./services/invoice");
+const { createInvoiceProvider } = require("./invoices");
+const { createLoginProviders } = require("./auth");
+const { createKeyValueStore } = require("./stores");
+const { KeyValueSessionStore } = require("./stores/sessionStore");
+const { createSecurityHeaders, createCors, createRateLimiters, blockPrivatePaths } = require("./middleware/security");
+const { createCsrfProtection } = require("./middleware/csrf");
+const { createAuthGuards } = require("./middleware/auth");
+const { createSecureErrorSender, requestLogger, errorHandler } = require("./middleware/errors");
+const { createAuthRouter } = require("./routes/auth");
+const { createApiRouter } = require("./routes/api");
+const { createPaymentRouter } = require("./routes/payment");
+const { createSubscriptionRouter } = require("./routes/subscriptions");
+const { createGuestRouter } = require("./routes/guest");
+const { createAdminRouter } = require("./routes/admin");
+
+// 根目錄中對外提供的頁面 (admin.html 由 /admin 路由在驗證後提供)
+const PUBLIC_PAGES = ["index.html", "result.html", "lookup.html"];
+
+/**
+ * 建立 Express 應用程式，不會監聽連接埠、啟動排程或結束程序
+ * 測試時可傳入替身取代 GAS、Google 登入、PAYUNi 與 Turnstile 的外部呼叫
+ * @param {object} [options]
+ * @param {object} [options.env] - 環境變數，預設為 process.env
+ * @param {import("./config").AppConfig} [options.config] - 已載入的設定 (index.js 啟動時先載入並印出)，未傳入時由 env 載入
+ * @param {object} [options.orderRepository] - 訂單儲存庫
+ * @param {object} [options.productRepository] - 商品目錄與庫存
+ * @param {object} [options.couponRepository] - 優惠券
+ * @param {object} [options.subscriptionRepository] - 訂閱與每期扣款記錄
+ * @param {object[]} [options.plans] - 訂閱方案，預設為 data/plans.js
+ * @param {object} [options.notificationLedger] - PAYUNi 通知帳本
+ * @param {object} [options.payuniClient] - 預設商店的 PAYUNi 用戶端 (其他商店依 config.merchants 建立)
+ * @param {object|null} [options.mailTransport] - 交易信件的寄送方式，傳入 null 停用寄信
+ * @param {object} [options.emailLog] - 寄信記錄
+ * @param {object|null} [options.invoiceProvider] - 電子發票的開立方式，傳入 null 停用電子發票
+ * @param {object} [options.webhookDeadLetters] - 商家 Webhook 死信清單
+ * @param {object} [options.kvStore] - session、付款結果權杖與速率限制共用的鍵值儲存
+ * @param {object} [options.accountRepository] - 顧客帳號與綁定的登入方式
+ * @param {object} [options.oauth2Client] - Google OAuth 用戶端
+ * @param {object} [options.httpClient] - 呼叫 Turnstile 驗證、OpenID Connect 與商家 Webhook 用的 HTTP 用戶端，預設為 axios
+ * @returns {{ app: import("express").Express, config: import("./config").AppConfig, kvStore: object, events: object, emailService: object, invoiceService: object, webhookDispatcher: object, reconciler: object, orderExpiry: object, gasWriteQueue: object|null, warnings: string[], schedule: object }}
+ */
+function createApp({ env = process.env, config = loadConfig(env), httpClient = axios, ...deps } = {}) {
+  // ========================================
+  // 儲存庫與服務
+  // ========================================
+
+  // 訂單儲存庫：依 ORDER_STORE 選擇 GAS Webhook 或本機檔案
+  let orderRepository = deps.orderRepository;
+  if (!orderRepository) {
+    try {
+      orderRepository = createOrderRepository({ ...config.orderStore, merchants: config.merchants, logger });
+    } catch (error) {
+      throw new ConfigError(error.message);
+    }
+  }
+  logger.info("Order repository initialized", { store: orderRepository.name });
+
+  // 商品目錄與庫存：建立訂單時保留、付款成功扣除、失敗或取消釋放
+  const productRepository = deps.productRepository || createProductRepository({ filePath: config.storePaths.products });
+  // 優惠券：使用次數與庫存相同，建立訂單時佔用、失敗或取消時歸還
+  const couponRepository = deps.couponRepository || createCouponRepository({ filePath: config.storePaths.coupons });
+  const inventory = createInventoryService({ productRepository, couponRepository, logger });
+
+  // 訂單生命週期事件：狀態改變的服務發布事件，庫存、交易信件與商家 Webhook 訂閱
+  const events = createEventBus({ logger });
+
+  // 交易信件：依 MAIL_TRANSPORT 寫入本機 outbox 或透過 SMTP 寄出
+  let mailTransport = deps.mailTransport;
+  if (mailTransport === undefined) {
+    try {
+      mailTransport = createMailTransport(config.mail);
+    } catch (error) {
+      throw new ConfigError(error.message);
+    }
+  }
+  logger.info("Mail transport initialized", { transport: mailTransport ? mailTransport.name : "none" });
+  const emailLog = deps.emailLog || createEmailLog({ filePath: config.storePaths.emailLog });
+  const emailService = createEmailService({ transport: mailTransport, emailLog, orderRepository, from: config.mail.from, siteUrl: config.mail.siteUrl, logger });
+
+  // 電子發票：付款成功後依 INVOICE_PROVIDER 開立，發票號碼寫回訂單
+  let invoiceProvider = deps.invoiceProvider;
+  if (invoiceProvider === undefined) {
+    try {
+      invoiceProvider = createInvoiceProvider(config.invoice);
+    } catch (error) {
+      throw new ConfigError(error.message);
+    }
+  }
+  logger.info("Invoice provider initialized", { provider: invoiceProvider ? invoiceProvider.name : "none" });
+  const invoiceService = createInvoiceService({ provider: invoiceProvider, orderRepository, logger });
+
+  // 商店清單：每個商店有自己的 PAYUNi 用戶端 (付款表單、交易查詢、退款)，對帳與退款依訂單的 merID 選擇商店
+  const merchants = createMerchantRegistry({ merchants: config.merchants, apiUrl: config.payuni.apiUrl, queryUrl: config.payuni.queryUrl, defaultClient: deps.payuniClient });
+  logger.info("Merchants initialized", { merchants: merchants.list().map((merchant) => merchant.id) });
+  const notificationLedger = deps.notificationLedger || createNotificationLedger({ filePath: config.storePaths.notificationLedger });
+  const reconciler = createReconciler({ orderRepository, merchants, ledger: notificationLedger, events, logger });
+  const refundService = createRefundService({ orderRepository, merchants, events, logger });
+
+  // 訂閱：PAYUNi 信用卡定期定額，每期扣款成功建立一筆已完成訂單 (商店的決定方式與一般訂單相同)
+  const subscriptionRepository = deps.subscriptionRepository || createSubscriptionRepository({ filePath: config.storePaths.subscriptions });
+  const subscriptionService = createSubscriptionService({ plans: deps.plans || plans, subscriptionRepository, orderRepository, merchants, events, logger });
+
+  // PAYUNi 通知帳本：辨識重送 / 重放的 Notify，避免重複處理或狀態倒退
+  const notificationProcessor = createNotificationProcessor({ orderRepository, ledger: notificationLedger, events, logger });
+
+  // 待支付訂單的有效期限：逾期的訂單不再沿用，並由排程標記為已取消
+  const orderExpiry = createOrderExpiry({
+    orderRepository,
+    reconciler,
+    events,
+    logger,
+    ttlMinutes: config.schedule.pendingOrderTtlMinutes,
+    checkGateway: config.schedule.expiryCheckGateway,
+  });
+
+  // 商家 Webhook：把訂單事件簽章後送到 MERCHANT_WEBHOOK_URLS，送不到的放入死信清單
+  const webhookDeadLetters = deps.webhookDeadLetters || createWebhookDeadLetters({ filePath: config.storePaths.webhookDeadLetters });
+  const webhookDispatcher = createWebhookDispatcher({ ...config.merchantWebhooks, httpClient, deadLetters: webhookDeadLetters, orderRepository, logger });
+
+  // 付款成功扣除庫存、失敗或取消釋放保留 (等待完成後才回覆金流通知)
+  // 事件沒有附上訂單時讀取儲存的訂單，沒有保留記錄的付款才能依品項補扣
+  events.subscribe([ORDER_EVENTS.PAID, ORDER_EVENTS.FAILED, ORDER_EVENTS.CANCELLED], "inventory", async ({ data }) => {
+    const order = data.order || (await orderRepository.getOrder(data.tradeNo)) || undefined;
+    await inventory.syncWithOrderStatus(data.tradeNo, data.status, order);
+  });
+  // 電子發票、交易信件與商家 Webhook 在背景處理
+  events.subscribe([ORDER_EVENTS.PAID], "invoice", ({ data }) => {
+    invoiceService.issueForPaidOrder(data.tradeNo);
+  });
+  events.subscribe([ORDER_EVENTS.PAID, ORDER_EVENTS.FAILED], "email", ({ data }) => {
+    emailService.notifyOrderStatus(data.tradeNo, data.status);
+  });
+  events.subscribe([ORDER_EVENTS.REFUNDED], "email", ({ data }) => {
+    emailService.notifyRefund(data.tradeNo, data.refund);
+  });
+  events.subscribe("*", "merchant-webhooks", (event) => {
+    webhookDispatcher.dispatch(event);
+  });
+
+  // session、付款結果權杖與速率限制計數：依 KV_STORE 選擇記憶體、本機檔案或 Redis
+  let kvStore = deps.kvStore;
+  if (!kvStore) {
+    try {
+      kvStore = createKeyValueStore({ ...config.kvStore, logger });
+    } catch (error) {
+      throw new ConfigError(error.message);
+    }
+  }
+  logger.info("Key-value store initialized", { store: kvStore.name });
+
+  const orderService = createOrderService({ orderRepository, productRepository, couponRepository, events, orderExpiry, merchants, logger });
+  // 我的訂單的訂單明細 (時間軸來自通知帳本與退款記錄) 與待支付訂單重新付款
+  const orderTracking = createOrderTrackingService({ orderRepository, notificationLedger, orderExpiry });
+  const paymentService = createPaymentService({ merchants, notificationProcessor, subscriptionService, logger });
+
+  // 登入方式 (Google、Email 登入連結、OpenID Connect)，不同方式以已驗證的 email 連結到同一個帳號
+  const loginProviders = createLoginProviders({ ...config.auth, google: config.google, mail: config.mail }, { oauth2Client: deps.oauth2Client, httpClient, kvStore, mailTransport, logger });
+  const accountRepository = deps.accountRepository || createAccountRepository({ filePath: config.storePaths.accounts });
+  const authService = createAuthService({ providers: loginProviders, accountRepository, logger });
+  logger.info("Login providers initialized", { providers: config.auth.providers });
+
+  // 訪客結帳與訪客查詢訂單 (以 email 驗證碼查詢，與我的訂單使用相同的查詢)
+  const guestLookupService = createGuestLookupService({ kvStore, transport: mailTransport, orderRepository, from: config.mail.from, siteUrl: config.mail.siteUrl, ttlMinutes: config.guestCheckout.lookupCodeTtlMinutes, logger });
+  const turnstileVerifier = createTurnstileVerifier({ ...config.turnstile, httpClient, logger });
+
+  const app = express();
+
+  // 如果在 production 且在 proxy 後面，信任 proxy
+  // Zeabur 需要這個設定才能正確辨識 HTTPS
+  if (config.isProduction) {
+    app.set("trust proxy", 1);
+    logger.info("Production mode: trust proxy enabled");
+  }
+
+  // ========================================
+  // 安全設定
+  // ========================================
+
+  const limiters = createRateLimiters(kvStore);
+  const sendSecureError = createSecureErrorSender({ isProduction: config.isProduction, logger });
+  const { isAdmin, requireAdmin } = createAuthGuards({ adminEmails: config.adminEmails, logger });
+  // PAYUNi 的 Notify / Return 由金流方送出，無法帶 CSRF token
+  const { csrfProtection, csrfGuard, csrfErrorHandler } = createCsrfProtection({ excludedPaths: ["/payment-return", "/payuni-webhook"], logger });
+
+  app.use(createSecurityHeaders(config));
+  app.use(createCors(config, logger));
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true })); // 支援 form-urlencoded 格式
+
+  app.use(blockPrivatePaths(["/storage", "/logs"]));
+
+  // --- 分層速率限制策略 ---
+  // 優先提供靜態檔案，不進行速率限制
+  // 只公開頁面與 public/，專案根目錄 (storage、logs、原始碼與設定) 不對外提供
+  app.get(["/", ...PUBLIC_PAGES.map((page) => `/${page}`)], (req, res) => {
+    res.sendFile(path.join(__dirname, req.path === "/" ? "index.html" : req.path.slice(1)));
+  });
+  app.use("/public", express.static(path.join(__dirname, "public"))); // 頁面引用的 /public/*.css、/public/*.js
+  app.use(express.static(path.join(__dirname, "public"))); // public 子目錄 (css, js)
+
+  // 為所有剩餘的動態路由套用通用的速率限制
+  app.use(limiters.general);
+
+  // Session 配置（用於 CSRF 防護 & 登入）
+  app.use(
+    session({
+      store: new KeyValueSessionStore({ kvStore }), // 重新啟動或多個執行個體時仍保留登入狀態
+      secret: config.session.secret,
+      resave: false,
+      saveUninitialized: false, // 改為 false，避免為未登入使用者建立 session
+      cookie: {
+        secure: config.isProduction, // 生產環境使用 HTTPS only
+        httpOnly: true, // 防止 JavaScript 存取
+        sameSite: "lax", // CSRF 防護
+        maxAge: 1000 * 60 * 60 * 24, // 24 小時
+      },
+      name: "sessionId", // 自定義 cookie 名稱，更明確
+      proxy: config.isProduction, // Production 環境通常在 proxy 後面（如 Zeabur）
+    })
+  );
+
+  app.use(csrfGuard);
+  app.use(csrfErrorHandler);
+  app.use(requestLogger(logger));
+
+  // ========================================
+  // 路由
+  // ========================================
+
+  app.use(createAuthRouter({ authService, limiters, isAdmin, sendSecureError, logger }));
+  app.use(createApiRouter({ config, authService, orderRepository, productRepository, couponRepository, orderService, orderTracking, invoiceService, csrfProtection, sendSecureError, logger }));
+  app.use(createPaymentRouter({ config, orderService, orderTracking, paymentService, invoiceService, kvStore, limiters, turnstileVerifier, sendSecureError, logger }));
+  app.use(createSubscriptionRouter({ subscriptionService, invoiceService, limiters, sendSecureError, logger }));
+  app.use(createGuestRouter({ config, guestLookupService, turnstileVerifier, limiters, sendSecureError }));
+  app.use(createAdminRouter({ orderRepository, productRepository, couponRepository, orderService, refundService, emailService, invoiceService, subscriptionService, webhookDispatcher, reconciler, orderExpiry, merchants, isAdmin, requireAdmin, sendSecureError, logger }));
+
+  // 頁面與靜態檔案已在速率限制之前提供 (GET /)
+
+  app.use(errorHandler(logger));
+
+  return {
+    app,
+    config,
+    kvStore,
+    events,
+    emailService,
+    invoiceService,
+    webhookDispatcher,
+    reconciler,
+    orderExpiry,
+    gasWriteQueue: orderRepository.writeQueue || null,
+    warnings: config.warnings,
+    schedule: config.schedule,
+  };
+}
+
+module.exports = { createApp, ConfigError };
@@ -0,0 +1,43 @@
+const { OAuth2Client } = require("google-auth-library");
+const { AuthError } = require("../services/auth");
+
+/**
+ * Google 登入 (OAuth 2.0 + id_token)
+ * @param {object} options
+ * @param {string} options.clientId - GOOGLE_CLIENT_ID (驗證 id_token 的 audience)
+ * @param {string} options.clientSecret - GOOGLE_CLIENT_SECRET
+ * @param {string} options.redirectUri - GOOGLE_REDIRECT_URI
+ * @param {object} [options.oauth2Client] - Google OAuth 用戶端，測試時傳入替身
+ */
+function createGoogleProvider({ clientId, clientSecret, redirectUri, oauth2Client = new OAuth2Client(clientId, clientSecret, redirectUri) }) {
+  return {
+    name: "google",
+    label: "Google",
+    type: "redirect",
+
+    async authorizationUrl() {
+      return oauth2Client.generateAuthUrl({
+        access_type: "online", // 改為 online，因為只需要一次性登入驗證
+        scope: ["https://www.googleapis.com/auth/userinfo.profile", "https://www.googleapis.com/auth/userinfo.email"],
+        prompt: "consent",
+      });
+    },
+
+    async authenticate(query) {
+      if (!query.code) {
+        throw new AuthError("Google 登入失敗：缺少授權碼", 400);
+      }
+
+      const { tokens } = await oauth2Client.getToken(query.code);
+      const ticket = await oauth2Client.verifyIdToken({
+        idToken: tokens.id_token,
+        audience: clientId,
+      });
+
+      const payload = ticket.getPayload();
+      return { subject: payload.sub, email: payload.email, emailVerified: payload.email_verified === true, name: payload.name, picture: payload.picture };
+    },
+  };
+}
+
+module.exports = { createGoogleProvider };
@@ -0,0 +1,50 @@
+const { createGoogleProvider } = require("./googleProvider");
+const { createOidcProvider } = require("./oidcProvider");
+const { createMagicLinkProvider } = require("./magicLinkProvider");
+
+/**
+ * 登入方式介面
+ * - name：登入方式名稱 (路由 /auth/:name 與帳號綁定記錄使用)
+ * - label：前端按鈕顯示的名稱
+ * - type："redirect" 導向外部登入頁；"email" 寄送登入連結
+ * - redirect 類：authorizationUrl(session) => 外部登入頁網址 (可在 session 暫存 state)
+ * - email 類：sendLink(email) => void
+ * - authenticate(query, session) => { subject, email, emailVerified, name?, picture? }
+ *   由 /auth/:name/callback 呼叫；可預期的失敗拋出 services/auth.js 的 AuthError
+ * 登入後由 services/auth.js 以 email 對應到顧客帳號，新增登入方式時實作同樣的介面
+ */
+
+/**
+ * 依設定建立啟用的登入方式 (對應 config/index.js 的 auth，順序即為前端顯示順序)
+ * - google：Google OAuth (GOOGLE_*)
+ * - email：Email 登入連結，透過交易信件的寄送方式寄出
+ * - oidc：通用 OpenID Connect (OIDC_*)
+ * @param {object} options
+ * @param {string[]} options.providers - LOGIN_PROVIDERS
+ * @param {object} options.google - config.google
+ * @param {object} options.oidc - config.auth.oidc
+ * @param {object} options.magicLink - config.auth.magicLink
+ * @param {object} options.mail - config.mail (寄件者與商店網址)
+ * @param {object} deps
+ * @param {object} [deps.oauth2Client] - Google OAuth 用戶端，未傳入時依 GOOGLE_* 建立
+ * @param {object} deps.httpClient - OIDC 使用的 HTTP 用戶端
+ * @param {object} deps.kvStore - Email 登入連結的權杖儲存
+ * @param {object|null} deps.mailTransport - Email 登入連結的寄送方式
+ * @param {object} deps.logger - winston logger
+ */
+function createLoginProviders({ providers, google, oidc, magicLink, mail }, { oauth2Client, httpClient, kvStore, mailTransport, logger }) {
+  return providers.map((name) => {
+    switch (name) {
+      case "google":
+        return createGoogleProvider({ ...google, oauth2Client });
+      case "email":
+        return createMagicLinkProvider({ ...magicLink, kvStore, transport: mailTransport, from: mail.from, siteUrl: mail.siteUrl, logger });
+      case "oidc":
+        return createOidcProvider({ ...oidc, httpClient, logger });
+      default:
+        throw new Error(`不支援的登入方式: ${name}`);
+    }
+  });
+}
+
+module.exports = { createLoginProviders };
@@ -0,0 +1,58 @@
+const crypto = require("crypto");
+const { AuthError } = require("../services/auth");
+const { renderLoginLink } = require("../mail/templates");
+const { normalizeEmail } = require("../repositories/accountRepository");
+
+// 鍵值儲存只保存權杖的雜湊，讀取到儲存內容也無法組出登入連結
+const tokenKey = (token) => `magic:${crypto.createHash("sha256").update(token).digest("hex")}`;
+
+/**
+ * Email 登入連結 (免密碼)：寄出一次性的登入連結，開啟連結後在確認頁按下確認 (POST) 才以該 email 登入
+ * 信箱的連結掃描器只會開啟 GET 的確認頁，不會用掉權杖；能收到信即代表擁有該信箱，因此視為已驗證的 email
+ * @param {object} options
+ * @param {object} options.kvStore - stores/index.js 的鍵值儲存 (保存未使用的權杖，take() 確保只能使用一次)
+ * @param {object|null} options.transport - mail/index.js 建立的寄送方式 (開發時寫入本機 outbox)
+ * @param {string} options.from - 寄件者
+ * @param {string} options.callbackUrl - 登入連結 (MAGIC_LINK_CALLBACK_URL，預設為 DOMAIN 的 /auth/email/callback)
+ * @param {string} options.siteUrl - 商店網址
+ * @param {number} options.ttlMinutes - 連結有效期限 (MAGIC_LINK_TTL_MINUTES)
+ * @param {object} options.logger - winston logger
+ */
+function createMagicLinkProvider({ kvStore, transport, from, callbackUrl, siteUrl, ttlMinutes, logger }) {
+  return {
+    name: "email",
+    label: "Email",
+    type: "email",
+
+    async sendLink(email) {
+      if (!transport) {
+        throw new AuthError("目前無法寄送登入連結", 503);
+      }
+
+      const to = normalizeEmail(email);
+      const token = crypto.randomBytes(32).toString("hex");
+      await kvStore.set(tokenKey(token), { email: to }, ttlMinutes * 60 * 1000);
+
+      const link = new URL(callbackUrl);
+      link.searchParams.set("token", token);
+      try {
+        await transport.send({ from, to, ...renderLoginLink({ link: link.href, ttlMinutes, siteUrl }) });
+      } catch (error) {
+        await kvStore.delete(tokenKey(token));
+        logger.error("Failed to send login link", { transport: transport.name, error: error.message });
+        throw new AuthError("登入連結寄送失敗，請稍後再試", 502);
+      }
+      logger.info("Login link sent", { transport: transport.name });
+    },
+
+    async authenticate(query) {
+      const entry = typeof query.token === "string" && query.token ? await kvStore.take(tokenKey(query.token)) : undefined;
+      if (!entry) {
+        throw new AuthError("登入連結無效或已過期，請重新取得", 400);
+      }
+      return { subject: entry.email, email: entry.email, emailVerified: true };
+    },
+  };
+}
+
+module.exports = { createMagicLinkProvider };
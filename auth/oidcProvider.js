@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+const { AuthError } = require("../services/auth");
+
+const DISCOVERY_PATH = "/.well-known/openid-configuration";
+const REQUEST_TIMEOUT_MS = 10000;
+// id_token 到期時間容許的時鐘誤差 (秒)
+const CLOCK_SKEW_SECONDS = 60;
+
+function decodeIdToken(idToken) {
+  const [, payload] = String(idToken || "").split(".");
+  try {
+    return JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw new AuthError("登入驗證失敗：id_token 格式不正確", 502);
+  }
+}
+
+/**
+ * 通用 OpenID Connect 登入 (授權碼流程)，端點由 OIDC_ISSUER 的 discovery 文件取得
+ * state 與 nonce 存在 session，回呼時比對以防止登入 CSRF 與 id_token 重放
+ * id_token 由後端直接透過 HTTPS 向 token endpoint 取得，依 OIDC Core 3.1.3.7 以 TLS 確認發行者，不另外驗證簽章；
+ * 仍檢查 iss、aud、exp 與 nonce；discovery 文件與 id_token 的 iss 都必須是設定的 OIDC_ISSUER (結尾斜線不計)
+ * @param {object} options
+ * @param {string} options.issuer - OIDC_ISSUER
+ * @param {string} options.clientId - OIDC_CLIENT_ID
+ * @param {string} options.clientSecret - OIDC_CLIENT_SECRET
+ * @param {string} options.redirectUri - OIDC_REDIRECT_URI
+ * @param {string} options.label - 登入按鈕上的名稱 (OIDC_LABEL)
+ * @param {object} options.httpClient - axios 相容的 HTTP 用戶端 (get / post)
+ * @param {object} options.logger - winston logger
+ */
+function createOidcProvider({ issuer, clientId, clientSecret, redirectUri, label, httpClient, logger }) {
+  const configuredIssuer = issuer.replace(/\/$/, "");
+  let metadata = null;
+
+  function isConfiguredIssuer(value) {
+    return typeof value === "string" && value.replace(/\/$/, "") === configuredIssuer;
+  }
+
+  // discovery 文件在第一次登入時讀取並快取；宣告其他發行者的文件不採用 (OIDC Discovery 4.3)
+  async function discover() {
+    if (!metadata) {
+      const { data } = await httpClient.get(`${configuredIssuer}${DISCOVERY_PATH}`, { timeout: REQUEST_TIMEOUT_MS });
+      if (!data || !data.authorization_endpoint || !data.token_endpoint) {
+        throw new Error("OpenID Connect discovery 文件缺少 authorization_endpoint 或 token_endpoint");
+      }
+      if (!isConfiguredIssuer(data.issuer)) {
+        logger.warn("OIDC discovery issuer mismatch", { configured: configuredIssuer, discovered: data.issuer });
+        throw new Error("OpenID Connect discovery 文件的 issuer 與 OIDC_ISSUER 不符");
+      }
+      metadata = data;
+    }
+    return metadata;
+  }
+
+  return {
+    name: "oidc",
+    label,
+    type: "redirect",
+
+    async authorizationUrl(session) {
+      const { authorization_endpoint: endpoint } = await discover();
+      const state = crypto.randomBytes(16).toString("hex");
+      const nonce = crypto.randomBytes(16).toString("hex");
+      session.oidcLogin = { state, nonce };
+
+      const url = new URL(endpoint);
+      Object.entries({ response_type: "code", client_id: clientId, redirect_uri: redirectUri, scope: "openid email profile", state, nonce }).forEach(([key, value]) => url.searchParams.set(key, value));
+      return url.href;
+    },
+
+    async authenticate(query, session) {
+      const pending = session.oidcLogin;
+      delete session.oidcLogin;
+
+      if (query.error) {
+        throw new AuthError(`${label} 登入失敗：${query.error_description || query.error}`, 400);
+      }
+      if (!pending || !query.state || query.state !== pending.state) {
+        throw new AuthError("登入請求已失效，請重新登入", 400);
+      }
+      if (!query.code) {
+        throw new AuthError(`${label} 登入失敗：缺少授權碼`, 400);
+      }
+
+      const { token_endpoint: tokenEndpoint, userinfo_endpoint: userinfoEndpoint } = await discover();
+      const form = new URLSearchParams({ grant_type: "authorization_code", code: query.code, redirect_uri: redirectUri, client_id: clientId, client_secret: clientSecret });
+      const { data: tokens } = await httpClient.post(tokenEndpoint, form.toString(), {
+        headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+        timeout: REQUEST_TIMEOUT_MS,
+      });
+
+      const claims = decodeIdToken(tokens.id_token);
+      const audiences = [].concat(claims.aud);
+      const now = Math.floor(Date.now() / 1000);
+      if (!isConfiguredIssuer(claims.iss) || !audiences.includes(clientId) || !(Number(claims.exp) + CLOCK_SKEW_SECONDS > now) || claims.nonce !== pending.nonce) {
+        logger.warn("OIDC id_token rejected", { iss: claims.iss, aud: claims.aud, exp: claims.exp, nonceMatched: claims.nonce === pending.nonce });
+        throw new AuthError(`${label} 登入驗證失敗`, 401);
+      }
+
+      // id_token 沒有帶 email 時改由 userinfo 取得 (sub 必須相同)
+      let profile = claims;
+      if (!claims.email && userinfoEndpoint && tokens.access_token) {
+        const { data } = await httpClient.get(userinfoEndpoint, { headers: { Authorization: `Bearer ${tokens.access_token}` }, timeout: REQUEST_TIMEOUT_MS });
+        if (data && data.sub === claims.sub) {
+          profile = { ...claims, ...data };
+        }
+      }
+
+      return {
+        subject: claims.sub,
+        email: profile.email,
+        emailVerified: profile.email_verified === true || profile.email_verified === "true",
+        name: profile.name,
+        picture: profile.picture,
+      };
+    },
+  };
+}
+
+module.exports = { createOidcProvider };
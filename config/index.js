@@ -0,0 +1,314 @@
+const { PAY_TYPES } = require("../utils/payuni");
+const { validateEnv, loginProvidersOf, merchantKeysOf, merchantEnvPrefix, DEFAULT_MERCHANT_KEY } = require("./schema");
+const { resolveProfile, checkProfile, classifyGateway } = require("./profiles");
+
+/**
+ * 設定錯誤 (缺少環境變數、格式不正確)，由 index.js 印出後結束程序
+ * problems 列出所有問題，方便一次修正
+ */
+class ConfigError extends Error {
+  constructor(message, problems = [message]) {
+    super(message);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// 未設定 PAYUNI_RETURN_URL / DOMAIN 時的預設值
+const DEFAULT_SITE_URL = "https://exam2ple.com";
+
+// 未設定 PORT 時監聽的連接埠
+const DEFAULT_PORT = 80;
+
+// 未設定 SMTP_PORT 時使用的連接埠 (STARTTLS)
+const DEFAULT_SMTP_PORT = 587;
+
+/**
+ * @typedef {object} PayuniConfig
+ * @property {string} apiUrl - UPP 付款頁網址 (PAYUNI_API_URL)
+ * @property {string} origin - apiUrl 的網域，CSP formAction 使用
+ * @property {boolean} isLocalGateway - 是否指向本機模擬金流 (mock/payuniGateway.js)
+ * @property {string} merID - 商店代號
+ * @property {string} hashKey - 32 字元 HashKey
+ * @property {string} hashIV - 16 字元 HashIV
+ * @property {string} [queryUrl] - 交易查詢端點
+ * @property {string} notifyUrl - NotifyURL
+ * @property {string} returnUrl - ReturnURL
+ * @property {string[]} payTypes - 開放給顧客選擇的付款方式，第一個為預設值
+ */
+
+/**
+ * @typedef {object} MerchantConfig
+ * @property {string} id - 商店代碼 (PAYUNI_MERCHANTS)，預設商店為 default
+ * @property {string} merID - 商店代號 (PAYUNI_<代碼>_MERCHANT_ID)
+ * @property {string} hashKey - 32 字元 HashKey
+ * @property {string} hashIV - 16 字元 HashIV
+ * @property {string} notifyUrl - NotifyURL，未設定時沿用 NOTIFY_URL
+ * @property {string} returnUrl - ReturnURL，未設定時沿用預設商店的 ReturnURL
+ * @property {string[]} hosts - 對應到這個商店的網域 (小寫)，從這些網域結帳且未指定商店的商品歸屬這個商店；預設商店為空陣列
+ * @property {string} [gasWebhookUrl] - 這個商店的訂單 Sheet (ORDER_STORE=gas 時使用)
+ */
+
+/**
+ * @typedef {object} MailConfig
+ * @property {"outbox"|"smtp"|"none"} transport - 寄送方式 (MAIL_TRANSPORT)
+ * @property {string} from - 寄件者 (MAIL_FROM)
+ * @property {string} siteUrl - 信件中「查看訂單」連結
+ * @property {string} [outboxDir] - outbox 目錄 (MAIL_OUTBOX_DIR)
+ * @property {{ host?: string, port: number, secure: boolean, user?: string, pass?: string }} smtp
+ */
+
+/**
+ * @typedef {object} AuthConfig
+ * @property {string[]} providers - 啟用的登入方式 (LOGIN_PROVIDERS)，前端依此順序顯示
+ * @property {{ callbackUrl: string, ttlMinutes: number }} magicLink - Email 登入連結的回呼網址與有效期限
+ * @property {{ issuer?: string, clientId?: string, clientSecret?: string, redirectUri?: string, label: string }} oidc - OpenID Connect 登入
+ */
+
+/**
+ * @typedef {object} GuestCheckoutConfig
+ * @property {boolean} enabled - 是否開放訪客結帳與訪客查詢訂單 (GUEST_CHECKOUT_ENABLE)
+ * @property {number} lookupCodeTtlMinutes - 查詢訂單驗證碼的有效期限 (GUEST_LOOKUP_CODE_TTL_MINUTES)
+ */
+
+/**
+ * @typedef {object} AppConfig
+ * @property {{ name: string, label: string }} profile - PAYUNi 環境設定檔 (config/profiles.js)
+ * @property {number} port - 監聽的連接埠 (PORT)
+ * @property {string} logLevel - LOG_LEVEL
+ * @property {string} [nodeEnv] - NODE_ENV
+ * @property {boolean} isProduction - NODE_ENV 是否為 production
+ * @property {string} [domain] - 前端網域 (DOMAIN)，CORS 與 CSP 使用
+ * @property {PayuniConfig} payuni
+ * @property {MerchantConfig[]} merchants - 所有商店，第一個為 PAYUNI_MERCHANT_ID 的預設商店 (services/merchants.js)
+ * @property {{ enabled: boolean, secretKey?: string }} turnstile
+ * @property {{ clientId?: string, clientSecret?: string, redirectUri?: string }} google
+ * @property {AuthConfig} auth - 登入方式 (auth/index.js)
+ * @property {GuestCheckoutConfig} guestCheckout - 訪客結帳 (routes/payment.js) 與訪客查詢訂單 (services/guestLookup.js)
+ * @property {{ secret: string }} session
+ * @property {string[]} adminEmails - 管理員 email 白名單 (小寫)
+ * @property {{ store: string, gasWebhookUrl?: string, webhookToken?: string, filePath?: string, gasQueuePath?: string, gasTimeoutMs: number, gasRetryAttempts: number }} orderStore - 訂單儲存庫設定
+ * @property {{ store: string, filePath?: string, redisUrl?: string, keyPrefix: string }} kvStore - session、付款結果權杖與速率限制共用的鍵值儲存 (stores/index.js)
+ * @property {{ urls: string[], secret?: string, maxAttempts: number }} merchantWebhooks - 訂單事件的商家 Webhook (services/merchantWebhooks.js)
+ * @property {MailConfig} mail - 交易信件設定 (mail/index.js、services/email.js)
+ * @property {{ provider: "stub"|"none", stubPath?: string }} invoice - 電子發票開立方式 (invoices/index.js、services/invoice.js)
+ * @property {{ products?: string, coupons?: string, notificationLedger?: string, emailLog?: string, webhookDeadLetters?: string, subscriptions?: string, accounts?: string }} storePaths - 本機 JSON 檔路徑，未設定時使用 storage/ 下的預設檔案
+ * @property {{ reconcileIntervalMinutes: number, expirySweepIntervalMinutes: number, pendingOrderTtlMinutes: number, expiryCheckGateway: boolean, gasQueueRetrySeconds: number }} schedule
+ * @property {string[]} warnings - 啟動時需要提醒的設定，由 index.js 印出
+ */
+
+// 未設定時使用預設值，設為 0 代表停用
+function minutes(value, defaultValue) {
+  return value === undefined ? defaultValue : Number(value);
+}
+
+function hostsOf(value) {
+  return (value || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * 組合預設商店與 PAYUNI_MERCHANTS 列出的商店
+ * @returns {MerchantConfig[]}
+ */
+function readMerchants(env, defaults) {
+  const merchants = [{ id: DEFAULT_MERCHANT_KEY, merID: env.PAYUNI_MERCHANT_ID, hashKey: env.PAYUNI_HASH_KEY, hashIV: env.PAYUNI_HASH_IV, notifyUrl: defaults.notifyUrl, returnUrl: defaults.returnUrl, hosts: [], gasWebhookUrl: env.GAS_WEBHOOK_URL }];
+  merchantKeysOf(env).forEach((key) => {
+    const prefix = merchantEnvPrefix(key);
+    merchants.push({
+      id: key,
+      merID: env[`${prefix}MERCHANT_ID`],
+      hashKey: env[`${prefix}HASH_KEY`],
+      hashIV: env[`${prefix}HASH_IV`],
+      notifyUrl: env[`${prefix}NOTIFY_URL`] || defaults.notifyUrl,
+      returnUrl: env[`${prefix}RETURN_URL`] || defaults.returnUrl,
+      hosts: hostsOf(env[`${prefix}HOSTS`]),
+      gasWebhookUrl: env[`${prefix}GAS_WEBHOOK_URL`],
+    });
+  });
+  return merchants;
+}
+
+/**
+ * Notify / Return 依 MerID 選擇金鑰、結帳依網域選擇商店，因此商店代號與網域不可重複
+ * @param {MerchantConfig[]} merchants
+ * @returns {string[]} 問題說明
+ */
+function checkMerchants(merchants) {
+  const problems = [];
+  const seen = new Map();
+  merchants.forEach(({ id, merID, hosts }) => {
+    [`MerID ${merID}`, ...hosts.map((host) => `網域 ${host}`)].forEach((label) => {
+      if (seen.has(label)) {
+        problems.push(`商店 ${seen.get(label)} 與 ${id} 使用相同的 ${label}`);
+      } else {
+        seen.set(label, id);
+      }
+    });
+  });
+  return problems;
+}
+
+// 移除空字串 (例如 .env 中的 `GOOGLE_CLIENT_ID=`)，視為未設定
+function withoutEmptyValues(env) {
+  return Object.fromEntries(Object.entries(env).filter(([, value]) => value !== undefined && value !== ""));
+}
+
+/**
+ * 讀取並依 config/schema.js、config/profiles.js 檢查環境變數，轉成各模組使用的設定
+ * @param {object} rawEnv - 通常傳入 process.env
+ * @returns {AppConfig}
+ * @throws {ConfigError} 缺少必要的環境變數、格式不正確或與設定檔不符 (一次列出所有問題)
+ */
+function loadConfig(rawEnv) {
+  const env = withoutEmptyValues(rawEnv);
+  const { missing, invalid } = validateEnv(env);
+  const problems = [...(missing.length > 0 ? [`缺少以下必要的環境變數: ${missing.join(", ")}`] : []), ...invalid];
+  if (problems.length > 0) {
+    throw new ConfigError(problems.join("\n  "), problems);
+  }
+
+  const profile = resolveProfile(env);
+  env.PAYUNI_API_URL = env.PAYUNI_API_URL || profile.apiUrl;
+  const { errors, warnings } = checkProfile(profile, env);
+  if (errors.length > 0) {
+    throw new ConfigError(errors.join("\n  "), errors);
+  }
+
+  const returnUrl = env.PAYUNI_RETURN_URL || DEFAULT_SITE_URL;
+  const merchants = readMerchants(env, { notifyUrl: env.NOTIFY_URL, returnUrl });
+  const merchantProblems = checkMerchants(merchants);
+  if (merchantProblems.length > 0) {
+    throw new ConfigError(merchantProblems.join("\n  "), merchantProblems);
+  }
+
+  const payTypes = (env.PAYUNI_PAY_TYPES || "C")
+    .split(",")
+    .map((type) => type.trim())
+    .filter((type) => PAY_TYPES[type]);
+
+  return {
+    profile: { name: profile.name, label: profile.label },
+    port: env.PORT === undefined ? DEFAULT_PORT : Number(env.PORT),
+    logLevel: env.LOG_LEVEL || "info",
+    nodeEnv: env.NODE_ENV,
+    isProduction: env.NODE_ENV === "production",
+    domain: env.DOMAIN,
+    payuni: {
+      apiUrl: env.PAYUNI_API_URL,
+      origin: new URL(env.PAYUNI_API_URL).origin,
+      isLocalGateway: classifyGateway(env.PAYUNI_API_URL) === "local",
+      merID: env.PAYUNI_MERCHANT_ID,
+      hashKey: env.PAYUNI_HASH_KEY,
+      hashIV: env.PAYUNI_HASH_IV,
+      queryUrl: env.PAYUNI_QUERY_URL,
+      notifyUrl: env.NOTIFY_URL,
+      returnUrl,
+      payTypes,
+    },
+    merchants,
+    turnstile: {
+      enabled: env.TURNSTILE_ENABLE === "true",
+      secretKey: env.TURNSTILE_SECRET_KEY,
+    },
+    google: {
+      clientId: env.GOOGLE_CLIENT_ID,
+      clientSecret: env.GOOGLE_CLIENT_SECRET,
+      redirectUri: env.GOOGLE_REDIRECT_URI,
+    },
+    auth: {
+      providers: [...new Set(loginProvidersOf(env))],
+      magicLink: {
+        callbackUrl: env.MAGIC_LINK_CALLBACK_URL || new URL("/auth/email/callback", env.DOMAIN || DEFAULT_SITE_URL).href,
+        ttlMinutes: env.MAGIC_LINK_TTL_MINUTES === undefined ? 15 : Number(env.MAGIC_LINK_TTL_MINUTES),
+      },
+      oidc: {
+        issuer: env.OIDC_ISSUER,
+        clientId: env.OIDC_CLIENT_ID,
+        clientSecret: env.OIDC_CLIENT_SECRET,
+        redirectUri: env.OIDC_REDIRECT_URI,
+        label: env.OIDC_LABEL || "OpenID Connect",
+      },
+    },
+    guestCheckout: {
+      enabled: env.GUEST_CHECKOUT_ENABLE === "true",
+      lookupCodeTtlMinutes: env.GUEST_LOOKUP_CODE_TTL_MINUTES === undefined ? 10 : Number(env.GUEST_LOOKUP_CODE_TTL_MINUTES),
+    },
+    session: {
+      secret: env.SESSION_SECRET,
+    },
+    adminEmails: (env.ADMIN_EMAILS || "")
+      .split(",")
+      .map((email) => email.trim().toLowerCase())
+      .filter(Boolean),
+    orderStore: {
+      // 未指定時，有設定 GAS_WEBHOOK_URL 就用 gas，否則用 file
+      store: env.ORDER_STORE || (env.GAS_WEBHOOK_URL ? "gas" : "file"),
+      gasWebhookUrl: env.GAS_WEBHOOK_URL,
+      webhookToken: env.WEBHOOK_TOKEN,
+      filePath: env.ORDER_STORE_PATH,
+      // GAS 寫入佇列與呼叫逾時、重試次數
+      gasQueuePath: env.GAS_QUEUE_PATH,
+      gasTimeoutMs: env.GAS_TIMEOUT_MS === undefined ? 10000 : Number(env.GAS_TIMEOUT_MS),
+      gasRetryAttempts: env.GAS_RETRY_ATTEMPTS === undefined ? 3 : Number(env.GAS_RETRY_ATTEMPTS),
+    },
+    kvStore: {
+      store: env.KV_STORE || "file",
+      filePath: env.KV_STORE_PATH,
+      redisUrl: env.REDIS_URL,
+      keyPrefix: env.REDIS_KEY_PREFIX || "payuni:",
+    },
+    merchantWebhooks: {
+      urls: (env.MERCHANT_WEBHOOK_URLS || "")
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean),
+      secret: env.MERCHANT_WEBHOOK_SECRET,
+      maxAttempts: env.MERCHANT_WEBHOOK_MAX_ATTEMPTS === undefined ? 5 : Number(env.MERCHANT_WEBHOOK_MAX_ATTEMPTS),
+    },
+    mail: {
+      // 未指定時，有設定 SMTP_HOST 就用 smtp，否則寫入本機 outbox
+      transport: env.MAIL_TRANSPORT || (env.SMTP_HOST ? "smtp" : "outbox"),
+      from: env.MAIL_FROM || `no-reply@${new URL(env.DOMAIN || DEFAULT_SITE_URL).hostname}`,
+      siteUrl: env.DOMAIN || DEFAULT_SITE_URL,
+      outboxDir: env.MAIL_OUTBOX_DIR,
+      smtp: {
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT === undefined ? DEFAULT_SMTP_PORT : Number(env.SMTP_PORT),
+        // 未設定時，465 連接埠使用 TLS，其他連接埠使用 STARTTLS
+        secure: env.SMTP_SECURE === undefined ? env.SMTP_PORT === "465" : env.SMTP_SECURE === "true",
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+      },
+    },
+    invoice: {
+      provider: env.INVOICE_PROVIDER || "stub",
+      stubPath: env.INVOICE_STUB_PATH,
+    },
+    storePaths: {
+      products: env.PRODUCT_STORE_PATH,
+      coupons: env.COUPON_STORE_PATH,
+      notificationLedger: env.NOTIFICATION_LEDGER_PATH,
+      emailLog: env.EMAIL_LOG_PATH,
+      webhookDeadLetters: env.WEBHOOK_DEAD_LETTER_PATH,
+      subscriptions: env.SUBSCRIPTION_STORE_PATH,
+      accounts: env.ACCOUNT_STORE_PATH,
+    },
+    schedule: {
+      // 定期對帳間隔 (分鐘)
+      reconcileIntervalMinutes: minutes(env.RECONCILE_INTERVAL_MINUTES, 30),
+      // 清理逾期訂單的間隔 (分鐘)
+      expirySweepIntervalMinutes: minutes(env.ORDER_EXPIRY_SWEEP_MINUTES, 10),
+      // 待支付訂單的有效期限：逾期的訂單不再沿用，並由排程標記為已取消
+      pendingOrderTtlMinutes: minutes(env.PENDING_ORDER_TTL_MINUTES, 60),
+      expiryCheckGateway: env.ORDER_EXPIRY_CHECK_GATEWAY !== "false",
+      // 重送 GAS 寫入佇列的間隔 (秒)
+      gasQueueRetrySeconds: env.GAS_QUEUE_RETRY_SECONDS === undefined ? 30 : Number(env.GAS_QUEUE_RETRY_SECONDS),
+    },
+    warnings,
+  };
+}
+
+module.exports = { loadConfig, ConfigError, DEFAULT_SITE_URL, DEFAULT_PORT };
@@ -0,0 +1,111 @@
+const { loginProvidersOf, merchantKeysOf, merchantEnvPrefix } = require("./schema");
+
+/**
+ * PAYUNi 環境設定檔 (PAYUNI_ENV)
+ * - apiUrl：未設定 PAYUNI_API_URL 時使用的 UPP 付款頁網址
+ * - strict：是否套用正式環境的檢查 (HTTPS 回呼網址、Session 密鑰長度)
+ */
+const PROFILES = {
+  sandbox: {
+    name: "sandbox",
+    label: "沙箱測試環境",
+    apiUrl: "https://sandbox-api.payuni.com.tw/api/upp",
+    strict: false,
+  },
+  production: {
+    name: "production",
+    label: "正式環境",
+    apiUrl: "https://api.payuni.com.tw/api/upp",
+    strict: true,
+  },
+};
+
+// 正式環境的 Session 密鑰最短長度
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+function isLocalHost(hostname) {
+  return ["localhost", "127.0.0.1"].includes(hostname);
+}
+
+/**
+ * 判斷 PAYUNI_API_URL 指向哪一種金流環境
+ * @returns {"local"|"sandbox"|"production"}
+ */
+function classifyGateway(apiUrl) {
+  const { hostname } = new URL(apiUrl);
+  if (isLocalHost(hostname)) {
+    return "local";
+  }
+  return hostname.includes("sandbox") ? "sandbox" : "production";
+}
+
+/**
+ * 決定使用的設定檔：有設定 PAYUNI_ENV 時以它為準，否則依 PAYUNI_API_URL 判斷 (未設定時為沙箱)
+ * @param {object} env - 環境變數
+ */
+function resolveProfile(env) {
+  if (env.PAYUNI_ENV) {
+    return PROFILES[env.PAYUNI_ENV];
+  }
+  if (env.PAYUNI_API_URL && classifyGateway(env.PAYUNI_API_URL) === "production") {
+    return PROFILES.production;
+  }
+  return PROFILES.sandbox;
+}
+
+/**
+ * 檢查設定與設定檔是否相符
+ * @param {object} profile - PROFILES 其中之一
+ * @param {object} env - 環境變數 (PAYUNI_API_URL 已套用預設值)
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function checkProfile(profile, env) {
+  const errors = [];
+  const warnings = [];
+  const gateway = classifyGateway(env.PAYUNI_API_URL);
+
+  if (!profile.strict) {
+    if (gateway === "production") {
+      errors.push(`PAYUNI_ENV=${profile.name} 不可使用正式環境的 PAYUNI_API_URL (${env.PAYUNI_API_URL})`);
+    } else if (gateway === "local") {
+      warnings.push(`PAYUNI_API_URL 指向本機模擬金流 (${new URL(env.PAYUNI_API_URL).origin})，不會產生真實交易。`);
+    }
+    return { errors, warnings };
+  }
+
+  if (gateway !== "production") {
+    errors.push(`PAYUNI_ENV=${profile.name} 不可使用沙箱或本機模擬金流的 PAYUNI_API_URL (${env.PAYUNI_API_URL})`);
+  }
+  const merchantUrls = merchantKeysOf(env).flatMap((key) => [`${merchantEnvPrefix(key)}NOTIFY_URL`, `${merchantEnvPrefix(key)}RETURN_URL`]);
+  ["NOTIFY_URL", "PAYUNI_RETURN_URL", "MAGIC_LINK_CALLBACK_URL", ...merchantUrls].forEach((name) => {
+    if (env[name] && new URL(env[name]).protocol !== "https:") {
+      errors.push(`${name} 在正式環境必須使用 HTTPS`);
+    }
+  });
+  if (env.SESSION_SECRET && env.SESSION_SECRET.length < MIN_PRODUCTION_SECRET_LENGTH) {
+    errors.push(`SESSION_SECRET 在正式環境至少需要 ${MIN_PRODUCTION_SECRET_LENGTH} 個字元`);
+  }
+
+  warnings.push("目前使用 PAYUNi 正式環境，將產生真實交易。");
+  if (env.NODE_ENV !== "production") {
+    warnings.push("正式環境建議將 NODE_ENV 設為 production (啟用 HTTPS-only Cookie 與 proxy 設定)。");
+  }
+  const kvStore = env.KV_STORE || "file";
+  if (kvStore !== "redis") {
+    warnings.push(`KV_STORE=${kvStore} 只適用單一執行個體${kvStore === "memory" ? "，重新啟動後所有人都會被登出" : ""}；多個執行個體請改用 KV_STORE=redis。`);
+  }
+  const mailTransport = env.MAIL_TRANSPORT || (env.SMTP_HOST ? "smtp" : "outbox");
+  if (mailTransport !== "smtp") {
+    const magicLink = loginProvidersOf(env).includes("email") ? "與 Email 登入連結" : "";
+    warnings.push(`MAIL_TRANSPORT=${mailTransport} 不會寄出交易信件${magicLink}給顧客，正式環境請設定 SMTP_HOST 與 MAIL_FROM。`);
+  }
+  if ((env.INVOICE_PROVIDER || "stub") === "stub") {
+    warnings.push("INVOICE_PROVIDER=stub 只會在本機產生測試用發票號碼，不會上傳財政部；正式環境請串接加值中心或設定 INVOICE_PROVIDER=none。");
+  }
+  if (env.TURNSTILE_ENABLE !== "true") {
+    warnings.push("正式環境未啟用 Turnstile 驗證，建議設定 TURNSTILE_ENABLE=true。");
+  }
+  return { errors, warnings };
+}
+
+module.exports = { PROFILES, resolveProfile, checkProfile, classifyGateway };
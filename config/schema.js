@@ -0,0 +1,252 @@
+const { PAY_TYPES } = require("../utils/payuni");
+
+// 驗證函式：通過時回傳 null，否則回傳錯誤說明 (不含變數名稱)
+
+const oneOf = (values) => (value) => (values.includes(value) ? null : `必須是 ${values.join(" / ")} 其中之一`);
+
+const booleanString = oneOf(["true", "false"]);
+
+function url(value) {
+  try {
+    const { protocol } = new URL(value);
+    return ["http:", "https:"].includes(protocol) ? null : "必須是 http 或 https 網址";
+  } catch {
+    return "必須是完整的網址 (例如 https://your-domain.com)";
+  }
+}
+
+function redisUrl(value) {
+  try {
+    return ["redis:", "rediss:"].includes(new URL(value).protocol) ? null : "必須是 redis:// 或 rediss:// 網址";
+  } catch {
+    return "必須是完整的網址 (例如 redis://localhost:6379)";
+  }
+}
+
+function urlList(value) {
+  const invalid = value
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item && url(item));
+  return invalid.length > 0 ? `包含不正確的網址: ${invalid.join(", ")}` : null;
+}
+
+const byteLength = (length) => (value) => {
+  const actual = Buffer.byteLength(value, "utf8");
+  return actual === length ? null : `長度必須是 ${length} 字元 (目前為 ${actual})`;
+};
+
+const integer =
+  ({ min, max }) =>
+  (value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || (max !== undefined && number > max)) {
+      return max === undefined ? `必須是 ${min} 以上的整數` : `必須是 ${min} 到 ${max} 之間的整數`;
+    }
+    return null;
+  };
+
+// 可以啟用的登入方式 (auth/index.js)
+const LOGIN_PROVIDER_NAMES = ["google", "email", "oidc"];
+const DEFAULT_LOGIN_PROVIDERS = "google,email";
+
+/**
+ * 讀取 LOGIN_PROVIDERS，未設定時啟用 Google 與 Email 登入連結
+ * @param {object} env
+ * @returns {string[]}
+ */
+function loginProvidersOf(env) {
+  return (env.LOGIN_PROVIDERS || DEFAULT_LOGIN_PROVIDERS)
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+function loginProviders(value) {
+  const names = value
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  const unknown = names.filter((name) => !LOGIN_PROVIDER_NAMES.includes(name));
+  if (unknown.length > 0) {
+    return `包含不支援的登入方式: ${unknown.join(", ")} (可用 ${LOGIN_PROVIDER_NAMES.join(" / ")})`;
+  }
+  return names.length > 0 ? null : "至少需要一種登入方式";
+}
+
+const mailTransports = oneOf(["outbox", "smtp", "none"]);
+
+// Email 登入連結與訪客查詢訂單的驗證碼需要能寄信
+function mailTransport(value, env) {
+  if (value === "none" && loginProvidersOf(env).includes("email")) {
+    return "為 none 時無法寄送登入連結，請從 LOGIN_PROVIDERS 移除 email";
+  }
+  if (value === "none" && env.GUEST_CHECKOUT_ENABLE === "true") {
+    return "為 none 時無法寄送訪客查詢訂單的驗證碼，請關閉 GUEST_CHECKOUT_ENABLE";
+  }
+  return mailTransports(value);
+}
+
+const loginProviderEnabled = (name) => (env) => loginProvidersOf(env).includes(name);
+
+// 商店代碼 (PAYUNI_MERCHANTS)：用在環境變數名稱與商品設定，default 保留給 PAYUNI_MERCHANT_ID 的預設商店
+const MERCHANT_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+const DEFAULT_MERCHANT_KEY = "default";
+
+/**
+ * 讀取 PAYUNI_MERCHANTS 列出的其他商店代碼 (小寫)
+ * @param {object} env
+ * @returns {string[]}
+ */
+function merchantKeysOf(env) {
+  return [
+    ...new Set(
+      (env.PAYUNI_MERCHANTS || "")
+        .split(",")
+        .map((key) => key.trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+/**
+ * 商店的環境變數名稱前綴，例如 camp 為 PAYUNI_CAMP_
+ * @param {string} key - 商店代碼
+ */
+function merchantEnvPrefix(key) {
+  return `PAYUNI_${key.toUpperCase()}_`;
+}
+
+function hostList(value) {
+  const invalid = value
+    .split(",")
+    .map((host) => host.trim())
+    .filter((host) => host && !/^[a-z0-9.-]+$/i.test(host));
+  return invalid.length > 0 ? `只能填寫網域名稱 (不含 http:// 與路徑): ${invalid.join(", ")}` : null;
+}
+
+function merchantKeys(value) {
+  const keys = value
+    .split(",")
+    .map((key) => key.trim().toLowerCase())
+    .filter(Boolean);
+  const invalid = keys.filter((key) => !MERCHANT_KEY_PATTERN.test(key) || key === DEFAULT_MERCHANT_KEY);
+  if (invalid.length > 0) {
+    return `包含不正確的商店代碼: ${invalid.join(", ")} (需以英文字母開頭，只能包含小寫英文、數字與底線，且不可為 ${DEFAULT_MERCHANT_KEY})`;
+  }
+  return null;
+}
+
+/**
+ * PAYUNI_MERCHANTS 列出的每個商店各自的環境變數規格
+ * 商店代號與金鑰必填，回呼網址、對應的網域與訂單 Sheet 未設定時沿用預設商店的設定
+ * @param {object} env
+ */
+function merchantEnvSchema(env) {
+  if (merchantKeys(env.PAYUNI_MERCHANTS || "")) {
+    return [];
+  }
+  return merchantKeysOf(env).flatMap((key) => {
+    const prefix = merchantEnvPrefix(key);
+    return [
+      { name: `${prefix}MERCHANT_ID`, required: true },
+      { name: `${prefix}HASH_KEY`, required: true, validate: byteLength(32) },
+      { name: `${prefix}HASH_IV`, required: true, validate: byteLength(16) },
+      { name: `${prefix}NOTIFY_URL`, validate: url },
+      { name: `${prefix}RETURN_URL`, validate: url },
+      { name: `${prefix}HOSTS`, validate: hostList },
+      { name: `${prefix}GAS_WEBHOOK_URL`, validate: url },
+    ];
+  });
+}
+
+function payTypes(value) {
+  const valid = value.split(",").filter((type) => PAY_TYPES[type.trim()]);
+  return valid.length > 0 ? null : `至少需包含一種付款方式: ${Object.keys(PAY_TYPES).join(", ")}`;
+}
+
+/**
+ * 環境變數規格
+ * - required：true 代表一定要設定；函式代表依其他設定決定 (例如啟用 Turnstile 才需要金鑰)
+ * - validate：有設定時檢查格式
+ * 空字串 (例如 .env 中的 `GOOGLE_CLIENT_ID=`) 視為未設定
+ */
+const ENV_SCHEMA = [
+  { name: "PAYUNI_ENV", validate: oneOf(["sandbox", "production"]) },
+  { name: "PAYUNI_API_URL", validate: url },
+  { name: "PAYUNI_MERCHANT_ID", required: true },
+  { name: "PAYUNI_HASH_KEY", required: true, validate: byteLength(32) },
+  { name: "PAYUNI_HASH_IV", required: true, validate: byteLength(16) },
+  { name: "PAYUNI_QUERY_URL", validate: url },
+  { name: "PAYUNI_MERCHANTS", validate: merchantKeys },
+  { name: "PAYUNI_PAY_TYPES", validate: payTypes },
+  { name: "NOTIFY_URL", required: true, validate: url },
+  { name: "PAYUNI_RETURN_URL", validate: url },
+  { name: "DOMAIN", validate: url },
+  { name: "TURNSTILE_ENABLE", validate: booleanString },
+  { name: "TURNSTILE_SECRET_KEY", required: (env) => env.TURNSTILE_ENABLE === "true" },
+  { name: "LOGIN_PROVIDERS", validate: loginProviders },
+  { name: "GOOGLE_CLIENT_ID", required: loginProviderEnabled("google") },
+  { name: "GOOGLE_CLIENT_SECRET", required: loginProviderEnabled("google") },
+  { name: "GOOGLE_REDIRECT_URI", required: loginProviderEnabled("google"), validate: url },
+  { name: "OIDC_ISSUER", required: loginProviderEnabled("oidc"), validate: url },
+  { name: "OIDC_CLIENT_ID", required: loginProviderEnabled("oidc") },
+  { name: "OIDC_CLIENT_SECRET", required: loginProviderEnabled("oidc") },
+  { name: "OIDC_REDIRECT_URI", required: loginProviderEnabled("oidc"), validate: url },
+  { name: "MAGIC_LINK_CALLBACK_URL", validate: url },
+  { name: "MAGIC_LINK_TTL_MINUTES", validate: integer({ min: 1, max: 1440 }) },
+  { name: "SESSION_SECRET", required: true },
+  { name: "GUEST_CHECKOUT_ENABLE", validate: booleanString },
+  { name: "GUEST_LOOKUP_CODE_TTL_MINUTES", validate: integer({ min: 1, max: 60 }) },
+  { name: "ORDER_STORE", validate: oneOf(["gas", "file"]) },
+  { name: "GAS_WEBHOOK_URL", required: (env) => env.ORDER_STORE === "gas", validate: url },
+  { name: "GAS_TIMEOUT_MS", validate: integer({ min: 1000 }) },
+  { name: "GAS_RETRY_ATTEMPTS", validate: integer({ min: 1, max: 10 }) },
+  { name: "GAS_QUEUE_RETRY_SECONDS", validate: integer({ min: 0 }) },
+  { name: "KV_STORE", validate: oneOf(["memory", "file", "redis"]) },
+  { name: "REDIS_URL", required: (env) => env.KV_STORE === "redis", validate: redisUrl },
+  { name: "MAIL_TRANSPORT", validate: mailTransport },
+  { name: "SMTP_HOST", required: (env) => env.MAIL_TRANSPORT === "smtp" },
+  { name: "SMTP_PORT", validate: integer({ min: 1, max: 65535 }) },
+  { name: "SMTP_SECURE", validate: booleanString },
+  { name: "SMTP_PASS", required: (env) => Boolean(env.SMTP_USER) },
+  { name: "MAIL_FROM", required: (env) => env.MAIL_TRANSPORT === "smtp" || (!env.MAIL_TRANSPORT && Boolean(env.SMTP_HOST)) },
+  { name: "INVOICE_PROVIDER", validate: oneOf(["stub", "none"]) },
+  { name: "MERCHANT_WEBHOOK_URLS", validate: urlList },
+  { name: "MERCHANT_WEBHOOK_SECRET", required: (env) => Boolean(env.MERCHANT_WEBHOOK_URLS) },
+  { name: "MERCHANT_WEBHOOK_MAX_ATTEMPTS", validate: integer({ min: 1, max: 20 }) },
+  { name: "PORT", validate: integer({ min: 1, max: 65535 }) },
+  { name: "LOG_LEVEL", validate: oneOf(["error", "warn", "info", "http", "verbose", "debug", "silly"]) },
+  { name: "RECONCILE_INTERVAL_MINUTES", validate: integer({ min: 0 }) },
+  { name: "PENDING_ORDER_TTL_MINUTES", validate: integer({ min: 1 }) },
+  { name: "ORDER_EXPIRY_SWEEP_MINUTES", validate: integer({ min: 0 }) },
+  { name: "ORDER_EXPIRY_CHECK_GATEWAY", validate: booleanString },
+];
+
+/**
+ * 依 ENV_SCHEMA 與 PAYUNI_MERCHANTS 各商店的規格檢查環境變數
+ * @param {object} env - 已移除空字串的環境變數
+ * @returns {{ missing: string[], invalid: string[] }} 缺少的變數名稱與格式錯誤說明
+ */
+function validateEnv(env) {
+  const missing = [];
+  const invalid = [];
+
+  [...ENV_SCHEMA, ...merchantEnvSchema(env)].forEach(({ name, required, validate }) => {
+    const value = env[name];
+    if (value === undefined) {
+      if (required === true || (typeof required === "function" && required(env))) {
+        missing.push(name);
+      }
+      return;
+    }
+    const problem = validate && validate(value, env);
+    if (problem) {
+      invalid.push(`${name} ${problem}`);
+    }
+  });
+
+  return { missing, invalid };
+}
+
+module.exports = { ENV_SCHEMA, validateEnv, loginProvidersOf, LOGIN_PROVIDER_NAMES, merchantKeysOf, merchantEnvPrefix, DEFAULT_MERCHANT_KEY };
@@ -0,0 +1,23 @@
+// 訂閱方案：以 PAYUNi 信用卡定期定額每期自動扣款
+// interval 為扣款週期 (month 每月 / year 每年)，periodTimes 為委託的扣款次數上限，顧客可隨時取消
+// merchantId 為所屬商店 (PAYUNI_MERCHANTS 的代碼)，未設定代表依訂閱的網域決定，沒有對應的網域時屬於預設商店
+const plans = [
+  {
+    id: "PLAN-M",
+    name: "露營補給月訂閱",
+    price: 499,
+    interval: "month",
+    periodTimes: 99,
+    description: "每月寄送當季露營耗材與新品試用包，可隨時取消。",
+  },
+  {
+    id: "PLAN-Y",
+    name: "露營補給年訂閱",
+    price: 4990,
+    interval: "year",
+    periodTimes: 9,
+    description: "一次訂閱一整年，享兩個月免費，每年自動續訂。",
+  },
+];
+
+module.exports = plans;
@@ -1,27 +1,36 @@
+// 商品初始資料：伺服器第一次啟動時寫入 storage/products.json，之後請透過管理 API 修改
+// stock 為庫存數量，設為 null 代表不限量
+// installments 為可選擇的信用卡分期期數 (3、6、9、12、18、24、30)，未設定代表只能一次付清
+// merchantId 為所屬商店 (PAYUNI_MERCHANTS 的代碼)，未設定代表依結帳網域決定，沒有對應的網域時屬於預設商店
 const products = [
   {
     id: "P001",
     name: "時光旅人豪華帳篷",
     price: 3500,
     description: "一鍵自動展開，享受無憂露營體驗。適合4-5人家庭。",
+    stock: 10,
   },
   {
     id: "P002",
     name: "星空探索者望遠鏡",
     price: 8200,
     description: "高倍率天文望遠鏡，帶你探索宇宙的奧秘。附贈手機轉接環。",
+    stock: 5,
+    installments: [3, 6, 12],
   },
   {
     id: "P003",
     name: "城市漫遊復古單車",
     price: 4800,
     description: "經典設計，輕量化車身，享受城市中的悠閒時光。",
+    stock: 8,
   },
   {
     id: "P004",
     name: "極靜降噪無線耳機",
     price: 5600,
     description: "沉浸式聽覺體驗，隔絕所有干擾。支援30小時超長續航。",
+    stock: 20,
   }
 ];
 
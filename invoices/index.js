@@ -0,0 +1,34 @@
+const path = require("path");
+const { createStubInvoiceProvider } = require("./stubProvider");
+
+/**
+ * 發票開立方式介面
+ * - name：開立方式名稱 (記錄在訂單的發票資料上)
+ * - issue({ tradeNo, amount, discount, items, email, invoice }) => { number, randomCode, issuedAt }
+ *   invoice 為 services/invoice.js normalizeInvoice() 整理後的載具 / 捐贈 / 統一編號資料
+ *   同一個 tradeNo 重複呼叫時應回傳同一張發票；失敗時拋出錯誤，由 services/invoice.js 記錄在訂單上
+ * 串接加值中心 (綠界、藍新等) 時實作同樣的介面，再由 createApp 的 invoiceProvider 傳入
+ */
+
+const DEFAULT_STUB_PATH = path.join(__dirname, "..", "storage", "invoices.json");
+
+/**
+ * 依設定選擇發票開立方式 (對應 config/index.js 的 invoice)
+ * - stub：本機配號 (INVOICE_STUB_PATH)，不上傳財政部
+ * - none：停用電子發票，回傳 null
+ * @param {object} options
+ * @param {string} [options.provider] - INVOICE_PROVIDER，預設 stub
+ * @param {string} [options.stubPath] - INVOICE_STUB_PATH
+ */
+function createInvoiceProvider({ provider = "stub", stubPath } = {}) {
+  switch (provider) {
+    case "none":
+      return null;
+    case "stub":
+      return createStubInvoiceProvider({ filePath: stubPath || DEFAULT_STUB_PATH });
+    default:
+      throw new Error(`不支援的 INVOICE_PROVIDER: ${provider}`);
+  }
+}
+
+module.exports = { createInvoiceProvider };
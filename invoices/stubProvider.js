@@ -0,0 +1,40 @@
+const crypto = require("crypto");
+const { createJsonStore } = require("../utils/jsonStore");
+
+// 測試用的字軌，正式發票的字軌由財政部配發
+const STUB_TRACK = "ZZ";
+
+/**
+ * 本機測試用的發票開立方式：不上傳財政部，只在本機檔案依序配號
+ * 開發、測試與尚未串接加值中心時使用
+ * 同一筆訂單重複開立時回傳原本的號碼
+ * @param {object} options
+ * @param {string} options.filePath - 配號記錄檔路徑
+ */
+function createStubInvoiceProvider({ filePath }) {
+  const store = createJsonStore(filePath, { sequence: 0, invoices: {} });
+
+  return {
+    name: "stub",
+
+    async issue({ tradeNo, amount, invoice }) {
+      return store.update((data) => {
+        if (data.invoices[tradeNo]) {
+          return data.invoices[tradeNo];
+        }
+        data.sequence += 1;
+        const issued = {
+          number: `${STUB_TRACK}${String(data.sequence).padStart(8, "0")}`,
+          randomCode: String(crypto.randomInt(0, 10000)).padStart(4, "0"),
+          issuedAt: new Date().toISOString(),
+          amount,
+          type: invoice.type,
+        };
+        data.invoices[tradeNo] = issued;
+        return issued;
+      });
+    },
+  };
+}
+
+module.exports = { createStubInvoiceProvider };
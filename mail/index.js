@@ -0,0 +1,39 @@
+const path = require("path");
+const { createOutboxTransport } = require("./outboxTransport");
+const { createSmtpTransport } = require("./smtpTransport");
+
+/**
+ * 寄送方式介面
+ * - name：寄送方式名稱 (記錄用)
+ * - send({ from, to, subject, text, html }) => { messageId }，失敗時拋出錯誤，由 services/email.js 重試
+ */
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, "..", "storage", "outbox");
+
+/**
+ * 依設定選擇寄送方式 (對應 config/index.js 的 mail)
+ * - outbox：寫入本機目錄 (MAIL_OUTBOX_DIR)，不實際寄出
+ * - smtp：透過 SMTP_HOST 寄出
+ * - none：停用寄信，回傳 null
+ * @param {object} options
+ * @param {string} [options.transport] - MAIL_TRANSPORT，預設 outbox
+ * @param {string} [options.outboxDir] - MAIL_OUTBOX_DIR
+ * @param {object} [options.smtp] - SMTP 連線設定
+ */
+function createMailTransport({ transport = "outbox", outboxDir, smtp } = {}) {
+  switch (transport) {
+    case "none":
+      return null;
+    case "outbox":
+      return createOutboxTransport({ dir: outboxDir || DEFAULT_OUTBOX_DIR });
+    case "smtp":
+      if (!smtp || !smtp.host) {
+        throw new Error("MAIL_TRANSPORT=smtp 需要設定 SMTP_HOST");
+      }
+      return createSmtpTransport(smtp);
+    default:
+      throw new Error(`不支援的 MAIL_TRANSPORT: ${transport}`);
+  }
+}
+
+module.exports = { createMailTransport };
@@ -0,0 +1,25 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * 本機 outbox 寄送方式：不實際寄出，把每封信寫成 .json (完整內容) 與 .html (可直接用瀏覽器預覽)
+ * 開發與測試時使用
+ * @param {object} options
+ * @param {string} options.dir - outbox 目錄
+ */
+function createOutboxTransport({ dir }) {
+  return {
+    name: "outbox",
+
+    async send(message) {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, `${messageId}.json`), JSON.stringify({ messageId, ...message, createdAt: new Date().toISOString() }, null, 2));
+      await fs.promises.writeFile(path.join(dir, `${messageId}.html`), message.html);
+      return { messageId };
+    },
+  };
+}
+
+module.exports = { createOutboxTransport };
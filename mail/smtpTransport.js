@@ -0,0 +1,27 @@
+/**
+ * SMTP 寄送方式 (nodemailer)
+ * @param {object} options
+ * @param {string} options.host - SMTP_HOST
+ * @param {number} options.port - SMTP_PORT
+ * @param {boolean} options.secure - SMTP_SECURE，465 連接埠通常為 true，587 使用 STARTTLS 為 false
+ * @param {string} [options.user] - SMTP_USER
+ * @param {string} [options.pass] - SMTP_PASS
+ * @param {object} [options.transporter] - 已建立的 nodemailer transporter (測試用)
+ */
+function createSmtpTransport({ host, port, secure, user, pass, transporter }) {
+  if (!transporter) {
+    const nodemailer = require("nodemailer");
+    transporter = nodemailer.createTransport({ host, port, secure, ...(user && { auth: { user, pass } }) });
+  }
+
+  return {
+    name: "smtp",
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,205 @@
+const { PAY_TYPES } = require("../utils/payuni");
+
+// 信件種類，同時作為寄送記錄的鍵
+const EMAIL_KIND = {
+  ORDER_CONFIRMATION: "order_confirmation",
+  PAYMENT_FAILED: "payment_failed",
+  REFUND: "refund",
+};
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+}
+
+function formatAmount(amount) {
+  return `NT$ ${Number(amount || 0).toLocaleString("en-US")}`;
+}
+
+function formatTime(value) {
+  return new Date(value).toLocaleString("zh-TW", { timeZone: "Asia/Taipei", hour12: false });
+}
+
+// 舊訂單沒有 items 時以商品名稱作為單一品項
+function orderItems(order) {
+  if (Array.isArray(order.items) && order.items.length > 0) {
+    return order.items;
+  }
+  return [{ name: order.productName, price: order.tradeAmt, quantity: 1 }];
+}
+
+/**
+ * 組合信件的 HTML 與純文字版本
+ * @param {object} options
+ * @param {string} options.greeting - 開頭問候
+ * @param {string} options.intro - 說明文字
+ * @param {[string, string][]} options.rows - 訂單摘要欄位
+ * @param {object[]} [options.items] - 訂單品項
+ * @param {string} [options.outro] - 結尾說明
+ * @param {string} options.siteUrl - 商店網址
+ */
+function layout({ greeting, intro, rows, items, outro, siteUrl }) {
+  const itemLines = (items || []).map((item) => `- ${item.name} x ${item.quantity || 1}：${formatAmount(item.price * (item.quantity || 1))}`);
+  const text = [greeting, "", intro, "", ...rows.map(([label, value]) => `${label}：${value}`), ...(itemLines.length > 0 ? ["", "購買品項：", ...itemLines] : []), ...(outro ? ["", outro] : []), "", `查看訂單：${siteUrl}`, "", "此信件由系統自動發送，請勿直接回覆。"].join("\n");
+
+  const rowsHtml = rows.map(([label, value]) => `<tr><th align="left" style="padding:4px 12px 4px 0;color:#555;">${escapeHtml(label)}</th><td style="padding:4px 0;">${escapeHtml(value)}</td></tr>`).join("");
+  const itemsHtml =
+    itemLines.length > 0
+      ? `<h3 style="margin:24px 0 8px;">購買品項</h3><table cellpadding="0" cellspacing="0" style="border-collapse:collapse;width:100%;">${items
+          .map((item) => `<tr><td style="padding:4px 0;border-bottom:1px solid #eee;">${escapeHtml(item.name)} x ${escapeHtml(item.quantity || 1)}</td><td align="right" style="padding:4px 0;border-bottom:1px solid #eee;">${escapeHtml(formatAmount(item.price * (item.quantity || 1)))}</td></tr>`)
+          .join("")}</table>`
+      : "";
+  const html = `<!DOCTYPE html>
+<html lang="zh-TW">
+<body style="font-family:'Noto Sans TC','PingFang TC','Microsoft JhengHei',sans-serif;color:#222;line-height:1.6;">
+<div style="max-width:560px;margin:0 auto;padding:24px;">
+<p>${escapeHtml(greeting)}</p>
+<p>${escapeHtml(intro)}</p>
+<table cellpadding="0" cellspacing="0">${rowsHtml}</table>
+${itemsHtml}
+${outro ? `<p style="margin-top:24px;">${escapeHtml(outro)}</p>` : ""}
+<p style="margin-top:24px;"><a href="${escapeHtml(siteUrl)}">查看訂單</a></p>
+<p style="color:#888;font-size:12px;">此信件由系統自動發送，請勿直接回覆。</p>
+</div>
+</body>
+</html>`;
+  return { text, html };
+}
+
+function greetingFor(order) {
+  return `${order.userName || "顧客"} 您好，`;
+}
+
+function orderConfirmation(order, { siteUrl }) {
+  const rows = [
+    ["訂單編號", order.tradeNo],
+    ["付款方式", PAY_TYPES[order.payType] || PAY_TYPES.C],
+    ...(Number(order.discount) > 0 ? [["優惠折抵", `-${formatAmount(order.discount)}${order.couponCode ? ` (${order.couponCode})` : ""}`]] : []),
+    ["付款金額", formatAmount(order.tradeAmt)],
+    ["付款時間", formatTime(order.completedAt || Date.now())],
+  ];
+  return {
+    subject: `付款成功通知 - 訂單 ${order.tradeNo}`,
+    ...layout({ greeting: greetingFor(order), intro: "我們已收到您的付款，感謝您的訂購！以下是您的訂單明細：", rows, items: orderItems(order), siteUrl }),
+  };
+}
+
+function paymentFailed(order, { siteUrl }) {
+  const rows = [
+    ["訂單編號", order.tradeNo],
+    ["付款方式", PAY_TYPES[order.payType] || PAY_TYPES.C],
+    ["訂單金額", formatAmount(order.tradeAmt)],
+  ];
+  return {
+    subject: `付款失敗通知 - 訂單 ${order.tradeNo}`,
+    ...layout({ greeting: greetingFor(order), intro: "很抱歉，您的訂單付款未能完成，款項並未扣除。", rows, items: orderItems(order), outro: "您可以回到商店重新下單付款；若持續失敗，請改用其他付款方式或聯絡發卡銀行。", siteUrl }),
+  };
+}
+
+function refund(order, { siteUrl, refund: refundEntry }) {
+  const refundedAmt = (order.refunds || []).reduce((sum, entry) => sum + Number(entry.amount), 0);
+  const rows = [
+    ["訂單編號", order.tradeNo],
+    ["處理方式", refundEntry.type === "cancel" ? "取消信用卡授權" : "退款"],
+    ["本次退款金額", formatAmount(refundEntry.amount)],
+    ["訂單金額", formatAmount(order.tradeAmt)],
+    ["累計退款金額", formatAmount(refundedAmt)],
+    ["處理時間", formatTime(refundEntry.refundedAt)],
+  ];
+  return {
+    subject: `退款通知 - 訂單 ${order.tradeNo}`,
+    ...layout({ greeting: greetingFor(order), intro: "您的訂單已完成退款處理。", rows, outro: "信用卡退款依各發卡銀行作業時間，約 7 至 14 個工作天後會顯示在帳單上。", siteUrl }),
+  };
+}
+
+const TEMPLATES = {
+  [EMAIL_KIND.ORDER_CONFIRMATION]: orderConfirmation,
+  [EMAIL_KIND.PAYMENT_FAILED]: paymentFailed,
+  [EMAIL_KIND.REFUND]: refund,
+};
+
+/**
+ * 產生信件內容
+ * @param {string} kind - EMAIL_KIND 其中之一
+ * @param {object} order - 訂單資料
+ * @param {{ siteUrl: string, refund?: object }} context - 商店網址；退款信需要本次的退款記錄
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function renderEmail(kind, order, context) {
+  const template = TEMPLATES[kind];
+  if (!template) {
+    throw new Error(`不支援的信件種類: ${kind}`);
+  }
+  return template(order, context);
+}
+
+/**
+ * 組合帳號通知信 (登入連結、驗證碼) 的 HTML 與純文字版本，不含訂單摘要
+ * @param {object} options
+ * @param {string} options.intro - 說明文字
+ * @param {string} options.text - 純文字版本的重點內容 (連結或驗證碼)
+ * @param {string} options.html - HTML 版本的重點內容
+ * @param {string} options.outro - 結尾說明
+ * @param {string} options.siteUrl - 商店網址
+ */
+function noticeLayout({ intro, text, html, outro, siteUrl }) {
+  return {
+    text: ["您好，", "", intro, "", text, "", outro, "", `商店網址：${siteUrl}`, "", "此信件由系統自動發送，請勿直接回覆。"].join("\n"),
+    html: `<!DOCTYPE html>
+<html lang="zh-TW">
+<body style="font-family:'Noto Sans TC','PingFang TC','Microsoft JhengHei',sans-serif;color:#222;line-height:1.6;">
+<div style="max-width:560px;margin:0 auto;padding:24px;">
+<p>您好，</p>
+<p>${escapeHtml(intro)}</p>
+${html}
+<p style="margin-top:24px;">${escapeHtml(outro)}</p>
+<p style="color:#888;font-size:12px;">此信件由系統自動發送，請勿直接回覆。</p>
+</div>
+</body>
+</html>`,
+  };
+}
+
+/**
+ * 產生 Email 登入連結的信件 (不屬於訂單信件，不寫入寄信記錄)
+ * @param {object} options
+ * @param {string} options.link - 登入連結
+ * @param {number} options.ttlMinutes - 連結有效期限 (分鐘)
+ * @param {string} options.siteUrl - 商店網址
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function renderLoginLink({ link, ttlMinutes, siteUrl }) {
+  return {
+    subject: "您的登入連結",
+    ...noticeLayout({
+      intro: `請點擊下方連結登入，連結在 ${ttlMinutes} 分鐘內有效，且只能使用一次。`,
+      text: link,
+      html: `<p style="margin:24px 0;"><a href="${escapeHtml(link)}" style="display:inline-block;padding:10px 20px;background:#4f46e5;color:#fff;border-radius:6px;text-decoration:none;">登入商店</a></p>
+<p style="color:#555;font-size:13px;word-break:break-all;">${escapeHtml(link)}</p>`,
+      outro: "如果您沒有要求登入，請忽略這封信，您的帳號不會有任何變動。",
+      siteUrl,
+    }),
+  };
+}
+
+/**
+ * 產生訪客查詢訂單的驗證碼信件 (不寫入寄信記錄)
+ * @param {object} options
+ * @param {string} options.code - 6 位數驗證碼
+ * @param {number} options.ttlMinutes - 驗證碼有效期限 (分鐘)
+ * @param {string} options.siteUrl - 商店網址
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function renderLookupCode({ code, ttlMinutes, siteUrl }) {
+  return {
+    subject: `查詢訂單驗證碼 ${code}`,
+    ...noticeLayout({
+      intro: `您正在查詢以此 Email 建立的訂單，請在查詢頁面輸入下方的驗證碼，驗證碼在 ${ttlMinutes} 分鐘內有效，且只能使用一次。`,
+      text: `驗證碼：${code}`,
+      html: `<p style="margin:24px 0;font-size:28px;font-weight:bold;letter-spacing:6px;">${escapeHtml(code)}</p>`,
+      outro: "如果您沒有要求查詢訂單，請忽略這封信。",
+      siteUrl,
+    }),
+  };
+}
+
+module.exports = { EMAIL_KIND, renderEmail, renderLoginLink, renderLookupCode, escapeHtml };
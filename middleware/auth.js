@@ -0,0 +1,26 @@
+/**
+ * 登入與管理員權限驗證：以 Google 登入的 email 比對 ADMIN_EMAILS 白名單
+ * @param {object} options
+ * @param {string[]} options.adminEmails - 管理員 email (小寫)
+ * @param {object} options.logger - winston logger
+ */
+function createAuthGuards({ adminEmails, logger }) {
+  function isAdmin(user) {
+    return !!user && adminEmails.includes(String(user.email).toLowerCase());
+  }
+
+  function requireAdmin(req, res, next) {
+    if (!req.session.user) {
+      return res.status(401).json({ error: "請先登入" });
+    }
+    if (!isAdmin(req.session.user)) {
+      logger.warn("Admin access denied", { email: req.session.user.email, path: req.path });
+      return res.status(403).json({ error: "沒有管理員權限" });
+    }
+    next();
+  }
+
+  return { isAdmin, requireAdmin };
+}
+
+module.exports = { createAuthGuards };
@@ -0,0 +1,44 @@
+const csrf = require("csurf");
+
+/**
+ * CSRF 防護：支持在 header ('X-CSRF-Token') 或 body ('_csrf' 欄位) 中提交 token
+ * @param {object} options
+ * @param {string[]} options.excludedPaths - 不檢查 token 的路徑 (PAYUNi 回呼)
+ * @param {object} options.logger - winston logger
+ * @returns {{ csrfProtection: Function, csrfGuard: Function, csrfErrorHandler: Function }}
+ */
+function createCsrfProtection({ excludedPaths, logger }) {
+  const csrfProtection = csrf({
+    cookie: false,
+    value: (req) => {
+      return req.headers["x-csrf-token"] || req.body._csrf;
+    },
+  });
+
+  // 全域套用 CSRF 保護 (GET, HEAD, OPTIONS 除外，並排除特定路徑)
+  function csrfGuard(req, res, next) {
+    if (["GET", "HEAD", "OPTIONS"].includes(req.method) || excludedPaths.includes(req.path)) {
+      return next();
+    }
+    csrfProtection(req, res, next);
+  }
+
+  function csrfErrorHandler(err, req, res, next) {
+    if (err.code === "EBADCSRFTOKEN") {
+      logger.warn("CSRF token validation failed", {
+        path: req.path,
+        method: req.method,
+        ip: req.ip,
+      });
+      return res.status(403).json({
+        error: "安全驗證失敗，請重新整理頁面後重試",
+        code: "CSRF_VALIDATION_FAILED",
+      });
+    }
+    next(err);
+  }
+
+  return { csrfProtection, csrfGuard, csrfErrorHandler };
+}
+
+module.exports = { createCsrfProtection };
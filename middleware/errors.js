@@ -0,0 +1,89 @@
+const { validationResult } = require("express-validator");
+
+/**
+ * 安全錯誤回應：正式環境只回傳通用訊息，細節寫入日誌
+ * @param {object} options
+ * @param {boolean} options.isProduction - 是否為正式環境
+ * @param {object} options.logger - winston logger
+ * @returns {(res: object, statusCode: number, publicMessage: string, logContext?: object) => void}
+ */
+function createSecureErrorSender({ isProduction, logger }) {
+  return function sendSecureError(res, statusCode, publicMessage, logContext = {}) {
+    logger.error(publicMessage, logContext);
+
+    if (isProduction) {
+      return res.status(statusCode).json({
+        error: "系統處理異常，請稍後再試",
+        code: statusCode,
+      });
+    }
+
+    return res.status(statusCode).json({
+      error: publicMessage,
+      ...logContext,
+    });
+  };
+}
+
+/**
+ * express-validator 驗證失敗時回傳 400，回傳值表示是否已回應
+ * @returns {boolean}
+ */
+function rejectInvalidInput(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({ error: "輸入資料不正確", details: errors.array().map((e) => e.msg) });
+  return true;
+}
+
+/**
+ * 請求日誌 - 只記錄錯誤和修改類操作
+ * @param {object} logger - winston logger
+ */
+function requestLogger(logger) {
+  return (req, res, next) => {
+    const startTime = Date.now();
+
+    res.on("finish", () => {
+      const duration = Date.now() - startTime;
+
+      if (res.statusCode >= 400 || ["POST", "PUT", "DELETE"].includes(req.method)) {
+        const logData = {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          duration: `${duration}ms`,
+        };
+
+        if (res.statusCode >= 500) {
+          logger.error(`${req.method} ${req.path}`, logData);
+        } else if (res.statusCode >= 400) {
+          logger.warn(`${req.method} ${req.path}`, logData);
+        } else {
+          logger.info(`${req.method} ${req.path}`, logData);
+        }
+      }
+    });
+
+    next();
+  };
+}
+
+/**
+ * 全域錯誤處理
+ * @param {object} logger - winston logger
+ */
+function errorHandler(logger) {
+  return (err, req, res, next) => {
+    logger.error("Unhandled error", {
+      message: err.message,
+      path: req.path,
+      method: req.method,
+    });
+    res.status(500).json({ error: "Internal server error" });
+  };
+}
+
+module.exports = { createSecureErrorSender, rejectInvalidInput, requestLogger, errorHandler };
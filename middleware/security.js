@@ -0,0 +1,154 @@
+const helmet = require("helmet");
+const cors = require("cors");
+const rateLimit = require("express-rate-limit");
+const { DEFAULT_SITE_URL } = require("../config");
+const { createRateLimitStore } = require("../stores/rateLimitStore");
+
+/**
+ * Helmet 安全標頭設定
+ * @param {import("../config").AppConfig} config
+ */
+function createSecurityHeaders(config) {
+  const { payuni } = config;
+  return helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        // 允許 Google 登入的 script 和圖片來源
+        scriptSrc: ["'self'", "https://challenges.cloudflare.com", "https://accounts.google.com/gsi/client"],
+        styleSrc: ["'self'", "https://challenges.cloudflare.com"],
+        frameSrc: ["https://challenges.cloudflare.com", "https://accounts.google.com/gsi/"],
+        connectSrc: ["'self'", "https://challenges.cloudflare.com", config.domain],
+        imgSrc: ["'self'", "https://challenges.cloudflare.com", "data:", "https://lh3.googleusercontent.com", "https://developers.google.com"], // 允許 Google 個人資料圖片和登入按鈕圖示
+        fontSrc: ["'self'", "data:"],
+        objectSrc: ["'none'"],
+        formAction: ["'self'", "https://sandbox-api.payuni.com.tw", "https://api.payuni.com.tw", ...(payuni.isLocalGateway ? [payuni.origin] : [])],
+        frameAncestors: ["'self'"],
+      },
+    },
+    hsts: {
+      maxAge: 31536000,
+      includeSubDomains: true,
+      preload: true,
+    },
+  });
+}
+
+/**
+ * CORS 白名單限制
+ * @param {import("../config").AppConfig} config
+ * @param {object} logger - winston logger
+ */
+function createCors(config, logger) {
+  // 構建允許的來源列表
+  const allowedOrigins = [
+    // 前端/返回 URL
+    config.payuni.returnUrl,
+    config.domain || DEFAULT_SITE_URL,
+    // 其他商店的返回 URL 與商店網域
+    ...config.merchants.flatMap((merchant) => [merchant.returnUrl, ...merchant.hosts.map((host) => `https://${host}`)]),
+    "https://sandbox-api.payuni.com.tw",
+    "https://api.payuni.com.tw",
+    // 開發環境
+    "http://localhost",
+    "http://127.0.0.1",
+  ];
+
+  return cors({
+    origin: function (origin, callback) {
+      // 允許以下情況：
+      // 1. 沒有 origin（伺服器間通訊、curl、postman）
+      // 2. origin 是 "null"（表單提交、某些跨域場景）
+      // 3. origin 在白名單中
+      if (
+        !origin ||
+        origin === "null" ||
+        allowedOrigins.some((allowed) => {
+          // 完全匹配或去掉尾部斜杠後匹配
+          return origin === allowed || origin === allowed.replace(/\/$/, "");
+        })
+      ) {
+        callback(null, true);
+      } else {
+        logger.warn("CORS blocked request", { origin, allowedOrigins });
+        callback(new Error("Not allowed by CORS"));
+      }
+    },
+    methods: ["GET", "POST", "PUT", "DELETE"],
+    credentials: true,
+    maxAge: 86400,
+  });
+}
+
+/**
+ * Rate Limiting 配置 (計數放在鍵值儲存，多個執行個體共用)
+ * @param {object} kvStore - stores/index.js 建立的鍵值儲存
+ * @returns {{ general: Function, payment: Function, apiResult: Function }}
+ */
+function createRateLimiters(kvStore) {
+  return {
+    general: rateLimit({
+      store: createRateLimitStore(kvStore, "rl:general:"),
+      windowMs: 15 * 60 * 1000, // 15 分鐘
+      max: 200, // 每個 IP 最多 200 個請求
+      message: { error: "請求過於頻繁，請稍後再試" },
+      standardHeaders: true,
+      legacyHeaders: false,
+    }),
+    payment: rateLimit({
+      store: createRateLimitStore(kvStore, "rl:payment:"),
+      windowMs: 60 * 1000, // 1 分鐘
+      max: 5, // 每個 IP 最多 5 次支付請求
+      message: { error: "支付請求過於頻繁，請稍後再試" },
+      standardHeaders: true,
+      legacyHeaders: false,
+    }),
+    login: rateLimit({
+      store: createRateLimitStore(kvStore, "rl:login:"),
+      windowMs: 15 * 60 * 1000, // 15 分鐘
+      max: 5, // 每個 IP 最多寄出 5 封登入連結
+      message: { error: "登入連結寄送過於頻繁，請稍後再試" },
+      standardHeaders: true,
+      legacyHeaders: false,
+    }),
+    guestLookup: rateLimit({
+      store: createRateLimitStore(kvStore, "rl:lookup:"),
+      windowMs: 15 * 60 * 1000, // 15 分鐘
+      max: 5, // 每個 IP 最多寄出 5 封查詢訂單驗證碼
+      message: { error: "驗證碼寄送過於頻繁，請稍後再試" },
+      standardHeaders: true,
+      legacyHeaders: false,
+    }),
+    apiResult: rateLimit({
+      store: createRateLimitStore(kvStore, "rl:result:"),
+      windowMs: 1 * 60 * 1000, // 1 分鐘
+      max: 10, // 每個 IP 最多 10 次請求
+      message: { error: "查詢請求過於頻繁，請稍後再試" },
+      standardHeaders: true,
+      legacyHeaders: false,
+    }),
+  };
+}
+
+/**
+ * 擋下不該公開的資料夾 (本機訂單、日誌)
+ * 以解碼、轉小寫並合併連續斜線後的路徑比對，/%73torage/、/Logs/ 等寫法同樣擋下；無法解碼的路徑一律擋下
+ * @param {string[]} privatePaths - 例如 ["/storage", "/logs"]
+ */
+function blockPrivatePaths(privatePaths) {
+  const blocked = privatePaths.map((privatePath) => privatePath.toLowerCase());
+  return (req, res, next) => {
+    let requestPath;
+    try {
+      requestPath = decodeURIComponent(req.path).toLowerCase().replace(/[\\/]+/g, "/");
+    } catch {
+      return res.status(404).end();
+    }
+    if (blocked.some((privatePath) => requestPath === privatePath || requestPath.startsWith(`${privatePath}/`))) {
+      return res.status(404).end();
+    }
+    next();
+  };
+}
+
+module.exports = { createSecurityHeaders, createCors, createRateLimiters, blockPrivatePaths };
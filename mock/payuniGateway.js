@@ -0,0 +1,354 @@
+/**
+ * 本機 PAYUNi 模擬金流
+ * 接收 /create-payment 產生的 UPP 表單，顯示模擬付款頁 (付款成功 / 付款失敗 / 逾時未付款)，
+ * 再以相同的 HashKey / HashIV 簽章送出 Notify 與 Return，讓整個付款流程可以在沒有網路的環境 (例如 CI) 執行
+ *
+ * 啟動：npm run mock:payuni，並把 PAYUNI_API_URL 設為 http://localhost:4000/api/upp
+ * 同時提供交易查詢 (/api/trade/query)、請退款 (/api/trade/close)、取消授權 (/api/trade/cancel)，對帳與退款也能在本機測試
+ */
+const express = require("express");
+const axios = require("axios");
+const crypto = require("crypto");
+const querystring = require("querystring");
+const { encrypt, decrypt, sha256 } = require("../utils/crypto");
+
+// 模擬付款頁的選項，對應送出的 TradeStatus
+const ACTIONS = {
+  approve: "付款成功",
+  decline: "付款失敗",
+  timeout: "逾時未付款",
+};
+
+// PayType 對應 Notify 的 PaymentType
+const PAYMENT_TYPES = { C: "1", ATM: "2", CVS: "3" };
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? "" : value).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+}
+
+// PAYUNi 的時間格式 (台灣時間 YYYY-MM-DD HH:mm:ss)
+function formatTaipeiTime(date) {
+  return new Date(date.getTime() + 8 * 60 * 60 * 1000).toISOString().replace("T", " ").slice(0, 19);
+}
+
+function randomDigits(length) {
+  return Array.from({ length }, () => crypto.randomInt(10)).join("");
+}
+
+function renderPage(title, content) {
+  return `<!DOCTYPE html>
+<html lang="zh-TW">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(title)} - PAYUNi 模擬金流</title>
+    <style>
+      body { font-family: sans-serif; background: #f5f5f5; margin: 0; padding: 40px 20px; }
+      .card { max-width: 520px; margin: 0 auto; background: white; border-radius: 8px; padding: 30px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1); }
+      .badge { display: inline-block; background: #ffc107; color: #333; border-radius: 4px; padding: 2px 8px; font-size: 12px; }
+      dl { display: grid; grid-template-columns: 120px 1fr; gap: 8px; }
+      dt { color: #666; }
+      form { display: inline-block; margin: 10px 10px 0 0; }
+      button { padding: 10px 20px; border: none; border-radius: 6px; font-size: 15px; cursor: pointer; color: white; }
+      .approve { background: #28a745; }
+      .decline { background: #dc3545; }
+      .timeout { background: #6c757d; }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { border-bottom: 1px solid #eee; padding: 6px; text-align: left; font-size: 14px; }
+    </style>
+  </head>
+  <body>
+    <div class="card">
+      <span class="badge">模擬環境</span>
+      <h1>${escapeHtml(title)}</h1>
+      ${content}
+    </div>
+  </body>
+</html>`;
+}
+
+/**
+ * 建立模擬金流
+ * @param {object} options
+ * @param {string} options.merID - 接受的商店代號
+ * @param {string} options.hashKey - 與商店相同的 32 字元 HashKey
+ * @param {string} options.hashIV - 與商店相同的 16 字元 HashIV
+ * @param {object} [options.logger] - 預設為 console
+ * @returns {{ app: import("express").Express, trades: Map<string, object> }}
+ */
+function createMockGateway({ merID, hashKey, hashIV, logger = console }) {
+  const merIv = Buffer.from(hashIV, "utf8");
+  // 以 MerTradeNo 為 key 的交易紀錄，同一筆訂單重新付款時覆蓋
+  const trades = new Map();
+
+  function seal(fields) {
+    const encryptInfo = encrypt(querystring.stringify(fields), hashKey, merIv);
+    return { EncryptInfo: encryptInfo, HashInfo: sha256(encryptInfo, hashKey, merIv) };
+  }
+
+  function open({ MerID, EncryptInfo, HashInfo }) {
+    if (MerID !== merID) {
+      throw new Error(`未知的商店代號: ${MerID}`);
+    }
+    if (!EncryptInfo || sha256(EncryptInfo, hashKey, hashIV) !== HashInfo) {
+      throw new Error("HashInfo 驗證失敗");
+    }
+    return querystring.parse(decrypt(EncryptInfo, hashKey, merIv));
+  }
+
+  function findById(id) {
+    return [...trades.values()].find((trade) => trade.id === id);
+  }
+
+  // 組成 Notify / Return 的交易資料
+  function tradeFields(trade) {
+    return {
+      MerID: merID,
+      MerTradeNo: trade.merTradeNo,
+      TradeNo: trade.tradeSeq,
+      TradeAmt: trade.tradeAmt,
+      TradeStatus: trade.tradeStatus,
+      PaymentType: PAYMENT_TYPES[trade.payType] || "1",
+      Message: trade.message,
+      ...trade.extra,
+    };
+  }
+
+  function signedForm(trade, status) {
+    return { MerID: merID, Version: "1.0", Status: status, ...seal(tradeFields(trade)) };
+  }
+
+  // 送出 Notify，記錄商店的回應 (OK / FAIL)
+  async function sendNotify(trade, status) {
+    try {
+      const response = await axios.post(trade.notifyUrl, querystring.stringify(signedForm(trade, status)), {
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        timeout: 10000,
+      });
+      trade.notifications.push({ status, tradeStatus: trade.tradeStatus, ack: String(response.data), sentAt: new Date().toISOString() });
+      logger.info(`[mock-payuni] notify ${trade.merTradeNo} -> ${response.data}`);
+    } catch (error) {
+      trade.notifications.push({ status, tradeStatus: trade.tradeStatus, error: error.message, sentAt: new Date().toISOString() });
+      logger.warn(`[mock-payuni] notify ${trade.merTradeNo} failed: ${error.message}`);
+    }
+  }
+
+  // 以自動送出的表單把顧客導回 ReturnURL
+  function renderReturn(trade, status) {
+    const inputs = Object.entries(signedForm(trade, status))
+      .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}" />`)
+      .join("");
+    return renderPage("正在返回商店", `<form id="return-form" method="POST" action="${escapeHtml(trade.returnUrl)}">${inputs}<button class="approve" type="submit">返回商店</button></form><script>document.getElementById("return-form").submit();</script>`);
+  }
+
+  // 依選擇的結果更新交易狀態
+  function applyAction(trade, action) {
+    const now = new Date();
+    if (action === "decline") {
+      Object.assign(trade, { tradeStatus: "2", message: "授權失敗 (模擬)", extra: {} });
+      return "UNAPPROVED";
+    }
+    if (trade.payType === "C") {
+      const extra = { Card6No: "400022", Card4No: "1111", AuthBankName: "模擬銀行", AuthCode: randomDigits(6), PayTime: formatTaipeiTime(now) };
+      // 分期時餘數併入首期
+      if (trade.installment > 1) {
+        const eachAmt = Math.floor(Number(trade.tradeAmt) / trade.installment);
+        Object.assign(extra, { CardInst: trade.installment, FirstAmt: Number(trade.tradeAmt) - eachAmt * (trade.installment - 1), EachAmt: eachAmt });
+      }
+      Object.assign(trade, { tradeStatus: "1", message: "授權成功 (模擬)", extra });
+      return "SUCCESS";
+    }
+    // ATM / 超商代碼：先取號，顧客繳費後再由 /mock/trades/:id/pay 送出付款完成通知
+    const expireDate = formatTaipeiTime(new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000)).slice(0, 10);
+    const extra = trade.payType === "ATM" ? { PayNo: randomDigits(14), BankType: "822", ExpireDate: expireDate } : { PayNo: `MOCK${randomDigits(10)}`, Store: "SEVEN", ExpireDate: expireDate };
+    Object.assign(trade, { tradeStatus: "0", message: "取號成功 (模擬)", extra });
+    return "SUCCESS";
+  }
+
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+
+  // UPP 整合支付頁：驗證商店送來的表單，顯示模擬付款選項
+  app.post("/api/upp", (req, res) => {
+    let tradeData;
+    try {
+      tradeData = open(req.body);
+    } catch (error) {
+      logger.warn(`[mock-payuni] rejected UPP request: ${error.message}`);
+      return res.status(400).send(renderPage("交易資料驗證失敗", `<p>${escapeHtml(error.message)}</p>`));
+    }
+
+    const missing = ["MerTradeNo", "TradeAmt", "NotifyURL", "ReturnURL"].filter((field) => !tradeData[field]);
+    if (missing.length > 0) {
+      return res.status(400).send(renderPage("交易資料不完整", `<p>缺少欄位: ${escapeHtml(missing.join(", "))}</p>`));
+    }
+
+    const trade = {
+      id: crypto.randomBytes(8).toString("hex"),
+      merTradeNo: tradeData.MerTradeNo,
+      tradeSeq: `MOCK${Date.now()}${randomDigits(4)}`,
+      tradeAmt: tradeData.TradeAmt,
+      prodDesc: tradeData.ProdDesc,
+      payType: tradeData.PayType || "C",
+      installment: Number(tradeData.CreditInst) || 0,
+      email: tradeData.UsrMail,
+      notifyUrl: tradeData.NotifyURL,
+      returnUrl: tradeData.ReturnURL,
+      tradeStatus: "9", // 未付款
+      message: "",
+      extra: {},
+      refunds: [],
+      notifications: [],
+      createdAt: new Date().toISOString(),
+    };
+    trades.set(trade.merTradeNo, trade);
+    logger.info(`[mock-payuni] trade ${trade.merTradeNo} created (${trade.payType}, ${trade.tradeAmt})`);
+
+    // 讓 CI 腳本不必解析 HTML 就能取得下一步的網址
+    if (req.accepts(["html", "json"]) === "json") {
+      return res.json({ id: trade.id, merTradeNo: trade.merTradeNo, actions: Object.keys(ACTIONS).map((action) => `/mock/trades/${trade.id}/${action}`) });
+    }
+
+    const buttons = Object.entries(ACTIONS)
+      .map(([action, label]) => `<form method="POST" action="/mock/trades/${trade.id}/${action}"><button class="${action}" type="submit">${label}</button></form>`)
+      .join("");
+    res.send(
+      renderPage(
+        "模擬付款",
+        `<dl>
+          <dt>訂單編號</dt><dd>${escapeHtml(trade.merTradeNo)}</dd>
+          <dt>商品</dt><dd>${escapeHtml(trade.prodDesc)}</dd>
+          <dt>金額</dt><dd>${escapeHtml(trade.tradeAmt)} TWD</dd>
+          <dt>付款方式</dt><dd>${escapeHtml(trade.payType)}</dd>
+          <dt>Email</dt><dd>${escapeHtml(trade.email)}</dd>
+        </dl>${buttons}`
+      )
+    );
+  });
+
+  // 顧客在模擬付款頁的選擇
+  app.post("/mock/trades/:id/:action", async (req, res) => {
+    const trade = findById(req.params.id);
+    const { action } = req.params;
+    if (!trade) {
+      return res.status(404).send(renderPage("找不到交易", "<p>交易不存在或模擬金流已重新啟動</p>"));
+    }
+
+    // ATM / 超商代碼的繳費完成
+    if (action === "pay") {
+      if (trade.tradeStatus !== "0") {
+        return res.status(409).send(renderPage("無法繳費", "<p>只有已取號且尚未繳費的交易可以模擬繳費</p>"));
+      }
+      Object.assign(trade, { tradeStatus: "1", message: "繳費成功 (模擬)", extra: { ...trade.extra, PayTime: formatTaipeiTime(new Date()) } });
+      await sendNotify(trade, "SUCCESS");
+      return req.accepts(["html", "json"]) === "json" ? res.json({ merTradeNo: trade.merTradeNo, tradeStatus: trade.tradeStatus }) : res.redirect("/mock");
+    }
+
+    if (!ACTIONS[action]) {
+      return res.status(400).send(renderPage("未知的操作", `<p>${escapeHtml(action)}</p>`));
+    }
+    if (trade.tradeStatus !== "9") {
+      return res.status(409).send(renderPage("交易已處理", `<p>交易狀態為 ${escapeHtml(trade.tradeStatus)}，請重新從商店發起付款</p>`));
+    }
+
+    // 逾時：不送 Notify 也不導回商店，交易維持未付款，交給商店的對帳與逾期清理
+    if (action === "timeout") {
+      logger.info(`[mock-payuni] trade ${trade.merTradeNo} left unpaid`);
+      return req.accepts(["html", "json"]) === "json" ? res.json({ merTradeNo: trade.merTradeNo, tradeStatus: trade.tradeStatus }) : res.send(renderPage("交易逾時", "<p>已模擬顧客未完成付款：不會送出通知，也不會導回商店。</p>"));
+    }
+
+    const status = applyAction(trade, action);
+    // 與正式環境相同，Notify 先於 Return 送達
+    await sendNotify(trade, status);
+    if (req.accepts(["html", "json"]) === "json") {
+      return res.json({ merTradeNo: trade.merTradeNo, tradeStatus: trade.tradeStatus, returnUrl: trade.returnUrl, returnForm: signedForm(trade, status) });
+    }
+    res.send(renderReturn(trade, status));
+  });
+
+  // 模擬交易列表：可在此模擬 ATM / 超商代碼繳費
+  app.get("/mock", (req, res) => {
+    const rows = [...trades.values()]
+      .reverse()
+      .map((trade) => {
+        const payButton = trade.tradeStatus === "0" ? `<form method="POST" action="/mock/trades/${trade.id}/pay"><button class="approve" type="submit">模擬繳費</button></form>` : "";
+        return `<tr><td>${escapeHtml(trade.merTradeNo)}</td><td>${escapeHtml(trade.tradeAmt)}</td><td>${escapeHtml(trade.payType)}</td><td>${escapeHtml(trade.tradeStatus)}</td><td>${payButton}</td></tr>`;
+      })
+      .join("");
+    res.send(renderPage("模擬交易列表", `<table><thead><tr><th>訂單編號</th><th>金額</th><th>付款方式</th><th>TradeStatus</th><th></th></tr></thead><tbody>${rows}</tbody></table>`));
+  });
+
+  app.get("/mock/trades", (req, res) => {
+    res.json([...trades.values()]);
+  });
+
+  // 交易查詢 (QueryTrade 2.0)
+  app.post("/api/trade/query", (req, res) => {
+    let query;
+    try {
+      query = open(req.body);
+    } catch (error) {
+      return res.json({ Status: "ERROR", Message: error.message });
+    }
+    const trade = trades.get(query.MerTradeNo);
+    if (!trade) {
+      return res.json({ Status: "NOT_FOUND", Message: "查無交易資料" });
+    }
+    const result = {};
+    Object.entries(tradeFields(trade)).forEach(([key, value]) => {
+      result[`Result[0][${key}]`] = value;
+    });
+    res.json({ MerID: merID, Version: "2.0", Status: "SUCCESS", ...seal(result) });
+  });
+
+  // 信用卡請退款
+  app.post("/api/trade/close", (req, res) => {
+    let request;
+    try {
+      request = open(req.body);
+    } catch (error) {
+      return res.json({ Status: "ERROR", Message: error.message });
+    }
+    const trade = [...trades.values()].find((existing) => existing.tradeSeq === request.TradeNo);
+    if (!trade || trade.tradeStatus !== "1") {
+      return res.json({ Status: "ERROR", Message: "交易不存在或尚未付款" });
+    }
+    trade.refunds.push({ closeType: request.CloseType, tradeAmt: request.TradeAmt || trade.tradeAmt, at: new Date().toISOString() });
+    logger.info(`[mock-payuni] trade ${trade.merTradeNo} close type ${request.CloseType}`);
+    res.json({ MerID: merID, Version: "1.0", Status: "SUCCESS", ...seal({ Status: "SUCCESS", Message: "請退款成功 (模擬)", MerID: merID, TradeNo: trade.tradeSeq }) });
+  });
+
+  // 信用卡取消授權
+  app.post("/api/trade/cancel", (req, res) => {
+    let request;
+    try {
+      request = open(req.body);
+    } catch (error) {
+      return res.json({ Status: "ERROR", Message: error.message });
+    }
+    const trade = [...trades.values()].find((existing) => existing.tradeSeq === request.TradeNo);
+    if (!trade || trade.tradeStatus !== "1") {
+      return res.json({ Status: "ERROR", Message: "交易不存在或尚未授權" });
+    }
+    trade.tradeStatus = "3";
+    logger.info(`[mock-payuni] trade ${trade.merTradeNo} authorization cancelled`);
+    res.json({ MerID: merID, Version: "1.0", Status: "SUCCESS", ...seal({ Status: "SUCCESS", Message: "取消授權成功 (模擬)", MerID: merID, TradeNo: trade.tradeSeq }) });
+  });
+
+  return { app, trades };
+}
+
+module.exports = { createMockGateway };
+
+if (require.main === module) {
+  require("dotenv").config();
+  const { PAYUNI_MERCHANT_ID, PAYUNI_HASH_KEY, PAYUNI_HASH_IV } = process.env;
+  if (!PAYUNI_MERCHANT_ID || !PAYUNI_HASH_KEY || !PAYUNI_HASH_IV) {
+    console.error("模擬金流需要 PAYUNI_MERCHANT_ID、PAYUNI_HASH_KEY、PAYUNI_HASH_IV，請與商店使用相同設定");
+    process.exit(1);
+  }
+  const port = Number(process.env.MOCK_PAYUNI_PORT) || 4000;
+  const { app } = createMockGateway({ merID: PAYUNI_MERCHANT_ID, hashKey: PAYUNI_HASH_KEY, hashIV: PAYUNI_HASH_IV });
+  app.listen(port, () => {
+    console.log(`PAYUNi 模擬金流已啟動: http://localhost:${port}/api/upp (交易列表 http://localhost:${port}/mock)`);
+  });
+}
@@ -0,0 +1,211 @@
+document.addEventListener("DOMContentLoaded", () => {
+  const errorEl = document.getElementById("error-message");
+  const loadingModal = document.getElementById("loading-modal");
+  const filterForm = document.getElementById("filter-form");
+  const statusSelect = document.getElementById("filter-status");
+  const orderBody = document.getElementById("admin-order-body");
+  const noOrdersMessage = document.getElementById("no-orders-message");
+  const reconcileAllBtn = document.getElementById("reconcile-all-btn");
+  const expireOrdersBtn = document.getElementById("expire-orders-btn");
+
+  const ORDER_STATUSES = ["待支付", "已完成", "已失敗", "已取消", "部分退款", "已退款"];
+  const CANCELLABLE_STATUSES = ["待支付"];
+  const REFUNDABLE_STATUSES = ["已完成", "部分退款"];
+  const INVOICE_STATUSES = ["已完成"]; // 付款成功後才開立發票
+
+  let csrfToken = "";
+
+  // Helper functions for UI feedback
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.classList.add("show");
+  };
+  const clearError = () => errorEl.classList.remove("show");
+  const showLoading = () => loadingModal.classList.add("show");
+  const hideLoading = () => loadingModal.classList.remove("show");
+
+  const formatDate = (value) =>
+    value
+      ? new Date(value).toLocaleString("zh-TW", {
+          year: "numeric",
+          month: "2-digit",
+          day: "2-digit",
+          hour: "2-digit",
+          minute: "2-digit",
+        })
+      : "-";
+
+  // Sends a request to the admin API; non-GET requests carry the CSRF token
+  const adminRequest = async (method, url, payload) => {
+    const options = { method, headers: {} };
+    if (method !== "GET") {
+      options.headers["X-CSRF-Token"] = csrfToken;
+    }
+    if (payload) {
+      options.headers["Content-Type"] = "application/json";
+      options.body = JSON.stringify(payload);
+    }
+    const res = await fetch(url, options);
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || "操作失敗");
+    }
+    return data;
+  };
+
+  const fetchCsrfToken = async () => {
+    try {
+      const data = await adminRequest("GET", "/csrf-token");
+      csrfToken = data.csrfToken;
+    } catch (error) {
+      showError("安全憑證載入失敗，請重新整理頁面。");
+    }
+  };
+
+  const renderStats = (stats) => {
+    document.getElementById("stat-total").textContent = stats.totalOrders;
+    document.getElementById("stat-paid").textContent = stats.paidOrders;
+    document.getElementById("stat-revenue").textContent = stats.revenue.toLocaleString("zh-TW");
+    document.getElementById("stat-conversion").textContent = `${stats.conversionRate}%`;
+  };
+
+  // 發票欄：已開立顯示號碼，開立失敗顯示原因
+  const formatInvoice = (invoice) => {
+    if (!invoice) return "-";
+    if (invoice.number) return invoice.number;
+    return invoice.status === "failed" ? `開立失敗：${invoice.error}` : "-";
+  };
+
+  const renderOrders = (orders) => {
+    orderBody.innerHTML = "";
+    noOrdersMessage.classList.toggle("hidden", orders.length > 0);
+
+    orders.forEach((order) => {
+      const row = document.createElement("tr");
+      // email (訪客自行輸入)、商品名稱與發票錯誤訊息都不可信任，以 textContent 填入
+      [formatDate(order.createdAt), order.tradeNo, order.email || "-", order.productName || "N/A", order.tradeAmt, order.status, formatInvoice(order.invoice)].forEach((value) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+
+      const actionsCell = document.createElement("td");
+      row.appendChild(actionsCell);
+      const addAction = (label, handler, danger = false) => {
+        const button = document.createElement("button");
+        button.className = `admin-action-btn${danger ? " danger" : ""}`;
+        button.textContent = label;
+        button.addEventListener("click", () => handler(order, button));
+        actionsCell.appendChild(button);
+      };
+
+      addAction("查詢金流", handleReconcile);
+      if (CANCELLABLE_STATUSES.includes(order.status)) {
+        addAction("取消", handleCancel, true);
+      }
+      // 只有信用卡訂單能透過 PAYUNi 退款
+      if (REFUNDABLE_STATUSES.includes(order.status) && (order.payType || "C") === "C") {
+        addAction("退款", handleRefund, true);
+      }
+      if (INVOICE_STATUSES.includes(order.status) && !(order.invoice && order.invoice.number)) {
+        addAction("開立發票", handleIssueInvoice);
+      }
+
+      orderBody.appendChild(row);
+    });
+  };
+
+  // Loads orders with the current filter values
+  const fetchOrders = async () => {
+    const params = new URLSearchParams();
+    new FormData(filterForm).forEach((value, key) => {
+      if (value) params.append(key, value);
+    });
+
+    showLoading();
+    try {
+      clearError();
+      const data = await adminRequest("GET", `/api/admin/orders?${params.toString()}`);
+      renderOrders(data.orders);
+      renderStats(data.stats);
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      hideLoading();
+    }
+  };
+
+  // Runs an admin action then reloads the list
+  const runAction = async (button, action) => {
+    button.disabled = true;
+    showLoading();
+    try {
+      clearError();
+      await action();
+      await fetchOrders();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      button.disabled = false;
+      hideLoading();
+    }
+  };
+
+  const handleReconcile = (order, button) =>
+    runAction(button, async () => {
+      const result = await adminRequest("POST", `/api/admin/orders/${encodeURIComponent(order.tradeNo)}/reconcile`);
+      if (!result.updated) {
+        alert(result.status ? `金流狀態：${result.status}，訂單未變更` : `查無交易：${result.message || "未知原因"}`);
+      }
+    });
+
+  const handleCancel = (order, button) => {
+    if (!confirm(`確定要取消訂單 ${order.tradeNo}？`)) return;
+    runAction(button, () => adminRequest("POST", `/api/admin/orders/${encodeURIComponent(order.tradeNo)}/cancel`));
+  };
+
+  const handleRefund = (order, button) => {
+    const input = prompt(`退款金額 (留空為全額退款)，訂單金額 ${order.tradeAmt}`);
+    if (input === null) return;
+    const payload = input.trim() ? { amount: parseInt(input, 10) } : {};
+    runAction(button, () => adminRequest("POST", `/api/admin/orders/${encodeURIComponent(order.tradeNo)}/refund`, payload));
+  };
+
+  const handleIssueInvoice = (order, button) =>
+    runAction(button, async () => {
+      const result = await adminRequest("POST", `/api/admin/orders/${encodeURIComponent(order.tradeNo)}/invoice`);
+      alert(`已開立發票 ${result.invoice.number}`);
+    });
+
+  reconcileAllBtn.addEventListener("click", () =>
+    runAction(reconcileAllBtn, async () => {
+      const result = await adminRequest("POST", "/api/admin/reconcile");
+      alert(`已檢查 ${result.checked} 筆，更新 ${result.updated} 筆，失敗 ${result.failed} 筆`);
+    })
+  );
+
+  expireOrdersBtn.addEventListener("click", () =>
+    runAction(expireOrdersBtn, async () => {
+      const result = await adminRequest("POST", "/api/admin/orders/expire");
+      alert(`逾期 ${result.checked} 筆，已取消 ${result.expired} 筆，失敗 ${result.failed} 筆`);
+    })
+  );
+
+  filterForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    fetchOrders();
+  });
+
+  // Initialize the page
+  ORDER_STATUSES.forEach((status) => {
+    const option = document.createElement("option");
+    option.value = status;
+    option.textContent = status;
+    statusSelect.appendChild(option);
+  });
+
+  (async () => {
+    await fetchCsrfToken();
+    await fetchOrders();
+  })();
+});
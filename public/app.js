@@ -1,23 +1,41 @@
 // Turnstile 驗證成功後的回呼函式
 window.onTurnstileSuccess = function(token) {
-  const loginBtn = document.getElementById("login-btn");
-  if (loginBtn) {
-    loginBtn.classList.remove("loading"); // 移除載入狀態
-    loginBtn.disabled = false; // 啟用 Google 登入按鈕
-    loginBtn.title = ""; // 清除提示
-  }
+  document.querySelectorAll(".login-option").forEach(button => {
+    button.classList.remove("loading"); // 移除載入狀態
+    button.disabled = false; // 啟用登入按鈕
+    button.title = ""; // 清除提示
+  });
 };
 
 document.addEventListener("DOMContentLoaded", () => {
   const productListEl = document.getElementById("product-list");
+  const planTitleEl = document.getElementById("plan-title");
+  const planListEl = document.getElementById("plan-list");
   const errorEl = document.getElementById("error-message");
+  const payTypeGroup = document.getElementById("pay-type-group");
+  const payTypeOptions = document.getElementById("pay-type-options");
   const loadingModal = document.getElementById("loading-modal");
+  const invoiceGroup = document.getElementById("invoice-group");
+  const invoiceTypeSelect = document.getElementById("invoice-type");
+  const invoiceCarrierInput = document.getElementById("invoice-carrier");
+  const invoiceLoveCodeInput = document.getElementById("invoice-love-code");
+  const invoiceTaxIdInput = document.getElementById("invoice-tax-id");
+  const invoiceCompanyNameInput = document.getElementById("invoice-company-name");
+  const guestEmailGroup = document.getElementById("guest-email-group");
+  const guestEmailInput = document.getElementById("guest-email");
 
   // Auth UI elements
+  const loginOptionsEl = document.getElementById("login-options");
   const loginBtn = document.getElementById("login-btn");
+  const oidcLoginBtn = document.getElementById("oidc-login-btn");
+  const oidcLoginLabelEl = document.getElementById("oidc-login-label");
+  const magicLinkForm = document.getElementById("magic-link-form");
+  const magicLinkEmailInput = document.getElementById("magic-link-email");
+  const magicLinkMessageEl = document.getElementById("magic-link-message");
   const userInfoEl = document.getElementById("user-info");
   const userAvatarEl = document.getElementById("user-avatar");
   const userNameEl = document.getElementById("user-name");
+  const adminLinkEl = document.getElementById("admin-link");
 
   // Order History UI elements
   const myOrdersBtn = document.getElementById("my-orders-btn");
@@ -25,10 +43,39 @@ document.addEventListener("DOMContentLoaded", () => {
   const closeOrderModalBtn = document.getElementById("close-order-modal-btn");
   const orderHistoryBody = document.getElementById("order-history-body");
   const noOrdersMessage = document.getElementById("no-orders-message");
+  const orderDetailModal = document.getElementById("order-detail-modal");
+  const closeOrderDetailModalBtn = document.getElementById("close-order-detail-modal-btn");
+  const orderDetailSummary = document.getElementById("order-detail-summary");
+  const orderDetailTimeline = document.getElementById("order-detail-timeline");
+  const backToOrdersBtn = document.getElementById("back-to-orders-btn");
+  const payAgainBtn = document.getElementById("pay-again-btn");
+
+  // Subscription UI elements
+  const mySubscriptionsBtn = document.getElementById("my-subscriptions-btn");
+  const subscriptionModal = document.getElementById("subscription-modal");
+  const closeSubscriptionModalBtn = document.getElementById("close-subscription-modal-btn");
+  const subscriptionBody = document.getElementById("subscription-body");
+  const noSubscriptionsMessage = document.getElementById("no-subscriptions-message");
+
+  // Cart UI elements
+  const cartBtn = document.getElementById("cart-btn");
+  const cartCountEl = document.getElementById("cart-count");
+  const cartModal = document.getElementById("cart-modal");
+  const closeCartModalBtn = document.getElementById("close-cart-modal-btn");
+  const cartBody = document.getElementById("cart-body");
+  const emptyCartMessage = document.getElementById("empty-cart-message");
+  const cartTotalEl = document.getElementById("cart-total");
+  const checkoutBtn = document.getElementById("checkout-btn");
+  const cartInstallmentSelect = document.getElementById("cart-installment");
+  const couponInput = document.getElementById("coupon-input");
+  const applyCouponBtn = document.getElementById("apply-coupon-btn");
+  const couponMessageEl = document.getElementById("coupon-message");
 
   let csrfToken = "";
   let currentUser = null;
   let clientConfig = {}; // 新增：儲存從後端獲取的配置
+  let cartState = { items: [], total: 0 };
+  let appliedCoupon = null; // 已通過試算的優惠碼，結帳時送出
 
   // Helper functions for UI feedback
   const showError = (message) => {
@@ -40,36 +87,44 @@ document.addEventListener("DOMContentLoaded", () => {
   const showLoading = () => loadingModal.classList.add("show");
   const hideLoading = () => loadingModal.classList.remove("show");
 
+  // 開放訪客結帳時，未登入也可以購買商品 (訂閱與優惠碼仍需登入)
+  const canCheckout = () => Boolean(currentUser) || Boolean(clientConfig.guestCheckoutEnabled);
+
   // Updates UI based on login status
-  const updateUserUI = (user) => {
+  const updateUserUI = (user, isAdmin = false) => {
     currentUser = user;
+    adminLinkEl.classList.toggle("hidden", !isAdmin);
     const payButtons = document.querySelectorAll(".pay-button");
 
     // 預設隱藏所有認證相關的元素
-    loginBtn.classList.add("hidden");
+    loginOptionsEl.classList.add("hidden");
     userInfoEl.classList.add("hidden");
+    guestEmailGroup.classList.toggle("hidden", Boolean(user) || !clientConfig.guestCheckoutEnabled);
 
     if (user) {
       // User is logged in
       userInfoEl.classList.remove("hidden");
       userAvatarEl.src = user.picture || "";
       userNameEl.textContent = user.name;
-      // Enable all pay buttons
+      // Enable all pay buttons (已售完的商品維持停用)
       payButtons.forEach(button => {
-        button.disabled = false;
-        button.title = "";
+        button.disabled = button.dataset.soldOut === "true";
+        button.title = button.disabled ? "商品已售完" : "";
       });
     } else {
       // User is not logged in
-      loginBtn.classList.remove("hidden"); // 顯示登入按鈕
-      loginBtn.classList.add("loading"); // 預設為載入中
-      loginBtn.disabled = true; // 預設為禁用
-      loginBtn.title = "請先完成人機驗證"; // 提示訊息
+      loginOptionsEl.classList.remove("hidden"); // 顯示登入方式
+      document.querySelectorAll(".login-option").forEach(button => {
+        button.classList.add("loading"); // 預設為載入中
+        button.disabled = true; // 預設為禁用
+        button.title = "請先完成人機驗證"; // 提示訊息
+      });
 
-      // Disable all pay buttons and add a tooltip
+      // Disable pay buttons and add a tooltip (訪客結帳時只停用訂閱與已售完的商品)
       payButtons.forEach(button => {
-        button.disabled = true;
-        button.title = "請先登入以進行購買";
+        const guestAllowed = clientConfig.guestCheckoutEnabled && !button.classList.contains("subscribe-button");
+        button.disabled = !guestAllowed || button.dataset.soldOut === "true";
+        button.title = !guestAllowed ? "請先登入以進行購買" : button.disabled ? "商品已售完" : "";
       });
     }
   };
@@ -81,7 +136,7 @@ document.addEventListener("DOMContentLoaded", () => {
       if (!res.ok) throw new Error("Failed to check login status");
       const data = await res.json();
       // The UI update will be called after products are rendered
-      return data.loggedIn ? data.user : null;
+      return data.loggedIn ? { user: data.user, isAdmin: data.isAdmin } : null;
     } catch (error) {
       console.error("Error checking login status:", error);
       // Don't show error to user, just assume logged out
@@ -101,6 +156,75 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   };
 
+  // Shows the login methods enabled on the server (LOGIN_PROVIDERS)
+  const renderLoginOptions = (providers = []) => {
+    const enabled = (name) => providers.find((provider) => provider.name === name);
+    loginBtn.classList.toggle("hidden", !enabled("google"));
+    magicLinkForm.classList.toggle("hidden", !enabled("email"));
+    const oidc = enabled("oidc");
+    oidcLoginBtn.classList.toggle("hidden", !oidc);
+    oidcLoginLabelEl.textContent = oidc ? oidc.label : "";
+  };
+
+  // Renders the payment method choices; hidden when only one method is available
+  const renderPayTypes = (payTypes = []) => {
+    payTypeOptions.innerHTML = "";
+    payTypes.forEach((payType, index) => {
+      const label = document.createElement("label");
+      label.innerHTML = `<input type="radio" name="payType" value="${payType.code}" ${index === 0 ? "checked" : ""} /> ${payType.label}`;
+      payTypeOptions.appendChild(label);
+    });
+    payTypeGroup.classList.toggle("hidden", payTypes.length <= 1);
+    updateInstallmentVisibility();
+  };
+
+  const getSelectedPayType = () => {
+    const checked = payTypeOptions.querySelector("input[name='payType']:checked");
+    return checked ? checked.value : undefined;
+  };
+
+  // Builds the installment choices; the per-period amount is only an estimate, PAYUNi decides the actual split
+  const installmentOptions = (installments, amount) =>
+    `<option value="">一次付清</option>` + installments.map((count) => `<option value="${count}">分 ${count} 期 (每期約 ${Math.floor(amount / count)} TWD)</option>`).join("");
+
+  // 分期只適用信用卡，選擇其他付款方式或沒有可用期數時隱藏
+  const updateInstallmentVisibility = () => {
+    const creditCard = (getSelectedPayType() || "C") === "C";
+    document.querySelectorAll(".installment-select").forEach((select) => {
+      select.classList.toggle("hidden", !creditCard || select.options.length <= 1);
+    });
+  };
+
+  const getInstallment = (select) => (select && !select.classList.contains("hidden") && select.value ? Number(select.value) : undefined);
+
+  // Shows the inputs needed by the selected invoice type (carrier, love code or tax ID)
+  const CARRIER_PLACEHOLDERS = {
+    mobile: "手機條碼 (例如 /ABC+123)",
+    certificate: "自然人憑證條碼 (例如 AB12345678901234)",
+  };
+  const updateInvoiceFields = () => {
+    const type = invoiceTypeSelect.value;
+    invoiceCarrierInput.classList.toggle("hidden", !CARRIER_PLACEHOLDERS[type]);
+    invoiceCarrierInput.placeholder = CARRIER_PLACEHOLDERS[type] || "";
+    invoiceLoveCodeInput.classList.toggle("hidden", type !== "donation");
+    invoiceTaxIdInput.classList.toggle("hidden", type !== "company");
+    invoiceCompanyNameInput.classList.toggle("hidden", type !== "company");
+  };
+
+  const getInvoice = () => {
+    const type = invoiceTypeSelect.value;
+    if (CARRIER_PLACEHOLDERS[type]) {
+      return { type, carrier: invoiceCarrierInput.value.trim().toUpperCase() };
+    }
+    if (type === "donation") {
+      return { type, loveCode: invoiceLoveCodeInput.value.trim() };
+    }
+    if (type === "company") {
+      return { type, taxId: invoiceTaxIdInput.value.trim(), companyName: invoiceCompanyNameInput.value.trim() };
+    }
+    return { type };
+  };
+
   // Fetches CSRF token on page load
   const fetchCsrfToken = async () => {
     try {
@@ -114,27 +238,68 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   };
 
+  // 商品與方案的名稱、說明由管理員編輯，訂單的商品名稱也來自商品資料，都不可信任，一律以 textContent 填入
+  const createTextElement = (tag, className, text) => {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    element.textContent = text;
+    return element;
+  };
+
+  // Appends one text cell per value to a table row
+  const appendTextCells = (row, values) => {
+    values.forEach((value) => row.appendChild(createTextElement("td", "", value)));
+  };
+
+  // Builds the name / description / price block shared by product and plan cards
+  const createCardInfo = (name, description, priceText) => {
+    const info = document.createElement("div");
+    info.className = "product-info";
+    info.append(createTextElement("h3", "product-name", name), createTextElement("p", "product-description", description), createTextElement("div", "product-price", priceText));
+    return info;
+  };
+
   // Renders product cards to the DOM
   const renderProducts = (products) => {
     productListEl.innerHTML = ""; // Clear existing products
     products.forEach((product) => {
       const card = document.createElement("div");
-      card.className = "product-card";
-      card.innerHTML = `
-        <div class="product-info">
-          <h3 class="product-name">${product.name}</h3>
-          <p class="product-description">${product.description}</p>
-          <div class="product-price">${product.price} TWD</div>
-          <button class="pay-button" data-product-id="${product.id}">立即購買</button>
-        </div>
-      `;
+      card.className = product.soldOut ? "product-card sold-out" : "product-card";
+      const info = createCardInfo(product.name, product.description, `${product.price} TWD`);
+      if (product.soldOut) {
+        info.appendChild(createTextElement("div", "sold-out-badge", "已售完"));
+      }
+      if (product.installments && product.installments.length > 0) {
+        const select = document.createElement("select");
+        select.className = "invoice-input installment-select";
+        select.innerHTML = installmentOptions(product.installments, product.price);
+        info.appendChild(select);
+      }
+      [
+        ["pay-button", "立即購買"],
+        ["add-to-cart-button", "加入購物車"],
+      ].forEach(([className, label]) => {
+        const button = createTextElement("button", className, label);
+        button.dataset.productId = product.id;
+        if (product.soldOut) {
+          button.dataset.soldOut = "true";
+          button.disabled = true;
+        }
+        info.appendChild(button);
+      });
+      card.appendChild(info);
       productListEl.appendChild(card);
     });
 
+    updateInstallmentVisibility();
+
     // Add event listeners to all new buttons
-    document.querySelectorAll(".pay-button").forEach((button) => {
+    productListEl.querySelectorAll(".pay-button").forEach((button) => {
       button.addEventListener("click", handlePayment);
     });
+    productListEl.querySelectorAll(".add-to-cart-button").forEach((button) => {
+      button.addEventListener("click", handleAddToCart);
+    });
   };
 
   // Fetches products from the API and renders them
@@ -150,15 +315,70 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   };
 
-  // Handles the payment creation process
-  const handlePayment = async (event) => {
-    const button = event.currentTarget;
-    const productID = button.dataset.productId;
+  const INTERVAL_LABELS = { month: "每月", year: "每年" };
 
-    // Double check if user is logged in before proceeding
+  // Renders subscription plan cards; the section is hidden when there are no plans
+  const renderPlans = (plans) => {
+    planListEl.innerHTML = "";
+    planTitleEl.classList.toggle("hidden", plans.length === 0);
+    plans.forEach((plan) => {
+      const card = document.createElement("div");
+      card.className = "product-card";
+      const info = createCardInfo(plan.name, plan.description, `${plan.price} TWD / ${INTERVAL_LABELS[plan.interval] || plan.interval}`);
+      const button = createTextElement("button", "pay-button subscribe-button", "訂閱");
+      button.dataset.planId = plan.id;
+      info.appendChild(button);
+      card.appendChild(info);
+      planListEl.appendChild(card);
+    });
+
+    planListEl.querySelectorAll(".subscribe-button").forEach((button) => {
+      button.addEventListener("click", handleSubscribe);
+    });
+  };
+
+  // Fetches subscription plans from the API and renders them
+  const fetchPlans = async () => {
+    try {
+      const res = await fetch("/api/plans");
+      if (!res.ok) throw new Error("Failed to fetch plans");
+      renderPlans(await res.json());
+    } catch (error) {
+      console.error("Error fetching plans:", error);
+    }
+  };
+
+  // Create and submit a form to redirect to the payment gateway
+  const redirectToGateway = ({ payUrl, data }) => {
+    const form = document.createElement("form");
+    form.method = "POST";
+    form.action = payUrl;
+    Object.entries(data).forEach(([key, value]) => {
+      const input = document.createElement("input");
+      input.type = "hidden";
+      input.name = key;
+      input.value = value;
+      form.appendChild(input);
+    });
+    document.body.appendChild(form);
+    form.submit();
+  };
+
+  // Sends the payment request and redirects to the payment gateway
+  // 訂閱同樣導向 PAYUNi，只是改送到 /api/subscriptions
+  const submitPayment = async (paymentPayload, button, endpoint = "/create-payment") => {
+    // Double check if user is logged in before proceeding (訪客結帳改帶填寫的 email)
     if (!currentUser) {
-      showError("請先登入後再進行購買。");
-      return;
+      if (!clientConfig.guestCheckoutEnabled || endpoint !== "/create-payment") {
+        showError("請先登入後再進行購買。");
+        return;
+      }
+      paymentPayload.guestEmail = guestEmailInput.value.trim();
+      if (!paymentPayload.guestEmail) {
+        showError("請輸入 Email 以進行訪客結帳。");
+        guestEmailInput.focus();
+        return;
+      }
     }
 
     try {
@@ -166,10 +386,11 @@ document.addEventListener("DOMContentLoaded", () => {
       button.disabled = true;
       showLoading();
 
-      const paymentPayload = {
-        productID,
-        turnstileToken: turnstile.getResponse(),
-      };
+      paymentPayload.turnstileToken = turnstile.getResponse();
+      paymentPayload.payType = getSelectedPayType();
+      if (clientConfig.invoiceEnabled) {
+        paymentPayload.invoice = getInvoice();
+      }
 
       // 使用從後端獲取的配置
       if (clientConfig.turnstileEnable && !paymentPayload.turnstileToken) {
@@ -184,7 +405,7 @@ document.addEventListener("DOMContentLoaded", () => {
         return;
       }
 
-      const res = await fetch("/create-payment", {
+      const res = await fetch(endpoint, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
@@ -195,24 +416,11 @@ document.addEventListener("DOMContentLoaded", () => {
 
       const resData = await res.json();
       if (!res.ok) {
-        throw new Error(resData.error || "Payment creation failed");
+        // 發票資料格式錯誤時顯示具體原因
+        throw new Error(resData.details ? resData.details.join("、") : resData.error || "Payment creation failed");
       }
 
-      const { payUrl, data } = resData;
-
-      // Create and submit a form to redirect to the payment gateway
-      const form = document.createElement("form");
-      form.method = "POST";
-      form.action = payUrl;
-      Object.entries(data).forEach(([key, value]) => {
-        const input = document.createElement("input");
-        input.type = "hidden";
-        input.name = key;
-        input.value = value;
-        form.appendChild(input);
-      });
-      document.body.appendChild(form);
-      form.submit();
+      redirectToGateway(resData);
     } catch (error) {
       console.error("Payment Error:", error);
       showError(error.message || "支付建立失敗，請重試");
@@ -224,6 +432,196 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   };
 
+  // Handles the "buy now" button of a single product
+  const handlePayment = async (event) => {
+    const button = event.currentTarget;
+    const installment = getInstallment(button.closest(".product-card").querySelector(".installment-select"));
+    await submitPayment({ productID: button.dataset.productId, ...(installment && { installment }) }, button);
+  };
+
+  // Handles the "subscribe" button of a plan
+  const handleSubscribe = async (event) => {
+    const button = event.currentTarget;
+    await submitPayment({ planId: button.dataset.planId }, button, "/api/subscriptions");
+  };
+
+  // Handles checkout of the whole cart
+  const handleCheckout = async () => {
+    if (cartState.items.length === 0) {
+      showError("購物車是空的。");
+      return;
+    }
+    cartModal.classList.add("hidden");
+    const installment = getInstallment(cartInstallmentSelect);
+    await submitPayment({ source: "cart", ...(appliedCoupon && { couponCode: appliedCoupon }), ...(installment && { installment }) }, checkoutBtn);
+  };
+
+  // Sends a cart request; non-GET requests carry the CSRF token
+  const cartRequest = async (method, url, payload) => {
+    const options = { method, headers: {} };
+    if (method !== "GET") {
+      options.headers["X-CSRF-Token"] = csrfToken;
+    }
+    if (payload) {
+      options.headers["Content-Type"] = "application/json";
+      options.body = JSON.stringify(payload);
+    }
+    const res = await fetch(url, options);
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || "購物車更新失敗");
+    }
+    return data;
+  };
+
+  // Renders the cart table and the item count badge
+  const renderCart = (cartData) => {
+    cartState = cartData;
+    cartCountEl.textContent = cartData.items.reduce((sum, item) => sum + item.quantity, 0);
+    cartTotalEl.textContent = cartData.total;
+    cartBody.innerHTML = "";
+
+    if (cartData.items.length === 0) {
+      emptyCartMessage.classList.remove("hidden");
+    } else {
+      emptyCartMessage.classList.add("hidden");
+      cartData.items.forEach((item) => {
+        const row = document.createElement("tr");
+        appendTextCells(row, [item.name, item.price]);
+        const input = document.createElement("input");
+        Object.assign(input, { type: "number", className: "cart-quantity-input", min: "0", max: "10", value: item.quantity });
+        input.dataset.productId = item.productID;
+        row.appendChild(document.createElement("td")).appendChild(input);
+        appendTextCells(row, [item.subtotal]);
+        const button = createTextElement("button", "cart-remove-btn", "移除");
+        button.dataset.productId = item.productID;
+        row.appendChild(document.createElement("td")).appendChild(button);
+        cartBody.appendChild(row);
+      });
+
+      cartBody.querySelectorAll(".cart-quantity-input").forEach((input) => {
+        input.addEventListener("change", handleQuantityChange);
+      });
+      cartBody.querySelectorAll(".cart-remove-btn").forEach((button) => {
+        button.addEventListener("click", handleRemoveFromCart);
+      });
+    }
+
+    // 購物車中每件商品都提供的期數才能選擇
+    const previousInstallment = cartInstallmentSelect.value;
+    const installments = cartData.items.length === 0 ? [] : cartData.items.map((item) => item.installments || []).reduce((common, list) => common.filter((count) => list.includes(count)));
+    cartInstallmentSelect.innerHTML = installments.length > 0 ? installmentOptions(installments, cartData.total) : "";
+    cartInstallmentSelect.value = installments.includes(Number(previousInstallment)) ? previousInstallment : "";
+    updateInstallmentVisibility();
+
+    checkoutBtn.disabled = !canCheckout() || cartData.items.length === 0;
+    checkoutBtn.title = canCheckout() ? "" : "請先登入以進行購買";
+
+    // 購物車內容改變後重新試算已套用的優惠碼
+    if (appliedCoupon) {
+      previewCoupon(appliedCoupon);
+    }
+  };
+
+  const showCouponMessage = (message, isError = false) => {
+    couponMessageEl.textContent = message;
+    couponMessageEl.classList.toggle("hidden", !message);
+    couponMessageEl.classList.toggle("coupon-error", isError);
+  };
+
+  // Previews the discount for the cart; the code is only kept when the server accepts it
+  const previewCoupon = async (code) => {
+    if (cartState.items.length === 0) {
+      appliedCoupon = null;
+      showCouponMessage("");
+      return;
+    }
+    try {
+      const preview = await cartRequest("POST", "/api/coupons/preview", { couponCode: code, source: "cart" });
+      appliedCoupon = preview.code;
+      showCouponMessage(`已套用 ${preview.code}：折抵 ${preview.discount} 元，應付 ${preview.discountedTotal} TWD`);
+    } catch (error) {
+      appliedCoupon = null;
+      showCouponMessage(error.message, true);
+    }
+  };
+
+  const handleApplyCoupon = async () => {
+    const code = couponInput.value.trim();
+    if (!code) {
+      appliedCoupon = null;
+      showCouponMessage("");
+      return;
+    }
+    if (!currentUser) {
+      showCouponMessage("請先登入後再使用優惠碼", true);
+      return;
+    }
+    applyCouponBtn.disabled = true;
+    await previewCoupon(code);
+    applyCouponBtn.disabled = false;
+  };
+
+  // Fetches the cart from the session
+  const fetchCart = async () => {
+    try {
+      renderCart(await cartRequest("GET", "/api/cart"));
+    } catch (error) {
+      console.error("Error fetching cart:", error);
+    }
+  };
+
+  const handleAddToCart = async (event) => {
+    const button = event.currentTarget;
+    try {
+      clearError();
+      button.disabled = true;
+      renderCart(await cartRequest("POST", "/api/cart/items", { productID: button.dataset.productId, quantity: 1 }));
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      button.disabled = button.dataset.soldOut === "true";
+    }
+  };
+
+  const handleQuantityChange = async (event) => {
+    const input = event.currentTarget;
+    try {
+      clearError();
+      const quantity = Math.max(0, parseInt(input.value, 10) || 0);
+      renderCart(await cartRequest("PUT", `/api/cart/items/${encodeURIComponent(input.dataset.productId)}`, { quantity }));
+    } catch (error) {
+      showError(error.message);
+      fetchCart();
+    }
+  };
+
+  const handleRemoveFromCart = async (event) => {
+    const button = event.currentTarget;
+    try {
+      clearError();
+      renderCart(await cartRequest("DELETE", `/api/cart/items/${encodeURIComponent(button.dataset.productId)}`));
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const formatDateTime = (value) =>
+    new Date(value).toLocaleString("zh-TW", {
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  // 發票欄：已開立顯示發票號碼，付款後尚未開好的顯示處理中
+  const formatInvoice = (invoice) => {
+    if (!invoice) return "-";
+    if (invoice.number) return invoice.number;
+    return invoice.status === "failed" ? "處理中" : "-";
+  };
+
   // Renders the order history table
   const renderOrderHistory = (orders) => {
     orderHistoryBody.innerHTML = ""; // Clear previous results
@@ -231,19 +629,10 @@ document.addEventListener("DOMContentLoaded", () => {
       noOrdersMessage.classList.add("hidden");
       orders.forEach(order => {
         const row = document.createElement("tr");
-        const formattedDate = new Date(order.createdAt).toLocaleString("zh-TW", {
-          year: "numeric",
-          month: "2-digit",
-          day: "2-digit",
-          hour: "2-digit",
-          minute: "2-digit",
-        });
-        row.innerHTML = `
-          <td>${formattedDate}</td>
-          <td>${order.productName || "N/A"}</td>
-          <td>${order.tradeAmt}</td>
-          <td>${order.status}</td>
-        `;
+        appendTextCells(row, [formatDateTime(order.createdAt), order.productName || "N/A", order.tradeAmt, order.status, formatInvoice(order.invoice)]);
+        const button = createTextElement("button", "cart-remove-btn", "明細");
+        button.addEventListener("click", () => showOrderDetail(order.tradeNo));
+        row.appendChild(document.createElement("td")).appendChild(button);
         orderHistoryBody.appendChild(row);
       });
     } else {
@@ -251,14 +640,134 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   };
 
+  // 訂單明細：付款方式、交易序號、繳費資訊與訂單進度，待支付訂單可重新付款
+  const describePaymentInfo = (paymentInfo) => {
+    const parts = [paymentInfo.bankType && `銀行代碼 ${paymentInfo.bankType}`, paymentInfo.store, paymentInfo.payNo, paymentInfo.expireDate && `繳費期限 ${paymentInfo.expireDate}`];
+    return parts.filter(Boolean).join("，");
+  };
+
+  const renderOrderDetail = (order) => {
+    const fields = [
+      ["訂單編號", order.tradeNo],
+      ["訂單日期", formatDateTime(order.createdAt)],
+      ["商品", order.items.length > 0 ? order.items.map((item) => `${item.name} x ${item.quantity}`).join("、") : order.productName],
+      ["金額", `${order.tradeAmt} TWD${order.discount ? ` (優惠碼 ${order.couponCode} 折抵 ${order.discount} 元)` : ""}`],
+      ["狀態", order.status],
+      ["付款方式", `${order.payTypeLabel}${order.installment ? ` 分 ${order.installment} 期` : ""}`],
+      ["交易序號", order.tradeSeq],
+      ["信用卡", order.cardInfo && `末四碼 ${order.cardInfo.card4No}${order.cardInfo.bank ? ` (${order.cardInfo.bank})` : ""}`],
+      ["繳費資訊", order.paymentInfo && describePaymentInfo(order.paymentInfo)],
+      ["付款期限", order.expiresAt && formatDateTime(order.expiresAt)],
+      ["發票", order.invoice && formatInvoice(order.invoice)],
+    ];
+    orderDetailSummary.innerHTML = "";
+    fields
+      .filter(([, value]) => value)
+      .forEach(([label, value]) => {
+        const term = document.createElement("dt");
+        term.textContent = label;
+        const description = document.createElement("dd");
+        description.textContent = value;
+        orderDetailSummary.append(term, description);
+      });
+
+    orderDetailTimeline.innerHTML = "";
+    order.timeline.forEach((event) => {
+      const item = document.createElement("li");
+      const time = document.createElement("time");
+      time.dateTime = event.at;
+      time.textContent = formatDateTime(event.at);
+      item.append(time, event.label);
+      orderDetailTimeline.appendChild(item);
+    });
+
+    payAgainBtn.dataset.tradeNo = order.tradeNo;
+    payAgainBtn.classList.toggle("hidden", !order.canPayAgain);
+    payAgainBtn.disabled = false;
+  };
+
+  const showOrderDetail = async (tradeNo) => {
+    showLoading();
+    try {
+      clearError();
+      const data = await cartRequest("GET", `/api/my-orders/${encodeURIComponent(tradeNo)}`);
+      renderOrderDetail(data.order);
+      orderHistoryModal.classList.add("hidden");
+      orderDetailModal.classList.remove("hidden");
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      hideLoading();
+    }
+  };
+
+  // 以原訂單編號重新產生付款表單並前往 PAYUNi
+  const handlePayAgain = async () => {
+    payAgainBtn.disabled = true;
+    showLoading();
+    try {
+      clearError();
+      redirectToGateway(await cartRequest("POST", `/api/my-orders/${encodeURIComponent(payAgainBtn.dataset.tradeNo)}/pay`));
+    } catch (error) {
+      orderDetailModal.classList.add("hidden");
+      showError(error.message);
+      payAgainBtn.disabled = false;
+    }
+  };
+
+  // Renders the subscription table with a cancel button for active subscriptions
+  const renderSubscriptions = (subscriptions) => {
+    subscriptionBody.innerHTML = "";
+    noSubscriptionsMessage.classList.toggle("hidden", subscriptions.length > 0);
+    subscriptions.forEach((subscription) => {
+      const paidCount = subscription.charges.filter((charge) => charge.status === "已完成").length;
+      const row = document.createElement("tr");
+      appendTextCells(row, [subscription.planName, `${subscription.amount} / ${INTERVAL_LABELS[subscription.interval] || subscription.interval}`, `${paidCount} 期`, subscription.status, ""]);
+      if (["待授權", "訂閱中"].includes(subscription.status)) {
+        const button = document.createElement("button");
+        button.className = "cart-remove-btn";
+        button.textContent = "取消訂閱";
+        button.addEventListener("click", () => handleCancelSubscription(subscription, button));
+        row.lastElementChild.appendChild(button);
+      }
+      subscriptionBody.appendChild(row);
+    });
+  };
+
+  const fetchSubscriptions = async () => {
+    const data = await cartRequest("GET", "/api/my-subscriptions");
+    renderSubscriptions(data.subscriptions);
+  };
+
+  const handleCancelSubscription = async (subscription, button) => {
+    if (!confirm(`確定要取消「${subscription.planName}」？取消後不會再扣款。`)) return;
+    button.disabled = true;
+    showLoading();
+    try {
+      clearError();
+      await cartRequest("POST", `/api/subscriptions/${encodeURIComponent(subscription.id)}/cancel`);
+      await fetchSubscriptions();
+    } catch (error) {
+      showError(error.message);
+      button.disabled = false;
+    } finally {
+      hideLoading();
+    }
+  };
+
   // Initialize the page
   const init = async () => {
     showLoading();
     await fetchCsrfToken();
     await fetchClientConfig(); // 在這裡呼叫，確保配置已載入
-    const user = await checkLoginStatus();
+    renderLoginOptions(clientConfig.loginProviders);
+    renderPayTypes(clientConfig.payTypes);
+    invoiceGroup.classList.toggle("hidden", !clientConfig.invoiceEnabled);
+    const loginStatus = await checkLoginStatus();
     await fetchProducts();
-    updateUserUI(user); // Update UI after products and buttons are on the page
+    await fetchPlans();
+    updateUserUI(loginStatus?.user || null, loginStatus?.isAdmin); // Update UI after products and buttons are on the page
+    await fetchCart();
     hideLoading();
   };
 
@@ -274,6 +783,33 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  if (oidcLoginBtn) {
+    oidcLoginBtn.addEventListener("click", () => {
+      oidcLoginBtn.classList.add("loading");
+      oidcLoginBtn.disabled = true;
+      window.location.href = "/auth/oidc";
+    });
+  }
+
+  // 寄送 Email 登入連結，點擊信中的連結即完成登入
+  if (magicLinkForm) {
+    magicLinkForm.addEventListener("submit", async (event) => {
+      event.preventDefault();
+      const submitBtn = document.getElementById("magic-link-btn");
+      submitBtn.disabled = true;
+      magicLinkMessageEl.classList.remove("hidden", "coupon-error");
+      try {
+        const data = await cartRequest("POST", "/auth/email", { email: magicLinkEmailInput.value.trim() });
+        magicLinkMessageEl.textContent = data.message;
+      } catch (error) {
+        magicLinkMessageEl.textContent = error.message;
+        magicLinkMessageEl.classList.add("coupon-error");
+      } finally {
+        submitBtn.disabled = false;
+      }
+    });
+  }
+
   // Add event listeners for order history modal
   if (myOrdersBtn) {
     myOrdersBtn.addEventListener("click", async () => {
@@ -294,12 +830,93 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  payTypeOptions.addEventListener("change", updateInstallmentVisibility);
+
+  // Add event listeners for subscription modal
+  if (mySubscriptionsBtn) {
+    mySubscriptionsBtn.addEventListener("click", async () => {
+      showLoading();
+      try {
+        await fetchSubscriptions();
+        subscriptionModal.classList.remove("hidden");
+      } catch (error) {
+        showError(error.message);
+      } finally {
+        hideLoading();
+      }
+    });
+  }
+
+  if (closeSubscriptionModalBtn) {
+    closeSubscriptionModalBtn.addEventListener("click", () => {
+      subscriptionModal.classList.add("hidden");
+    });
+  }
+
+  if (subscriptionModal) {
+    subscriptionModal.addEventListener("click", (event) => {
+      if (event.target === subscriptionModal) {
+        subscriptionModal.classList.add("hidden");
+      }
+    });
+  }
+
+  // Add event listeners for cart modal
+  if (cartBtn) {
+    cartBtn.addEventListener("click", () => {
+      renderCart(cartState);
+      cartModal.classList.remove("hidden");
+    });
+  }
+
+  if (closeCartModalBtn) {
+    closeCartModalBtn.addEventListener("click", () => {
+      cartModal.classList.add("hidden");
+    });
+  }
+
+  if (checkoutBtn) {
+    checkoutBtn.addEventListener("click", handleCheckout);
+  }
+
+  if (applyCouponBtn) {
+    applyCouponBtn.addEventListener("click", handleApplyCoupon);
+  }
+
+  if (invoiceTypeSelect) {
+    invoiceTypeSelect.addEventListener("change", updateInvoiceFields);
+  }
+
+  if (cartModal) {
+    cartModal.addEventListener("click", (event) => {
+      if (event.target === cartModal) {
+        cartModal.classList.add("hidden");
+      }
+    });
+  }
+
   if (closeOrderModalBtn) {
     closeOrderModalBtn.addEventListener("click", () => {
       orderHistoryModal.classList.add("hidden");
     });
   }
   
+  if (orderDetailModal) {
+    closeOrderDetailModalBtn.addEventListener("click", () => {
+      orderDetailModal.classList.add("hidden");
+    });
+    backToOrdersBtn.addEventListener("click", () => {
+      orderDetailModal.classList.add("hidden");
+      orderHistoryModal.classList.remove("hidden");
+    });
+    payAgainBtn.addEventListener("click", handlePayAgain);
+    orderDetailModal.addEventListener("click", (event) => {
+      if (event.target === orderDetailModal) {
+        orderDetailModal.classList.add("hidden");
+      }
+    });
+  }
+
   // Close modal if user clicks outside the content area
   if (orderHistoryModal) {
     orderHistoryModal.addEventListener("click", (event) => {
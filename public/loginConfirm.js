@@ -0,0 +1,55 @@
+// Email 登入連結的確認頁：按下確認後才以 POST 使用連結中的權杖 (避免信箱的連結掃描器先把連結用掉)
+document.addEventListener("DOMContentLoaded", () => {
+  const errorEl = document.getElementById("error-message");
+  const form = document.getElementById("login-confirm-form");
+  const confirmBtn = document.getElementById("login-confirm-btn");
+  const token = new URLSearchParams(window.location.search).get("token") || "";
+
+  let csrfToken = "";
+
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.classList.add("show");
+  };
+  const clearError = () => errorEl.classList.remove("show");
+
+  const init = async () => {
+    try {
+      const res = await fetch("/csrf-token");
+      if (!res.ok) throw new Error("Failed to load CSRF token");
+      csrfToken = (await res.json()).csrfToken;
+    } catch (error) {
+      console.error("Failed to initialize login confirm page:", error);
+      showError("頁面載入失敗，請重新整理頁面。");
+      confirmBtn.disabled = true;
+      return;
+    }
+    if (!token) {
+      showError("登入連結不完整，請重新取得登入連結。");
+      confirmBtn.disabled = true;
+    }
+  };
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    clearError();
+    confirmBtn.disabled = true;
+    try {
+      const res = await fetch("/auth/email/callback", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-CSRF-Token": csrfToken },
+        body: JSON.stringify({ token }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || "登入失敗");
+      }
+      window.location.replace("/");
+    } catch (error) {
+      showError(error.message);
+      confirmBtn.disabled = false;
+    }
+  });
+
+  init();
+});
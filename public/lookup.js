@@ -0,0 +1,130 @@
+// 訪客查詢訂單：以 email 取得驗證碼，驗證後列出該 email 的訂單
+document.addEventListener("DOMContentLoaded", () => {
+  const errorEl = document.getElementById("error-message");
+  const emailForm = document.getElementById("lookup-email-form");
+  const emailInput = document.getElementById("lookup-email");
+  const sendCodeBtn = document.getElementById("send-code-btn");
+  const codeForm = document.getElementById("lookup-code-form");
+  const codeInput = document.getElementById("lookup-code");
+  const verifyCodeBtn = document.getElementById("verify-code-btn");
+  const messageEl = document.getElementById("lookup-message");
+  const resultEl = document.getElementById("lookup-result");
+  const orderBody = document.getElementById("lookup-order-body");
+  const noOrdersMessage = document.getElementById("lookup-no-orders");
+
+  let csrfToken = "";
+  let clientConfig = {};
+
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.classList.add("show");
+  };
+  const clearError = () => errorEl.classList.remove("show");
+  const showMessage = (message) => {
+    messageEl.textContent = message;
+    messageEl.classList.toggle("hidden", !message);
+  };
+
+  const postJson = async (url, payload) => {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-CSRF-Token": csrfToken },
+      body: JSON.stringify(payload),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.details ? data.details.join("、") : data.error || "查詢失敗");
+    }
+    return data;
+  };
+
+  // 發票欄：已開立顯示發票號碼，付款後尚未開好的顯示處理中
+  const formatInvoice = (invoice) => {
+    if (!invoice) return "-";
+    if (invoice.number) return invoice.number;
+    return invoice.status === "failed" ? "處理中" : "-";
+  };
+
+  const renderOrders = (orders) => {
+    orderBody.innerHTML = "";
+    noOrdersMessage.classList.toggle("hidden", orders.length > 0);
+    orders.forEach((order) => {
+      const row = document.createElement("tr");
+      const formattedDate = new Date(order.createdAt).toLocaleString("zh-TW", {
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+      // 商品名稱等欄位來自訂單資料，不可信任，以 textContent 填入
+      [order.tradeNo, formattedDate, order.productName || "N/A", order.tradeAmt, order.status, formatInvoice(order.invoice)].forEach((value) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      orderBody.appendChild(row);
+    });
+    resultEl.classList.remove("hidden");
+  };
+
+  const init = async () => {
+    try {
+      const [csrfRes, configRes] = await Promise.all([fetch("/csrf-token"), fetch("/api/client-config")]);
+      if (!csrfRes.ok || !configRes.ok) throw new Error("Failed to load page config");
+      csrfToken = (await csrfRes.json()).csrfToken;
+      clientConfig = await configRes.json();
+    } catch (error) {
+      console.error("Failed to initialize lookup page:", error);
+      showError("頁面載入失敗，請重新整理頁面。");
+      return;
+    }
+    if (!clientConfig.guestCheckoutEnabled) {
+      showError("目前未開放訪客查詢訂單，請登入後到「我的訂單」查看。");
+      sendCodeBtn.disabled = true;
+    }
+  };
+
+  emailForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    clearError();
+    const turnstileToken = window.turnstile ? turnstile.getResponse() : undefined;
+    if (clientConfig.turnstileEnable && !turnstileToken) {
+      showError("請完成人機驗證");
+      return;
+    }
+
+    sendCodeBtn.disabled = true;
+    try {
+      const data = await postJson("/api/guest-orders/code", { email: emailInput.value.trim(), turnstileToken });
+      showMessage(data.message);
+      codeForm.classList.remove("hidden");
+      codeInput.focus();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      // Turnstile token 只能使用一次，重新取得驗證碼前需重新驗證
+      if (window.turnstile) turnstile.reset();
+      sendCodeBtn.disabled = false;
+    }
+  });
+
+  codeForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    clearError();
+    verifyCodeBtn.disabled = true;
+    try {
+      const data = await postJson("/api/guest-orders", { email: emailInput.value.trim(), code: codeInput.value.trim() });
+      showMessage("");
+      codeForm.classList.add("hidden");
+      codeInput.value = "";
+      renderOrders(data.orders);
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      verifyCodeBtn.disabled = false;
+    }
+  });
+
+  init();
+});
@@ -8,6 +8,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     const detailsContainer = document.getElementById("details-container");
 
     const successIcon = `<svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"></path></svg>`;
+    const pendingIcon = `<svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm.5 5v5.25l4.5 2.67-.75 1.23L11 13V7h1.5z"></path></svg>`;
     const failIcon = `<svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"></path></svg>`;
 
     function displayError(title, message) {
@@ -43,8 +44,43 @@ document.addEventListener("DOMContentLoaded", async () => {
             document.getElementById("trade-seq").textContent = data.tradeSeq;
             document.getElementById("trade-amt").textContent = `${data.tradeAmt} TWD`;
             document.getElementById("pay-time").textContent = new Date(data.payTime).toLocaleString();
+            // 信用卡付款時顯示卡號末四碼、發卡銀行與分期資訊
+            const card = data.cardInfo;
+            if (card) {
+                document.getElementById("card").textContent = `${card.bank ? `${card.bank} ` : ""}末四碼 ${card.card4No}`;
+                document.getElementById("card-item").classList.remove("hidden");
+            }
+            if (card && card.installment) {
+                const amounts = card.eachAmt !== undefined ? ` (首期 ${card.firstAmt} TWD，之後每期 ${card.eachAmt} TWD)` : "";
+                document.getElementById("installment").textContent = `${card.installment} 期${amounts}`;
+                document.getElementById("installment-item").classList.remove("hidden");
+            }
 
             detailsContainer.classList.remove("hidden");
+        } else if (data.status === "pending" && data.paymentInfo) {
+            // ATM / 超商代碼已取號，等待顧客繳費
+            const info = data.paymentInfo;
+            const isAtm = info.payType === "ATM";
+            document.body.classList.add("pending");
+            iconContainer.innerHTML = pendingIcon;
+            titleEl.textContent = "等待繳費";
+            messageEl.textContent = isAtm ? "請於期限內透過 ATM 或網路銀行轉帳至以下帳號。" : "請於期限內至超商使用以下代碼繳費。";
+
+            document.getElementById("pending-trade-no").textContent = data.tradeNo;
+            document.getElementById("pending-trade-amt").textContent = `${data.tradeAmt} TWD`;
+            document.getElementById("pay-no-label").textContent = isAtm ? "轉帳帳號:" : "繳費代碼:";
+            document.getElementById("pay-no").textContent = info.payNo;
+            document.getElementById("expire-date").textContent = info.expireDate || "-";
+            if (info.bankType) {
+                document.getElementById("bank-type").textContent = info.bankType;
+                document.getElementById("bank-type-item").classList.remove("hidden");
+            }
+            if (info.store) {
+                document.getElementById("store").textContent = info.store;
+                document.getElementById("store-item").classList.remove("hidden");
+            }
+
+            document.getElementById("payment-instructions").classList.remove("hidden");
         } else {
             displayError("支付失敗", data.message || "發生未知錯誤，請聯繫客服。");
         }
@@ -0,0 +1,72 @@
+const path = require("path");
+const crypto = require("crypto");
+const { createJsonStore } = require("../utils/jsonStore");
+
+const DEFAULT_ACCOUNT_STORE_PATH = path.join(__dirname, "..", "storage", "accounts.json");
+
+// email 寫入帳號、訂單與優惠券使用紀錄前，以及比對時都先正規化
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+/**
+ * 顧客帳號：一個帳號可以綁定多個登入方式 (identities)，以已驗證的 email 連結 (不分大小寫)
+ * 帳號的 email 一律存成 normalizeEmail() 的結果 (去除空白、轉小寫)，訂單以此 email 查詢 (/api/my-orders)
+ * 帳號編號沿用第一次登入時的 Google sub (與既有訂單、訂閱的 userGoogleId 相同)，其他登入方式建立的帳號使用隨機編號
+ * @param {object} [options]
+ * @param {string} [options.filePath] - 帳號檔案路徑
+ */
+function createAccountRepository({ filePath = DEFAULT_ACCOUNT_STORE_PATH } = {}) {
+  const store = createJsonStore(filePath, { accounts: [] });
+
+  const hasIdentity = (account, provider, subject) => account.identities.some((identity) => identity.provider === provider && identity.subject === subject);
+
+  return {
+    /**
+     * 以登入方式回傳的身分取得帳號：先找已綁定的身分，再以 email 連結既有帳號，都沒有時建立新帳號
+     * 同一個身分同時登入時在同一次寫入中處理，不會建立重複的帳號
+     * @param {{ provider: string, subject: string, email: string, name?: string, picture?: string }} identity - email 必須已經驗證
+     * @returns {Promise<{ account: object, created: boolean, linked: boolean }>}
+     */
+    async signIn({ provider, subject, email, name, picture }) {
+      return store.update((data) => {
+        const now = new Date().toISOString();
+        let account = data.accounts.find((candidate) => hasIdentity(candidate, provider, subject));
+        let created = false;
+        let linked = false;
+
+        if (!account) {
+          account = data.accounts.find((candidate) => normalizeEmail(candidate.email) === normalizeEmail(email));
+          if (account) {
+            account.identities.push({ provider, subject, linkedAt: now });
+            linked = true;
+          } else {
+            account = {
+              id: provider === "google" ? subject : `u${crypto.randomBytes(8).toString("hex")}`,
+              email: normalizeEmail(email),
+              name: name || normalizeEmail(email).split("@")[0],
+              picture: picture || "",
+              identities: [{ provider, subject, linkedAt: now }],
+              createdAt: now,
+            };
+            data.accounts.push(account);
+            created = true;
+          }
+        }
+
+        // 正規化之前建立的帳號保留了原本的大小寫
+        account.email = normalizeEmail(account.email);
+        // Email 登入連結沒有名稱與頭像，不覆寫其他登入方式提供的資料
+        if (name) {
+          account.name = name;
+        }
+        if (picture) {
+          account.picture = picture;
+        }
+        account.lastLoginAt = now;
+        account.lastProvider = provider;
+        return { account, created, linked };
+      });
+    },
+  };
+}
+
+module.exports = { createAccountRepository, normalizeEmail };
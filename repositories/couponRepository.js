@@ -0,0 +1,131 @@
+const path = require("path");
+const { createJsonStore } = require("../utils/jsonStore");
+const { normalizeEmail } = require("./accountRepository");
+
+const DEFAULT_COUPON_STORE_PATH = path.join(__dirname, "..", "storage", "coupons.json");
+
+/**
+ * 優惠券與使用紀錄
+ * 使用次數的流程與商品庫存相同：建立訂單時 reserve() 佔用 → 付款成功 commit() → 失敗或逾期 release() 歸還
+ * 佔用中的次數也會計入上限，避免同時建立多筆訂單超用
+ * @param {object} [options]
+ * @param {string} [options.filePath] - 優惠券檔案路徑
+ */
+function createCouponRepository({ filePath = DEFAULT_COUPON_STORE_PATH } = {}) {
+  const store = createJsonStore(filePath, { coupons: [], redemptions: {} });
+
+  function findCoupon(data, code) {
+    return data.coupons.find((coupon) => coupon.code === code);
+  }
+
+  function usageOf(data, code, email) {
+    const redemptions = Object.values(data.redemptions).filter((redemption) => redemption.code === code);
+    return {
+      total: redemptions.length,
+      byUser: redemptions.filter((redemption) => normalizeEmail(redemption.email) === normalizeEmail(email)).length,
+    };
+  }
+
+  return {
+    async listCoupons() {
+      const data = await store.read();
+      return data.coupons.map((coupon) => ({ ...coupon, used: usageOf(data, coupon.code).total }));
+    },
+
+    async getCoupon(code) {
+      const data = await store.read();
+      return findCoupon(data, code) || null;
+    },
+
+    /** 查詢優惠券與指定帳號的使用次數，供價格試算使用 */
+    async getCouponWithUsage(code, email) {
+      const data = await store.read();
+      const coupon = findCoupon(data, code);
+      return coupon ? { coupon, usage: usageOf(data, code, email) } : null;
+    },
+
+    async createCoupon(coupon) {
+      return store.update((data) => {
+        if (findCoupon(data, coupon.code)) {
+          throw new Error(`優惠碼重複: ${coupon.code}`);
+        }
+        const created = { active: true, ...coupon, createdAt: new Date().toISOString() };
+        data.coupons.push(created);
+        return created;
+      });
+    },
+
+    /** 更新優惠券，回傳更新後的優惠券；找不到時回傳 null */
+    async updateCoupon(code, changes) {
+      return store.update((data) => {
+        const coupon = findCoupon(data, code);
+        if (!coupon) {
+          return null;
+        }
+        const { code: ignoredCode, createdAt, ...allowed } = changes;
+        Object.assign(coupon, allowed);
+        return coupon;
+      });
+    },
+
+    /** 刪除優惠券，使用紀錄保留 */
+    async deleteCoupon(code) {
+      return store.update((data) => {
+        const before = data.coupons.length;
+        data.coupons = data.coupons.filter((coupon) => coupon.code !== code);
+        return data.coupons.length < before;
+      });
+    },
+
+    /**
+     * 為訂單佔用一次優惠券使用次數
+     * 檢查與佔用在同一次寫入中完成，apply 丟出錯誤時不會佔用
+     * @param {string} tradeNo - 訂單編號
+     * @param {{ code: string, email: string }} redemption
+     * @param {(coupon: object|null, usage: { total: number, byUser: number }) => object} apply - 計算折扣 (services/coupon.js 的 applyCoupon)
+     * @returns {Promise<object>} apply 的回傳值
+     */
+    async reserve(tradeNo, { code, email }, apply) {
+      return store.update((data) => {
+        const result = apply(findCoupon(data, code) || null, usageOf(data, code, email));
+        data.redemptions[tradeNo] = { code, email, status: "reserved", reservedAt: new Date().toISOString() };
+        return result;
+      });
+    },
+
+    /**
+     * 付款成功，確認使用；已被釋放 (例如逾期後才付款) 時以 fallback 補記
+     * @returns {Promise<boolean>} 是否有變更
+     */
+    async commit(tradeNo, fallback) {
+      return store.update((data) => {
+        const redemption = data.redemptions[tradeNo];
+        if (redemption && redemption.status === "used") {
+          return false;
+        }
+        if (!redemption && !(fallback && fallback.code)) {
+          return false;
+        }
+        data.redemptions[tradeNo] = { ...(redemption || fallback), status: "used", usedAt: new Date().toISOString() };
+        return true;
+      });
+    },
+
+    /**
+     * 訂單失敗或逾期，歸還佔用的次數
+     * @returns {Promise<boolean>} 是否有歸還
+     */
+    async release(tradeNo) {
+      return store.update((data) => {
+        const redemption = data.redemptions[tradeNo];
+        if (!redemption || redemption.status === "used") {
+          return false;
+        }
+        delete data.redemptions[tradeNo];
+        return true;
+      });
+    },
+  };
+}
+
+module.exports = { createCouponRepository };
@@ -0,0 +1,40 @@
+const path = require("path");
+const { createJsonStore } = require("../utils/jsonStore");
+
+const DEFAULT_EMAIL_LOG_PATH = path.join(__dirname, "..", "storage", "emails.json");
+
+/**
+ * 寄信記錄：每封交易信件以 訂單編號 + 信件種類 (退款信再加上退款時間) 為鍵記錄一次，
+ * 用來避免重複寄送，並讓管理後台查詢某筆訂單寄過哪些信
+ * @param {object} options
+ * @param {string} [options.filePath] - 記錄檔路徑
+ */
+function createEmailLog({ filePath = DEFAULT_EMAIL_LOG_PATH } = {}) {
+  const store = createJsonStore(filePath, { emails: {} });
+
+  return {
+    /** 取得寄信記錄，不存在時回傳 null */
+    async get(key) {
+      const { emails } = await store.read();
+      return emails[key] || null;
+    },
+
+    /** 寫入或更新寄信記錄 (失敗後重新寄出時會覆寫) */
+    async record(key, entry) {
+      await store.update((data) => {
+        data.emails[key] = { ...entry, updatedAt: new Date().toISOString() };
+      });
+    },
+
+    /** 列出某筆訂單的所有寄信記錄 (依時間排序) */
+    async listByTradeNo(tradeNo) {
+      const { emails } = await store.read();
+      return Object.entries(emails)
+        .filter(([, entry]) => entry.tradeNo === tradeNo)
+        .map(([key, entry]) => ({ key, ...entry }))
+        .sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt));
+    },
+  };
+}
+
+module.exports = { createEmailLog };
@@ -0,0 +1,127 @@
+const { createJsonStore } = require("../utils/jsonStore");
+const { ORDER_STATUS } = require("./orderStatus");
+const { normalizeEmail } = require("./accountRepository");
+
+/**
+ * 以本機 JSON 檔儲存訂單，欄位與 @gas/code.gs 的 Sheet 欄位一一對應
+ * 適合本機開發、離線測試或不想依賴 Google Sheets 的部署
+ * @param {object} options
+ * @param {string} options.filePath - 訂單檔案路徑
+ */
+function createFileOrderRepository({ filePath }) {
+  const store = createJsonStore(filePath, { orders: [] });
+
+  return {
+    name: "file",
+
+    async findPendingOrder({ email, productID }) {
+      const { orders } = await store.read();
+      // 與 GAS 相同，由新到舊找第一筆符合的待支付訂單
+      for (let i = orders.length - 1; i >= 0; i--) {
+        const order = orders[i];
+        if (normalizeEmail(order.email) === normalizeEmail(email) && order.productID === productID && order.status === ORDER_STATUS.PENDING) {
+          return { tradeNo: order.tradeNo, merID: order.merID, tradeAmt: order.tradeAmt, status: order.status, email: order.email, productID: order.productID, payType: order.payType, installment: order.installment || null, paymentInfo: order.paymentInfo, couponCode: order.couponCode || null, invoice: order.invoice || null, createdAt: order.createdAt };
+        }
+      }
+      return null;
+    },
+
+    async getOrder(tradeNo) {
+      const { orders } = await store.read();
+      const order = orders.find((existing) => existing.tradeNo === tradeNo);
+      return order ? { refunds: [], ...order } : null;
+    },
+
+    async createOrder(order) {
+      await store.update((data) => {
+        if (data.orders.some((existing) => existing.tradeNo === order.tradeNo)) {
+          throw new Error(`訂單編號重複: ${order.tradeNo}`);
+        }
+        data.orders.push({
+          ...order,
+          status: ORDER_STATUS.PENDING,
+          createdAt: new Date().toISOString(),
+          completedAt: null,
+          tradeSeq: null,
+          remark: null,
+          paymentInfo: null,
+        });
+      });
+    },
+
+    async updateOrder(tradeNo, { status, tradeSeq, rawData, paymentInfo, cardInfo }) {
+      await store.update((data) => {
+        const order = data.orders.find((existing) => existing.tradeNo === tradeNo);
+        if (!order) {
+          throw new Error(`找不到訂單: ${tradeNo}`);
+        }
+        order.status = status;
+        // ATM / 超商取號通知仍是待支付，不算完成
+        if (status !== ORDER_STATUS.PENDING) {
+          order.completedAt = new Date().toISOString();
+        }
+        if (paymentInfo) {
+          order.paymentInfo = paymentInfo;
+        }
+        if (cardInfo) {
+          order.cardInfo = cardInfo;
+        }
+        if (tradeSeq) {
+          order.tradeSeq = tradeSeq;
+        }
+        order.remark = rawData || null;
+      });
+    },
+
+    async addRefund(tradeNo, refund, status) {
+      await store.update((data) => {
+        const order = data.orders.find((existing) => existing.tradeNo === tradeNo);
+        if (!order) {
+          throw new Error(`找不到訂單: ${tradeNo}`);
+        }
+        order.refunds = [...(order.refunds || []), refund];
+        order.status = status;
+      });
+    },
+
+    async updateInvoice(tradeNo, invoice) {
+      await store.update((data) => {
+        const order = data.orders.find((existing) => existing.tradeNo === tradeNo);
+        if (!order) {
+          throw new Error(`找不到訂單: ${tradeNo}`);
+        }
+        order.invoice = invoice;
+      });
+    },
+
+    async listPendingOrders() {
+      const { orders } = await store.read();
+      return orders
+        .filter((order) => order.status === ORDER_STATUS.PENDING)
+        .map((order) => ({ tradeNo: order.tradeNo, merID: order.merID, tradeAmt: order.tradeAmt, status: order.status, email: order.email, createdAt: order.createdAt, paymentInfo: order.paymentInfo }));
+    },
+
+    async listOrders() {
+      const { orders } = await store.read();
+      // 管理後台不需要金流原始資料
+      return orders.map(({ remark, ...order }) => ({ refunds: [], ...order }));
+    },
+
+    async getOrdersByEmail(email) {
+      const { orders } = await store.read();
+      return orders
+        .filter((order) => normalizeEmail(order.email) === normalizeEmail(email))
+        .map((order) => ({
+          tradeNo: order.tradeNo,
+          tradeAmt: order.tradeAmt,
+          status: order.status,
+          createdAt: order.createdAt,
+          productName: order.productName,
+          invoice: order.invoice || null,
+        }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)); // 依建立時間降冪排序
+    },
+  };
+}
+
+module.exports = { createFileOrderRepository };
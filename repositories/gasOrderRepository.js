@@ -0,0 +1,237 @@
+const { createGasClient, GasUnavailableError } = require("../utils/gasClient");
+const { createGasWriteQueue } = require("./gasWriteQueue");
+const { ORDER_STATUS } = require("./orderStatus");
+const { normalizeEmail } = require("./accountRepository");
+
+// GAS 拒絕寫入時，沒有附上訊息所使用的錯誤說明
+const WRITE_ERRORS = {
+  createOrder: "GAS 建立訂單失敗",
+  updateOrder: "GAS 更新訂單失敗",
+  addRefund: "GAS 記錄退款失敗",
+  updateInvoice: "GAS 更新發票失敗",
+};
+
+// 把尚未送達 GAS 的寫入套用到訂單上，讓讀取結果與寫入一致
+function applyWrite(order, { action, payload, enqueuedAt }) {
+  switch (action) {
+    case "createOrder":
+      return { refunds: [], ...payload, status: ORDER_STATUS.PENDING, createdAt: enqueuedAt, tradeSeq: null, paymentInfo: null };
+    case "updateOrder":
+      if (!order) return order;
+      return { ...order, status: payload.Status, ...(payload.TradeSeq && { tradeSeq: payload.TradeSeq }), ...(payload.PaymentInfo && { paymentInfo: payload.PaymentInfo }), ...(payload.CardInfo && { cardInfo: payload.CardInfo }) };
+    case "addRefund":
+      if (!order) return order;
+      return { ...order, refunds: [...(order.refunds || []), payload.refund], status: payload.status };
+    case "updateInvoice":
+      if (!order) return order;
+      return { ...order, invoice: payload.invoice };
+    default:
+      return order;
+  }
+}
+
+/**
+ * 透過 GAS Webhook 存取訂單
+ * 沿用 `?action=` 協定，對應 @gas/code.gs 的 doPost (@n8n 範本只實作其中一部分動作，不適用)
+ * 寫入先記錄在本機佇列 (storage/gas-queue.json) 再送出，GAS 逾時或無法連線時
+ * 不讓結帳與金流通知失敗，而是留在佇列中由排程依序重送
+ * @param {object} options
+ * @param {string} options.webhookUrl - GAS_WEBHOOK_URL
+ * @param {string} [options.token] - WEBHOOK_TOKEN，以 Cookie 帶給 Webhook 驗證
+ * @param {string} [options.queuePath] - GAS_QUEUE_PATH
+ * @param {number} [options.timeoutMs] - GAS_TIMEOUT_MS
+ * @param {number} [options.retryAttempts] - GAS_RETRY_ATTEMPTS
+ * @param {object} [options.httpClient] - HTTP 用戶端，預設為 axios
+ * @param {object} [options.logger] - winston logger
+ * 其他選項 (retryDelayMs、failureThreshold、cooldownMs) 直接傳給 utils/gasClient.js
+ */
+function createGasOrderRepository({ webhookUrl, token, queuePath, timeoutMs, retryAttempts, httpClient, logger, ...clientOptions }) {
+  const client = createGasClient({ webhookUrl, token, httpClient, logger, timeoutMs, retryAttempts, ...clientOptions });
+  const queue = createGasWriteQueue({ filePath: queuePath });
+  let flushing = null;
+  let timer = null;
+
+  /**
+   * 依序送出佇列中的寫入，GAS 無法連線時停下，保留後續寫入的順序
+   * 同時只會有一個 flush 在執行
+   * @returns {Promise<{ outcomes: Map<string, { success: boolean, message?: string }>, halted: boolean }>}
+   */
+  function flush() {
+    if (!flushing) {
+      flushing = (async () => {
+        const outcomes = new Map();
+        for (const entry of await queue.list()) {
+          let data;
+          try {
+            data = await client.call(entry.action, entry.payload);
+          } catch (error) {
+            await queue.recordAttempt(entry.id, error.message);
+            return { outcomes, halted: true };
+          }
+          if (data.success) {
+            await queue.remove(entry.id);
+            outcomes.set(entry.id, { success: true });
+          } else {
+            const message = data.message || WRITE_ERRORS[entry.action];
+            await queue.markFailed(entry.id, message);
+            outcomes.set(entry.id, { success: false, message });
+            if (logger) {
+              logger.error("GAS rejected queued write", { action: entry.action, tradeNo: entry.tradeNo, message });
+            }
+          }
+        }
+        return { outcomes, halted: false };
+      })().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  }
+
+  /**
+   * 寫入：先排入佇列再送出
+   * GAS 無法連線時保留在佇列中並正常返回；GAS 明確拒絕時丟出錯誤
+   */
+  async function write(action, tradeNo, payload) {
+    const entry = await queue.enqueue({ action, tradeNo, payload });
+    for (;;) {
+      const { outcomes, halted } = await flush();
+      const outcome = outcomes.get(entry.id);
+      if (outcome) {
+        if (!outcome.success) {
+          throw new Error(outcome.message);
+        }
+        return;
+      }
+      if (halted) {
+        if (logger) {
+          logger.warn("GAS unavailable, write queued for retry", { action, tradeNo });
+        }
+        return;
+      }
+      // 執行中的 flush 在這筆寫入加入前就已讀取佇列，再執行一次
+    }
+  }
+
+  /** 套用佇列中同一筆訂單尚未送達的寫入 */
+  async function withPendingWrites(tradeNo, order) {
+    const writes = (await queue.list()).filter((entry) => entry.tradeNo === tradeNo);
+    return writes.reduce(applyWrite, order);
+  }
+
+  return {
+    name: "gas",
+
+    async findPendingOrder({ email, productID }) {
+      const data = await client.call("findOrder", { email: normalizeEmail(email), productID });
+      return data.success && data.order ? data.order : null;
+    },
+
+    async getOrder(tradeNo) {
+      let order;
+      try {
+        const data = await client.call("getOrder", { tradeNo });
+        order = data.success && data.order ? data.order : null;
+      } catch (error) {
+        // GAS 無法連線時，仍可讀到尚在佇列中的新訂單
+        const pending = await withPendingWrites(tradeNo, null);
+        if (pending) {
+          return pending;
+        }
+        throw error;
+      }
+      return withPendingWrites(tradeNo, order);
+    },
+
+    async createOrder(order) {
+      await write("createOrder", order.tradeNo, order);
+    },
+
+    async updateOrder(tradeNo, { status, tradeSeq, rawData, paymentInfo, cardInfo }) {
+      await write("updateOrder", tradeNo, {
+        MerTradeNo: tradeNo,
+        TradeSeq: tradeSeq,
+        Status: status,
+        PaymentInfo: paymentInfo,
+        CardInfo: cardInfo,
+        rawData,
+      });
+    },
+
+    async addRefund(tradeNo, refund, status) {
+      await write("addRefund", tradeNo, { tradeNo, refund, status });
+    },
+
+    async updateInvoice(tradeNo, invoice) {
+      await write("updateInvoice", tradeNo, { tradeNo, invoice });
+    },
+
+    async listPendingOrders() {
+      const data = await client.call("getPendingOrders", {});
+      if (!data.orders) {
+        throw new Error(data.message || "無法從 GAS 獲取待支付訂單");
+      }
+      return data.orders;
+    },
+
+    async listOrders() {
+      const data = await client.call("getAllOrders", {});
+      if (!data.orders) {
+        throw new Error(data.message || "無法從 GAS 獲取訂單列表");
+      }
+      return data.orders;
+    },
+
+    async getOrdersByEmail(email) {
+      const data = await client.call("getMyOrders", { email: normalizeEmail(email) });
+      if (!data.orders) {
+        throw new Error(data.message || "無法從 GAS 獲取訂單");
+      }
+      return data.orders;
+    },
+
+    // 寫入佇列的重送排程與狀態 (只有 GAS 儲存庫有)
+    writeQueue: {
+      /**
+       * 立即重送佇列中的寫入
+       * @returns {Promise<{ sent: number, rejected: number, pending: number }>}
+       */
+      async flush() {
+        const { outcomes } = await flush();
+        const results = [...outcomes.values()];
+        return { sent: results.filter((result) => result.success).length, rejected: results.filter((result) => !result.success).length, pending: (await queue.list()).length };
+      },
+
+      /** 斷路器狀態、待送出與被拒絕的寫入 */
+      async status() {
+        return { ...client.status(), pending: await queue.list(), failed: await queue.listFailed() };
+      },
+
+      /**
+       * 啟動定期重送
+       * @param {number} intervalMs - 執行間隔 (毫秒)
+       */
+      start(intervalMs) {
+        this.stop();
+        timer = setInterval(() => {
+          flush().catch((error) => {
+            if (logger) {
+              logger.error("Scheduled GAS queue flush failed", { message: error.message });
+            }
+          });
+        }, intervalMs);
+        // 不讓排程阻止程序結束
+        timer.unref();
+      },
+
+      stop() {
+        if (timer) {
+          clearInterval(timer);
+          timer = null;
+        }
+      },
+    },
+  };
+}
+
+module.exports = { createGasOrderRepository, GasUnavailableError };
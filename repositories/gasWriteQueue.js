@@ -0,0 +1,75 @@
+const path = require("path");
+const crypto = require("crypto");
+const { createJsonStore } = require("../utils/jsonStore");
+
+const DEFAULT_QUEUE_PATH = path.join(__dirname, "..", "storage", "gas-queue.json");
+
+/**
+ * GAS 寫入佇列 (write-ahead)：寫入 GAS 前先記錄在本機檔案，送達後才移除
+ * GAS 無法連線時，寫入留在佇列中依原順序重送，重新啟動也不會遺失
+ * GAS 明確拒絕 (success: false) 的寫入移到 failed，保留供人工處理
+ * @param {object} options
+ * @param {string} [options.filePath] - 佇列檔案路徑
+ */
+function createGasWriteQueue({ filePath = DEFAULT_QUEUE_PATH } = {}) {
+  const store = createJsonStore(filePath, { writes: [], failed: [] });
+
+  return {
+    /**
+     * 加入一筆寫入
+     * @param {{ action: string, tradeNo: string, payload: object }} write
+     * @returns {Promise<object>} 含 id 的佇列項目
+     */
+    async enqueue({ action, tradeNo, payload }) {
+      const entry = { id: crypto.randomUUID(), action, tradeNo, payload, attempts: 0, enqueuedAt: new Date().toISOString() };
+      await store.update((data) => {
+        data.writes.push(entry);
+      });
+      return entry;
+    },
+
+    /** 依加入順序列出待送出的寫入 */
+    async list() {
+      const { writes } = await store.read();
+      return writes;
+    },
+
+    /** 列出被 GAS 拒絕的寫入 */
+    async listFailed() {
+      const { failed } = await store.read();
+      return failed;
+    },
+
+    /** 送達後移除 */
+    async remove(id) {
+      await store.update((data) => {
+        data.writes = data.writes.filter((entry) => entry.id !== id);
+      });
+    },
+
+    /** 記錄一次送出失敗 */
+    async recordAttempt(id, error) {
+      await store.update((data) => {
+        const entry = data.writes.find((write) => write.id === id);
+        if (entry) {
+          entry.attempts++;
+          entry.lastError = error;
+          entry.lastAttemptAt = new Date().toISOString();
+        }
+      });
+    },
+
+    /** 被 GAS 拒絕的寫入移到 failed */
+    async markFailed(id, error) {
+      await store.update((data) => {
+        const entry = data.writes.find((write) => write.id === id);
+        if (entry) {
+          data.writes = data.writes.filter((write) => write.id !== id);
+          data.failed.push({ ...entry, lastError: error, failedAt: new Date().toISOString() });
+        }
+      });
+    },
+  };
+}
+
+module.exports = { createGasWriteQueue };
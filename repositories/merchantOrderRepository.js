@@ -0,0 +1,123 @@
+/**
+ * 依商店分開儲存訂單：每個商店的訂單寫入自己的儲存庫 (例如各自的 GAS 訂單 Sheet)
+ * 實作 repositories/orderRepository.js 的訂單儲存庫介面
+ * - createOrder 依訂單的 merID 寫入，findPendingOrder 依查詢的 merID 讀取
+ * - 以 tradeNo 讀寫的方法依序在各儲存庫找到訂單後再處理，都找不到時交給預設商店的儲存庫
+ * - 列表方法合併所有儲存庫的結果
+ * @param {object} options
+ * @param {{ id: string, merIDs: string[], repository: object }[]} options.stores - 各商店的儲存庫，第一個為預設商店 (未對應到 merID 的訂單)
+ */
+function createMerchantOrderRepository({ stores }) {
+  const defaultStore = stores[0];
+
+  function storeForMerID(merID) {
+    return stores.find((store) => store.merIDs.includes(merID)) || defaultStore;
+  }
+
+  /**
+   * 找出存有這筆訂單的儲存庫
+   * 某個儲存庫讀取失敗時繼續找其他儲存庫，都找不到才丟出該錯誤
+   * @returns {Promise<{ store: object, order: object|null }>}
+   */
+  async function locate(tradeNo) {
+    let failure = null;
+    for (const store of stores) {
+      try {
+        const order = await store.repository.getOrder(tradeNo);
+        if (order) {
+          return { store, order };
+        }
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+    if (failure) {
+      throw failure;
+    }
+    return { store: defaultStore, order: null };
+  }
+
+  async function concat(method, ...args) {
+    const results = [];
+    for (const store of stores) {
+      results.push(...(await store.repository[method](...args)));
+    }
+    return results;
+  }
+
+  const queues = stores.filter((store) => store.repository.writeQueue);
+
+  return {
+    name: defaultStore.repository.name,
+
+    async findPendingOrder({ email, productID, merID }) {
+      return storeForMerID(merID).repository.findPendingOrder({ email, productID, merID });
+    },
+
+    async getOrder(tradeNo) {
+      return (await locate(tradeNo)).order;
+    },
+
+    async createOrder(order) {
+      await storeForMerID(order.merID).repository.createOrder(order);
+    },
+
+    async updateOrder(tradeNo, changes) {
+      await (await locate(tradeNo)).store.repository.updateOrder(tradeNo, changes);
+    },
+
+    async addRefund(tradeNo, refund, status) {
+      await (await locate(tradeNo)).store.repository.addRefund(tradeNo, refund, status);
+    },
+
+    async updateInvoice(tradeNo, invoice) {
+      await (await locate(tradeNo)).store.repository.updateInvoice(tradeNo, invoice);
+    },
+
+    listPendingOrders: () => concat("listPendingOrders"),
+    listOrders: () => concat("listOrders"),
+    getOrdersByEmail: (email) => concat("getOrdersByEmail", email),
+
+    // 各商店 GAS 寫入佇列的合計 (沒有任何佇列時不提供)
+    writeQueue:
+      queues.length === 0
+        ? undefined
+        : {
+            async flush() {
+              const totals = { sent: 0, rejected: 0, pending: 0 };
+              for (const store of queues) {
+                const result = await store.repository.writeQueue.flush();
+                Object.keys(totals).forEach((key) => {
+                  totals[key] += result[key];
+                });
+              }
+              return totals;
+            },
+
+            /** 預設商店的斷路器狀態、所有商店待送出與被拒絕的寫入，merchants 列出各商店的狀態 */
+            async status() {
+              const statuses = [];
+              for (const store of queues) {
+                statuses.push({ id: store.id, ...(await store.repository.writeQueue.status()) });
+              }
+              const { id: ignoredId, ...primary } = statuses[0];
+              return {
+                ...primary,
+                pending: statuses.flatMap((status) => status.pending),
+                failed: statuses.flatMap((status) => status.failed),
+                merchants: statuses,
+              };
+            },
+
+            start(intervalMs) {
+              queues.forEach((store) => store.repository.writeQueue.start(intervalMs));
+            },
+
+            stop() {
+              queues.forEach((store) => store.repository.writeQueue.stop());
+            },
+          },
+  };
+}
+
+module.exports = { createMerchantOrderRepository };
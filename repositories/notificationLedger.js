@@ -0,0 +1,55 @@
+const path = require("path");
+const { createJsonStore } = require("../utils/jsonStore");
+
+const DEFAULT_LEDGER_PATH = path.join(__dirname, "..", "storage", "notifications.json");
+
+/**
+ * PAYUNi 通知帳本：每一則驗證通過的 Notify 都會以
+ * MerTradeNo + TradeNo + 狀態 為鍵記錄一次，用來辨識重送與重放的通知
+ * @param {object} options
+ * @param {string} [options.filePath] - 帳本檔案路徑
+ */
+function createNotificationLedger({ filePath = DEFAULT_LEDGER_PATH } = {}) {
+  const store = createJsonStore(filePath, { notifications: {} });
+
+  return {
+    /**
+     * 產生通知的唯一鍵
+     * @param {{ tradeNo: string, tradeSeq?: string, status: string }} notification
+     */
+    keyOf({ tradeNo, tradeSeq, status }) {
+      return `${tradeNo}:${tradeSeq || "-"}:${status}`;
+    },
+
+    /** 取得已記錄的通知，不存在時回傳 null */
+    async get(key) {
+      const { notifications } = await store.read();
+      return notifications[key] || null;
+    },
+
+    /**
+     * 記錄一則通知；鍵已存在時不覆寫
+     * @returns {Promise<boolean>} 是否為新記錄
+     */
+    async record(key, entry) {
+      return store.update((data) => {
+        if (data.notifications[key]) {
+          return false;
+        }
+        data.notifications[key] = { ...entry, receivedAt: new Date().toISOString() };
+        return true;
+      });
+    },
+
+    /** 列出某筆訂單收到過的所有通知 (依收到時間排序) */
+    async listByTradeNo(tradeNo) {
+      const { notifications } = await store.read();
+      return Object.entries(notifications)
+        .filter(([, entry]) => entry.tradeNo === tradeNo)
+        .map(([key, entry]) => ({ key, ...entry }))
+        .sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt));
+    },
+  };
+}
+
+module.exports = { createNotificationLedger };
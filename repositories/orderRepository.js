@@ -0,0 +1,84 @@
+const path = require("path");
+const { createGasOrderRepository } = require("./gasOrderRepository");
+const { createFileOrderRepository } = require("./fileOrderRepository");
+const { createMerchantOrderRepository } = require("./merchantOrderRepository");
+
+/**
+ * 訂單儲存庫介面 (所有 adapter 都實作以下非同步方法，失敗時丟出 Error)
+ *
+ * - findPendingOrder({ email, productID, merID }) => order | null (merID 只用來選擇商店的儲存庫，回傳的訂單仍需比對 merID)
+ * - getOrder(tradeNo) => order (含 refunds 陣列) | null
+ * - createOrder(order) => void
+ * - updateOrder(tradeNo, { status, tradeSeq, rawData, paymentInfo, cardInfo }) => void (cardInfo 為信用卡末四碼、發卡銀行與分期資訊)
+ * - addRefund(tradeNo, refund, status) => void (記錄一筆退款並更新訂單狀態)
+ * - updateInvoice(tradeNo, invoice) => void (寫入電子發票的開立結果)
+ * - listPendingOrders() => order[]
+ * - listOrders() => order[] (所有訂單，供管理後台使用)
+ * - getOrdersByEmail(email) => order[]
+ */
+
+const DEFAULT_ORDER_STORE_PATH = path.join(__dirname, "..", "storage", "orders.json");
+const DEFAULT_GAS_QUEUE_PATH = path.join(__dirname, "..", "storage", "gas-queue.json");
+
+// 各商店 GAS 寫入佇列的檔案，例如 gas-queue.json 對應 gas-queue-camp.json
+function merchantQueuePath(gasQueuePath, merchantId) {
+  const { dir, name, ext } = path.parse(gasQueuePath || DEFAULT_GAS_QUEUE_PATH);
+  return path.join(dir, `${name}-${merchantId}${ext}`);
+}
+
+/**
+ * 有商店設定自己的訂單 Sheet 時，依商店分開儲存 (沒有設定的商店與預設商店共用 GAS_WEBHOOK_URL)
+ * 每個 Sheet 有自己的寫入佇列檔案
+ */
+function createMerchantGasRepositories({ merchants, gasWebhookUrl, webhookToken, gasQueuePath, gasTimeoutMs, gasRetryAttempts, logger }) {
+  const stores = [];
+  merchants.forEach(({ id, merID, gasWebhookUrl: merchantUrl }) => {
+    const webhookUrl = merchantUrl || gasWebhookUrl;
+    const existing = stores.find((store) => store.webhookUrl === webhookUrl);
+    if (existing) {
+      existing.merIDs.push(merID);
+      return;
+    }
+    const queuePath = stores.length === 0 ? gasQueuePath : merchantQueuePath(gasQueuePath, id);
+    stores.push({ id, webhookUrl, merIDs: [merID], repository: createGasOrderRepository({ webhookUrl, token: webhookToken, queuePath, timeoutMs: gasTimeoutMs, retryAttempts: gasRetryAttempts, logger }) });
+  });
+  return createMerchantOrderRepository({ stores });
+}
+
+/**
+ * 依設定選擇訂單儲存方式 (對應 config/index.js 的 orderStore)
+ * - store=gas：呼叫 GAS_WEBHOOK_URL (部署 @gas/code.gs 的 Google Apps Script)
+ * - store=file：寫入本機 JSON 檔 (ORDER_STORE_PATH)
+ * 未指定時，有設定 GAS_WEBHOOK_URL 就用 gas，否則用 file
+ * store=gas 且有商店設定 PAYUNI_<代碼>_GAS_WEBHOOK_URL 時，該商店的訂單寫入自己的 Sheet
+ * @param {object} options
+ * @param {string} [options.store] - ORDER_STORE
+ * @param {string} [options.gasWebhookUrl] - GAS_WEBHOOK_URL
+ * @param {string} [options.webhookToken] - WEBHOOK_TOKEN
+ * @param {string} [options.filePath] - ORDER_STORE_PATH
+ * @param {string} [options.gasQueuePath] - GAS_QUEUE_PATH
+ * @param {number} [options.gasTimeoutMs] - GAS_TIMEOUT_MS
+ * @param {number} [options.gasRetryAttempts] - GAS_RETRY_ATTEMPTS
+ * @param {import("../config").MerchantConfig[]} [options.merchants] - config.merchants，決定各商店的訂單 Sheet
+ * @param {object} [options.logger] - winston logger
+ */
+function createOrderRepository({ store, gasWebhookUrl, webhookToken, filePath, gasQueuePath, gasTimeoutMs, gasRetryAttempts, merchants = [], logger } = {}) {
+  const selected = store || (gasWebhookUrl ? "gas" : "file");
+
+  switch (selected) {
+    case "gas":
+      if (!gasWebhookUrl) {
+        throw new Error("ORDER_STORE=gas 需要設定 GAS_WEBHOOK_URL");
+      }
+      if (merchants.some((merchant) => merchant.gasWebhookUrl && merchant.gasWebhookUrl !== gasWebhookUrl)) {
+        return createMerchantGasRepositories({ merchants, gasWebhookUrl, webhookToken, gasQueuePath, gasTimeoutMs, gasRetryAttempts, logger });
+      }
+      return createGasOrderRepository({ webhookUrl: gasWebhookUrl, token: webhookToken, queuePath: gasQueuePath, timeoutMs: gasTimeoutMs, retryAttempts: gasRetryAttempts, logger });
+    case "file":
+      return createFileOrderRepository({ filePath: filePath || DEFAULT_ORDER_STORE_PATH });
+    default:
+      throw new Error(`不支援的 ORDER_STORE: ${selected}`);
+  }
+}
+
+module.exports = { createOrderRepository };
@@ -0,0 +1,31 @@
+// 訂單狀態，與 Google Sheet「訂單狀態」欄位使用相同的文字
+const ORDER_STATUS = {
+  PENDING: "待支付",
+  PAID: "已完成",
+  FAILED: "已失敗",
+  CANCELLED: "已取消",
+  PARTIALLY_REFUNDED: "部分退款",
+  REFUNDED: "已退款",
+};
+
+// 允許的狀態轉換：金流通知只能讓訂單往前走，例如已完成的訂單不能再被改成已失敗
+// 待支付 → 待支付 是 ATM / 超商取號後補上繳費資訊；已失敗 → 已完成 是顧客重新付款成功
+const ALLOWED_TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.PENDING, ORDER_STATUS.PAID, ORDER_STATUS.FAILED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.FAILED]: [ORDER_STATUS.PENDING, ORDER_STATUS.PAID, ORDER_STATUS.FAILED],
+  [ORDER_STATUS.CANCELLED]: [ORDER_STATUS.PAID],
+  [ORDER_STATUS.PAID]: [ORDER_STATUS.PARTIALLY_REFUNDED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.PARTIALLY_REFUNDED]: [ORDER_STATUS.PARTIALLY_REFUNDED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.REFUNDED]: [],
+};
+
+/**
+ * 判斷訂單能否從 from 狀態轉換為 to 狀態
+ * 不認得的舊狀態 (例如早期直接寫入的 "SUCCESS") 一律放行，避免卡住既有訂單
+ */
+function canTransition(from, to) {
+  const allowed = ALLOWED_TRANSITIONS[from];
+  return allowed ? allowed.includes(to) : true;
+}
+
+module.exports = { ORDER_STATUS, canTransition };
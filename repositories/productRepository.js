@@ -0,0 +1,201 @@
+const path = require("path");
+const { createJsonStore } = require("../utils/jsonStore");
+const seedProducts = require("../data/products");
+
+const DEFAULT_PRODUCT_STORE_PATH = path.join(__dirname, "..", "storage", "products.json");
+
+/**
+ * 商品操作錯誤，statusCode 對應回傳給管理 API 的 HTTP 狀態碼
+ */
+class ProductError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ProductError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 庫存不足時丟出，productID 為第一個不足的商品
+ */
+class OutOfStockError extends ProductError {
+  constructor(productID) {
+    super(`商品庫存不足: ${productID}`, 409);
+    this.name = "OutOfStockError";
+    this.productID = productID;
+  }
+}
+
+// 可售數量；stock 為 null 代表不追蹤庫存
+function availableOf(product) {
+  return product.stock === null || product.stock === undefined ? null : Math.max(product.stock - (product.reserved || 0), 0);
+}
+
+/**
+ * 商品目錄與庫存
+ * 第一次啟動時以 data/products.js 作為初始資料，之後的新增與修改都寫入 PRODUCT_STORE_PATH
+ *
+ * 庫存流程：建立訂單時 reserve() 保留 → 付款成功 commit() 扣除 → 失敗或逾期 release() 釋放
+ * 每筆訂單的保留明細記在 reservations 中，同一筆訂單重複呼叫不會重複扣減
+ * @param {object} [options]
+ * @param {string} [options.filePath] - 商品檔案路徑
+ */
+function createProductRepository({ filePath = DEFAULT_PRODUCT_STORE_PATH } = {}) {
+  const store = createJsonStore(filePath, {
+    products: seedProducts.map((product) => ({ stock: null, active: true, ...product, reserved: 0 })),
+    reservations: {},
+  });
+
+  function findProduct(data, id) {
+    return data.products.find((product) => product.id === id);
+  }
+
+  // 把同一商品的多筆明細合併
+  function sumQuantities(items) {
+    const quantities = {};
+    items.forEach(({ productID, quantity }) => {
+      quantities[productID] = (quantities[productID] || 0) + quantity;
+    });
+    return quantities;
+  }
+
+  return {
+    /**
+     * 列出商品
+     * @param {object} [options]
+     * @param {boolean} [options.includeInactive] - 是否包含已下架商品
+     */
+    async listProducts({ includeInactive = false } = {}) {
+      const { products } = await store.read();
+      return products
+        .filter((product) => includeInactive || product.active !== false)
+        .map((product) => {
+          const available = availableOf(product);
+          return { ...product, available, soldOut: available === 0 };
+        });
+    },
+
+    async getProduct(id) {
+      const data = await store.read();
+      return findProduct(data, id) || null;
+    },
+
+    async createProduct(product) {
+      return store.update((data) => {
+        if (findProduct(data, product.id)) {
+          throw new ProductError(`商品 ID 重複: ${product.id}`, 409);
+        }
+        const created = { stock: null, active: true, ...product, reserved: 0 };
+        data.products.push(created);
+        return created;
+      });
+    },
+
+    /** 更新商品，回傳更新後的商品；找不到時回傳 null */
+    async updateProduct(id, changes) {
+      return store.update((data) => {
+        const product = findProduct(data, id);
+        if (!product) {
+          return null;
+        }
+        // id 與保留數量不允許直接修改
+        const { id: ignoredId, reserved, ...allowed } = changes;
+        Object.assign(product, allowed);
+        return product;
+      });
+    },
+
+    /** 刪除商品；仍有保留中的庫存時丟出錯誤 */
+    async deleteProduct(id) {
+      return store.update((data) => {
+        const product = findProduct(data, id);
+        if (!product) {
+          return false;
+        }
+        if (product.reserved > 0) {
+          throw new ProductError(`商品仍有 ${product.reserved} 件保留中的庫存，請改為下架`, 409);
+        }
+        data.products = data.products.filter((existing) => existing.id !== id);
+        return true;
+      });
+    },
+
+    /**
+     * 為訂單保留庫存，任何一項不足時全部不保留
+     * @param {string} tradeNo - 訂單編號
+     * @param {{ productID: string, quantity: number }[]} items
+     */
+    async reserve(tradeNo, items) {
+      await store.update((data) => {
+        if (data.reservations[tradeNo]) {
+          return;
+        }
+        const quantities = sumQuantities(items);
+        Object.entries(quantities).forEach(([productID, quantity]) => {
+          const product = findProduct(data, productID);
+          const available = product ? availableOf(product) : 0;
+          if (!product || product.active === false || (available !== null && available < quantity)) {
+            throw new OutOfStockError(productID);
+          }
+        });
+        Object.entries(quantities).forEach(([productID, quantity]) => {
+          findProduct(data, productID).reserved += quantity;
+        });
+        data.reservations[tradeNo] = { items: Object.entries(quantities).map(([productID, quantity]) => ({ productID, quantity })), createdAt: new Date().toISOString() };
+      });
+    },
+
+    /**
+     * 付款成功，把保留的庫存正式扣除
+     * 沒有保留記錄 (例如失敗後又付款成功) 時改用 fallbackItems 直接扣庫存，兩者都沒有時不做任何記錄
+     * @returns {Promise<boolean>} 是否有扣除庫存
+     */
+    async commit(tradeNo, fallbackItems = []) {
+      return store.update((data) => {
+        const reservation = data.reservations[tradeNo];
+        if (reservation && reservation.committed) {
+          return false;
+        }
+        if (!reservation && fallbackItems.length === 0) {
+          return false;
+        }
+        const items = reservation ? reservation.items : fallbackItems;
+        items.forEach(({ productID, quantity }) => {
+          const product = findProduct(data, productID);
+          if (!product) return;
+          if (reservation) {
+            product.reserved = Math.max(product.reserved - quantity, 0);
+          }
+          if (product.stock !== null && product.stock !== undefined) {
+            product.stock = Math.max(product.stock - quantity, 0);
+          }
+        });
+        data.reservations[tradeNo] = { items, committed: true, committedAt: new Date().toISOString() };
+        return items.length > 0;
+      });
+    },
+
+    /**
+     * 訂單失敗或逾期，釋放保留的庫存
+     * @returns {Promise<boolean>} 是否有釋放庫存
+     */
+    async release(tradeNo) {
+      return store.update((data) => {
+        const reservation = data.reservations[tradeNo];
+        if (!reservation || reservation.committed) {
+          return false;
+        }
+        reservation.items.forEach(({ productID, quantity }) => {
+          const product = findProduct(data, productID);
+          if (product) {
+            product.reserved = Math.max(product.reserved - quantity, 0);
+          }
+        });
+        delete data.reservations[tradeNo];
+        return true;
+      });
+    },
+  };
+}
+
+module.exports = { createProductRepository, ProductError, OutOfStockError };
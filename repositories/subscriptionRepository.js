@@ -0,0 +1,99 @@
+const path = require("path");
+const { createJsonStore } = require("../utils/jsonStore");
+const { ORDER_STATUS } = require("./orderStatus");
+
+const DEFAULT_SUBSCRIPTION_STORE_PATH = path.join(__dirname, "..", "storage", "subscriptions.json");
+
+// 訂閱狀態 (與訂單狀態相同使用中文，直接顯示給顧客與管理員)
+const SUBSCRIPTION_STATUS = {
+  PENDING: "待授權", // 已建立，顧客尚未在 PAYUNi 完成信用卡授權
+  ACTIVE: "訂閱中",
+  FAILED: "授權失敗", // 第一期扣款失敗
+  CANCELLED: "已取消",
+  COMPLETED: "已到期", // 委託的扣款次數已全部扣完
+};
+
+/**
+ * 訂閱與每期扣款記錄，一筆訂閱對應一個 Google 帳號與一個 PAYUNi 定期定額委託
+ * 每期扣款依期數記在 charges 中，同一期重複通知不會重複記錄
+ * @param {object} [options]
+ * @param {string} [options.filePath] - 訂閱檔案路徑
+ */
+function createSubscriptionRepository({ filePath = DEFAULT_SUBSCRIPTION_STORE_PATH } = {}) {
+  const store = createJsonStore(filePath, { subscriptions: [] });
+
+  function findSubscription(data, id) {
+    return data.subscriptions.find((subscription) => subscription.id === id);
+  }
+
+  return {
+    async getSubscription(id) {
+      const data = await store.read();
+      return findSubscription(data, id) || null;
+    },
+
+    async listSubscriptions() {
+      const { subscriptions } = await store.read();
+      return subscriptions;
+    },
+
+    /** 列出某個 Google 帳號的訂閱，新的在前 */
+    async listByUser(userGoogleId) {
+      const { subscriptions } = await store.read();
+      return subscriptions.filter((subscription) => subscription.userGoogleId === userGoogleId).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    },
+
+    async createSubscription(subscription) {
+      return store.update((data) => {
+        if (findSubscription(data, subscription.id)) {
+          throw new Error(`訂閱編號重複: ${subscription.id}`);
+        }
+        const created = { ...subscription, status: SUBSCRIPTION_STATUS.PENDING, charges: [], createdAt: new Date().toISOString() };
+        data.subscriptions.push(created);
+        return created;
+      });
+    },
+
+    /** 更新訂閱欄位，回傳更新後的訂閱；找不到時回傳 null */
+    async updateSubscription(id, changes) {
+      return store.update((data) => {
+        const subscription = findSubscription(data, id);
+        if (!subscription) {
+          return null;
+        }
+        Object.assign(subscription, changes);
+        return subscription;
+      });
+    },
+
+    /**
+     * 記錄一期扣款，同一期已成功扣款時不覆寫 (先前失敗的可以被重試成功的覆寫)
+     * @param {string} id - 訂閱編號
+     * @param {object} charge - { period, tradeNo, tradeSeq, amount, status, chargedAt }
+     * @param {object} [changes] - 同時更新的訂閱欄位 (狀態、PAYUNi 委託編號等)
+     * @returns {Promise<{ recorded: boolean, subscription: object|null }>}
+     */
+    async recordCharge(id, charge, changes = {}) {
+      return store.update((data) => {
+        const subscription = findSubscription(data, id);
+        if (!subscription) {
+          return { recorded: false, subscription: null };
+        }
+        const index = subscription.charges.findIndex((recorded) => recorded.period === charge.period);
+        const existing = subscription.charges[index];
+        if (existing && (existing.status === ORDER_STATUS.PAID || existing.status === charge.status)) {
+          return { recorded: false, subscription };
+        }
+        if (index >= 0) {
+          subscription.charges[index] = charge;
+        } else {
+          subscription.charges.push(charge);
+        }
+        Object.assign(subscription, changes);
+        return { recorded: true, subscription };
+      });
+    },
+  };
+}
+
+module.exports = { createSubscriptionRepository, SUBSCRIPTION_STATUS };
@@ -0,0 +1,54 @@
+const path = require("path");
+const { createJsonStore } = require("../utils/jsonStore");
+
+const DEFAULT_DEAD_LETTER_PATH = path.join(__dirname, "..", "storage", "webhook-dead-letters.json");
+
+/**
+ * 商家 Webhook 的死信清單：重試用盡仍無法送達的事件，保留完整內容供管理員重送
+ * @param {object} options
+ * @param {string} [options.filePath] - 清單檔案路徑
+ */
+function createWebhookDeadLetters({ filePath = DEFAULT_DEAD_LETTER_PATH } = {}) {
+  const store = createJsonStore(filePath, { deadLetters: {} });
+
+  return {
+    /** 加入一筆無法送達的事件 */
+    async add(entry) {
+      await store.update((data) => {
+        data.deadLetters[entry.id] = entry;
+      });
+    },
+
+    /** 取得單筆死信，不存在時回傳 null */
+    async get(id) {
+      const { deadLetters } = await store.read();
+      return deadLetters[id] || null;
+    },
+
+    /** 更新重送失敗後的嘗試次數與錯誤 */
+    async update(id, changes) {
+      await store.update((data) => {
+        if (data.deadLetters[id]) {
+          data.deadLetters[id] = { ...data.deadLetters[id], ...changes };
+        }
+      });
+    },
+
+    /** 重送成功後移除 */
+    async remove(id) {
+      return store.update((data) => {
+        const existed = Boolean(data.deadLetters[id]);
+        delete data.deadLetters[id];
+        return existed;
+      });
+    },
+
+    /** 列出所有死信 (依失敗時間排序) */
+    async list() {
+      const { deadLetters } = await store.read();
+      return Object.values(deadLetters).sort((a, b) => new Date(a.failedAt) - new Date(b.failedAt));
+    },
+  };
+}
+
+module.exports = { createWebhookDeadLetters };
@@ -0,0 +1,464 @@
+const express = require("express");
+const path = require("path");
+const { body, query, matchedData } = require("express-validator");
+const { ProductError } = require("../repositories/productRepository");
+const { ORDER_STATUS } = require("../repositories/orderStatus");
+const { RefundError } = require("../services/refund");
+const { OrderError } = require("../services/order");
+const { InvoiceError } = require("../services/invoice");
+const { SubscriptionError } = require("../services/subscription");
+const { COUPON_TYPES, normalizeCode } = require("../services/coupon");
+const { filterOrders, summarizeOrders } = require("../services/orderQuery");
+const { INSTALLMENT_OPTIONS } = require("../utils/payuni");
+const { rejectInvalidInput } = require("../middleware/errors");
+
+/**
+ * 管理後台：訂單查詢與手動操作 (取消、對帳、退款)、商品目錄與優惠券管理
+ * 除了 /admin 頁面本身，所有端點都需要 requireAdmin
+ * @param {object} deps
+ * @param {object} deps.orderRepository - 訂單儲存庫
+ * @param {object} deps.productRepository - 商品目錄與庫存
+ * @param {object} deps.couponRepository - 優惠券
+ * @param {object} deps.orderService - services/order.js 建立的訂單服務
+ * @param {object} deps.refundService - services/refund.js 建立的退款服務
+ * @param {object} deps.emailService - services/email.js 建立的交易信件服務
+ * @param {object} deps.invoiceService - services/invoice.js 建立的電子發票服務
+ * @param {object} deps.subscriptionService - services/subscription.js 建立的訂閱服務
+ * @param {object} deps.webhookDispatcher - services/merchantWebhooks.js 建立的商家 Webhook 發送器
+ * @param {object} deps.reconciler - services/reconciliation.js 建立的對帳服務
+ * @param {object} deps.orderExpiry - services/orderExpiry.js 建立的逾期清理服務
+ * @param {object} deps.merchants - services/merchants.js 建立的商店清單 (交易查詢與商品所屬商店)
+ * @param {Function} deps.isAdmin - middleware/auth.js 的 isAdmin
+ * @param {Function} deps.requireAdmin - middleware/auth.js 的 requireAdmin
+ * @param {Function} deps.sendSecureError - middleware/errors.js 的安全錯誤回應
+ * @param {object} deps.logger - winston logger
+ */
+function createAdminRouter({ orderRepository, productRepository, couponRepository, orderService, refundService, emailService, invoiceService, subscriptionService, webhookDispatcher, reconciler, orderExpiry, merchants, isAdmin, requireAdmin, sendSecureError, logger }) {
+  const router = express.Router();
+
+  // 管理後台頁面：非管理員導回首頁 (資料 API 另有 requireAdmin 保護)
+  router.get("/admin", (req, res) => {
+    if (!isAdmin(req.session.user)) {
+      return res.redirect("/");
+    }
+    res.sendFile(path.join(__dirname, "..", "admin.html"));
+  });
+
+  const orderFilterValidation = [
+    query("status").optional().isIn(Object.values(ORDER_STATUS)).withMessage("訂單狀態不正確"),
+    query("email").optional().isString().isLength({ max: 254 }).withMessage("Email 條件不正確"),
+    query("productID").optional().isString().isLength({ max: 100 }).withMessage("商品 ID 條件不正確"),
+    query("from").optional().isISO8601().withMessage("起始日期格式不正確"),
+    query("to").optional().isISO8601().withMessage("結束日期格式不正確"),
+  ];
+
+  // 訂單列表 (可依狀態、日期、Email、商品篩選)，並附上篩選結果的統計
+  router.get("/api/admin/orders", requireAdmin, orderFilterValidation, async (req, res) => {
+    if (rejectInvalidInput(req, res)) return;
+
+    try {
+      const { status, email, productID, from, to } = req.query;
+      const orders = filterOrders(await orderRepository.listOrders(), { status, email, productID, from, to });
+      res.json({ success: true, orders, stats: summarizeOrders(orders) });
+    } catch (error) {
+      sendSecureError(res, 500, "查詢訂單列表失敗", { message: error.message });
+    }
+  });
+
+  // 全部訂單的營收與轉換率統計
+  router.get("/api/admin/stats", requireAdmin, async (req, res) => {
+    try {
+      res.json({ success: true, stats: summarizeOrders(await orderRepository.listOrders()) });
+    } catch (error) {
+      sendSecureError(res, 500, "查詢訂單統計失敗", { message: error.message });
+    }
+  });
+
+  // 手動將訂單標記為已取消
+  router.post("/api/admin/orders/:tradeNo/cancel", requireAdmin, async (req, res) => {
+    const { tradeNo } = req.params;
+    try {
+      const result = await orderService.cancelOrder(tradeNo, req.session.user.email);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      sendSecureError(res, 500, "取消訂單失敗", { tradeNo, message: error.message });
+    }
+  });
+
+  // 單筆訂單寄過的交易信件 (含寄送失敗的記錄)
+  router.get("/api/admin/orders/:tradeNo/emails", requireAdmin, async (req, res) => {
+    try {
+      res.json({ success: true, emails: await emailService.listEmails(req.params.tradeNo) });
+    } catch (error) {
+      sendSecureError(res, 500, "查詢寄信記錄失敗", { tradeNo: req.params.tradeNo, message: error.message });
+    }
+  });
+
+  // 重新開立電子發票 (付款成功時開立失敗的訂單)，已開立的訂單直接回傳原本的發票
+  router.post("/api/admin/orders/:tradeNo/invoice", requireAdmin, async (req, res) => {
+    const { tradeNo } = req.params;
+    try {
+      const invoice = await invoiceService.issueInvoice(tradeNo);
+      logger.info("Invoice issued by admin", { tradeNo, operator: req.session.user.email, invoiceNumber: invoice.number });
+      res.json({ success: true, tradeNo, invoice });
+    } catch (error) {
+      if (error instanceof InvoiceError) {
+        logger.warn("Invoice issuance rejected", { tradeNo, reason: error.message });
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      sendSecureError(res, 500, "開立發票失敗", { tradeNo, message: error.message });
+    }
+  });
+
+  // 訂閱與每期扣款記錄
+  router.get("/api/admin/subscriptions", requireAdmin, async (req, res) => {
+    try {
+      res.json({ success: true, subscriptions: await subscriptionService.listSubscriptions() });
+    } catch (error) {
+      sendSecureError(res, 500, "查詢訂閱失敗", { message: error.message });
+    }
+  });
+
+  // 代顧客取消訂閱 (向 PAYUNi 終止定期定額委託)
+  router.post("/api/admin/subscriptions/:id/cancel", requireAdmin, async (req, res) => {
+    const { id } = req.params;
+    try {
+      const subscription = await subscriptionService.cancelSubscription(id, { operator: req.session.user.email });
+      res.json({ success: true, subscription });
+    } catch (error) {
+      if (error instanceof SubscriptionError) {
+        logger.warn("Subscription cancellation rejected", { subscriptionId: id, reason: error.message });
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      sendSecureError(res, 500, "取消訂閱失敗", { subscriptionId: id, message: error.message });
+    }
+  });
+
+  // 商家 Webhook 重試用盡仍無法送達的事件
+  router.get("/api/admin/webhooks/dead-letters", requireAdmin, async (req, res) => {
+    try {
+      res.json({ success: true, deadLetters: await webhookDispatcher.listDeadLetters() });
+    } catch (error) {
+      sendSecureError(res, 500, "查詢 Webhook 死信失敗", { message: error.message });
+    }
+  });
+
+  // 重送單筆死信，成功後從清單移除
+  router.post("/api/admin/webhooks/dead-letters/:id/replay", requireAdmin, async (req, res) => {
+    try {
+      const result = await webhookDispatcher.replay(req.params.id);
+      if (!result) {
+        return res.status(404).json({ error: "找不到此筆 Webhook 記錄" });
+      }
+      if (!result.delivered) {
+        return res.status(502).json({ error: `重送失敗：${result.error}` });
+      }
+      res.json({ success: true, id: req.params.id });
+    } catch (error) {
+      sendSecureError(res, 500, "重送 Webhook 失敗", { id: req.params.id, message: error.message });
+    }
+  });
+
+  // 向 PAYUNi 查詢單筆交易 (不修改訂單)，以訂單所屬商店的金鑰查詢
+  router.get("/api/admin/trades/:tradeNo", requireAdmin, async (req, res) => {
+    try {
+      const merchant = merchants.forOrder(await orderRepository.getOrder(req.params.tradeNo));
+      const result = await merchant.client.queryTrade(req.params.tradeNo);
+      res.json({ success: true, merchant: merchant.id, ...result });
+    } catch (error) {
+      sendSecureError(res, 502, "查詢交易失敗", { tradeNo: req.params.tradeNo, message: error.message });
+    }
+  });
+
+  // 對帳單筆訂單
+  router.post("/api/admin/orders/:tradeNo/reconcile", requireAdmin, async (req, res) => {
+    try {
+      const result = await reconciler.reconcileOrder(req.params.tradeNo);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendSecureError(res, 502, "訂單對帳失敗", { tradeNo: req.params.tradeNo, message: error.message });
+    }
+  });
+
+  // 對帳所有待支付訂單
+  router.post("/api/admin/reconcile", requireAdmin, async (req, res) => {
+    try {
+      const summary = await reconciler.reconcilePendingOrders();
+      res.json({ success: true, ...summary });
+    } catch (error) {
+      sendSecureError(res, 500, "對帳失敗", { message: error.message });
+    }
+  });
+
+  // 立即清理逾期的待支付訂單
+  router.post("/api/admin/orders/expire", requireAdmin, async (req, res) => {
+    try {
+      const summary = await orderExpiry.sweepExpiredOrders();
+      res.json({ success: true, ...summary });
+    } catch (error) {
+      sendSecureError(res, 500, "清理逾期訂單失敗", { message: error.message });
+    }
+  });
+
+  // GAS 寫入佇列：斷路器狀態、尚未送達與被 GAS 拒絕的寫入
+  router.get("/api/admin/gas-queue", requireAdmin, async (req, res) => {
+    if (!orderRepository.writeQueue) {
+      return res.status(404).json({ error: "目前的訂單儲存方式沒有寫入佇列" });
+    }
+    try {
+      res.json({ success: true, ...(await orderRepository.writeQueue.status()) });
+    } catch (error) {
+      sendSecureError(res, 500, "查詢 GAS 寫入佇列失敗", { message: error.message });
+    }
+  });
+
+  // 立即重送 GAS 寫入佇列
+  router.post("/api/admin/gas-queue/flush", requireAdmin, async (req, res) => {
+    if (!orderRepository.writeQueue) {
+      return res.status(404).json({ error: "目前的訂單儲存方式沒有寫入佇列" });
+    }
+    try {
+      res.json({ success: true, ...(await orderRepository.writeQueue.flush()) });
+    } catch (error) {
+      sendSecureError(res, 500, "重送 GAS 寫入佇列失敗", { message: error.message });
+    }
+  });
+
+  // 信用卡退款 / 取消授權 (可部分退款，金額不得超過剩餘可退金額)
+  const refundValidation = [
+    body("amount").optional().isInt({ min: 1 }).withMessage("退款金額必須是正整數").toInt(),
+    body("type").optional().isIn(["refund", "cancel"]).withMessage("退款類型必須是 refund 或 cancel"),
+  ];
+
+  router.post("/api/admin/orders/:tradeNo/refund", requireAdmin, refundValidation, async (req, res) => {
+    if (rejectInvalidInput(req, res)) return;
+
+    const { tradeNo } = req.params;
+    try {
+      const result = await refundService.refundOrder(tradeNo, {
+        amount: req.body.amount,
+        type: req.body.type,
+        operator: req.session.user.email,
+      });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      if (error instanceof RefundError) {
+        logger.warn("Refund rejected", { tradeNo, reason: error.message });
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      sendSecureError(res, 500, "退款失敗", { tradeNo, message: error.message });
+    }
+  });
+
+  // ========================================
+  // 商品目錄管理
+  // ========================================
+
+  // 新增時 name / price 為必填，修改時全部欄位皆可省略
+  const merchantIds = merchants.list().map((merchant) => merchant.id);
+  const productFieldValidation = (isCreate) => {
+    const required = (chain) => (isCreate ? chain : chain.optional());
+    return [
+      required(body("name")).isString().trim().isLength({ min: 1, max: 100 }).withMessage("商品名稱長度必須介於 1 到 100 字"),
+      required(body("price")).isInt({ min: 1 }).withMessage("價格必須是正整數").toInt(),
+      body("description").optional().isString().isLength({ max: 500 }).withMessage("商品描述不可超過 500 字"),
+      body("stock").optional({ values: "null" }).isInt({ min: 0 }).withMessage("庫存必須是 0 以上的整數，或 null 代表不限量").toInt(),
+      body("active").optional().isBoolean({ strict: true }).withMessage("上架狀態必須是布林值"),
+      body("installments").optional({ values: "null" }).isArray().withMessage("分期期數必須是陣列"),
+      body("installments.*").isIn(INSTALLMENT_OPTIONS).withMessage(`分期期數只能是 ${INSTALLMENT_OPTIONS.join("、")}`).toInt(),
+      body("merchantId").optional({ values: "null" }).isIn(merchantIds).withMessage(`所屬商店只能是 ${merchantIds.join("、")}，或 null 代表依結帳網域決定`),
+    ];
+  };
+
+  // 取出通過驗證的欄位；matchedData 會略過 null，需另外保留「stock: null (不限量)」
+  // installments 設為 null 代表不提供分期，重複的期數只保留一個；merchantId 設為 null 代表依結帳網域決定商店
+  function productChanges(req) {
+    const changes = matchedData(req, { locations: ["body"], includeOptionals: false });
+    delete changes["installments.*"];
+    if (req.body.stock === null) {
+      changes.stock = null;
+    }
+    if (req.body.merchantId === null) {
+      changes.merchantId = null;
+    }
+    if (req.body.installments === null) {
+      changes.installments = [];
+    } else if (changes.installments) {
+      changes.installments = [...new Set(changes.installments)].sort((a, b) => a - b);
+    }
+    return changes;
+  }
+
+  // 商品錯誤對應到 HTTP 狀態碼，其他錯誤一律回 500
+  function sendProductError(res, error, fallbackMessage, context) {
+    if (error instanceof ProductError) {
+      logger.warn("Product operation rejected", { ...context, reason: error.message });
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    return sendSecureError(res, 500, fallbackMessage, { ...context, message: error.message });
+  }
+
+  // 商店清單 (商品的 merchantId 可以設定的值，不含金鑰)
+  router.get("/api/admin/merchants", requireAdmin, (req, res) => {
+    res.json({ success: true, merchants: merchants.list() });
+  });
+
+  router.get("/api/admin/products", requireAdmin, async (req, res) => {
+    try {
+      res.json(await productRepository.listProducts({ includeInactive: true }));
+    } catch (error) {
+      sendSecureError(res, 500, "無法取得商品列表", { message: error.message });
+    }
+  });
+
+  router.post("/api/admin/products", requireAdmin, [body("id").isString().matches(/^[A-Za-z0-9_-]{1,32}$/).withMessage("商品 ID 只能包含英數字、底線與連字號，長度 1 到 32 字"), ...productFieldValidation(true)], async (req, res) => {
+    if (rejectInvalidInput(req, res)) return;
+
+    const product = productChanges(req);
+    try {
+      const created = await productRepository.createProduct(product);
+      logger.info("Product created by admin", { productID: created.id, operator: req.session.user.email });
+      res.status(201).json(created);
+    } catch (error) {
+      sendProductError(res, error, "新增商品失敗", { productID: product.id });
+    }
+  });
+
+  router.put("/api/admin/products/:id", requireAdmin, productFieldValidation(false), async (req, res) => {
+    if (rejectInvalidInput(req, res)) return;
+
+    const { id } = req.params;
+    try {
+      const updated = await productRepository.updateProduct(id, productChanges(req));
+      if (!updated) {
+        return res.status(404).json({ error: "找不到該商品" });
+      }
+      logger.info("Product updated by admin", { productID: id, operator: req.session.user.email });
+      res.json(updated);
+    } catch (error) {
+      sendProductError(res, error, "更新商品失敗", { productID: id });
+    }
+  });
+
+  router.delete("/api/admin/products/:id", requireAdmin, async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!(await productRepository.deleteProduct(id))) {
+        return res.status(404).json({ error: "找不到該商品" });
+      }
+      logger.info("Product deleted by admin", { productID: id, operator: req.session.user.email });
+      res.json({ success: true, id });
+    } catch (error) {
+      sendProductError(res, error, "刪除商品失敗", { productID: id });
+    }
+  });
+
+  // ========================================
+  // 優惠券管理
+  // ========================================
+
+  // 新增時 type / value 為必填；可設為 null 的欄位代表不限制
+  const couponFieldValidation = (isCreate) => {
+    const required = (chain) => (isCreate ? chain : chain.optional());
+    return [
+      required(body("type")).isIn(Object.values(COUPON_TYPES)).withMessage("優惠類型必須是 fixed 或 percent"),
+      required(body("value"))
+        .isInt({ min: 1 })
+        .withMessage("折扣值必須是正整數")
+        .toInt()
+        .custom((value, { req }) => req.body.type !== COUPON_TYPES.PERCENT || value <= 100)
+        .withMessage("百分比折扣不可超過 100"),
+      body("productIDs").optional({ values: "null" }).isArray().withMessage("適用商品必須是商品 ID 陣列"),
+      body("productIDs.*").isString().withMessage("適用商品必須是商品 ID 陣列"),
+      body("minSpend").optional({ values: "null" }).isInt({ min: 0 }).withMessage("最低消費必須是 0 以上的整數").toInt(),
+      body("maxUses").optional({ values: "null" }).isInt({ min: 1 }).withMessage("總使用次數必須是正整數").toInt(),
+      body("maxUsesPerUser").optional({ values: "null" }).isInt({ min: 1 }).withMessage("每個帳號使用次數必須是正整數").toInt(),
+      body("startsAt").optional({ values: "null" }).isISO8601().withMessage("開始時間格式不正確"),
+      body("endsAt").optional({ values: "null" }).isISO8601().withMessage("結束時間格式不正確"),
+      body("active").optional().isBoolean({ strict: true }).withMessage("啟用狀態必須是布林值"),
+    ];
+  };
+
+  // 取出通過驗證的欄位，並保留設為 null (不限制) 的欄位
+  function couponChanges(req) {
+    const changes = matchedData(req, { locations: ["body"], includeOptionals: false });
+    delete changes["productIDs.*"];
+    ["productIDs", "minSpend", "maxUses", "maxUsesPerUser", "startsAt", "endsAt"].forEach((field) => {
+      if (req.body[field] === null) {
+        changes[field] = null;
+      }
+    });
+    return changes;
+  }
+
+  router.get("/api/admin/coupons", requireAdmin, async (req, res) => {
+    try {
+      res.json(await couponRepository.listCoupons());
+    } catch (error) {
+      sendSecureError(res, 500, "無法取得優惠券列表", { message: error.message });
+    }
+  });
+
+  router.post("/api/admin/coupons", requireAdmin, [body("code").isString().customSanitizer(normalizeCode).matches(/^[A-Z0-9_-]{3,32}$/).withMessage("優惠碼只能包含英數字、底線與連字號，長度 3 到 32 字"), ...couponFieldValidation(true)], async (req, res) => {
+    if (rejectInvalidInput(req, res)) return;
+
+    const coupon = couponChanges(req);
+    try {
+      if (await couponRepository.getCoupon(coupon.code)) {
+        return res.status(409).json({ error: `優惠碼重複: ${coupon.code}` });
+      }
+      const created = await couponRepository.createCoupon(coupon);
+      logger.info("Coupon created by admin", { code: created.code, operator: req.session.user.email });
+      res.status(201).json(created);
+    } catch (error) {
+      sendSecureError(res, 500, "新增優惠券失敗", { code: coupon.code, message: error.message });
+    }
+  });
+
+  router.put("/api/admin/coupons/:code", requireAdmin, couponFieldValidation(false), async (req, res) => {
+    if (rejectInvalidInput(req, res)) return;
+
+    const code = normalizeCode(req.params.code);
+    const changes = couponChanges(req);
+    try {
+      const existing = await couponRepository.getCoupon(code);
+      if (!existing) {
+        return res.status(404).json({ error: "找不到優惠券" });
+      }
+      // 只更新部分欄位時 (例如只改 value 或只改 type)，以合併後的設定檢查百分比上限
+      const merged = { ...existing, ...changes };
+      if (merged.type === COUPON_TYPES.PERCENT && merged.value > 100) {
+        return res.status(400).json({ error: "輸入資料不正確", details: ["百分比折扣不可超過 100"] });
+      }
+
+      const updated = await couponRepository.updateCoupon(code, changes);
+      if (!updated) {
+        return res.status(404).json({ error: "找不到優惠券" });
+      }
+      logger.info("Coupon updated by admin", { code, operator: req.session.user.email });
+      res.json(updated);
+    } catch (error) {
+      sendSecureError(res, 500, "更新優惠券失敗", { code, message: error.message });
+    }
+  });
+
+  router.delete("/api/admin/coupons/:code", requireAdmin, async (req, res) => {
+    const code = normalizeCode(req.params.code);
+    try {
+      if (!(await couponRepository.deleteCoupon(code))) {
+        return res.status(404).json({ error: "找不到優惠券" });
+      }
+      logger.info("Coupon deleted by admin", { code, operator: req.session.user.email });
+      res.json({ success: true, code });
+    } catch (error) {
+      sendSecureError(res, 500, "刪除優惠券失敗", { code, message: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
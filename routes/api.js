@@ -0,0 +1,172 @@
+const express = require("express");
+const { body } = require("express-validator");
+const cart = require("../services/cart");
+const { CouponError, normalizeCode, applyCoupon } = require("../services/coupon");
+const { OrderError } = require("../services/order");
+const { PAY_TYPES } = require("../utils/payuni");
+const { rejectInvalidInput } = require("../middleware/errors");
+
+/**
+ * 前台 API：前端設定、CSRF token、商品、購物車、優惠碼試算與我的訂單
+ * @param {object} deps
+ * @param {import("../config").AppConfig} deps.config
+ * @param {object} deps.authService - services/auth.js 建立的登入服務 (前端顯示的登入方式)
+ * @param {object} deps.orderRepository - 訂單儲存庫
+ * @param {object} deps.productRepository - 商品目錄與庫存
+ * @param {object} deps.couponRepository - 優惠券
+ * @param {object} deps.orderService - services/order.js 建立的訂單服務
+ * @param {object} deps.orderTracking - services/orderTracking.js 建立的訂單追蹤服務 (訂單明細)
+ * @param {object} deps.invoiceService - services/invoice.js 建立的電子發票服務
+ * @param {Function} deps.csrfProtection - middleware/csrf.js 的 csurf 中間件
+ * @param {Function} deps.sendSecureError - middleware/errors.js 的安全錯誤回應
+ * @param {object} deps.logger - winston logger
+ */
+function createApiRouter({ config, authService, orderRepository, productRepository, couponRepository, orderService, orderTracking, invoiceService, csrfProtection, sendSecureError, logger }) {
+  const router = express.Router();
+
+  router.get("/api/my-orders", async (req, res) => {
+    // 1. 檢查使用者是否登入
+    if (!req.session.user) {
+      return res.status(401).json({ error: "請先登入" });
+    }
+
+    try {
+      // 2. 從 session 中獲取使用者的 email
+      const userEmail = req.session.user.email;
+
+      // 3. 從訂單儲存庫查詢
+      const orders = await orderRepository.getOrdersByEmail(userEmail);
+
+      // 4. 成功，回傳訂單資料
+      res.json({ success: true, orders });
+    } catch (error) {
+      sendSecureError(res, 500, "查詢訂單失敗", { message: error.message });
+    }
+  });
+
+  // 訂單明細：付款方式、金流交易序號、時間軸，以及待支付訂單能否重新付款 (只能查詢自己的訂單)
+  router.get("/api/my-orders/:tradeNo", async (req, res) => {
+    if (!req.session.user) {
+      return res.status(401).json({ error: "請先登入" });
+    }
+
+    try {
+      const order = await orderTracking.getCustomerOrder(req.session.user, req.params.tradeNo);
+      res.json({ success: true, order });
+    } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      sendSecureError(res, 500, "查詢訂單失敗", { message: error.message });
+    }
+  });
+
+  // 提供前端配置資訊的 API
+  router.get("/api/client-config", (req, res) => {
+    res.json({
+      turnstileEnable: config.turnstile.enabled,
+      payTypes: config.payuni.payTypes.map((code) => ({ code, label: PAY_TYPES[code] })),
+      invoiceEnabled: invoiceService.enabled,
+      loginProviders: authService.listProviders(),
+      guestCheckoutEnabled: config.guestCheckout.enabled,
+    });
+  });
+
+  // CSRF Token 取得端點：使用 csrfProtection 中間件以初始化 token
+  router.get("/csrf-token", csrfProtection, (req, res) => {
+    try {
+      const token = req.csrfToken();
+      res.json({ csrfToken: token });
+    } catch (error) {
+      logger.error("Failed to generate CSRF token", { error: error.message });
+      res.status(500).json({ error: "Failed to generate CSRF token" });
+    }
+  });
+
+  // 提供商品列表的 API (含可售數量 available 與 soldOut)
+  router.get("/api/products", async (req, res) => {
+    try {
+      res.json(await productRepository.listProducts());
+    } catch (error) {
+      return sendSecureError(res, 500, "無法取得商品列表", { message: error.message });
+    }
+  });
+
+  // ========================================
+  // 購物車 (存放在 session 中)
+  // ========================================
+
+  // 回傳依目前商品價格計算的購物車內容
+  async function sendCart(req, res) {
+    try {
+      res.json(cart.priceItems(cart.getCart(req.session), await productRepository.listProducts()));
+    } catch (error) {
+      return sendSecureError(res, 500, "無法取得購物車", { message: error.message });
+    }
+  }
+
+  const cartQuantityValidation = (field) => body(field).isInt({ min: 0, max: cart.MAX_QUANTITY }).withMessage(`數量必須介於 0 到 ${cart.MAX_QUANTITY} 之間`).toInt();
+
+  router.get("/api/cart", (req, res) => sendCart(req, res));
+
+  router.post("/api/cart/items", [body("productID").isString().withMessage("商品 ID 不正確"), cartQuantityValidation("quantity").optional()], async (req, res) => {
+    if (rejectInvalidInput(req, res)) return;
+
+    const { productID, quantity = 1 } = req.body;
+    const product = await productRepository.getProduct(productID);
+    if (!product || product.active === false) {
+      return res.status(404).json({ error: "找不到該商品" });
+    }
+    if (quantity > 0) {
+      cart.addItem(req.session, productID, quantity);
+    }
+    return sendCart(req, res);
+  });
+
+  router.put("/api/cart/items/:productID", [cartQuantityValidation("quantity")], (req, res) => {
+    if (rejectInvalidInput(req, res)) return;
+
+    if (!cart.setItemQuantity(req.session, req.params.productID, req.body.quantity)) {
+      return res.status(404).json({ error: "購物車中沒有此商品" });
+    }
+    sendCart(req, res);
+  });
+
+  router.delete("/api/cart/items/:productID", (req, res) => {
+    if (!cart.removeItem(req.session, req.params.productID)) {
+      return res.status(404).json({ error: "購物車中沒有此商品" });
+    }
+    sendCart(req, res);
+  });
+
+  // 優惠碼試算：只計算折扣，不佔用使用次數
+  router.post(
+    "/api/coupons/preview",
+    [
+      body("couponCode").isString().trim().isLength({ min: 1, max: 32 }).withMessage("請輸入優惠碼"),
+      body("source").optional().isIn(["cart"]).withMessage("結帳來源不正確"),
+      body("productID").if(body("source").not().equals("cart")).isString().withMessage("商品 ID 不正確"),
+    ],
+    async (req, res) => {
+      if (!req.session.user) {
+        return res.status(401).json({ error: "請先登入後再操作" });
+      }
+      if (rejectInvalidInput(req, res)) return;
+
+      try {
+        const items = await orderService.resolveCheckoutItems(cart.getCart(req.session), req.body);
+        const found = await couponRepository.getCouponWithUsage(normalizeCode(req.body.couponCode), req.session.user.email);
+        res.json(applyCoupon(found && found.coupon, { items, usage: found ? found.usage : { total: 0, byUser: 0 } }));
+      } catch (error) {
+        if (error instanceof OrderError || error instanceof CouponError) {
+          return res.status(error.statusCode || 400).json({ error: error.message });
+        }
+        sendSecureError(res, 500, "優惠碼試算失敗", { message: error.message });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createApiRouter };
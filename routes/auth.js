@@ -0,0 +1,157 @@
+const express = require("express");
+const path = require("path");
+const { body } = require("express-validator");
+const { AuthError } = require("../services/auth");
+const { rejectInvalidInput } = require("../middleware/errors");
+
+/**
+ * 登入 / 登出與目前登入者資訊
+ * 各登入方式 (auth/) 共用 /auth/:provider 與 /auth/:provider/callback，
+ * Google 沿用原本的 /auth/google 與 /auth/google/callback；Email 登入連結的 GET 只顯示確認頁，按下確認後才以 POST 使用權杖
+ * @param {object} deps
+ * @param {object} deps.authService - services/auth.js 建立的登入服務
+ * @param {object} deps.limiters - middleware/security.js 的 createRateLimiters()
+ * @param {Function} deps.isAdmin - middleware/auth.js 的 isAdmin
+ * @param {Function} deps.sendSecureError - middleware/errors.js 的安全錯誤回應
+ * @param {object} deps.logger - winston logger
+ */
+function createAuthRouter({ authService, limiters, isAdmin, sendSecureError, logger }) {
+  const router = express.Router();
+
+  function sendAuthError(res, error, fallbackMessage, context) {
+    if (error instanceof AuthError) {
+      if (error.statusCode >= 500) {
+        return sendSecureError(res, error.statusCode, error.message, context);
+      }
+      logger.warn("Login failed", { ...context, reason: error.message });
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error("Auth callback error", { ...context, message: error.message, stack: error.stack });
+    return sendSecureError(res, 500, fallbackMessage, { ...context, message: error.message });
+  }
+
+  // 確保 session 儲存後再回應
+  function saveAndRespond(req, res, respond) {
+    req.session.save((err) => {
+      if (err) {
+        logger.error("Session save failed", { error: err.message, sessionID: req.sessionID });
+        return sendSecureError(res, 500, "Session 儲存失敗", { message: err.message });
+      }
+      respond();
+    });
+  }
+
+  function saveAndRedirect(req, res, location) {
+    saveAndRespond(req, res, () => res.redirect(location));
+  }
+
+  // 登入時換發新的 session id，登入前的 session id (可能由他人植入) 登入後即失效 (session fixation)
+  // 購物車與 CSRF secret 帶到新的 session，已開啟的頁面不必重新取得 token
+  const CARRIED_SESSION_KEYS = ["cart", "csrfSecret"];
+
+  function signInSession(req, user) {
+    const carried = {};
+    CARRIED_SESSION_KEYS.filter((key) => req.session[key] !== undefined).forEach((key) => {
+      carried[key] = req.session[key];
+    });
+    return new Promise((resolve, reject) => {
+      req.session.regenerate((err) => {
+        if (err) {
+          return reject(err);
+        }
+        Object.assign(req.session, carried, { user });
+        resolve(user);
+      });
+    });
+  }
+
+  router.get("/api/me", (req, res) => {
+    if (req.session.user) {
+      res.json({ loggedIn: true, user: req.session.user, isAdmin: isAdmin(req.session.user) });
+    } else {
+      res.json({ loggedIn: false });
+    }
+  });
+
+  router.get("/auth/logout", (req, res) => {
+    logger.info("Logout requested", { sessionID: req.sessionID, hasUser: !!req.session?.user });
+
+    req.session.destroy((err) => {
+      if (err) {
+        logger.error("Logout error", { error: err.message });
+        return sendSecureError(res, 500, "登出時發生錯誤");
+      }
+      // 清除 cookie 並導向首頁
+      res.clearCookie("sessionId"); // 使用新的 cookie 名稱
+      logger.info("User logged out successfully");
+      res.redirect("/");
+    });
+  });
+
+  // 寄送 Email 登入連結；不論信箱是否已有帳號都回覆相同訊息
+  router.post("/auth/email", limiters.login, [body("email").isEmail().withMessage("Email 格式不正確")], async (req, res) => {
+    if (rejectInvalidInput(req, res)) return;
+
+    try {
+      await authService.getProvider("email", "email").sendLink(req.body.email);
+      res.json({ success: true, message: "登入連結已寄出，請到信箱收信" });
+    } catch (error) {
+      sendAuthError(res, error, "登入連結寄送失敗", { provider: "email" });
+    }
+  });
+
+  // 信箱的連結掃描器會先開啟連結，GET 只回傳確認頁，不使用權杖
+  router.get("/auth/email/callback", (req, res) => {
+    try {
+      authService.getProvider("email", "email");
+    } catch (error) {
+      return sendAuthError(res, error, "無法顯示登入確認頁", { provider: "email" });
+    }
+    res.sendFile(path.join(__dirname, "..", "login-confirm.html"));
+  });
+
+  // 確認頁送出 (需要 CSRF token)：使用一次性權杖並登入
+  router.post("/auth/email/callback", [body("token").isString().withMessage("登入連結無效或已過期，請重新取得")], async (req, res) => {
+    if (rejectInvalidInput(req, res)) return;
+
+    try {
+      const identity = await authService.getProvider("email", "email").authenticate({ token: req.body.token });
+      const user = await signInSession(req, await authService.signIn("email", identity));
+      logger.info("User logged in successfully", { userId: user.id, email: user.email, provider: "email" });
+      saveAndRespond(req, res, () => res.json({ success: true }));
+    } catch (error) {
+      sendAuthError(res, error, "登入驗證過程中發生錯誤", { provider: "email" });
+    }
+  });
+
+  // 導向外部登入頁 (Google、OpenID Connect)
+  router.get("/auth/:provider", async (req, res) => {
+    try {
+      const provider = authService.getProvider(req.params.provider, "redirect");
+      const authorizeUrl = await provider.authorizationUrl(req.session);
+      saveAndRedirect(req, res, authorizeUrl);
+    } catch (error) {
+      sendAuthError(res, error, "無法前往登入頁面", { provider: req.params.provider });
+    }
+  });
+
+  router.get("/auth/:provider/callback", async (req, res) => {
+    const providerName = req.params.provider;
+    try {
+      const provider = authService.getProvider(providerName);
+      const identity = await provider.authenticate(req.query, req.session);
+
+      // 換發 session 後將使用者資訊存入
+      const user = await signInSession(req, await authService.signIn(providerName, identity));
+      logger.info("User logged in successfully", { userId: user.id, email: user.email, provider: providerName });
+      // 登入成功後導回首頁
+      saveAndRedirect(req, res, "/");
+    } catch (error) {
+      sendAuthError(res, error, "登入驗證過程中發生錯誤", { provider: providerName });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
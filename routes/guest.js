@@ -0,0 +1,89 @@
+const express = require("express");
+const { body } = require("express-validator");
+const { GuestLookupError } = require("../services/guestLookup");
+const { rejectInvalidInput } = require("../middleware/errors");
+
+/**
+ * 訪客查詢訂單 (lookup.html)：以 email 取得驗證碼，驗證後列出該 email 的訂單
+ * 只有開放訪客結帳 (GUEST_CHECKOUT_ENABLE) 時提供
+ * @param {object} deps
+ * @param {import("../config").AppConfig} deps.config
+ * @param {object} deps.guestLookupService - services/guestLookup.js 建立的訪客查詢服務
+ * @param {object} deps.turnstileVerifier - utils/turnstile.js 建立的 Turnstile 驗證
+ * @param {object} deps.limiters - middleware/security.js 的 createRateLimiters()
+ * @param {Function} deps.sendSecureError - middleware/errors.js 的安全錯誤回應
+ */
+function createGuestRouter({ config, guestLookupService, turnstileVerifier, limiters, sendSecureError }) {
+  const router = express.Router();
+
+  function requireGuestCheckout(req, res, next) {
+    if (!config.guestCheckout.enabled) {
+      return res.status(404).json({ error: "未開放訪客查詢訂單" });
+    }
+    next();
+  }
+
+  function sendLookupError(res, error, fallbackMessage) {
+    if (error instanceof GuestLookupError) {
+      if (error.statusCode >= 500) {
+        return sendSecureError(res, error.statusCode, error.message);
+      }
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    return sendSecureError(res, 500, fallbackMessage, { message: error.message });
+  }
+
+  const emailValidation = body("email").isEmail().withMessage("請輸入正確的 Email").isLength({ max: 254 }).withMessage("Email 長度異常");
+
+  // 寄出驗證碼；不論該 email 是否有訂單都回覆相同訊息
+  router.post(
+    "/api/guest-orders/code",
+    limiters.guestLookup,
+    requireGuestCheckout,
+    [
+      emailValidation,
+      body("turnstileToken")
+        .if(() => turnstileVerifier.enabled)
+        .isString()
+        .withMessage("驗證 token 必須是字串")
+        .notEmpty()
+        .withMessage("請完成人機驗證"),
+    ],
+    async (req, res) => {
+      if (rejectInvalidInput(req, res)) return;
+
+      if (turnstileVerifier.enabled) {
+        try {
+          if (!(await turnstileVerifier.verify(req.body.turnstileToken))) {
+            return res.status(400).json({ error: "Turnstile verification failed" });
+          }
+        } catch (error) {
+          return sendSecureError(res, 500, "Turnstile 驗證錯誤", { message: error.message });
+        }
+      }
+
+      try {
+        await guestLookupService.sendCode(req.body.email);
+        res.json({ success: true, message: "驗證碼已寄出，請到信箱收信" });
+      } catch (error) {
+        sendLookupError(res, error, "驗證碼寄送失敗");
+      }
+    }
+  );
+
+  // 驗證碼正確時回傳該 email 的訂單 (與 /api/my-orders 相同格式)
+  router.post("/api/guest-orders", limiters.apiResult, requireGuestCheckout, [emailValidation, body("code").isString().withMessage("驗證碼格式不正確").matches(/^\d{6}$/).withMessage("驗證碼為 6 位數字")], async (req, res) => {
+    if (rejectInvalidInput(req, res)) return;
+
+    try {
+      const orders = await guestLookupService.verifyCode(req.body.email, req.body.code);
+      res.json({ success: true, orders });
+    } catch (error) {
+      sendLookupError(res, error, "查詢訂單失敗");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createGuestRouter };
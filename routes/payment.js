@@ -0,0 +1,215 @@
+const express = require("express");
+const crypto = require("crypto");
+const { body } = require("express-validator");
+const cart = require("../services/cart");
+const { normalizeCode } = require("../services/coupon");
+const { OrderError } = require("../services/order");
+const { normalizeInvoice, assertValidInvoice } = require("../services/invoice");
+const { INSTALLMENT_OPTIONS } = require("../utils/payuni");
+const { normalizeEmail } = require("../repositories/accountRepository");
+const { rejectInvalidInput } = require("../middleware/errors");
+
+// 付款結果的一次性權杖有效時間
+const RESULT_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * 付款流程：建立付款、PAYUNi Notify / Return，以及結果頁的一次性權杖
+ * @param {object} deps
+ * @param {import("../config").AppConfig} deps.config
+ * @param {object} deps.orderService - services/order.js 建立的訂單服務
+ * @param {object} deps.orderTracking - services/orderTracking.js 建立的訂單追蹤服務 (重新付款)
+ * @param {object} deps.paymentService - services/payment.js 建立的付款服務
+ * @param {object} deps.invoiceService - services/invoice.js 建立的電子發票服務
+ * @param {object} deps.kvStore - 保存付款結果一次性權杖的鍵值儲存
+ * @param {object} deps.limiters - middleware/security.js 的 createRateLimiters()
+ * @param {object} deps.turnstileVerifier - utils/turnstile.js 建立的 Turnstile 驗證
+ * @param {Function} deps.sendSecureError - middleware/errors.js 的安全錯誤回應
+ * @param {object} deps.logger - winston logger
+ */
+function createPaymentRouter({ config, orderService, orderTracking, paymentService, invoiceService, kvStore, limiters, turnstileVerifier, sendSecureError, logger }) {
+  const router = express.Router();
+  const enabledPayTypes = config.payuni.payTypes;
+  const guestCheckoutEnabled = config.guestCheckout.enabled;
+
+  const resultTokenKey = (token) => `result:${token}`;
+
+  // 定義 /create-payment 的驗證規則
+  const createPaymentValidation = [
+    // 登入時使用帳號的 email；訪客結帳時由顧客填寫
+    body("guestEmail")
+      .if((value, { req }) => guestCheckoutEnabled && !req.session.user)
+      .trim()
+      .isEmail()
+      .withMessage("請輸入正確的 Email")
+      .isLength({ max: 254 })
+      .withMessage("Email 長度異常"),
+    body("source").optional().isIn(["cart"]).withMessage("結帳來源不正確"),
+    body("payType").optional().isIn(enabledPayTypes).withMessage("不支援的付款方式"),
+    // 一次付清時不帶或為空值；是否適用於結帳商品由 orderService 檢查
+    body("installment").optional({ values: "falsy" }).isIn(INSTALLMENT_OPTIONS).withMessage("不支援的分期期數").toInt(),
+    body("productID")
+      .if(body("source").not().equals("cart"))
+      .isString()
+      .withMessage("商品 ID 不正確"),
+    body("turnstileToken")
+      .if(() => turnstileVerifier.enabled)
+      .notEmpty()
+      .withMessage("驗證 token 不可為空")
+      .isString()
+      .withMessage("驗證 token 必須是字串")
+      .isLength({ max: 2000 })
+      .withMessage("Token 長度異常"),
+    body("couponCode").optional({ values: "falsy" }).isString().isLength({ max: 32 }).withMessage("優惠碼格式不正確"),
+    body("invoice")
+      .if(() => invoiceService.enabled)
+      .custom(assertValidInvoice),
+  ];
+
+  router.post("/create-payment", limiters.payment, createPaymentValidation, async (req, res) => {
+    // 未開放訪客結帳時強制要求登入
+    if (!req.session.user && !guestCheckoutEnabled) {
+      return res.status(401).json({ error: "請先登入後再操作" });
+    }
+    if (rejectInvalidInput(req, res)) return;
+
+    // 已登入時從 session 取得 email；訪客以填寫的 email 建立訂單 (沒有帳號編號)
+    const user = req.session.user || { id: null, email: normalizeEmail(req.body.guestEmail), name: null, guest: true };
+    const { turnstileToken, productID, source } = req.body;
+    const payType = req.body.payType || enabledPayTypes[0];
+    const installment = req.body.installment || null;
+    const couponCode = normalizeCode(req.body.couponCode) || null;
+    // 優惠碼的每人使用次數以 email 計算，訪客可以任意填寫 email，因此不開放
+    if (user.guest && couponCode) {
+      return res.status(400).json({ error: "優惠碼僅限登入會員使用" });
+    }
+    // 未啟用電子發票時不保存發票資料
+    const invoice = invoiceService.enabled ? normalizeInvoice(req.body.invoice) : null;
+
+    let items;
+    try {
+      items = await orderService.resolveCheckoutItems(cart.getCart(req.session), { source, productID });
+    } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      return sendSecureError(res, 500, "支付建立失敗", { message: error.message });
+    }
+
+    if (turnstileVerifier.enabled) {
+      if (!turnstileToken) {
+        logger.warn("Turnstile token is missing");
+        return res.status(400).json({ error: "Turnstile token is required" });
+      }
+      try {
+        if (!(await turnstileVerifier.verify(turnstileToken))) {
+          return res.status(400).json({ error: "Turnstile verification failed" });
+        }
+      } catch (error) {
+        return sendSecureError(res, 500, "Turnstile 驗證錯誤", { message: error.message });
+      }
+    }
+
+    try {
+      const { order, reused } = await orderService.placeOrder({ user, items, payType, installment, couponCode, invoice, host: req.hostname });
+      if (source === "cart") {
+        cart.clearCart(req.session);
+      }
+
+      const paymentRequest = paymentService.createPaymentRequest(order, { prodDesc: order.productName, payType, email: user.email });
+      if (reused) {
+        logger.info("Reusing existing order for payment.", { tradeNo: order.tradeNo });
+        // 沿用待支付訂單時一併回傳訂單編號 (與拆分前的回應相同)
+        paymentRequest.data.MerTradeNo = order.tradeNo;
+      } else {
+        logger.info("Payment created successfully", { tradeNo: order.tradeNo, merID: order.merID, amount: order.tradeAmt, discount: order.discount, itemCount: items.length, payType, installment, guest: Boolean(user.guest) });
+      }
+      res.json(paymentRequest);
+    } catch (error) {
+      if (error instanceof OrderError) {
+        if (error.statusCode >= 500) {
+          return sendSecureError(res, error.statusCode, error.message, error.details);
+        }
+        return res.status(error.statusCode).json({ error: error.message, ...error.details });
+      }
+      return sendSecureError(res, 500, "支付建立失敗", { message: error.message });
+    }
+  });
+
+  // 我的訂單：待支付訂單以原訂單編號與金額重新產生付款表單 (不建立新訂單，也不再保留庫存)
+  router.post("/api/my-orders/:tradeNo/pay", limiters.payment, async (req, res) => {
+    if (!req.session.user) {
+      return res.status(401).json({ error: "請先登入後再操作" });
+    }
+
+    try {
+      const order = await orderTracking.getPayableOrder(req.session.user, req.params.tradeNo);
+      const paymentRequest = paymentService.createPaymentRequest(order, { prodDesc: order.productName, payType: order.payType, email: order.email });
+      logger.info("Payment retried for pending order", { tradeNo: order.tradeNo, payType: order.payType });
+      res.json(paymentRequest);
+    } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      return sendSecureError(res, 500, "支付建立失敗", { message: error.message });
+    }
+  });
+
+  router.post("/payuni-webhook", async (req, res) => {
+    try {
+      // 只記錄必要資訊，避免洩漏敏感資料
+      logger.info("Received Payuni webhook notification");
+      res.send(await paymentService.handleNotify(req.body));
+    } catch (error) {
+      logger.error("Webhook processing error", {
+        message: error.message,
+      });
+      res.send("ERROR");
+    }
+  });
+
+  // PAYUNi ReturnURL 端點
+  router.post("/payment-return", async (req, res) => {
+    try {
+      logger.info("Received Payuni return request");
+      const resultData = paymentService.readReturn(req.body);
+      if (!resultData) {
+        // 即使驗證失敗，也導向結果頁，但帶上失敗狀態
+        return res.redirect("/result.html?status=fail&reason=invalid_hash");
+      }
+
+      // 產生一個一次性權杖，5 分鐘後由鍵值儲存自動刪除
+      const token = crypto.randomBytes(32).toString("hex");
+      await kvStore.set(resultTokenKey(token), resultData, RESULT_TOKEN_TTL_MS);
+
+      logger.info("Return data processed, redirecting to result page with token", { tradeNo: resultData.tradeNo });
+      // 重新導向到結果頁，並附上權杖
+      res.redirect(`/result.html?token=${token}`);
+    } catch (error) {
+      logger.error("Return URL processing error", { message: error.message });
+      res.redirect("/result.html?status=fail&reason=processing_error");
+    }
+  });
+
+  // API 端點，用於前端憑權杖獲取訂單結果
+  router.get("/api/order-result/:token", limiters.apiResult, async (req, res) => {
+    const { token } = req.params;
+
+    try {
+      // 讀取後立即刪除權杖，同一個權杖只能使用一次
+      const resultData = await kvStore.take(resultTokenKey(token));
+      if (!resultData) {
+        // 找不到權杖（可能已使用或過期）
+        logger.warn("Invalid or expired token received", { token });
+        return res.status(404).json({ error: "無效或已過期的連結" });
+      }
+      logger.info("Order result retrieved with token", { tradeNo: resultData.tradeNo });
+      res.json(resultData);
+    } catch (error) {
+      sendSecureError(res, 500, "無法取得付款結果", { message: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPaymentRouter };
@@ -0,0 +1,85 @@
+const express = require("express");
+const { body } = require("express-validator");
+const { SubscriptionError } = require("../services/subscription");
+const { normalizeInvoice, assertValidInvoice } = require("../services/invoice");
+const { rejectInvalidInput } = require("../middleware/errors");
+
+/**
+ * 訂閱方案與顧客的訂閱：列出方案、建立定期定額委託、我的訂閱與取消
+ * 每期扣款通知與一般交易共用 /payuni-webhook (見 services/payment.js)
+ * @param {object} deps
+ * @param {object} deps.subscriptionService - services/subscription.js 建立的訂閱服務
+ * @param {object} deps.invoiceService - services/invoice.js 建立的電子發票服務
+ * @param {object} deps.limiters - middleware/security.js 的 createRateLimiters()
+ * @param {Function} deps.sendSecureError - middleware/errors.js 的安全錯誤回應
+ * @param {object} deps.logger - winston logger
+ */
+function createSubscriptionRouter({ subscriptionService, invoiceService, limiters, sendSecureError, logger }) {
+  const router = express.Router();
+
+  // 訂閱相關端點都需要登入
+  function requireLogin(req, res, next) {
+    if (!req.session.user) {
+      return res.status(401).json({ error: "請先登入後再操作" });
+    }
+    next();
+  }
+
+  function sendSubscriptionError(res, error, fallbackMessage, context) {
+    if (error instanceof SubscriptionError) {
+      if (error.statusCode >= 500) {
+        return sendSecureError(res, error.statusCode, error.message, context);
+      }
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    return sendSecureError(res, 500, fallbackMessage, { ...context, message: error.message });
+  }
+
+  router.get("/api/plans", (req, res) => {
+    res.json(subscriptionService.listPlans());
+  });
+
+  router.get("/api/my-subscriptions", requireLogin, async (req, res) => {
+    try {
+      res.json({ success: true, subscriptions: await subscriptionService.listByUser(req.session.user.id) });
+    } catch (error) {
+      sendSecureError(res, 500, "查詢訂閱失敗", { message: error.message });
+    }
+  });
+
+  const subscribeValidation = [
+    body("planId").isString().withMessage("方案代號不正確"),
+    body("invoice")
+      .if(() => invoiceService.enabled)
+      .custom(assertValidInvoice),
+  ];
+
+  // 建立訂閱，回傳 PAYUNi 定期定額委託頁的表單 (前端與一般付款相同方式送出)
+  router.post("/api/subscriptions", limiters.payment, requireLogin, subscribeValidation, async (req, res) => {
+    if (rejectInvalidInput(req, res)) return;
+
+    const user = req.session.user;
+    const invoice = invoiceService.enabled ? normalizeInvoice(req.body.invoice) : null;
+    try {
+      const { subscription, paymentRequest } = await subscriptionService.startSubscription({ user, planId: req.body.planId, invoice, host: req.hostname });
+      logger.info("Subscription payment created", { subscriptionId: subscription.id, planId: subscription.planId });
+      res.json(paymentRequest);
+    } catch (error) {
+      sendSubscriptionError(res, error, "訂閱建立失敗", { planId: req.body.planId });
+    }
+  });
+
+  router.post("/api/subscriptions/:id/cancel", requireLogin, async (req, res) => {
+    const user = req.session.user;
+    try {
+      const subscription = await subscriptionService.cancelSubscription(req.params.id, { userGoogleId: user.id, operator: user.email });
+      res.json({ success: true, subscription });
+    } catch (error) {
+      sendSubscriptionError(res, error, "取消訂閱失敗", { subscriptionId: req.params.id });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSubscriptionRouter };
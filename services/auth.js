@@ -0,0 +1,66 @@
+/**
+ * 登入流程中可預期的錯誤 (缺少授權碼、state 不符、登入連結失效、email 未驗證)
+ * statusCode 直接作為 HTTP 狀態碼
+ */
+class AuthError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "AuthError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 建立登入服務：把各登入方式 (auth/) 回傳的身分對應到顧客帳號，產生 session 中的使用者資料
+ * 不同登入方式只要 email 相同 (且已驗證) 就是同一個帳號，訂單與訂閱記錄不受登入方式影響
+ * @param {object} deps
+ * @param {object[]} deps.providers - auth/index.js 建立的登入方式
+ * @param {object} deps.accountRepository - repositories/accountRepository.js 建立的帳號記錄
+ * @param {object} deps.logger - winston logger
+ */
+function createAuthService({ providers, accountRepository, logger }) {
+  /** 前端顯示的登入方式 (依 LOGIN_PROVIDERS 的順序) */
+  const listProviders = () => providers.map(({ name, label, type }) => ({ name, label, type }));
+
+  /**
+   * @param {string} name - 登入方式名稱 (路由的 :provider)
+   * @param {string} [type] - 只接受指定種類 (redirect / email)
+   * @throws {AuthError} 未啟用的登入方式
+   */
+  function getProvider(name, type) {
+    const provider = providers.find((candidate) => candidate.name === name);
+    if (!provider || (type && provider.type !== type)) {
+      throw new AuthError("不支援的登入方式", 404);
+    }
+    return provider;
+  }
+
+  /**
+   * 以登入方式回傳的身分登入，回傳要存入 session 的使用者
+   * @param {string} providerName - 登入方式名稱
+   * @param {{ subject: string, email?: string, emailVerified: boolean, name?: string, picture?: string }} identity
+   * @returns {Promise<{ id: string, email: string, name: string, picture: string, provider: string }>}
+   * @throws {AuthError} 沒有 email 或 email 未驗證 (未驗證的 email 可能冒用他人的訂單記錄)
+   */
+  async function signIn(providerName, identity) {
+    if (!identity.email) {
+      throw new AuthError("登入帳號沒有提供 Email，無法登入", 403);
+    }
+    if (!identity.emailVerified) {
+      logger.warn("Login rejected: email not verified", { provider: providerName, email: identity.email });
+      throw new AuthError("登入帳號的 Email 尚未驗證，請先完成驗證或改用其他登入方式", 403);
+    }
+
+    const { account, created, linked } = await accountRepository.signIn({ ...identity, provider: providerName });
+    if (created) {
+      logger.info("Account created", { accountId: account.id, provider: providerName });
+    } else if (linked) {
+      logger.info("Login provider linked to existing account", { accountId: account.id, provider: providerName });
+    }
+    return { id: account.id, email: account.email, name: account.name, picture: account.picture, provider: providerName };
+  }
+
+  return { listProviders, getProvider, signIn };
+}
+
+module.exports = { createAuthService, AuthError };
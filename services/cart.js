@@ -0,0 +1,129 @@
+// 單一商品在購物車中的數量上限
+const MAX_QUANTITY = 10;
+
+// PAYUNi ProdDesc 長度有限，超過時改為「...等 N 項商品」
+const PROD_DESC_MAX_LENGTH = 100;
+
+/**
+ * 取得 session 中的購物車 (不存在時建立)
+ * 購物車只存 productID 與數量，價格一律在結帳時由商品資料重新計算
+ * @param {object} session - req.session
+ * @returns {{ productID: string, quantity: number }[]}
+ */
+function getCart(session) {
+  if (!Array.isArray(session.cart)) {
+    session.cart = [];
+  }
+  return session.cart;
+}
+
+/**
+ * 加入商品，已存在時累加數量
+ * @returns {number} 加入後的數量
+ */
+function addItem(session, productID, quantity) {
+  const cart = getCart(session);
+  const existing = cart.find((item) => item.productID === productID);
+  if (existing) {
+    existing.quantity = Math.min(existing.quantity + quantity, MAX_QUANTITY);
+    return existing.quantity;
+  }
+  cart.push({ productID, quantity: Math.min(quantity, MAX_QUANTITY) });
+  return Math.min(quantity, MAX_QUANTITY);
+}
+
+/**
+ * 設定商品數量，數量為 0 時移除
+ * @returns {boolean} 商品是否在購物車中
+ */
+function setItemQuantity(session, productID, quantity) {
+  const cart = getCart(session);
+  const index = cart.findIndex((item) => item.productID === productID);
+  if (index === -1) {
+    return false;
+  }
+  if (quantity <= 0) {
+    cart.splice(index, 1);
+  } else {
+    cart[index].quantity = Math.min(quantity, MAX_QUANTITY);
+  }
+  return true;
+}
+
+/**
+ * 移除商品
+ * @returns {boolean} 商品原本是否在購物車中
+ */
+function removeItem(session, productID) {
+  return setItemQuantity(session, productID, 0);
+}
+
+function clearCart(session) {
+  session.cart = [];
+}
+
+/**
+ * 依商品資料計算明細與總金額，已下架的商品會被略過
+ * @param {{ productID: string, quantity: number }[]} cartItems
+ * @param {object[]} products - 商品資料
+ * @returns {{ items: { productID: string, name: string, price: number, quantity: number, subtotal: number, installments: number[] }[], total: number }}
+ */
+function priceItems(cartItems, products) {
+  const items = cartItems
+    .map(({ productID, quantity }) => {
+      const product = products.find((p) => p.id === productID);
+      if (!product) return null;
+      return { productID, name: product.name, price: product.price, quantity, subtotal: product.price * quantity, installments: product.installments || [], ...(product.merchantId && { merchantId: product.merchantId }) };
+    })
+    .filter(Boolean);
+
+  return { items, total: items.reduce((sum, item) => sum + item.subtotal, 0) };
+}
+
+/**
+ * 組合 PAYUNi 的 ProdDesc
+ * 單一商品且數量為 1 時維持原本只顯示商品名稱的格式
+ */
+function describeItems(items) {
+  if (items.length === 1 && items[0].quantity === 1) {
+    return items[0].name;
+  }
+
+  const desc = items.map((item) => `${item.name} x${item.quantity}`).join("、");
+  if (desc.length <= PROD_DESC_MAX_LENGTH) {
+    return desc;
+  }
+  return `${items[0].name} x${items[0].quantity} 等 ${items.length} 項商品`;
+}
+
+/**
+ * 產生代表這組商品的識別字串，存入訂單的 productID 欄位
+ * 用來在重新結帳時找回內容相同的待支付訂單
+ */
+function itemsKey(items) {
+  if (items.length === 1 && items[0].quantity === 1) {
+    return items[0].productID;
+  }
+  return items
+    .map((item) => `${item.productID}x${item.quantity}`)
+    .sort()
+    .join("+");
+}
+
+/**
+ * 整筆訂單可以選擇的分期期數：每件商品都提供的期數才能使用
+ * @param {{ installments?: number[] }[]} items - priceItems() 的品項
+ * @returns {number[]} 由小到大排序，沒有共同期數時為空陣列
+ */
+function availableInstallments(items) {
+  if (items.length === 0) {
+    return [];
+  }
+  return items
+    .map((item) => item.installments || [])
+    .reduce((common, installments) => common.filter((count) => installments.includes(count)))
+    .slice()
+    .sort((a, b) => a - b);
+}
+
+module.exports = { MAX_QUANTITY, getCart, addItem, setItemQuantity, removeItem, clearCart, priceItems, describeItems, itemsKey, availableInstallments };
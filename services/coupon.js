@@ -0,0 +1,67 @@
+// 優惠券類型：固定金額折抵 / 百分比折扣
+const COUPON_TYPES = {
+  FIXED: "fixed",
+  PERCENT: "percent",
+};
+
+/**
+ * 優惠碼無法使用時丟出，message 會直接顯示給顧客
+ */
+class CouponError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CouponError";
+  }
+}
+
+/** 統一優惠碼格式 (不分大小寫、去除空白) */
+function normalizeCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * 依優惠券規則計算折扣金額，不符合條件時丟出 CouponError
+ * 指定商品的優惠券只折抵該商品的小計；折扣後金額至少保留 1 元 (PAYUNi 不接受 0 元交易)
+ * @param {object} coupon - 優惠券設定
+ * @param {object} context
+ * @param {{ productID: string, subtotal: number }[]} context.items - cart.priceItems() 計算後的明細
+ * @param {{ total: number, byUser: number }} context.usage - 已使用 (含保留中) 的次數
+ * @param {Date} [context.now]
+ * @returns {{ code: string, discount: number, total: number, discountedTotal: number }}
+ */
+function applyCoupon(coupon, { items, usage, now = new Date() }) {
+  if (!coupon || coupon.active === false) {
+    throw new CouponError("優惠碼無效");
+  }
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+    throw new CouponError("優惠碼尚未開始使用");
+  }
+  if (coupon.endsAt && new Date(coupon.endsAt) <= now) {
+    throw new CouponError("優惠碼已過期");
+  }
+  if (coupon.maxUses && usage.total >= coupon.maxUses) {
+    throw new CouponError("優惠碼已達使用上限");
+  }
+  if (coupon.maxUsesPerUser && usage.byUser >= coupon.maxUsesPerUser) {
+    throw new CouponError("您已使用過此優惠碼");
+  }
+
+  const total = items.reduce((sum, item) => sum + item.subtotal, 0);
+  if (coupon.minSpend && total < coupon.minSpend) {
+    throw new CouponError(`訂單金額需滿 ${coupon.minSpend} 元才能使用此優惠碼`);
+  }
+
+  const eligibleItems = coupon.productIDs && coupon.productIDs.length > 0 ? items.filter((item) => coupon.productIDs.includes(item.productID)) : items;
+  const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + item.subtotal, 0);
+  if (eligibleSubtotal === 0) {
+    throw new CouponError("購買的商品不適用此優惠碼");
+  }
+
+  const rawDiscount = coupon.type === COUPON_TYPES.PERCENT ? Math.floor((eligibleSubtotal * coupon.value) / 100) : coupon.value;
+  const discount = Math.max(Math.min(rawDiscount, eligibleSubtotal, total - 1), 0);
+  return { code: coupon.code, discount, total, discountedTotal: total - discount };
+}
+
+module.exports = { COUPON_TYPES, CouponError, normalizeCode, applyCoupon };
@@ -0,0 +1,122 @@
+const { ORDER_STATUS } = require("../repositories/orderStatus");
+const { EMAIL_KIND, renderEmail } = require("../mail/templates");
+
+// 訂單狀態對應的通知信
+const STATUS_EMAILS = {
+  [ORDER_STATUS.PAID]: EMAIL_KIND.ORDER_CONFIRMATION,
+  [ORDER_STATUS.FAILED]: EMAIL_KIND.PAYMENT_FAILED,
+};
+
+const DEFAULT_RETRY_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 2000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * 建立交易信件服務：付款成功、付款失敗與退款後寄信給顧客
+ * 信件在背景寄出，不延遲金流通知的回覆；寄送失敗會重試，結果寫入寄信記錄
+ * 同一筆訂單的同一種信件成功寄出後不會再寄 (例如重送的 Notify 或對帳再次確認付款)
+ * @param {object} deps
+ * @param {object|null} deps.transport - mail/index.js 建立的寄送方式，null 代表停用寄信
+ * @param {object} deps.emailLog - repositories/emailLog.js 建立的寄信記錄
+ * @param {object} deps.orderRepository - 訂單儲存庫 (寄信前讀取最新的訂單資料)
+ * @param {string} deps.from - 寄件者 (MAIL_FROM)
+ * @param {string} deps.siteUrl - 信件中「查看訂單」連結
+ * @param {object} deps.logger - winston logger
+ * @param {number} [deps.retryAttempts] - 最多嘗試次數
+ * @param {number} [deps.retryDelayMs] - 第一次重試前的等待時間，之後每次加倍
+ */
+function createEmailService({ transport, emailLog, orderRepository, from, siteUrl, logger, retryAttempts = DEFAULT_RETRY_ATTEMPTS, retryDelayMs = DEFAULT_RETRY_DELAY_MS }) {
+  // 背景寄送中的工作，whenIdle() 用來等待全部完成 (測試與關閉程序時使用)
+  const pending = new Set();
+
+  async function deliver(key, kind, tradeNo, context) {
+    const previous = await emailLog.get(key);
+    if (previous && previous.status === "sent") {
+      logger.info("Email already sent, skipped", { tradeNo, kind });
+      return previous;
+    }
+
+    const order = await orderRepository.getOrder(tradeNo);
+    if (!order) {
+      throw new Error(`找不到訂單: ${tradeNo}`);
+    }
+    const to = order.email || order.userEmail;
+    if (!to) {
+      logger.warn("Order has no email address, email skipped", { tradeNo, kind });
+      return null;
+    }
+
+    const { subject, text, html } = renderEmail(kind, order, { siteUrl, ...context });
+    const entry = { tradeNo, kind, to, subject, transport: transport.name };
+    let lastError;
+
+    for (let attempt = 1; attempt <= retryAttempts; attempt++) {
+      try {
+        const { messageId } = await transport.send({ from, to, subject, text, html });
+        const sent = { ...entry, status: "sent", attempts: attempt, messageId, sentAt: new Date().toISOString() };
+        await emailLog.record(key, sent);
+        logger.info("Email sent", { tradeNo, kind, transport: transport.name, attempts: attempt });
+        return sent;
+      } catch (error) {
+        lastError = error;
+        logger.warn("Failed to send email", { tradeNo, kind, attempt, error: error.message });
+        if (attempt < retryAttempts) {
+          await sleep(retryDelayMs * 2 ** (attempt - 1));
+        }
+      }
+    }
+
+    const failed = { ...entry, status: "failed", attempts: retryAttempts, error: lastError.message };
+    await emailLog.record(key, failed);
+    logger.error("Email delivery failed after retries", { tradeNo, kind, attempts: retryAttempts, error: lastError.message });
+    return failed;
+  }
+
+  // 在背景寄送，錯誤只記錄不拋出
+  function enqueue(key, kind, tradeNo, context = {}) {
+    if (!transport) {
+      return Promise.resolve(null);
+    }
+    const task = deliver(key, kind, tradeNo, context).catch((error) => {
+      logger.error("Email task failed", { tradeNo, kind, error: error.message });
+      return null;
+    });
+    pending.add(task);
+    task.finally(() => pending.delete(task));
+    return task;
+  }
+
+  /**
+   * 訂單狀態改變後呼叫：已完成寄付款成功信、已失敗寄付款失敗信，其他狀態不寄
+   * @param {string} tradeNo - 訂單編號
+   * @param {string} status - 訂單的新狀態
+   * @returns {Promise<object|null>} 寄信記錄 (不需要等待)
+   */
+  function notifyOrderStatus(tradeNo, status) {
+    const kind = STATUS_EMAILS[status];
+    if (!kind) {
+      return Promise.resolve(null);
+    }
+    return enqueue(`${tradeNo}:${kind}`, kind, tradeNo);
+  }
+
+  /**
+   * 退款完成後呼叫，每一筆退款寄一封
+   * @param {string} tradeNo - 訂單編號
+   * @param {object} refund - 本次的退款記錄 (services/refund.js)
+   * @returns {Promise<object|null>} 寄信記錄 (不需要等待)
+   */
+  function notifyRefund(tradeNo, refund) {
+    return enqueue(`${tradeNo}:${EMAIL_KIND.REFUND}:${refund.refundedAt}`, EMAIL_KIND.REFUND, tradeNo, { refund });
+  }
+
+  /** 等待背景中的寄信工作完成 */
+  async function whenIdle() {
+    await Promise.all([...pending]);
+  }
+
+  return { notifyOrderStatus, notifyRefund, whenIdle, listEmails: (tradeNo) => emailLog.listByTradeNo(tradeNo) };
+}
+
+module.exports = { createEmailService };
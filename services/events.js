@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const { ORDER_STATUS } = require("../repositories/orderStatus");
+
+// 訂單生命週期事件
+const ORDER_EVENTS = {
+  CREATED: "order.created",
+  PAID: "order.paid",
+  FAILED: "order.failed",
+  CANCELLED: "order.cancelled",
+  REFUNDED: "order.refunded",
+};
+
+// 訂單狀態改變時對應的事件 (待支付 → 待支付 的繳費資訊更新不發出事件)
+const STATUS_EVENTS = {
+  [ORDER_STATUS.PAID]: ORDER_EVENTS.PAID,
+  [ORDER_STATUS.FAILED]: ORDER_EVENTS.FAILED,
+  [ORDER_STATUS.CANCELLED]: ORDER_EVENTS.CANCELLED,
+  [ORDER_STATUS.PARTIALLY_REFUNDED]: ORDER_EVENTS.REFUNDED,
+  [ORDER_STATUS.REFUNDED]: ORDER_EVENTS.REFUNDED,
+};
+
+/** 訂單狀態對應的事件，沒有對應時回傳 null */
+function eventForStatus(status) {
+  return STATUS_EVENTS[status] || null;
+}
+
+/**
+ * 建立訂單事件匯流排：訂單服務、金流通知、對帳、逾期清理與退款在狀態改變後發布事件，
+ * 庫存、交易信件與商家 Webhook 訂閱事件，彼此不直接呼叫
+ * 訂閱者的錯誤只記錄，不影響發布者與其他訂閱者
+ * @param {object} deps
+ * @param {object} deps.logger - winston logger
+ */
+function createEventBus({ logger }) {
+  const subscribers = [];
+
+  /**
+   * 訂閱事件
+   * @param {string[]|"*"} types - 事件種類，"*" 代表全部
+   * @param {string} name - 訂閱者名稱 (記錄用)
+   * @param {(event: object) => Promise<void>|void} handler
+   */
+  function subscribe(types, name, handler) {
+    subscribers.push({ types, name, handler });
+  }
+
+  /**
+   * 發布事件，等待所有訂閱者處理完畢
+   * 需要較長時間的工作 (寄信、呼叫外部 Webhook) 由訂閱者自行在背景執行
+   * @param {string} type - ORDER_EVENTS 其中之一
+   * @param {{ tradeNo: string, status?: string, order?: object, refund?: object, source?: string }} data
+   * @returns {Promise<{ id: string, type: string, occurredAt: string, data: object }>}
+   */
+  async function publish(type, data) {
+    const event = { id: crypto.randomUUID(), type, occurredAt: new Date().toISOString(), data };
+    const targets = subscribers.filter(({ types }) => types === "*" || types.includes(type));
+
+    await Promise.all(
+      targets.map(async ({ name, handler }) => {
+        try {
+          await handler(event);
+        } catch (error) {
+          logger.error("Event subscriber failed", { type, tradeNo: data.tradeNo, subscriber: name, error: error.message });
+        }
+      })
+    );
+    return event;
+  }
+
+  return { subscribe, publish };
+}
+
+module.exports = { createEventBus, ORDER_EVENTS, eventForStatus };
@@ -0,0 +1,101 @@
+const crypto = require("crypto");
+const { renderLookupCode } = require("../mail/templates");
+const { normalizeEmail } = require("../repositories/accountRepository");
+
+// 每個驗證碼最多可以嘗試的次數，用完後需要重新取得
+const MAX_ATTEMPTS = 5;
+
+/**
+ * 訪客查詢訂單流程中可預期的錯誤 (驗證碼錯誤或過期、無法寄信)，statusCode 直接作為 HTTP 狀態碼
+ */
+class GuestLookupError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "GuestLookupError";
+    this.statusCode = statusCode;
+  }
+}
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * 建立訪客查詢訂單服務：寄出 6 位數驗證碼到訂單的 email，驗證通過後回傳該 email 的訂單
+ * 驗證碼以雜湊存在鍵值儲存，同一個 email 重新取得時覆寫舊的驗證碼；驗證成功或錯誤太多次後立即作廢
+ * 嘗試次數以鍵值儲存的 increment() 累計，不會因同時送出多個請求而少算
+ * @param {object} deps
+ * @param {object} deps.kvStore - stores/index.js 的鍵值儲存
+ * @param {object|null} deps.transport - mail/index.js 建立的寄送方式
+ * @param {object} deps.orderRepository - 訂單儲存庫 (以 getOrdersByEmail 查詢，與 /api/my-orders 相同)
+ * @param {string} deps.from - 寄件者
+ * @param {string} deps.siteUrl - 商店網址
+ * @param {number} deps.ttlMinutes - 驗證碼有效期限 (GUEST_LOOKUP_CODE_TTL_MINUTES)
+ * @param {object} deps.logger - winston logger
+ */
+function createGuestLookupService({ kvStore, transport, orderRepository, from, siteUrl, ttlMinutes, logger }) {
+  const codeKey = (email) => `lookup:${hash(email)}`;
+  const attemptsKey = (email) => `lookup-attempts:${hash(email)}`;
+
+  /**
+   * 寄出查詢訂單的驗證碼 (不論該 email 是否有訂單都會寄出，避免被用來探測)
+   * @param {string} email
+   * @throws {GuestLookupError} 無法寄信
+   */
+  async function sendCode(email) {
+    if (!transport) {
+      throw new GuestLookupError("目前無法寄送驗證碼", 503);
+    }
+
+    const to = normalizeEmail(email);
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+    const ttlMs = ttlMinutes * 60 * 1000;
+    await kvStore.set(codeKey(to), { codeHash: hash(`${to}:${code}`), expiresAt: Date.now() + ttlMs }, ttlMs);
+    await kvStore.delete(attemptsKey(to));
+    try {
+      await transport.send({ from, to, ...renderLookupCode({ code, ttlMinutes, siteUrl }) });
+    } catch (error) {
+      await kvStore.delete(codeKey(to));
+      logger.error("Failed to send order lookup code", { transport: transport.name, error: error.message });
+      throw new GuestLookupError("驗證碼寄送失敗，請稍後再試", 502);
+    }
+    logger.info("Order lookup code sent", { transport: transport.name });
+  }
+
+  /**
+   * 驗證驗證碼並回傳該 email 的訂單
+   * @param {string} email
+   * @param {string} code - 6 位數驗證碼
+   * @returns {Promise<object[]>} 同 orderRepository.getOrdersByEmail()
+   * @throws {GuestLookupError} 驗證碼錯誤、過期或錯誤次數過多
+   */
+  async function verifyCode(email, code) {
+    const address = normalizeEmail(email);
+    const key = codeKey(address);
+    const entry = await kvStore.get(key);
+    if (!entry) {
+      throw new GuestLookupError("驗證碼無效或已過期，請重新取得", 400);
+    }
+
+    // 每次驗證先計數再比對，同時送出的多個驗證碼也各自計入，總共最多只能嘗試 MAX_ATTEMPTS 次 (計數與驗證碼同時到期)
+    const { count } = await kvStore.increment(attemptsKey(address), Math.max(entry.expiresAt - Date.now(), 1));
+    const expected = Buffer.from(entry.codeHash, "hex");
+    const actual = Buffer.from(hash(`${address}:${code}`), "hex");
+    if (count > MAX_ATTEMPTS || !crypto.timingSafeEqual(expected, actual)) {
+      if (count >= MAX_ATTEMPTS) {
+        await kvStore.delete(key);
+        logger.warn("Order lookup code revoked after too many attempts");
+        throw new GuestLookupError("驗證碼錯誤次數過多，請重新取得", 429);
+      }
+      throw new GuestLookupError("驗證碼不正確", 400);
+    }
+
+    await kvStore.delete(key);
+    await kvStore.delete(attemptsKey(address));
+    const orders = await orderRepository.getOrdersByEmail(address);
+    logger.info("Guest order lookup verified", { orderCount: orders.length });
+    return orders;
+  }
+
+  return { sendCode, verifyCode };
+}
+
+module.exports = { createGuestLookupService, GuestLookupError };
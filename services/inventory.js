@@ -0,0 +1,44 @@
+const { ORDER_STATUS } = require("../repositories/orderStatus");
+
+// 需要釋放保留庫存的訂單狀態
+const RELEASE_STATUSES = [ORDER_STATUS.FAILED, ORDER_STATUS.CANCELLED];
+
+/**
+ * 建立庫存同步服務：訂單狀態改變後呼叫，付款成功扣除庫存、失敗或取消釋放保留
+ * 優惠券的使用次數與庫存一樣在建立訂單時佔用，也在這裡一併確認或歸還
+ * 同步失敗只記錄錯誤，不影響金流通知的回覆
+ * @param {object} deps
+ * @param {object} deps.productRepository - 商品目錄與庫存
+ * @param {object} deps.couponRepository - 優惠券與使用紀錄
+ * @param {object} deps.logger - winston logger
+ */
+function createInventoryService({ productRepository, couponRepository, logger }) {
+  /**
+   * @param {string} tradeNo - 訂單編號
+   * @param {string} status - 訂單的新狀態
+   * @param {object} [order] - 訂單資料，沒有保留記錄時用 items / couponCode / email 補扣
+   */
+  async function syncWithOrderStatus(tradeNo, status, order = {}) {
+    try {
+      if (status === ORDER_STATUS.PAID) {
+        if (await productRepository.commit(tradeNo, order.items || [])) {
+          logger.info("Inventory committed", { tradeNo });
+        }
+        await couponRepository.commit(tradeNo, order.couponCode ? { code: order.couponCode, email: order.email } : null);
+      } else if (RELEASE_STATUSES.includes(status)) {
+        if (await productRepository.release(tradeNo)) {
+          logger.info("Inventory released", { tradeNo, status });
+        }
+        if (await couponRepository.release(tradeNo)) {
+          logger.info("Coupon redemption released", { tradeNo, status });
+        }
+      }
+    } catch (error) {
+      logger.error("Failed to sync inventory", { tradeNo, status, message: error.message });
+    }
+  }
+
+  return { syncWithOrderStatus };
+}
+
+module.exports = { createInventoryService };
@@ -0,0 +1,224 @@
+const { ORDER_STATUS } = require("../repositories/orderStatus");
+
+// 電子發票的開立方式
+const INVOICE_TYPES = {
+  MEMBER: "member", // 會員載具 (以帳號 email 歸戶)
+  MOBILE: "mobile", // 手機條碼載具
+  CERTIFICATE: "certificate", // 自然人憑證載具
+  DONATION: "donation", // 捐贈 (愛心碼)
+  COMPANY: "company", // 公司戶 (打統一編號)
+};
+
+const MOBILE_BARCODE_PATTERN = /^\/[0-9A-Z.+-]{7}$/; // 「/」開頭加 7 碼英數字或 .+-
+const CERTIFICATE_PATTERN = /^[A-Z]{2}[0-9]{14}$/; // 2 碼大寫英文加 14 碼數字
+const LOVE_CODE_PATTERN = /^[0-9]{3,7}$/; // 3 到 7 碼數字
+const TAX_ID_PATTERN = /^[0-9]{8}$/;
+const TAX_ID_WEIGHTS = [1, 2, 1, 2, 1, 2, 4, 1];
+const COMPANY_NAME_MAX_LENGTH = 60;
+
+/**
+ * 檢查統一編號的檢查碼
+ * 各位數乘上權數後把乘積的十位數與個位數相加，總和能被 5 整除即為正確 (財政部 2023 年起的新規則，相容舊的 10)
+ * 第 7 碼為 7 時乘積為 28，2 + 8 = 10 可以當成 1 或 0
+ * @param {string} taxId
+ * @returns {boolean}
+ */
+function isValidTaxId(taxId) {
+  if (!TAX_ID_PATTERN.test(taxId)) {
+    return false;
+  }
+  const sum = TAX_ID_WEIGHTS.reduce((total, weight, index) => {
+    const product = Number(taxId[index]) * weight;
+    return total + Math.floor(product / 10) + (product % 10);
+  }, 0);
+  return sum % 5 === 0 || (taxId[6] === "7" && (sum + 1) % 5 === 0);
+}
+
+const trimmed = (value) => (typeof value === "string" ? value.trim() : "");
+
+/**
+ * 把結帳送來的發票資料整理成要保存在訂單上的格式
+ * 未填寫時預設為會員載具；載具號碼統一轉成大寫
+ * @param {object} [input] - { type, carrier, loveCode, taxId, companyName }
+ * @returns {{ type: string, carrier?: string, loveCode?: string, taxId?: string, companyName?: string }}
+ */
+function normalizeInvoice(input) {
+  const type = (input && input.type) || INVOICE_TYPES.MEMBER;
+  switch (type) {
+    case INVOICE_TYPES.MOBILE:
+    case INVOICE_TYPES.CERTIFICATE:
+      return { type, carrier: trimmed(input.carrier).toUpperCase() };
+    case INVOICE_TYPES.DONATION:
+      return { type, loveCode: trimmed(input.loveCode) };
+    case INVOICE_TYPES.COMPANY:
+      return { type, taxId: trimmed(input.taxId), companyName: trimmed(input.companyName) };
+    default:
+      return { type };
+  }
+}
+
+/**
+ * 驗證結帳送來的發票資料
+ * @param {object} [input] - 同 normalizeInvoice()
+ * @returns {string|null} 錯誤訊息，格式正確時為 null
+ */
+function validateInvoice(input) {
+  if (input === undefined || input === null) {
+    return null;
+  }
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return "發票資料格式不正確";
+  }
+  if (input.type !== undefined && !Object.values(INVOICE_TYPES).includes(input.type)) {
+    return "不支援的發票類型";
+  }
+
+  const invoice = normalizeInvoice(input);
+  switch (invoice.type) {
+    case INVOICE_TYPES.MOBILE:
+      return MOBILE_BARCODE_PATTERN.test(invoice.carrier) ? null : "手機條碼格式不正確 (「/」開頭加 7 碼英數字)";
+    case INVOICE_TYPES.CERTIFICATE:
+      return CERTIFICATE_PATTERN.test(invoice.carrier) ? null : "自然人憑證條碼格式不正確 (2 碼英文加 14 碼數字)";
+    case INVOICE_TYPES.DONATION:
+      return LOVE_CODE_PATTERN.test(invoice.loveCode) ? null : "愛心碼格式不正確 (3 到 7 碼數字)";
+    case INVOICE_TYPES.COMPANY:
+      if (!isValidTaxId(invoice.taxId)) {
+        return "統一編號不正確";
+      }
+      if (!invoice.companyName || invoice.companyName.length > COMPANY_NAME_MAX_LENGTH) {
+        return `公司抬頭必填，且不可超過 ${COMPANY_NAME_MAX_LENGTH} 字`;
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * express-validator 的 custom 驗證：格式錯誤時以錯誤訊息丟出
+ * @param {object} [input] - 同 normalizeInvoice()
+ * @returns {true}
+ */
+function assertValidInvoice(input) {
+  const error = validateInvoice(input);
+  if (error) {
+    throw new Error(error);
+  }
+  return true;
+}
+
+/**
+ * 比對兩份發票資料是否相同 (決定待支付訂單能否沿用)，只比對顧客填寫的欄位
+ * @returns {boolean}
+ */
+function isSameInvoice(a, b) {
+  const key = (invoice) => (invoice ? JSON.stringify(normalizeInvoice(invoice)) : "");
+  return key(a) === key(b);
+}
+
+/**
+ * 發票開立流程中可預期的錯誤 (找不到訂單、訂單未付款、未啟用發票)，statusCode 直接作為 HTTP 狀態碼
+ */
+class InvoiceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "InvoiceError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 建立電子發票服務：訂單付款成功後透過 invoices/ 的開立方式開立發票，並把發票號碼寫回訂單
+ * 發票在背景開立，不延遲金流通知的回覆；開立失敗會記錄在訂單上，由管理員重新開立
+ * 已開立的訂單不會重複開立 (例如重送的 Notify 或對帳再次確認付款)
+ * @param {object} deps
+ * @param {object|null} deps.provider - invoices/index.js 建立的開立方式，null 代表停用電子發票
+ * @param {object} deps.orderRepository - 訂單儲存庫
+ * @param {object} deps.logger - winston logger
+ */
+function createInvoiceService({ provider, orderRepository, logger }) {
+  // 背景開立中的工作，whenIdle() 用來等待全部完成 (測試與關閉程序時使用)
+  const pending = new Set();
+  // 同一筆訂單同時只開立一次
+  const inProgress = new Map();
+
+  async function issue(tradeNo) {
+    const order = await orderRepository.getOrder(tradeNo);
+    if (!order) {
+      throw new InvoiceError("找不到訂單", 404);
+    }
+    // 啟用電子發票前建立的訂單沒有發票資料，視為會員載具
+    const request = normalizeInvoice(order.invoice);
+    if (order.invoice && order.invoice.status === "issued") {
+      logger.info("Invoice already issued, skipped", { tradeNo, invoiceNumber: order.invoice.number });
+      return order.invoice;
+    }
+    if (order.status !== ORDER_STATUS.PAID) {
+      throw new InvoiceError(`訂單狀態為「${order.status}」，無法開立發票`, 409);
+    }
+
+    let result;
+    try {
+      result = await provider.issue({
+        tradeNo,
+        amount: order.tradeAmt,
+        discount: order.discount || 0,
+        items: order.items || [],
+        email: order.email || order.userEmail,
+        invoice: request,
+      });
+    } catch (error) {
+      logger.error("Invoice issuance failed", { tradeNo, provider: provider.name, error: error.message });
+      await orderRepository.updateInvoice(tradeNo, { ...request, status: "failed", provider: provider.name, error: error.message });
+      throw new InvoiceError(`發票開立失敗：${error.message}`, 502);
+    }
+
+    const invoice = { ...request, status: "issued", provider: provider.name, number: result.number, randomCode: result.randomCode, issuedAt: result.issuedAt };
+    await orderRepository.updateInvoice(tradeNo, invoice);
+    logger.info("Invoice issued", { tradeNo, provider: provider.name, invoiceNumber: invoice.number });
+    return invoice;
+  }
+
+  /**
+   * 開立單筆訂單的發票 (管理員重新開立時也使用)
+   * @param {string} tradeNo - 訂單編號
+   * @returns {Promise<object>} 寫回訂單的發票資料
+   * @throws {InvoiceError} 未啟用電子發票、找不到訂單、訂單未付款或開立失敗
+   */
+  function issueInvoice(tradeNo) {
+    if (!provider) {
+      return Promise.reject(new InvoiceError("目前沒有設定電子發票開立方式", 404));
+    }
+    if (!inProgress.has(tradeNo)) {
+      inProgress.set(tradeNo, issue(tradeNo).finally(() => inProgress.delete(tradeNo)));
+    }
+    return inProgress.get(tradeNo);
+  }
+
+  /**
+   * 訂單付款成功後呼叫，在背景開立發票，錯誤只記錄不拋出
+   * @param {string} tradeNo - 訂單編號
+   * @returns {Promise<object|null>} 發票資料 (不需要等待)
+   */
+  function issueForPaidOrder(tradeNo) {
+    if (!provider) {
+      return Promise.resolve(null);
+    }
+    const task = issueInvoice(tradeNo).catch((error) => {
+      logger.error("Invoice task failed", { tradeNo, error: error.message });
+      return null;
+    });
+    pending.add(task);
+    task.finally(() => pending.delete(task));
+    return task;
+  }
+
+  /** 等待背景中的開立工作完成 */
+  async function whenIdle() {
+    await Promise.all([...pending]);
+  }
+
+  return { enabled: Boolean(provider), issueInvoice, issueForPaidOrder, whenIdle };
+}
+
+module.exports = { createInvoiceService, InvoiceError, INVOICE_TYPES, isValidTaxId, normalizeInvoice, validateInvoice, assertValidInvoice, isSameInvoice };
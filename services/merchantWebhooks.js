@@ -0,0 +1,151 @@
+const crypto = require("crypto");
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY_MS = 5000;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// 提供給外部系統的訂單欄位 (不含金流原始資料與 Google 帳號 ID)
+const ORDER_FIELDS = ["tradeNo", "status", "tradeAmt", "discount", "couponCode", "email", "userName", "productName", "items", "payType", "installment", "tradeSeq", "paymentInfo", "cardInfo", "refunds", "createdAt", "completedAt"];
+
+function pickOrderFields(order) {
+  return Object.fromEntries(ORDER_FIELDS.filter((field) => order[field] !== undefined).map((field) => [field, order[field]]));
+}
+
+/**
+ * 計算 Webhook 簽章：HMAC-SHA256(secret, `${timestamp}.${body}`)，以 hex 表示
+ * 接收端以相同方式計算後比對 X-Webhook-Signature，並拒絕時間差過大的請求以防重放
+ * @param {string} body - 原始 JSON 字串
+ * @param {string} secret - MERCHANT_WEBHOOK_SECRET
+ * @param {number|string} timestamp - X-Webhook-Timestamp (Unix 秒)
+ */
+function signPayload(body, secret, timestamp) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * 建立商家 Webhook 發送器：把訂單事件以簽章過的 JSON POST 到 MERCHANT_WEBHOOK_URLS
+ * 每個網址各自在背景重試 (間隔逐次加倍)，重試用盡後放入死信清單，可由管理員重送
+ * @param {object} deps
+ * @param {string[]} deps.urls - 訂閱者網址
+ * @param {string} deps.secret - 簽章密鑰
+ * @param {object} deps.httpClient - 具備 post(url, body, options) 的 HTTP 用戶端 (axios)
+ * @param {object} deps.deadLetters - repositories/webhookDeadLetters.js 建立的死信清單
+ * @param {object} deps.orderRepository - 訂單儲存庫 (事件未附訂單資料時讀取)
+ * @param {object} deps.logger - winston logger
+ * @param {number} [deps.maxAttempts] - 每個網址最多嘗試次數
+ * @param {number} [deps.retryDelayMs] - 第一次重試前的等待時間，之後每次加倍
+ * @param {number} [deps.timeoutMs] - 單次請求逾時
+ */
+function createWebhookDispatcher({ urls, secret, httpClient, deadLetters, orderRepository, logger, maxAttempts = DEFAULT_MAX_ATTEMPTS, retryDelayMs = DEFAULT_RETRY_DELAY_MS, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  // 背景發送中的工作，whenIdle() 用來等待全部完成 (測試與關閉程序時使用)
+  const pending = new Set();
+
+  /** 轉成送給外部系統的內容 */
+  async function toPayload(event) {
+    const { tradeNo, status, source, refund } = event.data;
+    const order = event.data.order || (await orderRepository.getOrder(tradeNo)) || { tradeNo, status };
+    return {
+      id: event.id,
+      type: event.type,
+      occurredAt: event.occurredAt,
+      data: { tradeNo, status, source, order: pickOrderFields(order), ...(refund && { refund }) },
+    };
+  }
+
+  /**
+   * 送出一次，2xx 以外的回應視為失敗
+   * @throws {Error} 連線失敗、逾時或非 2xx 回應
+   */
+  async function post(url, payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await httpClient.post(url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": payload.id,
+        "X-Webhook-Event": payload.type,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signPayload(body, secret, timestamp)}`,
+      },
+      timeout: timeoutMs,
+      validateStatus: () => true,
+    });
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  async function deliver(url, payload) {
+    let lastError;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        await post(url, payload);
+        logger.info("Merchant webhook delivered", { url, type: payload.type, eventId: payload.id, attempts: attempt });
+        return { url, delivered: true, attempts: attempt };
+      } catch (error) {
+        lastError = error;
+        logger.warn("Merchant webhook delivery failed", { url, type: payload.type, eventId: payload.id, attempt, error: error.message });
+        if (attempt < maxAttempts) {
+          await sleep(retryDelayMs * 2 ** (attempt - 1));
+        }
+      }
+    }
+
+    const deadLetter = { id: crypto.randomUUID(), url, payload, attempts: maxAttempts, lastError: lastError.message, failedAt: new Date().toISOString() };
+    await deadLetters.add(deadLetter);
+    logger.error("Merchant webhook moved to dead-letter list", { url, type: payload.type, eventId: payload.id, deadLetterId: deadLetter.id });
+    return { url, delivered: false, attempts: maxAttempts, deadLetterId: deadLetter.id };
+  }
+
+  /**
+   * 事件匯流排的訂閱者：在背景送往每個網址，不延遲發布者
+   * @returns {Promise<object[]>} 各網址的發送結果 (不需要等待)
+   */
+  function dispatch(event) {
+    if (urls.length === 0) {
+      return Promise.resolve([]);
+    }
+    const task = toPayload(event)
+      .then((payload) => Promise.all(urls.map((url) => deliver(url, payload))))
+      .catch((error) => {
+        logger.error("Merchant webhook dispatch failed", { type: event.type, tradeNo: event.data.tradeNo, error: error.message });
+        return [];
+      });
+    pending.add(task);
+    task.finally(() => pending.delete(task));
+    return task;
+  }
+
+  /**
+   * 重送一筆死信 (只嘗試一次)，成功後從清單移除
+   * @param {string} id - 死信 ID
+   * @returns {Promise<{ delivered: boolean, error?: string }|null>} 找不到時回傳 null
+   */
+  async function replay(id) {
+    const deadLetter = await deadLetters.get(id);
+    if (!deadLetter) {
+      return null;
+    }
+    try {
+      await post(deadLetter.url, deadLetter.payload);
+    } catch (error) {
+      await deadLetters.update(id, { attempts: deadLetter.attempts + 1, lastError: error.message, replayedAt: new Date().toISOString() });
+      logger.warn("Merchant webhook replay failed", { id, url: deadLetter.url, error: error.message });
+      return { delivered: false, error: error.message };
+    }
+    await deadLetters.remove(id);
+    logger.info("Merchant webhook replayed", { id, url: deadLetter.url, type: deadLetter.payload.type });
+    return { delivered: true };
+  }
+
+  /** 等待背景中的發送工作完成 */
+  async function whenIdle() {
+    await Promise.all([...pending]);
+  }
+
+  return { dispatch, replay, whenIdle, listDeadLetters: () => deadLetters.list() };
+}
+
+module.exports = { createWebhookDispatcher, signPayload };
@@ -0,0 +1,66 @@
+const { createPayuniClient } = require("../utils/payuni");
+
+/**
+ * 建立商店清單：每個商店有自己的 PAYUNi 商店代號、金鑰、回呼網址與訂單 Sheet
+ * 第一個商店為預設商店 (PAYUNI_MERCHANT_ID)，未指定商店的商品、網域與舊訂單都屬於它
+ * - 結帳：商品設定的 merchantId 優先，其次依結帳的網域，都沒有時使用預設商店
+ * - Notify / Return：依 MerID 選擇金鑰後才驗證 HashInfo
+ * - 對帳、退款與交易查詢：依訂單的 merID 選擇商店
+ * @param {object} options
+ * @param {import("../config").MerchantConfig[]} options.merchants - config.merchants
+ * @param {string} options.apiUrl - UPP 付款頁網址 (所有商店共用)
+ * @param {string} [options.queryUrl] - 交易查詢端點 (所有商店共用)
+ * @param {object} [options.defaultClient] - 預設商店的 PAYUNi 用戶端，未傳入時由設定建立
+ */
+function createMerchantRegistry({ merchants, apiUrl, queryUrl, defaultClient }) {
+  const entries = merchants.map((merchant, index) => ({
+    ...merchant,
+    client: (index === 0 && defaultClient) || createPayuniClient({ apiUrl, queryUrl, merID: merchant.merID, hashKey: merchant.hashKey, hashIV: merchant.hashIV }),
+  }));
+  const defaultMerchant = entries[0];
+
+  /** 依商店代碼取得商店，找不到時回傳 null */
+  function get(id) {
+    return entries.find((merchant) => merchant.id === id) || null;
+  }
+
+  /** 依 PAYUNi 商店代號取得商店，找不到時回傳 null (Notify / Return 不可改用其他商店的金鑰) */
+  function byMerID(merID) {
+    return entries.find((merchant) => merchant.merID === merID) || null;
+  }
+
+  /**
+   * 訂單所屬的商店，未記錄 merID 或商店已移除的訂單使用預設商店
+   * @param {{ merID?: string }|null} order
+   */
+  function forOrder(order) {
+    return (order && byMerID(order.merID)) || defaultMerchant;
+  }
+
+  /** 結帳網域對應的商店，沒有對應時使用預設商店 */
+  function forHost(host) {
+    const hostname = (host || "").toLowerCase();
+    return entries.find((merchant) => merchant.hosts.includes(hostname)) || defaultMerchant;
+  }
+
+  /**
+   * 結帳品項所屬的商店：商品設定的 merchantId 優先，未設定的商品依結帳網域決定
+   * 一張訂單只能有一個商店代號，品項屬於不同商店時回傳 null
+   * @param {{ merchantId?: string }[]} items - services/cart.js priceItems() 的品項
+   * @param {string} host - 結帳的網域
+   * @returns {object|null}
+   */
+  function forItems(items, host) {
+    const ids = new Set(items.map((item) => (item.merchantId && get(item.merchantId) ? item.merchantId : forHost(host).id)));
+    return ids.size === 1 ? get([...ids][0]) : null;
+  }
+
+  /** 管理後台與商品設定使用的商店清單 (不含金鑰) */
+  function list() {
+    return entries.map(({ id, merID, hosts }) => ({ id, merID, hosts }));
+  }
+
+  return { defaultMerchant, get, byMerID, forOrder, forHost, forItems, list };
+}
+
+module.exports = { createMerchantRegistry };
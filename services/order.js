@@ -0,0 +1,244 @@
+const cart = require("./cart");
+const { CouponError, applyCoupon } = require("./coupon");
+const { OutOfStockError } = require("../repositories/productRepository");
+const { ORDER_STATUS, canTransition } = require("../repositories/orderStatus");
+const { ORDER_EVENTS } = require("./events");
+const { isSameInvoice } = require("./invoice");
+const { normalizeEmail } = require("../repositories/accountRepository");
+
+/**
+ * 無法建立或變更訂單 (找不到商品、庫存不足、優惠碼不適用、狀態不允許)
+ * statusCode 對應 HTTP 狀態碼，details 會一併回傳給前端
+ */
+class OrderError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = "OrderError";
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * 建立訂單服務：結帳時保留優惠碼與庫存並建立待支付訂單，沿用仍有效的待支付訂單
+ * @param {object} deps
+ * @param {object} deps.orderRepository - 訂單儲存庫
+ * @param {object} deps.productRepository - 商品目錄與庫存
+ * @param {object} deps.couponRepository - 優惠券
+ * @param {object} deps.events - services/events.js 建立的訂單事件匯流排
+ * @param {object} deps.orderExpiry - services/orderExpiry.js 建立的有效期限服務
+ * @param {object} deps.merchants - services/merchants.js 建立的商店清單
+ * @param {object} deps.logger - winston logger
+ */
+function createOrderService({ orderRepository, productRepository, couponRepository, events, orderExpiry, merchants, logger }) {
+  /**
+   * 決定要結帳的商品：購物車全部內容，或單一商品「立即購買」
+   * @param {{ productID: string, quantity: number }[]} cartItems - session 中的購物車
+   * @param {{ source?: string, productID?: string }} options
+   * @returns {Promise<object[]>} 依目前商品價格計算的品項
+   * @throws {OrderError} 購物車是空的或找不到商品
+   */
+  async function resolveCheckoutItems(cartItems, { source, productID }) {
+    const products = await productRepository.listProducts();
+    if (source === "cart") {
+      const { items } = cart.priceItems(cartItems, products);
+      if (items.length === 0) {
+        throw new OrderError("購物車是空的", 400);
+      }
+      return items;
+    }
+    const product = products.find((p) => p.id === productID);
+    if (!product) {
+      throw new OrderError("找不到該商品", 404);
+    }
+    return cart.priceItems([{ productID: product.id, quantity: 1 }], products).items;
+  }
+
+  /**
+   * 以目前的商品價格與優惠券設定重新計算訂單金額
+   * 沿用的訂單已經佔用一次優惠碼，不再檢查使用次數；優惠券已停用或過期時丟出 CouponError
+   */
+  async function currentPricing(items, couponCode) {
+    const total = items.reduce((sum, item) => sum + item.subtotal, 0);
+    if (!couponCode) {
+      return { tradeAmt: total, discount: 0 };
+    }
+    const pricing = applyCoupon(await couponRepository.getCoupon(couponCode), { items, usage: { total: 0, byUser: 0 } });
+    return { tradeAmt: pricing.discountedTotal, discount: pricing.discount };
+  }
+
+  /**
+   * 建立訂單後商品價格或優惠券有變動時，取消舊的待支付訂單並釋放庫存與優惠碼，改建立新訂單
+   * 舊訂單的付款表單若仍被送出，付款結果照常由 Notify 套用
+   */
+  async function cancelOutdatedOrder(order, pricing) {
+    logger.info("Pending order amount is outdated, cancelling it and creating a new one.", { tradeNo: order.tradeNo, tradeAmt: order.tradeAmt, currentAmt: pricing && pricing.tradeAmt });
+    await orderRepository.updateOrder(order.tradeNo, {
+      status: ORDER_STATUS.CANCELLED,
+      rawData: { source: "checkout", reason: "price_changed" },
+    });
+    await events.publish(ORDER_EVENTS.CANCELLED, { tradeNo: order.tradeNo, status: ORDER_STATUS.CANCELLED, order: { ...order, status: ORDER_STATUS.CANCELLED }, source: "checkout" });
+  }
+
+  /**
+   * 找出可以沿用的待支付訂單
+   * 已逾期、已取得 ATM / 超商繳費代碼，或商店、付款方式、分期期數、優惠碼、發票資料不同的訂單不能沿用
+   * 金額與目前價格 (商品價格、數量與折扣) 重新計算的結果不同時，取消舊訂單後建立新訂單
+   */
+  async function findReusableOrder({ items, email, orderKey, merID, payType, installment, couponCode, invoice }) {
+    try {
+      const existingOrder = await orderRepository.findPendingOrder({ email, productID: orderKey, merID });
+      if (!existingOrder) {
+        return null;
+      }
+      const reusable = orderExpiry.isWithinValidity(existingOrder) && !existingOrder.paymentInfo && existingOrder.merID === merID && (existingOrder.payType || "C") === payType && (existingOrder.installment || null) === installment && (existingOrder.couponCode || null) === couponCode && isSameInvoice(existingOrder.invoice, invoice);
+      if (!reusable) {
+        logger.info("Pending order not reusable for this payment type, creating a new one.", { tradeNo: existingOrder.tradeNo, payType });
+        return null;
+      }
+      let pricing = null;
+      try {
+        pricing = await currentPricing(items, couponCode);
+      } catch (pricingError) {
+        if (!(pricingError instanceof CouponError)) throw pricingError;
+      }
+      if (!pricing || Number(existingOrder.tradeAmt) !== pricing.tradeAmt || Number(existingOrder.discount || 0) !== pricing.discount) {
+        await cancelOutdatedOrder(existingOrder, pricing);
+        return null;
+      }
+      logger.info("Found existing pending order, reusing it.", { tradeNo: existingOrder.tradeNo });
+      return existingOrder;
+    } catch (findError) {
+      logger.warn("Failed to check for existing order, proceeding to create a new one.", { error: findError.message });
+      return null;
+    }
+  }
+
+  /**
+   * 結帳：沿用有效的待支付訂單，否則保留優惠碼與庫存後建立新訂單
+   * @param {object} options
+   * @param {{ id: string|null, email: string, name: string|null, guest?: boolean }} options.user - 登入的使用者；訪客結帳時 id 為 null、guest 為 true
+   * @param {object[]} options.items - resolveCheckoutItems() 的結果
+   * @param {string} options.payType - 付款方式
+   * @param {number|null} [options.installment] - 信用卡分期期數，一次付清時為 null
+   * @param {string|null} options.couponCode - 已正規化的優惠碼
+   * @param {object|null} [options.invoice] - services/invoice.js normalizeInvoice() 整理後的發票資料，未啟用電子發票時為 null
+   * @param {string} [options.host] - 結帳的網域，商品未指定商店時依網域決定商店
+   * @returns {Promise<{ order: { tradeNo: string, merID: string, tradeAmt: number, discount: number, installment: number|null, productName: string }, reused: boolean }>}
+   * @throws {OrderError} 品項屬於不同商店、分期期數不適用、優惠碼不適用、庫存不足或訂單寫入失敗
+   */
+  async function placeOrder({ user, items, payType, installment = null, couponCode, invoice = null, host }) {
+    const email = normalizeEmail(user.email);
+    // 每個商店有自己的商店代號與金鑰，一張訂單只能屬於一個商店
+    const merchant = merchants.forItems(items, host);
+    if (!merchant) {
+      throw new OrderError("購物車中的商品屬於不同商店，請分開結帳", 400);
+    }
+    const { merID } = merchant;
+    if (installment) {
+      if (payType !== "C") {
+        throw new OrderError("分期付款僅限信用卡", 400);
+      }
+      if (!cart.availableInstallments(items).includes(installment)) {
+        throw new OrderError(items.length === 1 ? `此商品不提供 ${installment} 期分期` : `購物車中有商品不提供 ${installment} 期分期`, 400);
+      }
+    }
+    const prodDesc = cart.describeItems(items); // 由商品資料組合的商品描述
+    const orderKey = cart.itemsKey(items);
+
+    // 訪客填寫的 email 未經驗證，不沿用同一個 email 的待支付訂單 (可能是別人的訂單)
+    const existingOrder = user.guest ? null : await findReusableOrder({ items, email, orderKey, merID, payType, installment, couponCode, invoice });
+    if (existingOrder) {
+      const { tradeNo, tradeAmt, discount = 0 } = existingOrder;
+      return { order: { tradeNo, merID, tradeAmt, discount, installment, productName: prodDesc }, reused: true };
+    }
+
+    const tradeNo = "test" + new Date().getTime();
+    let tradeAmt = items.reduce((sum, item) => sum + item.subtotal, 0); // 使用商品資料中的價格計算總額
+    let discount = 0;
+
+    // 先佔用優惠碼次數並計算折扣，再保留庫存，避免同一件商品被重複售出
+    if (couponCode) {
+      try {
+        const pricing = await couponRepository.reserve(tradeNo, { code: couponCode, email }, (coupon, usage) => applyCoupon(coupon, { items, usage }));
+        discount = pricing.discount;
+        tradeAmt = pricing.discountedTotal;
+      } catch (couponError) {
+        if (couponError instanceof CouponError) {
+          logger.info("Order rejected: coupon not applicable", { tradeNo, couponCode, reason: couponError.message });
+          throw new OrderError(couponError.message, 400);
+        }
+        throw couponError;
+      }
+    }
+
+    try {
+      await productRepository.reserve(tradeNo, items);
+    } catch (reserveError) {
+      await couponRepository.release(tradeNo);
+      if (reserveError instanceof OutOfStockError) {
+        logger.info("Order rejected: out of stock", { tradeNo, productID: reserveError.productID });
+        throw new OrderError("商品已售完或庫存不足", 409, { productID: reserveError.productID });
+      }
+      throw reserveError;
+    }
+
+    const order = {
+      tradeNo,
+      merID,
+      tradeAmt,
+      email,
+      productID: orderKey,
+      productName: prodDesc,
+      items: items.map(({ productID, name, price, quantity }) => ({ productID, name, price, quantity })),
+      payType,
+      installment,
+      couponCode,
+      discount,
+      invoice,
+      userGoogleId: user.id,
+      userEmail: email,
+      userName: user.name,
+    };
+    try {
+      await orderRepository.createOrder(order);
+      logger.info("Order record created", { tradeNo, store: orderRepository.name });
+    } catch (storeError) {
+      logger.warn("Failed to create order record", { tradeNo, store: orderRepository.name, error: storeError.message });
+      await productRepository.release(tradeNo);
+      await couponRepository.release(tradeNo);
+      throw new OrderError("訂單建立失敗", 500, { tradeNo });
+    }
+    await events.publish(ORDER_EVENTS.CREATED, { tradeNo, status: ORDER_STATUS.PENDING, order: { ...order, status: ORDER_STATUS.PENDING }, source: "checkout" });
+
+    return { order: { tradeNo, merID, tradeAmt, discount, installment, productName: prodDesc }, reused: false };
+  }
+
+  /**
+   * 手動將訂單標記為已取消，並釋放保留的庫存與優惠碼
+   * @param {string} tradeNo - 訂單編號
+   * @param {string} operator - 操作的管理員 email
+   * @throws {OrderError} 找不到訂單或目前狀態無法取消
+   */
+  async function cancelOrder(tradeNo, operator) {
+    const order = await orderRepository.getOrder(tradeNo);
+    if (!order) {
+      throw new OrderError("找不到訂單", 404);
+    }
+    if (!canTransition(order.status, ORDER_STATUS.CANCELLED)) {
+      throw new OrderError(`訂單狀態為「${order.status}」，無法取消`, 409);
+    }
+
+    await orderRepository.updateOrder(tradeNo, {
+      status: ORDER_STATUS.CANCELLED,
+      rawData: { source: "admin", operator },
+    });
+    logger.info("Order cancelled by admin", { tradeNo, operator });
+    await events.publish(ORDER_EVENTS.CANCELLED, { tradeNo, status: ORDER_STATUS.CANCELLED, order: { ...order, status: ORDER_STATUS.CANCELLED }, source: "admin", operator });
+    return { tradeNo, status: ORDER_STATUS.CANCELLED };
+  }
+
+  return { resolveCheckoutItems, placeOrder, cancelOrder };
+}
+
+module.exports = { createOrderService, OrderError };
@@ -0,0 +1,157 @@
+const { ORDER_STATUS } = require("../repositories/orderStatus");
+const { ORDER_EVENTS } = require("./events");
+
+// PAYUNi 回傳的日期為台灣時間，只有日期時視為當天結束
+function parseGatewayDate(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return new Date(`${text}T23:59:59+08:00`);
+  }
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(text)) {
+    return new Date(`${text.replace(" ", "T")}+08:00`);
+  }
+  return new Date(text);
+}
+
+function isValidDate(date) {
+  return date instanceof Date && !Number.isNaN(date.getTime());
+}
+
+/**
+ * 建立待支付訂單逾期服務：計算訂單的有效期限，並定期把逾期訂單標記為已取消、釋放保留庫存
+ * @param {object} deps
+ * @param {object} deps.orderRepository - 訂單儲存庫
+ * @param {object} deps.reconciler - services/reconciliation.js 建立的對帳服務
+ * @param {object} deps.events - services/events.js 建立的訂單事件匯流排
+ * @param {object} deps.logger - winston logger
+ * @param {number} deps.ttlMinutes - 待支付訂單的有效分鐘數
+ * @param {boolean} [deps.checkGateway] - 取消前是否先向 PAYUNi 查詢，避免取消實際已付款的訂單
+ */
+function createOrderExpiry({ orderRepository, reconciler, events, logger, ttlMinutes, checkGateway = true }) {
+  let running = false;
+  let timer = null;
+
+  /**
+   * 訂單的有效期限；ATM / 超商代碼以繳費期限為準 (取較晚者)
+   * 缺少建立時間時回傳 null，視為無法判斷
+   * @param {{ createdAt?: string, paymentInfo?: { expireDate?: string } }} order
+   * @returns {Date|null}
+   */
+  function expiresAt(order) {
+    const createdAt = order.createdAt ? new Date(order.createdAt) : null;
+    if (!isValidDate(createdAt)) {
+      return null;
+    }
+    const deadline = new Date(createdAt.getTime() + ttlMinutes * 60 * 1000);
+    const payDeadline = parseGatewayDate(order.paymentInfo && order.paymentInfo.expireDate);
+    return isValidDate(payDeadline) && payDeadline > deadline ? payDeadline : deadline;
+  }
+
+  /** 訂單是否仍在有效期限內，可以沿用 */
+  function isWithinValidity(order, now = new Date()) {
+    const deadline = expiresAt(order);
+    return deadline !== null && deadline > now;
+  }
+
+  /** 訂單是否已確定逾期 */
+  function isExpired(order, now = new Date()) {
+    const deadline = expiresAt(order);
+    return deadline !== null && deadline <= now;
+  }
+
+  /**
+   * 取消單筆逾期訂單
+   * checkGateway 時先對帳：金流方已有結果就以對帳結果為準，查詢失敗則留待下次處理
+   * 清單讀取後 Notify 仍可能送達 (付款成功或 ATM 取號延長期限)，取消前重新讀取訂單，只取消仍待支付且已逾期的訂單
+   */
+  async function expireOrder(order) {
+    const { tradeNo } = order;
+    if (checkGateway) {
+      const result = await reconciler.reconcileOrder(tradeNo);
+      if (result.updated) {
+        return { tradeNo, expired: false, status: result.status };
+      }
+    }
+
+    const current = await orderRepository.getOrder(tradeNo);
+    if (!current || current.status !== ORDER_STATUS.PENDING || !isExpired(current)) {
+      logger.info("Order changed before expiry, not cancelled", { tradeNo, status: current ? current.status : null });
+      return { tradeNo, expired: false, status: current ? current.status : null };
+    }
+
+    await orderRepository.updateOrder(tradeNo, {
+      status: ORDER_STATUS.CANCELLED,
+      rawData: { source: "expiry", expiresAt: expiresAt(current).toISOString() },
+    });
+    logger.info("Expired pending order cancelled", { tradeNo });
+    await events.publish(ORDER_EVENTS.CANCELLED, { tradeNo, status: ORDER_STATUS.CANCELLED, order: { ...current, status: ORDER_STATUS.CANCELLED }, source: "expiry" });
+    return { tradeNo, expired: true, status: ORDER_STATUS.CANCELLED };
+  }
+
+  /**
+   * 清理所有逾期的待支付訂單，單筆失敗不影響其他訂單
+   * @returns {Promise<{ checked: number, expired: number, failed: number, results: object[] }>}
+   */
+  async function sweepExpiredOrders() {
+    if (running) {
+      logger.warn("Expiry sweep already running, skipped");
+      return { checked: 0, expired: 0, failed: 0, results: [], skipped: true };
+    }
+
+    running = true;
+    try {
+      const now = new Date();
+      const expiredOrders = (await orderRepository.listPendingOrders()).filter((order) => isExpired(order, now));
+      const results = [];
+
+      for (const order of expiredOrders) {
+        try {
+          results.push(await expireOrder(order));
+        } catch (error) {
+          logger.warn("Failed to expire order", { tradeNo: order.tradeNo, error: error.message });
+          results.push({ tradeNo: order.tradeNo, expired: false, status: null, error: error.message });
+        }
+      }
+
+      const summary = {
+        checked: results.length,
+        expired: results.filter((result) => result.expired).length,
+        failed: results.filter((result) => result.error).length,
+        results,
+      };
+      if (summary.checked > 0) {
+        logger.info("Expiry sweep finished", { checked: summary.checked, expired: summary.expired, failed: summary.failed });
+      }
+      return summary;
+    } finally {
+      running = false;
+    }
+  }
+
+  /**
+   * 啟動定期清理
+   * @param {number} intervalMs - 執行間隔 (毫秒)
+   */
+  function start(intervalMs) {
+    stop();
+    timer = setInterval(() => {
+      sweepExpiredOrders().catch((error) => {
+        logger.error("Scheduled expiry sweep failed", { message: error.message });
+      });
+    }, intervalMs);
+    // 不讓排程阻止程序結束
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return { expiresAt, isWithinValidity, isExpired, sweepExpiredOrders, start, stop };
+}
+
+module.exports = { createOrderExpiry };
@@ -0,0 +1,66 @@
+const { ORDER_STATUS } = require("../repositories/orderStatus");
+
+// 計入營收的訂單狀態
+const REVENUE_STATUSES = [ORDER_STATUS.PAID, ORDER_STATUS.PARTIALLY_REFUNDED];
+
+/**
+ * 依條件篩選訂單，結果依建立時間由新到舊排序
+ * @param {object[]} orders - 訂單列表
+ * @param {object} filter
+ * @param {string} [filter.status] - 訂單狀態
+ * @param {string} [filter.email] - Email (部分比對，不分大小寫)
+ * @param {string} [filter.productID] - 商品 ID (比對訂單商品或商品明細)
+ * @param {string} [filter.from] - 建立日期起 (YYYY-MM-DD，含當日)
+ * @param {string} [filter.to] - 建立日期迄 (YYYY-MM-DD，含當日)
+ */
+function filterOrders(orders, { status, email, productID, from, to } = {}) {
+  const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : null;
+  const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
+  const emailKeyword = email ? email.toLowerCase() : null;
+
+  return orders
+    .filter((order) => {
+      if (status && order.status !== status) return false;
+      if (emailKeyword && !String(order.email || "").toLowerCase().includes(emailKeyword)) return false;
+      if (productID && order.productID !== productID && !(order.items || []).some((item) => item.productID === productID)) return false;
+
+      const createdTime = new Date(order.createdAt).getTime();
+      if (fromTime !== null && createdTime < fromTime) return false;
+      if (toTime !== null && createdTime > toTime) return false;
+      return true;
+    })
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * 統計訂單數量、營收與轉換率
+ * 轉換率 = 已付款訂單 / 全部訂單；營收扣除已退款金額
+ * @param {object[]} orders - 訂單列表
+ */
+function summarizeOrders(orders) {
+  const byStatus = {};
+  let revenue = 0;
+  let paidCount = 0;
+
+  orders.forEach((order) => {
+    byStatus[order.status] = (byStatus[order.status] || 0) + 1;
+
+    if (REVENUE_STATUSES.includes(order.status)) {
+      const refundedAmt = (order.refunds || []).reduce((sum, refund) => sum + Number(refund.amount), 0);
+      revenue += Number(order.tradeAmt) - refundedAmt;
+    }
+    if ([...REVENUE_STATUSES, ORDER_STATUS.REFUNDED].includes(order.status)) {
+      paidCount++;
+    }
+  });
+
+  return {
+    totalOrders: orders.length,
+    paidOrders: paidCount,
+    byStatus,
+    revenue,
+    conversionRate: orders.length > 0 ? Math.round((paidCount / orders.length) * 10000) / 100 : 0,
+  };
+}
+
+module.exports = { filterOrders, summarizeOrders };
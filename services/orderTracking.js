@@ -0,0 +1,127 @@
+const { ORDER_STATUS } = require("../repositories/orderStatus");
+const { PAY_TYPES } = require("../utils/payuni");
+const { OrderError } = require("./order");
+const { normalizeEmail } = require("../repositories/accountRepository");
+
+// 已付款 (含之後退款) 的訂單狀態
+const PAID_STATUSES = [ORDER_STATUS.PAID, ORDER_STATUS.PARTIALLY_REFUNDED, ORDER_STATUS.REFUNDED];
+
+// 金流通知在時間軸上的事件：ATM / 超商取號的通知仍是待支付
+const NOTIFICATION_EVENTS = {
+  [ORDER_STATUS.PENDING]: { type: "payment_code", label: "取得繳費代碼" },
+  [ORDER_STATUS.FAILED]: { type: "payment_failed", label: "付款失敗" },
+  [ORDER_STATUS.PAID]: { type: "paid", label: "付款成功" },
+};
+
+/**
+ * 建立顧客訂單追蹤服務：組合訂單、PAYUNi 通知帳本與退款記錄，提供「我的訂單」的訂單明細與重新付款
+ * 只能查詢登入者自己的訂單 (以 email 比對，與 /api/my-orders 相同)，其他訂單一律視為不存在
+ * @param {object} deps
+ * @param {object} deps.orderRepository - 訂單儲存庫
+ * @param {object} deps.notificationLedger - repositories/notificationLedger.js 建立的通知帳本
+ * @param {object} deps.orderExpiry - services/orderExpiry.js 建立的有效期限服務
+ */
+function createOrderTrackingService({ orderRepository, notificationLedger, orderExpiry }) {
+  async function findOwnOrder(user, tradeNo) {
+    const order = await orderRepository.getOrder(tradeNo);
+    if (!order || normalizeEmail(order.email) !== normalizeEmail(user.email)) {
+      throw new OrderError("找不到訂單", 404);
+    }
+    return order;
+  }
+
+  // 已取得 ATM / 超商繳費代碼的訂單請顧客依繳費資訊付款，不再產生新的付款表單
+  function payAgainBlocker(order) {
+    if (order.status !== ORDER_STATUS.PENDING) {
+      return `訂單狀態為「${order.status}」，無法重新付款`;
+    }
+    if (order.paymentInfo) {
+      return "已取得繳費代碼，請依繳費資訊付款";
+    }
+    if (!orderExpiry.isWithinValidity(order)) {
+      return "訂單已逾期，請重新下單";
+    }
+    return null;
+  }
+
+  /**
+   * 訂單時間軸：建立、每次金流通知 (取號、付款失敗、付款成功)、取消與退款，依時間排序
+   * 對帳補上的付款結果沒有通知記錄，改以訂單的完成時間表示
+   */
+  function buildTimeline(order, notifications) {
+    const timeline = [{ type: "created", at: order.createdAt, label: "建立訂單" }];
+
+    notifications
+      .filter((notification) => notification.outcome === "applied" && NOTIFICATION_EVENTS[notification.status])
+      .forEach((notification) => {
+        timeline.push({ ...NOTIFICATION_EVENTS[notification.status], at: notification.receivedAt, ...(notification.tradeSeq && { tradeSeq: notification.tradeSeq }) });
+      });
+
+    if (PAID_STATUSES.includes(order.status) && !timeline.some((event) => event.type === "paid") && order.completedAt) {
+      timeline.push({ type: "paid", at: order.completedAt, label: "付款成功" });
+    }
+    if (order.status === ORDER_STATUS.CANCELLED && order.completedAt) {
+      timeline.push({ type: "cancelled", at: order.completedAt, label: "訂單已取消" });
+    }
+    (order.refunds || []).forEach((refund) => {
+      timeline.push({ type: "refunded", at: refund.refundedAt, label: `退款 ${refund.amount} 元`, amount: refund.amount });
+    });
+
+    return timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+
+  /**
+   * 取得登入者的訂單明細 (不含金流原始資料與帳號資訊)
+   * @param {{ email: string }} user - session 中的使用者
+   * @param {string} tradeNo - 訂單編號
+   * @throws {OrderError} 找不到訂單或不是登入者的訂單
+   */
+  async function getCustomerOrder(user, tradeNo) {
+    const order = await findOwnOrder(user, tradeNo);
+    const notifications = await notificationLedger.listByTradeNo(tradeNo);
+    const payType = (order.paymentInfo && order.paymentInfo.payType) || order.payType || "C";
+    const expiresAt = order.status === ORDER_STATUS.PENDING ? orderExpiry.expiresAt(order) : null;
+
+    return {
+      tradeNo: order.tradeNo,
+      status: order.status,
+      tradeAmt: order.tradeAmt,
+      discount: order.discount || 0,
+      couponCode: order.couponCode || null,
+      productName: order.productName,
+      items: order.items || [],
+      payType,
+      payTypeLabel: PAY_TYPES[payType] || payType,
+      installment: order.installment || null,
+      tradeSeq: order.tradeSeq || null,
+      cardInfo: order.cardInfo || null,
+      paymentInfo: order.paymentInfo || null,
+      invoice: order.invoice || null,
+      refunds: (order.refunds || []).map(({ amount, refundedAt }) => ({ amount, refundedAt })),
+      createdAt: order.createdAt,
+      completedAt: order.completedAt || null,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      canPayAgain: payAgainBlocker(order) === null,
+      timeline: buildTimeline(order, notifications),
+    };
+  }
+
+  /**
+   * 取得可以重新付款的待支付訂單 (沿用原訂單編號與金額產生付款表單)
+   * @param {{ email: string }} user - session 中的使用者
+   * @param {string} tradeNo - 訂單編號
+   * @throws {OrderError} 找不到訂單，或訂單已付款、已取號或已逾期
+   */
+  async function getPayableOrder(user, tradeNo) {
+    const order = await findOwnOrder(user, tradeNo);
+    const blocker = payAgainBlocker(order);
+    if (blocker) {
+      throw new OrderError(blocker, 409);
+    }
+    return { ...order, payType: order.payType || "C", installment: order.installment || null };
+  }
+
+  return { getCustomerOrder, getPayableOrder };
+}
+
+module.exports = { createOrderTrackingService };
@@ -0,0 +1,130 @@
+const { resolveOrderStatus, extractPaymentInfo, extractCardInfo, isPeriodNotification } = require("../utils/payuni");
+const { ORDER_STATUS } = require("../repositories/orderStatus");
+
+/**
+ * 建立 PAYUNi 付款服務：產生 UPP 付款表單，並驗證、解讀 Notify 與 Return 送回的資料
+ * 付款表單使用訂單所屬商店的金鑰與回呼網址，Notify / Return 依 MerID 選擇商店的金鑰驗證
+ * @param {object} deps
+ * @param {object} deps.merchants - services/merchants.js 建立的商店清單
+ * @param {object} deps.notificationProcessor - services/paymentNotification.js 建立的 Notify 處理器
+ * @param {object} deps.subscriptionService - services/subscription.js 建立的訂閱服務 (處理定期定額扣款通知)
+ * @param {object} deps.logger - winston logger
+ */
+function createPaymentService({ merchants, notificationProcessor, subscriptionService, logger }) {
+  /**
+   * 產生訂單的 UPP 付款表單 (新訂單與沿用的待支付訂單共用)
+   * 選擇分期時以 CreditInst 指定期數，UPP 頁面只提供該期數的信用卡分期
+   * @param {{ tradeNo: string, merID?: string, tradeAmt: number, installment?: number|null }} order
+   * @param {object} options
+   * @param {string} options.prodDesc - 商品描述
+   * @param {string} options.payType - 付款方式
+   * @param {string} options.email - 付款人 email (UPP 頁面不可修改)
+   * @returns {{ payUrl: string, data: object }}
+   */
+  function createPaymentRequest(order, { prodDesc, payType, email }) {
+    const timestamp = Math.round(new Date().getTime() / 1000);
+    const merchant = merchants.forOrder(order);
+    return merchant.client.createPaymentForm({
+      MerTradeNo: order.tradeNo,
+      TradeAmt: order.tradeAmt,
+      ProdDesc: prodDesc,
+      NotifyURL: merchant.notifyUrl,
+      ReturnURL: merchant.returnUrl,
+      PayType: payType,
+      Timestamp: timestamp,
+      UsrMail: email,
+      UsrMailFix: 1,
+      ...(order.installment && { CreditInst: String(order.installment) }),
+    });
+  }
+
+  /**
+   * 處理 PAYUNi Notify
+   * @param {object} body - Notify 的表單欄位
+   * @returns {Promise<string>} 回覆給 PAYUNi 的內容 (OK / FAIL)
+   */
+  async function handleNotify(body) {
+    const { Status } = body;
+    if (Status !== "SUCCESS") {
+      logger.warn("Payment status is not SUCCESS", { status: Status });
+    }
+
+    const merchant = merchants.byMerID(body.MerID);
+    if (!merchant) {
+      logger.warn("Unknown MerID in webhook data", { merID: body.MerID });
+      return "FAIL";
+    }
+    if (!merchant.client.verify(body)) {
+      logger.warn("Hash verification failed", { merchant: merchant.id });
+      return "FAIL";
+    }
+
+    const tradeInfo = merchant.client.open(body);
+    const tradeNo = tradeInfo.MerTradeNo;
+    if (!tradeNo) {
+      logger.warn("Missing MerTradeNo in webhook data");
+      return "FAIL";
+    }
+
+    // 只記錄訂單編號和狀態，不記錄完整資料
+    logger.info("Webhook verified", { tradeNo, merchant: merchant.id, tradeSeq: tradeInfo.TradeNo, tradeStatus: tradeInfo.TradeStatus, period: tradeInfo.ThisPeriod });
+
+    // 定期定額的每期扣款交給訂閱服務，一般交易透過通知帳本套用到訂單 (重複通知不會重複處理)
+    let result;
+    try {
+      result = isPeriodNotification(tradeInfo) ? await subscriptionService.handleChargeNotification(tradeInfo, Status) : await notificationProcessor.handle(tradeInfo, Status);
+    } catch (storeError) {
+      logger.warn("Failed to update order status", { tradeNo, error: storeError.message });
+      return "FAIL";
+    }
+
+    logger.info("Webhook processed successfully", { tradeNo, status: result.status, outcome: result.outcome });
+    return result.ack;
+  }
+
+  /**
+   * 解讀 PAYUNi ReturnURL 帶回的付款結果，提供結果頁顯示
+   * 取號成功 (尚未繳費) 時顯示繳費資訊，其餘依付款結果顯示成功或失敗
+   * @param {object} body - Return 的表單欄位
+   * @returns {object|null} 不認得 MerID 或 Hash 驗證失敗時回傳 null
+   */
+  function readReturn(body) {
+    const merchant = merchants.byMerID(body.MerID);
+    if (!merchant) {
+      logger.warn("Unknown MerID in return data", { merID: body.MerID });
+      return null;
+    }
+    if (!merchant.client.verify(body)) {
+      logger.warn("Return URL hash verification failed", { merchant: merchant.id });
+      return null;
+    }
+
+    const { Status } = body;
+    const tradeInfo = merchant.client.open(body);
+    const orderStatus = resolveOrderStatus(tradeInfo, Status);
+    const paymentInfo = extractPaymentInfo(tradeInfo);
+    let resultStatus = Status === "SUCCESS" ? "success" : "fail";
+    if (resultStatus === "success" && orderStatus === ORDER_STATUS.PENDING && paymentInfo) {
+      resultStatus = "pending";
+    } else if ([ORDER_STATUS.FAILED, ORDER_STATUS.CANCELLED].includes(orderStatus)) {
+      resultStatus = "fail";
+    }
+
+    return {
+      status: resultStatus,
+      tradeNo: tradeInfo.MerTradeNo,
+      tradeSeq: tradeInfo.TradeNo,
+      // 定期定額委託頁帶回的是每期金額
+      tradeAmt: tradeInfo.TradeAmt !== undefined ? tradeInfo.TradeAmt : tradeInfo.PeriodAmt,
+      payTime: tradeInfo.PayTime || new Date().toISOString(),
+      message: tradeInfo.Message,
+      paymentInfo,
+      // 信用卡的卡號末四碼、發卡銀行與分期資訊
+      cardInfo: extractCardInfo(tradeInfo),
+    };
+  }
+
+  return { createPaymentRequest, handleNotify, readReturn };
+}
+
+module.exports = { createPaymentService };
@@ -0,0 +1,92 @@
+const { canTransition } = require("../repositories/orderStatus");
+const { resolveOrderStatus, extractPaymentInfo, extractCardInfo } = require("../utils/payuni");
+const { eventForStatus } = require("./events");
+
+/**
+ * 建立 PAYUNi Notify 處理器
+ * 透過通知帳本確保同一則通知只會套用一次：重送或重放的通知直接回覆先前的結果，
+ * 訂單已是通知的狀態 (例如對帳或逾期檢查已先標記為已完成) 時視為重送回覆 OK，
+ * 金額不符或狀態倒退 (例如已完成後又收到失敗) 的通知則拒絕套用
+ * @param {object} deps
+ * @param {object} deps.orderRepository - 訂單儲存庫
+ * @param {object} deps.ledger - repositories/notificationLedger.js 建立的帳本
+ * @param {object} deps.events - services/events.js 建立的訂單事件匯流排
+ * @param {object} deps.logger - winston logger
+ */
+function createNotificationProcessor({ orderRepository, ledger, events, logger }) {
+  // 同一則通知同時送達時，只讓第一個請求處理
+  const inFlight = new Set();
+
+  /**
+   * 處理一則已驗證並解密的通知
+   * @param {object} tradeInfo - 解密後的交易資料
+   * @param {string} outerStatus - 未加密的 Status 欄位
+   * @returns {Promise<{ outcome: "applied"|"duplicate"|"rejected", ack: "OK"|"FAIL", status: string, reason?: string }>}
+   */
+  async function handle(tradeInfo, outerStatus) {
+    const tradeNo = tradeInfo.MerTradeNo;
+    const tradeSeq = tradeInfo.TradeNo;
+    const status = resolveOrderStatus(tradeInfo, outerStatus);
+    // ATM / 超商代碼取號成功時，通知會先於實際付款送達，帶有繳費帳號或代碼
+    const paymentInfo = extractPaymentInfo(tradeInfo);
+    const cardInfo = extractCardInfo(tradeInfo);
+    const key = ledger.keyOf({ tradeNo, tradeSeq, status });
+
+    if (inFlight.has(key)) {
+      logger.warn("Same webhook notification is being processed, asking gateway to retry", { tradeNo, status });
+      return { outcome: "duplicate", ack: "FAIL", status, reason: "in_flight" };
+    }
+    inFlight.add(key);
+
+    try {
+      const previous = await ledger.get(key);
+      if (previous) {
+        logger.info("Duplicate webhook notification acknowledged", { tradeNo, status, outcome: previous.outcome });
+        return { outcome: "duplicate", ack: previous.ack, status };
+      }
+
+      const order = await orderRepository.getOrder(tradeNo);
+      if (!order) {
+        throw new Error(`找不到訂單: ${tradeNo}`);
+      }
+
+      let reason = null;
+      if (tradeInfo.TradeAmt !== undefined && Number(tradeInfo.TradeAmt) !== Number(order.tradeAmt)) {
+        reason = "amount_mismatch";
+      } else if (!canTransition(order.status, status)) {
+        reason = "invalid_transition";
+      }
+
+      const entry = { tradeNo, tradeSeq, status, tradeAmt: tradeInfo.TradeAmt, previousStatus: order.status };
+
+      if (reason === "invalid_transition" && order.status === status) {
+        logger.info("Webhook notification matches current order status, acknowledged", { tradeNo, status });
+        await ledger.record(key, { ...entry, outcome: "duplicate", ack: "OK" });
+        return { outcome: "duplicate", ack: "OK", status };
+      }
+      if (reason) {
+        logger.warn("Webhook notification rejected", { tradeNo, reason, currentStatus: order.status, notifiedStatus: status, notifiedAmt: tradeInfo.TradeAmt, orderAmt: order.tradeAmt });
+        await ledger.record(key, { ...entry, outcome: "rejected", reason, ack: "FAIL" });
+        return { outcome: "rejected", ack: "FAIL", status, reason };
+      }
+
+      await orderRepository.updateOrder(tradeNo, { status, tradeSeq, rawData: tradeInfo, paymentInfo, cardInfo });
+      const ack = outerStatus === "SUCCESS" ? "OK" : "FAIL";
+      // 訂單更新成功後才記帳，更新失敗時讓金流方重送
+      await ledger.record(key, { ...entry, outcome: "applied", ack });
+      logger.info("Order status updated", { tradeNo, status, store: orderRepository.name });
+      const type = eventForStatus(status);
+      if (type) {
+        await events.publish(type, { tradeNo, status, order: { ...order, status, tradeSeq }, source: "notify" });
+      }
+
+      return { outcome: "applied", ack, status };
+    } finally {
+      inFlight.delete(key);
+    }
+  }
+
+  return { handle };
+}
+
+module.exports = { createNotificationProcessor };
@@ -0,0 +1,130 @@
+const { ORDER_STATUS, canTransition } = require("../repositories/orderStatus");
+const { eventForStatus } = require("./events");
+
+/**
+ * 建立對帳服務：向 PAYUNi 查詢待支付訂單的實際交易狀態，並同步回訂單儲存庫
+ * 用來補救 Notify 遺失時訂單永遠停在「待支付」的情況，每筆訂單以所屬商店的金鑰查詢
+ * 與 Notify 相同只套用允許的狀態轉換 (已退款的信用卡交易查詢結果仍是已付款，不可改回已完成)、
+ * 拒絕金額不符的結果，並寫入通知帳本，之後送達的同一則 Notify 會被視為重送
+ * @param {object} deps
+ * @param {object} deps.orderRepository - 訂單儲存庫
+ * @param {object} deps.merchants - services/merchants.js 建立的商店清單
+ * @param {object} deps.ledger - repositories/notificationLedger.js 建立的通知帳本
+ * @param {object} deps.events - services/events.js 建立的訂單事件匯流排
+ * @param {object} deps.logger - winston logger
+ */
+function createReconciler({ orderRepository, merchants, ledger, events, logger }) {
+  let running = false;
+  let timer = null;
+
+  /**
+   * 對帳單筆訂單
+   * @param {string} tradeNo - 商店訂單編號
+   * @returns {Promise<{ tradeNo: string, updated: boolean, status: string|null, message?: string, reason?: string }>}
+   */
+  async function reconcileOrder(tradeNo) {
+    const order = await orderRepository.getOrder(tradeNo);
+    if (!order) {
+      return { tradeNo, updated: false, status: null, message: "找不到訂單" };
+    }
+    const result = await merchants.forOrder(order).client.queryTrade(tradeNo);
+
+    if (!result.found || !result.status) {
+      return { tradeNo, updated: false, status: null, message: result.message };
+    }
+    if (result.status === ORDER_STATUS.PENDING || result.status === order.status) {
+      return { tradeNo, updated: false, status: result.status };
+    }
+
+    const { tradeInfo } = result;
+    let reason = null;
+    if (tradeInfo.TradeAmt !== undefined && Number(tradeInfo.TradeAmt) !== Number(order.tradeAmt)) {
+      reason = "amount_mismatch";
+    } else if (!canTransition(order.status, result.status)) {
+      reason = "invalid_transition";
+    }
+    if (reason) {
+      logger.warn("Reconciliation result not applied", { tradeNo, reason, currentStatus: order.status, gatewayStatus: result.status, gatewayAmt: tradeInfo.TradeAmt, orderAmt: order.tradeAmt });
+      return { tradeNo, updated: false, status: result.status, reason };
+    }
+
+    const tradeSeq = tradeInfo.TradeNo;
+    await orderRepository.updateOrder(tradeNo, {
+      status: result.status,
+      tradeSeq,
+      rawData: { ...tradeInfo, source: "reconcile" },
+    });
+    // 與 Notify 使用相同的鍵，之後送達的同一則 Notify 直接回覆 OK
+    await ledger.record(ledger.keyOf({ tradeNo, tradeSeq, status: result.status }), { tradeNo, tradeSeq, status: result.status, tradeAmt: tradeInfo.TradeAmt, previousStatus: order.status, outcome: "applied", ack: "OK", source: "reconcile" });
+    logger.info("Order reconciled with gateway", { tradeNo, status: result.status });
+    const type = eventForStatus(result.status);
+    if (type) {
+      await events.publish(type, { tradeNo, status: result.status, order: { ...order, status: result.status, tradeSeq }, source: "reconcile" });
+    }
+    return { tradeNo, updated: true, status: result.status };
+  }
+
+  /**
+   * 對帳所有待支付訂單，單筆失敗不影響其他訂單
+   * @returns {Promise<{ checked: number, updated: number, failed: number, results: object[] }>}
+   */
+  async function reconcilePendingOrders() {
+    if (running) {
+      logger.warn("Reconciliation already running, skipped");
+      return { checked: 0, updated: 0, failed: 0, results: [], skipped: true };
+    }
+
+    running = true;
+    try {
+      const pendingOrders = await orderRepository.listPendingOrders();
+      const results = [];
+
+      // 依序查詢，避免同時對金流方發出大量請求
+      for (const order of pendingOrders) {
+        try {
+          results.push(await reconcileOrder(order.tradeNo));
+        } catch (error) {
+          logger.warn("Failed to reconcile order", { tradeNo: order.tradeNo, error: error.message });
+          results.push({ tradeNo: order.tradeNo, updated: false, status: null, error: error.message });
+        }
+      }
+
+      const summary = {
+        checked: results.length,
+        updated: results.filter((result) => result.updated).length,
+        failed: results.filter((result) => result.error).length,
+        results,
+      };
+      logger.info("Reconciliation finished", { checked: summary.checked, updated: summary.updated, failed: summary.failed });
+      return summary;
+    } finally {
+      running = false;
+    }
+  }
+
+  /**
+   * 啟動定期對帳
+   * @param {number} intervalMs - 執行間隔 (毫秒)
+   */
+  function start(intervalMs) {
+    stop();
+    timer = setInterval(() => {
+      reconcilePendingOrders().catch((error) => {
+        logger.error("Scheduled reconciliation failed", { message: error.message });
+      });
+    }, intervalMs);
+    // 不讓排程阻止程序結束
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return { reconcileOrder, reconcilePendingOrders, start, stop };
+}
+
+module.exports = { createReconciler };
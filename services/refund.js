@@ -0,0 +1,109 @@
+const { ORDER_STATUS } = require("../repositories/orderStatus");
+const { CLOSE_TYPE, PAY_TYPES } = require("../utils/payuni");
+const { ORDER_EVENTS } = require("./events");
+
+// 可以退款的訂單狀態
+const REFUNDABLE_STATUSES = [ORDER_STATUS.PAID, ORDER_STATUS.PARTIALLY_REFUNDED];
+
+/**
+ * 退款流程中可預期的錯誤 (訂單狀態不符、金額超出等)，statusCode 直接作為 HTTP 狀態碼
+ */
+class RefundError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "RefundError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 建立退款服務：以訂單所屬商店的金鑰向 PAYUNi 發出信用卡退款 / 取消授權，並把退款記錄寫回訂單
+ * @param {object} deps
+ * @param {object} deps.orderRepository - 訂單儲存庫
+ * @param {object} deps.merchants - services/merchants.js 建立的商店清單
+ * @param {object} deps.events - services/events.js 建立的訂單事件匯流排
+ * @param {object} deps.logger - winston logger
+ */
+function createRefundService({ orderRepository, merchants, events, logger }) {
+  // 同一筆訂單同時只允許一個退款請求，避免重複退款
+  const inProgress = new Set();
+
+  /**
+   * 退款或取消授權
+   * @param {string} tradeNo - 商店訂單編號
+   * @param {object} options
+   * @param {number} [options.amount] - 退款金額，未帶入時退還剩餘全額
+   * @param {"refund"|"cancel"} [options.type] - refund 退款 / cancel 取消授權
+   * @param {string} options.operator - 執行退款的管理員 email
+   */
+  async function refundOrder(tradeNo, { amount, type = "refund", operator }) {
+    if (inProgress.has(tradeNo)) {
+      throw new RefundError("此訂單正在處理退款，請稍後再試", 409);
+    }
+    inProgress.add(tradeNo);
+
+    try {
+      const order = await orderRepository.getOrder(tradeNo);
+      if (!order) {
+        throw new RefundError("找不到訂單", 404);
+      }
+      if (!REFUNDABLE_STATUSES.includes(order.status)) {
+        throw new RefundError(`訂單狀態為「${order.status}」，無法退款`, 409);
+      }
+      // 退款 / 取消授權 API 只支援信用卡；ATM 與超商代碼繳費需由商家自行退款給顧客 (未記錄付款方式的舊訂單視為信用卡)
+      const payType = order.payType || "C";
+      if (payType !== "C") {
+        throw new RefundError(`付款方式為「${PAY_TYPES[payType] || payType}」，無法透過 PAYUNi 線上退款`, 409);
+      }
+      if (!order.tradeSeq) {
+        throw new RefundError("訂單缺少 PAYUNi 交易序號，無法退款", 409);
+      }
+
+      const capturedAmt = Number(order.tradeAmt);
+      const refundedAmt = (order.refunds || []).reduce((sum, refund) => sum + Number(refund.amount), 0);
+      const remainingAmt = capturedAmt - refundedAmt;
+      const refundAmt = amount === undefined ? remainingAmt : Number(amount);
+
+      if (refundAmt <= 0 || refundAmt > remainingAmt) {
+        throw new RefundError(`退款金額不正確，可退金額為 ${remainingAmt}`);
+      }
+
+      const { client } = merchants.forOrder(order);
+      let result;
+      if (type === "cancel") {
+        if (refundedAmt > 0 || refundAmt !== capturedAmt) {
+          throw new RefundError("取消授權只能針對尚未退款的訂單全額取消");
+        }
+        result = await client.cancelAuthorization(order.tradeSeq);
+      } else {
+        result = await client.closeTrade(order.tradeSeq, { closeType: CLOSE_TYPE.REFUND, tradeAmt: refundAmt });
+      }
+
+      if (!result.success) {
+        logger.warn("Gateway rejected refund", { tradeNo, type, amount: refundAmt, message: result.message });
+        throw new RefundError(`金流方拒絕此請求：${result.message}`, 502);
+      }
+
+      const refund = { amount: refundAmt, type, refundedAt: new Date().toISOString(), operator, message: result.message };
+      const status = refundAmt === remainingAmt ? ORDER_STATUS.REFUNDED : ORDER_STATUS.PARTIALLY_REFUNDED;
+
+      try {
+        await orderRepository.addRefund(tradeNo, refund, status);
+      } catch (error) {
+        // 金流方已退款但記錄失敗，需人工補登
+        logger.error("Refund succeeded at gateway but failed to record", { tradeNo, refund, message: error.message });
+        throw error;
+      }
+
+      logger.info("Order refunded", { tradeNo, type, amount: refundAmt, status, operator });
+      await events.publish(ORDER_EVENTS.REFUNDED, { tradeNo, status, refund, source: "admin", operator });
+      return { tradeNo, refund, status, remainingAmt: remainingAmt - refundAmt };
+    } finally {
+      inProgress.delete(tradeNo);
+    }
+  }
+
+  return { refundOrder };
+}
+
+module.exports = { createRefundService, RefundError };
@@ -0,0 +1,239 @@
+const { ORDER_STATUS } = require("../repositories/orderStatus");
+const { SUBSCRIPTION_STATUS } = require("../repositories/subscriptionRepository");
+const { PERIOD_TYPES, readPeriodNotification, extractCardInfo } = require("../utils/payuni");
+const { ORDER_EVENTS } = require("./events");
+const { normalizeEmail } = require("../repositories/accountRepository");
+
+// 顧客可以取消的訂閱狀態
+const CANCELLABLE_STATUSES = [SUBSCRIPTION_STATUS.PENDING, SUBSCRIPTION_STATUS.ACTIVE];
+
+/**
+ * 訂閱流程中可預期的錯誤 (找不到方案或訂閱、不是本人的訂閱、狀態不允許、PAYUNi 拒絕)
+ * statusCode 直接作為 HTTP 狀態碼
+ */
+class SubscriptionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "SubscriptionError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 委託的扣款日：每月扣款為今天的日期 (超過 28 日時改為 28 日，避免小月沒有該日)，每年扣款為今天的 MMDD
+ * @param {string} interval - month / year
+ * @param {Date} date
+ */
+function periodDateOf(interval, date) {
+  if (interval === PERIOD_TYPES.year) {
+    return `${String(date.getMonth() + 1).padStart(2, "0")}${String(date.getDate()).padStart(2, "0")}`;
+  }
+  return String(Math.min(date.getDate(), 28));
+}
+
+/**
+ * 建立訂閱服務：以 PAYUNi 信用卡定期定額建立委託，處理每期扣款通知並提供取消
+ * 每期扣款成功會建立一筆已完成的訂單 (編號為「訂閱編號-P期數」)，
+ * 並發布 order.paid 事件，交易信件、電子發票與商家 Webhook 與一般訂單相同
+ * 訂閱所屬的商店與一般訂單相同：方案設定的 merchantId 優先，其次依訂閱時的網域；
+ * 委託表單、每期訂單與終止委託都使用該商店的金鑰
+ * @param {object} deps
+ * @param {object[]} deps.plans - 訂閱方案 (data/plans.js)
+ * @param {object} deps.subscriptionRepository - repositories/subscriptionRepository.js 建立的訂閱記錄
+ * @param {object} deps.orderRepository - 訂單儲存庫
+ * @param {object} deps.merchants - services/merchants.js 建立的商店清單 (NotifyURL 與一般交易共用 /payuni-webhook)
+ * @param {object} deps.events - services/events.js 建立的訂單事件匯流排
+ * @param {object} deps.logger - winston logger
+ */
+function createSubscriptionService({ plans, subscriptionRepository, orderRepository, merchants, events, logger }) {
+  // 同一期扣款通知同時送達時，只讓第一個請求處理
+  const inFlight = new Set();
+
+  const listPlans = () => plans.map(({ id, name, price, interval, description }) => ({ id, name, price, interval, description }));
+
+  /**
+   * 建立待授權的訂閱，並產生 PAYUNi 定期定額委託頁的表單
+   * @param {object} options
+   * @param {{ id: string, email: string, name: string }} options.user - 登入的使用者
+   * @param {string} options.planId - 方案代號
+   * @param {object|null} [options.invoice] - services/invoice.js normalizeInvoice() 整理後的發票資料，每期扣款的訂單沿用
+   * @param {string} [options.host] - 訂閱的網域，方案未指定商店時依網域決定商店
+   * @returns {Promise<{ subscription: object, paymentRequest: { payUrl: string, data: object } }>}
+   * @throws {SubscriptionError} 找不到方案
+   */
+  async function startSubscription({ user, planId, invoice = null, host }) {
+    const plan = plans.find((candidate) => candidate.id === planId);
+    if (!plan) {
+      throw new SubscriptionError("找不到該訂閱方案", 404);
+    }
+    const merchant = merchants.forItems([{ merchantId: plan.merchantId }], host);
+
+    const now = new Date();
+    const subscription = await subscriptionRepository.createSubscription({
+      id: "sub" + now.getTime(),
+      planId: plan.id,
+      planName: plan.name,
+      amount: plan.price,
+      interval: plan.interval,
+      periodTimes: plan.periodTimes,
+      merID: merchant.merID,
+      invoice,
+      userGoogleId: user.id,
+      email: normalizeEmail(user.email),
+      userName: user.name,
+    });
+    logger.info("Subscription created", { subscriptionId: subscription.id, planId: plan.id, merID: merchant.merID });
+
+    const paymentRequest = merchant.client.createPeriodForm({
+      MerTradeNo: subscription.id,
+      PeriodAmt: plan.price,
+      PeriodType: PERIOD_TYPES[plan.interval],
+      PeriodDate: periodDateOf(plan.interval, now),
+      PeriodTimes: plan.periodTimes,
+      FType: "build", // 建立委託時立即扣第一期
+      ProdDesc: plan.name,
+      UsrMail: user.email,
+      UsrMailFix: 1,
+      NotifyURL: merchant.notifyUrl,
+      ReturnURL: merchant.returnUrl,
+      Timestamp: Math.round(now.getTime() / 1000),
+    });
+    return { subscription, paymentRequest };
+  }
+
+  /** 每期扣款成功時建立對應的已完成訂單 (重送的通知沿用同一筆訂單) */
+  async function createChargeOrder(subscription, tradeNo, { period, amount, tradeSeq }, tradeInfo) {
+    const order = {
+      tradeNo,
+      // 未記錄 merID 的舊訂閱屬於預設商店
+      merID: merchants.forOrder(subscription).merID,
+      tradeAmt: amount,
+      email: subscription.email,
+      productID: subscription.planId,
+      productName: `${subscription.planName} (第 ${period} 期)`,
+      items: [{ productID: subscription.planId, name: subscription.planName, price: amount, quantity: 1 }],
+      payType: "C",
+      couponCode: null,
+      discount: 0,
+      invoice: subscription.invoice || null,
+      subscriptionId: subscription.id,
+      userGoogleId: subscription.userGoogleId,
+      userEmail: subscription.email,
+      userName: subscription.userName,
+    };
+    if (!(await orderRepository.getOrder(tradeNo))) {
+      await orderRepository.createOrder(order);
+    }
+    await orderRepository.updateOrder(tradeNo, { status: ORDER_STATUS.PAID, tradeSeq, rawData: tradeInfo, cardInfo: extractCardInfo(tradeInfo) });
+    return order;
+  }
+
+  /**
+   * 處理一則已驗證並解密的定期定額扣款通知 (由 services/payment.js 的 Notify 轉交)
+   * @param {object} tradeInfo - 解密後的交易資料
+   * @param {string} outerStatus - 未加密的 Status 欄位
+   * @returns {Promise<{ outcome: "applied"|"duplicate"|"rejected", ack: "OK"|"FAIL", status: string, reason?: string }>}
+   */
+  async function handleChargeNotification(tradeInfo, outerStatus) {
+    const charge = readPeriodNotification(tradeInfo, outerStatus);
+    const subscriptionId = charge.merTradeNo;
+    const key = `${subscriptionId}:${charge.period}`;
+
+    if (inFlight.has(key)) {
+      logger.warn("Same subscription charge is being processed, asking gateway to retry", { subscriptionId, period: charge.period });
+      return { outcome: "duplicate", ack: "FAIL", status: charge.status, reason: "in_flight" };
+    }
+    inFlight.add(key);
+
+    try {
+      const subscription = await subscriptionRepository.getSubscription(subscriptionId);
+      if (!subscription) {
+        throw new Error(`找不到訂閱: ${subscriptionId}`);
+      }
+      const previous = subscription.charges.find((existing) => existing.period === charge.period);
+      if (previous && (previous.status === ORDER_STATUS.PAID || previous.status === charge.status)) {
+        logger.info("Duplicate subscription charge acknowledged", { subscriptionId, period: charge.period });
+        return { outcome: "duplicate", ack: outerStatus === "SUCCESS" ? "OK" : "FAIL", status: previous.status };
+      }
+      if (charge.amount !== Number(subscription.amount)) {
+        logger.warn("Subscription charge rejected", { subscriptionId, reason: "amount_mismatch", notifiedAmt: charge.amount, planAmt: subscription.amount });
+        return { outcome: "rejected", ack: "FAIL", status: charge.status, reason: "amount_mismatch" };
+      }
+
+      const paid = charge.status === ORDER_STATUS.PAID;
+      const tradeNo = `${subscriptionId}-P${charge.period}`;
+      const order = paid ? await createChargeOrder(subscription, tradeNo, charge, tradeInfo) : null;
+
+      const changes = { periodTradeNo: charge.periodTradeNo };
+      if (paid) {
+        const totalTimes = charge.totalTimes || subscription.periodTimes;
+        changes.status = charge.period >= totalTimes ? SUBSCRIPTION_STATUS.COMPLETED : SUBSCRIPTION_STATUS.ACTIVE;
+        changes.lastChargedAt = new Date().toISOString();
+        if (!subscription.activatedAt) {
+          changes.activatedAt = changes.lastChargedAt;
+        }
+      } else if (subscription.status === SUBSCRIPTION_STATUS.PENDING) {
+        // 第一期授權失敗，委託不成立
+        changes.status = SUBSCRIPTION_STATUS.FAILED;
+      }
+      // 已取消的訂閱仍記錄扣款，但不改回訂閱中
+      if (subscription.status === SUBSCRIPTION_STATUS.CANCELLED) {
+        delete changes.status;
+      }
+
+      await subscriptionRepository.recordCharge(subscriptionId, { period: charge.period, tradeNo: paid ? tradeNo : null, tradeSeq: charge.tradeSeq, amount: charge.amount, status: charge.status, chargedAt: new Date().toISOString() }, changes);
+      logger.info("Subscription charge recorded", { subscriptionId, period: charge.period, status: charge.status });
+
+      if (paid) {
+        await events.publish(ORDER_EVENTS.PAID, { tradeNo, status: ORDER_STATUS.PAID, order: { ...order, status: ORDER_STATUS.PAID, tradeSeq: charge.tradeSeq }, source: "subscription" });
+      } else {
+        logger.warn("Subscription charge failed", { subscriptionId, period: charge.period });
+      }
+
+      return { outcome: "applied", ack: outerStatus === "SUCCESS" ? "OK" : "FAIL", status: charge.status };
+    } finally {
+      inFlight.delete(key);
+    }
+  }
+
+  /**
+   * 取消訂閱：已授權的訂閱向 PAYUNi 終止委託，之後不再扣款
+   * @param {string} id - 訂閱編號
+   * @param {object} options
+   * @param {string} [options.userGoogleId] - 顧客取消時只能取消自己的訂閱；管理員取消時不帶入
+   * @param {string} options.operator - 操作者 email
+   * @throws {SubscriptionError} 找不到訂閱、狀態不允許或 PAYUNi 拒絕
+   */
+  async function cancelSubscription(id, { userGoogleId, operator }) {
+    const subscription = await subscriptionRepository.getSubscription(id);
+    if (!subscription || (userGoogleId && subscription.userGoogleId !== userGoogleId)) {
+      throw new SubscriptionError("找不到訂閱", 404);
+    }
+    if (!CANCELLABLE_STATUSES.includes(subscription.status)) {
+      throw new SubscriptionError(`訂閱狀態為「${subscription.status}」，無法取消`, 409);
+    }
+
+    if (subscription.periodTradeNo) {
+      const result = await merchants.forOrder(subscription).client.terminatePeriod(subscription.periodTradeNo);
+      if (!result.success) {
+        logger.warn("PAYUNi rejected period termination", { subscriptionId: id, message: result.message });
+        throw new SubscriptionError(`取消失敗：${result.message || "金流方未回應成功"}`, 502);
+      }
+    }
+
+    const updated = await subscriptionRepository.updateSubscription(id, { status: SUBSCRIPTION_STATUS.CANCELLED, cancelledAt: new Date().toISOString(), cancelledBy: operator });
+    logger.info("Subscription cancelled", { subscriptionId: id, operator });
+    return updated;
+  }
+
+  return {
+    listPlans,
+    startSubscription,
+    handleChargeNotification,
+    cancelSubscription,
+    listByUser: (userGoogleId) => subscriptionRepository.listByUser(userGoogleId),
+    listSubscriptions: () => subscriptionRepository.listSubscriptions(),
+  };
+}
+
+module.exports = { createSubscriptionService, SubscriptionError };
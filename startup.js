@@ -18,20 +18,37 @@ function printStartupBanner() {
   console.log("=".repeat(60) + "\n");
 }
 
+// 金鑰只顯示前幾個字元
+function mask(value) {
+  return value ? `${value.substring(0, 10)}...` : "未設定";
+}
+
 /**
- * 列印環境變數配置
+ * 列印設定檔與主要設定 (config/index.js 載入後的結果)
+ * @param {import("./config").AppConfig} config
  */
 function printEnvironmentConfig(config) {
   console.log(chalk.yellow.bold("📋 環境變數配置：\n"));
 
+  const profileColor = config.profile.name === "production" ? chalk.red.bold : chalk.cyan.bold;
+  console.log(`  🧭  ${chalk.green("PAYUNI_ENV")}: ${profileColor(`${config.profile.name} (${config.profile.label})`)}\n`);
+
   const configItems = [
-    { key: "PAYUNI_API_URL", value: config.PAYUNI_API_URL, icon: "🔗" },
-    { key: "PAYUNI_MERCHANT_ID", value: config.PAYUNI_MERCHANT_ID, icon: "🏪" },
-    { key: "PAYUNI_HASH_KEY", value: `${config.PAYUNI_HASH_KEY?.substring(0, 10) || "未設定"}...`, icon: "🔑" },
-    { key: "PAYUNI_HASH_IV", value: `${config.PAYUNI_HASH_IV?.substring(0, 10) || "未設定"}...`, icon: "🔐" },
-    { key: "TURNSTILE_SECRET_KEY", value: `${config.TURNSTILE_SECRET_KEY?.substring(0, 10) || "未設定"}...`, icon: "🛡️" },
-    { key: "LOG_LEVEL", value: config.LOG_LEVEL || "info (預設)", icon: "📊" },
-    { key: "NODE_ENV", value: config.NODE_ENV || "development (預設)", icon: "🎯" },
+    { key: "PAYUNI_API_URL", value: config.payuni.apiUrl, icon: "🔗" },
+    { key: "PAYUNI_MERCHANT_ID", value: config.payuni.merID, icon: "🏪" },
+    { key: "PAYUNI_HASH_KEY", value: mask(config.payuni.hashKey), icon: "🔑" },
+    { key: "PAYUNI_HASH_IV", value: mask(config.payuni.hashIV), icon: "🔐" },
+    { key: "PAYUNI_PAY_TYPES", value: config.payuni.payTypes.join(", "), icon: "💳" },
+    { key: "PAYUNI_MERCHANTS", value: config.merchants.map((merchant) => `${merchant.id} (${merchant.merID})`).join(", "), icon: "🏬" },
+    { key: "TURNSTILE", value: config.turnstile.enabled ? `啟用 (${mask(config.turnstile.secretKey)})` : "停用", icon: "🛡️" },
+    { key: "LOGIN_PROVIDERS", value: config.auth.providers.join(", "), icon: "👤" },
+    { key: "GUEST_CHECKOUT", value: config.guestCheckout.enabled ? "啟用" : "停用", icon: "🧳" },
+    { key: "ORDER_STORE", value: config.orderStore.store, icon: "🗂️" },
+    { key: "MAIL_TRANSPORT", value: config.mail.transport === "smtp" ? `smtp (${config.mail.smtp.host}:${config.mail.smtp.port}，寄件者 ${config.mail.from})` : config.mail.transport, icon: "✉️" },
+    { key: "INVOICE_PROVIDER", value: config.invoice.provider, icon: "🧾" },
+    { key: "PORT", value: config.port, icon: "🚪" },
+    { key: "LOG_LEVEL", value: config.logLevel, icon: "📊" },
+    { key: "NODE_ENV", value: config.nodeEnv || "development (預設)", icon: "🎯" },
   ];
 
   configItems.forEach(({ icon, key, value }) => {
@@ -0,0 +1,97 @@
+const { createJsonStore } = require("../utils/jsonStore");
+
+/**
+ * 本機 JSON 檔鍵值儲存：重新啟動後仍保留 session 與付款結果
+ * 寫入在同一個程序內依序執行，多個執行個體請改用 redisStore.js
+ * 每次寫入時一併清除過期資料
+ * @param {object} options
+ * @param {string} options.filePath - JSON 檔案路徑
+ * @param {() => number} [options.now] - 取得目前時間 (測試用)
+ */
+function createFileStore({ filePath, now = Date.now }) {
+  const store = createJsonStore(filePath, { entries: {} });
+
+  function isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= now();
+  }
+
+  function live(data, key) {
+    const entry = data.entries[key];
+    return entry && !isExpired(entry) ? entry : undefined;
+  }
+
+  // 修改資料並清除過期的項目
+  function update(mutator) {
+    return store.update((data) => {
+      Object.keys(data.entries).forEach((key) => {
+        if (isExpired(data.entries[key])) {
+          delete data.entries[key];
+        }
+      });
+      return mutator(data);
+    });
+  }
+
+  return {
+    name: "file",
+
+    async get(key) {
+      const entry = live(await store.read(), key);
+      return entry ? entry.value : undefined;
+    },
+
+    set(key, value, ttlMs) {
+      return update((data) => {
+        data.entries[key] = { value, expiresAt: ttlMs ? now() + ttlMs : null };
+      });
+    },
+
+    delete(key) {
+      return update((data) => {
+        delete data.entries[key];
+      });
+    },
+
+    take(key) {
+      return update((data) => {
+        const entry = live(data, key);
+        delete data.entries[key];
+        return entry ? entry.value : undefined;
+      });
+    },
+
+    expire(key, ttlMs) {
+      return update((data) => {
+        const entry = live(data, key);
+        if (entry) {
+          entry.expiresAt = now() + ttlMs;
+        }
+      });
+    },
+
+    increment(key, ttlMs) {
+      return update((data) => {
+        let entry = live(data, key);
+        if (!entry) {
+          entry = { value: 0, expiresAt: now() + ttlMs };
+          data.entries[key] = entry;
+        }
+        entry.value += 1;
+        return { count: entry.value, expiresAt: entry.expiresAt };
+      });
+    },
+
+    decrement(key) {
+      return update((data) => {
+        const entry = live(data, key);
+        if (entry && entry.value > 0) {
+          entry.value -= 1;
+        }
+      });
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = { createFileStore };
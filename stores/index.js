@@ -0,0 +1,51 @@
+const path = require("path");
+const { createMemoryStore } = require("./memoryStore");
+const { createFileStore } = require("./fileStore");
+const { createRedisStore } = require("./redisStore");
+
+/**
+ * 鍵值儲存介面 (session、付款結果一次性權杖、速率限制計數共用，所有方法皆為非同步)
+ *
+ * - get(key) => value | undefined
+ * - set(key, value, ttlMs?) => void (未帶 ttlMs 代表不會過期)
+ * - delete(key) => void
+ * - take(key) => value | undefined (讀取後立即刪除，同一個 key 只會有一次拿到值)
+ * - expire(key, ttlMs) => void (重設有效期限)
+ * - increment(key, ttlMs) => { count, expiresAt } (key 不存在時從 1 開始並設定有效期限)
+ * - decrement(key) => void
+ * - close() => void
+ *
+ * 過期的資料由各儲存自行清除，呼叫端不需要另外設定計時器
+ */
+
+const DEFAULT_KV_STORE_PATH = path.join(__dirname, "..", "storage", "kv.json");
+
+/**
+ * 依設定選擇鍵值儲存 (對應 config/index.js 的 kvStore)
+ * - memory：程序內記憶體，重新啟動即清空
+ * - file：本機 JSON 檔 (KV_STORE_PATH)，單一執行個體使用
+ * - redis：REDIS_URL，多個執行個體共用
+ * @param {object} options
+ * @param {string} [options.store] - KV_STORE，預設 file
+ * @param {string} [options.filePath] - KV_STORE_PATH
+ * @param {string} [options.redisUrl] - REDIS_URL
+ * @param {string} [options.keyPrefix] - REDIS_KEY_PREFIX
+ * @param {object} [options.logger] - winston logger
+ */
+function createKeyValueStore({ store = "file", filePath, redisUrl, keyPrefix, logger } = {}) {
+  switch (store) {
+    case "memory":
+      return createMemoryStore();
+    case "file":
+      return createFileStore({ filePath: filePath || DEFAULT_KV_STORE_PATH });
+    case "redis":
+      if (!redisUrl) {
+        throw new Error("KV_STORE=redis 需要設定 REDIS_URL");
+      }
+      return createRedisStore({ url: redisUrl, keyPrefix, logger });
+    default:
+      throw new Error(`不支援的 KV_STORE: ${store}`);
+  }
+}
+
+module.exports = { createKeyValueStore };
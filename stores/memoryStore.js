@@ -0,0 +1,89 @@
+/**
+ * 記憶體鍵值儲存：重新啟動即清空，只適合測試或單機開發
+ * 介面與 fileStore.js、redisStore.js 相同，說明見 stores/index.js
+ * @param {object} [options]
+ * @param {number} [options.sweepIntervalMs] - 清除過期資料的間隔
+ * @param {() => number} [options.now] - 取得目前時間 (測試用)
+ */
+function createMemoryStore({ sweepIntervalMs = 60 * 1000, now = Date.now } = {}) {
+  const entries = new Map();
+
+  function isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= now();
+  }
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (isExpired(entry)) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  const timer = setInterval(() => {
+    entries.forEach((entry, key) => {
+      if (isExpired(entry)) {
+        entries.delete(key);
+      }
+    });
+  }, sweepIntervalMs);
+  timer.unref();
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const entry = read(key);
+      return entry ? structuredClone(entry.value) : undefined;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value: structuredClone(value), expiresAt: ttlMs ? now() + ttlMs : null });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async take(key) {
+      const entry = read(key);
+      entries.delete(key);
+      return entry ? entry.value : undefined;
+    },
+
+    async expire(key, ttlMs) {
+      const entry = read(key);
+      if (entry) {
+        entry.expiresAt = now() + ttlMs;
+      }
+    },
+
+    async increment(key, ttlMs) {
+      let entry = read(key);
+      if (!entry) {
+        entry = { value: 0, expiresAt: now() + ttlMs };
+        entries.set(key, entry);
+      }
+      entry.value += 1;
+      return { count: entry.value, expiresAt: entry.expiresAt };
+    },
+
+    async decrement(key) {
+      const entry = read(key);
+      if (entry && entry.value > 0) {
+        entry.value -= 1;
+      }
+    },
+
+    async close() {
+      clearInterval(timer);
+      entries.clear();
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,33 @@
+/**
+ * express-rate-limit 的計數儲存：把每個 IP 的請求次數放在鍵值儲存，多個執行個體共用同一組計數
+ * 每個 limiter 需要各自的 prefix
+ * @param {object} kvStore - stores/index.js 建立的鍵值儲存
+ * @param {string} prefix - 計數 key 前綴，例如 "rl:payment:"
+ */
+function createRateLimitStore(kvStore, prefix) {
+  let windowMs = 60 * 1000;
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async increment(key) {
+      const { count, expiresAt } = await kvStore.increment(`${prefix}${key}`, windowMs);
+      return { totalHits: count, resetTime: new Date(expiresAt) };
+    },
+
+    async decrement(key) {
+      await kvStore.decrement(`${prefix}${key}`);
+    },
+
+    async resetKey(key) {
+      await kvStore.delete(`${prefix}${key}`);
+    },
+  };
+}
+
+module.exports = { createRateLimitStore };
@@ -0,0 +1,49 @@
+const session = require("express-session");
+
+// cookie 沒有設定 maxAge 時的 session 保存時間
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 以鍵值儲存保存 express-session 資料，取代預設的 MemoryStore
+ * session 與 cookie 同時過期，過期的資料由鍵值儲存清除
+ */
+class KeyValueSessionStore extends session.Store {
+  /**
+   * @param {object} options
+   * @param {object} options.kvStore - stores/index.js 建立的鍵值儲存
+   * @param {string} [options.prefix] - session key 前綴
+   */
+  constructor({ kvStore, prefix = "sess:" }) {
+    super();
+    this.kvStore = kvStore;
+    this.prefix = prefix;
+  }
+
+  key(sid) {
+    return `${this.prefix}${sid}`;
+  }
+
+  ttlOf(sess) {
+    const maxAge = sess && sess.cookie && sess.cookie.maxAge;
+    return typeof maxAge === "number" && maxAge > 0 ? maxAge : DEFAULT_SESSION_TTL_MS;
+  }
+
+  get(sid, callback) {
+    this.kvStore.get(this.key(sid)).then((sess) => callback(null, sess || null), callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    // cookie 物件含 Date，先轉成 JSON 相容的格式
+    this.kvStore.set(this.key(sid), JSON.parse(JSON.stringify(sess)), this.ttlOf(sess)).then(() => callback(null), callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.kvStore.delete(this.key(sid)).then(() => callback(null), callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    this.kvStore.expire(this.key(sid), this.ttlOf(sess)).then(() => callback(null), callback);
+  }
+}
+
+module.exports = { KeyValueSessionStore };
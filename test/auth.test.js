@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestContext, login, fetchCsrfToken } = require("./helpers");
+
+const context = createTestContext();
+test.after(() => context.cleanup());
+
+test("GET /auth/google redirects to the Google consent page", async () => {
+  const res = await context.agent().get("/auth/google").expect(302);
+  assert.match(res.headers.location, /^https:\/\/accounts\.google\.com\//);
+});
+
+test("callback without an authorization code is rejected", async () => {
+  const res = await context.agent().get("/auth/google/callback").expect(400);
+  assert.match(res.body.error, /缺少授權碼/);
+});
+
+test("callback stores the Google profile in the session", async () => {
+  const agent = context.agent();
+  assert.deepEqual((await agent.get("/api/me").expect(200)).body, { loggedIn: false });
+
+  await login(agent, "user@example.com");
+  const me = await agent.get("/api/me").expect(200);
+  assert.equal(me.body.loggedIn, true);
+  assert.equal(me.body.user.email, "user@example.com");
+  assert.equal(me.body.isAdmin, false);
+});
+
+// 回應中設定的 session cookie (name=value)
+function sessionCookieOf(res) {
+  const cookie = (res.headers["set-cookie"] || []).find((value) => value.startsWith("sessionId="));
+  return cookie && cookie.split(";")[0];
+}
+
+test("issues a new session id on login and keeps the cart and CSRF token", async () => {
+  const agent = context.agent();
+  const before = await agent.get("/csrf-token").expect(200);
+  const csrfToken = before.body.csrfToken;
+  const anonymousCookie = sessionCookieOf(before);
+  assert.ok(anonymousCookie);
+  await agent.post("/api/cart/items").set("X-CSRF-Token", csrfToken).send({ productID: "P001" }).expect(200);
+
+  const callback = await agent.get(`/auth/google/callback?code=${encodeURIComponent("fixation@example.com")}`).expect(302);
+  const signedInCookie = sessionCookieOf(callback);
+  assert.ok(signedInCookie);
+  assert.notEqual(signedInCookie, anonymousCookie);
+
+  // 登入前的 session id 不會變成已登入
+  const stale = await context.agent().get("/api/me").set("Cookie", anonymousCookie).expect(200);
+  assert.equal(stale.body.loggedIn, false);
+
+  assert.equal((await agent.get("/api/me").expect(200)).body.user.email, "fixation@example.com");
+  assert.deepEqual((await agent.get("/api/cart").expect(200)).body.items.map((item) => item.productID), ["P001"]);
+  await agent.post("/api/cart/items").set("X-CSRF-Token", csrfToken).send({ productID: "P002" }).expect(200);
+});
+
+test("logout destroys the session", async () => {
+  const agent = context.agent();
+  await login(agent);
+  await agent.get("/auth/logout").expect(302);
+  assert.equal((await agent.get("/api/me").expect(200)).body.loggedIn, false);
+});
+
+test("GET /api/my-orders requires login", async () => {
+  await context.agent().get("/api/my-orders").expect(401);
+});
+
+test("admin APIs reject anonymous and non-admin users", async () => {
+  await context.agent().get("/api/admin/orders").expect(401);
+
+  const agent = context.agent();
+  await login(agent, "user@example.com");
+  await agent.get("/api/admin/orders").expect(403);
+});
+
+test("admin APIs accept accounts listed in ADMIN_EMAILS", async () => {
+  const agent = context.agent();
+  await login(agent, "admin@example.com");
+  const res = await agent.get("/api/admin/orders").expect(200);
+  assert.deepEqual(res.body.orders, []);
+});
+
+test("state-changing requests without a CSRF token are rejected", async () => {
+  const agent = context.agent();
+  await login(agent, "admin@example.com");
+  const res = await agent.post("/api/admin/reconcile").send({}).expect(403);
+  assert.equal(res.body.code, "CSRF_VALIDATION_FAILED");
+
+  const token = await fetchCsrfToken(agent);
+  await agent.post("/api/admin/orders/unknown/cancel").set("X-CSRF-Token", token).send({}).expect(404);
+});
@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadConfig, ConfigError } = require("../config");
+
+const ENV = {
+  PAYUNI_API_URL: "https://sandbox-api.payuni.com.tw/api/upp",
+  PAYUNI_MERCHANT_ID: "S01",
+  PAYUNI_HASH_KEY: "12345678901234567890123456789012",
+  PAYUNI_HASH_IV: "1234567890123456",
+  TURNSTILE_SECRET_KEY: "secret",
+  NOTIFY_URL: "http://localhost/payuni-webhook",
+  GOOGLE_CLIENT_ID: "client-id",
+  GOOGLE_CLIENT_SECRET: "client-secret",
+  GOOGLE_REDIRECT_URI: "http://localhost/auth/google/callback",
+  SESSION_SECRET: "session-secret",
+};
+
+test("lists every missing required variable", () => {
+  const { PAYUNI_HASH_KEY, SESSION_SECRET, ...env } = ENV;
+  assert.throws(() => loadConfig(env), (error) => error instanceof ConfigError && error.message.includes("PAYUNI_HASH_KEY, SESSION_SECRET"));
+});
+
+test("applies defaults", () => {
+  const config = loadConfig(ENV);
+  assert.deepEqual(config.profile, { name: "sandbox", label: "沙箱測試環境" });
+  assert.equal(config.port, 80);
+  assert.equal(config.orderStore.store, "file");
+  assert.deepEqual(config.payuni.payTypes, ["C"]);
+  assert.equal(config.payuni.returnUrl, "https://exam2ple.com");
+  assert.equal(config.turnstile.enabled, false);
+  assert.deepEqual(config.adminEmails, []);
+  assert.deepEqual(config.schedule, { reconcileIntervalMinutes: 30, expirySweepIntervalMinutes: 10, pendingOrderTtlMinutes: 60, expiryCheckGateway: true, gasQueueRetrySeconds: 30 });
+  assert.deepEqual(config.warnings, []);
+});
+
+test("parses lists and schedules", () => {
+  const config = loadConfig({ ...ENV, PAYUNI_PAY_TYPES: "ATM, X ,C", ADMIN_EMAILS: " Admin@Example.com ,", RECONCILE_INTERVAL_MINUTES: "0", TURNSTILE_ENABLE: "true" });
+  assert.deepEqual(config.payuni.payTypes, ["ATM", "C"]);
+  assert.deepEqual(config.adminEmails, ["admin@example.com"]);
+  assert.equal(config.schedule.reconcileIntervalMinutes, 0);
+  assert.equal(config.turnstile.enabled, true);
+});
+
+test("rejects invalid values and reports them together", () => {
+  assert.throws(() => loadConfig({ ...ENV, PAYUNI_PAY_TYPES: "X" }), ConfigError);
+  assert.throws(() => loadConfig({ ...ENV, PENDING_ORDER_TTL_MINUTES: "0" }), ConfigError);
+  assert.throws(
+    () => loadConfig({ ...ENV, PAYUNI_HASH_KEY: "short", PAYUNI_HASH_IV: "12345678901234567", PORT: "http", NOTIFY_URL: "not a url" }),
+    (error) => {
+      assert.deepEqual(error.problems, ["PAYUNI_HASH_KEY 長度必須是 32 字元 (目前為 5)", "PAYUNI_HASH_IV 長度必須是 16 字元 (目前為 17)", "NOTIFY_URL 必須是完整的網址 (例如 https://your-domain.com)", "PORT 必須是 1 到 65535 之間的整數"]);
+      return true;
+    }
+  );
+});
+
+test("treats empty values as unset", () => {
+  assert.throws(() => loadConfig({ ...ENV, GOOGLE_CLIENT_ID: "" }), /GOOGLE_CLIENT_ID/);
+  assert.equal(loadConfig({ ...ENV, PORT: "" }).port, 80);
+});
+
+test("honors PORT", () => {
+  assert.equal(loadConfig({ ...ENV, PORT: "3000" }).port, 3000);
+});
+
+test("requires REDIS_URL for the redis key-value store", () => {
+  assert.equal(loadConfig(ENV).kvStore.store, "file");
+  assert.throws(() => loadConfig({ ...ENV, KV_STORE: "redis" }), /REDIS_URL/);
+  assert.throws(() => loadConfig({ ...ENV, KV_STORE: "redis", REDIS_URL: "http://localhost:6379" }), /redis:\/\//);
+  assert.equal(loadConfig({ ...ENV, KV_STORE: "redis", REDIS_URL: "rediss://cache.example.com:6380" }).kvStore.redisUrl, "rediss://cache.example.com:6380");
+});
+
+test("requires feature keys only when the feature is enabled", () => {
+  const { TURNSTILE_SECRET_KEY, ...env } = ENV;
+  assert.equal(loadConfig(env).turnstile.enabled, false);
+  assert.throws(() => loadConfig({ ...env, TURNSTILE_ENABLE: "true" }), /TURNSTILE_SECRET_KEY/);
+
+  assert.throws(() => loadConfig({ ...ENV, ORDER_STORE: "gas" }), /GAS_WEBHOOK_URL/);
+  assert.equal(loadConfig({ ...ENV, GAS_WEBHOOK_URL: "https://script.google.com/macros/s/x/exec" }).orderStore.store, "gas");
+});
+
+test("requires the keys of the enabled login providers", () => {
+  assert.deepEqual(loadConfig(ENV).auth.providers, ["google", "email"]);
+  assert.equal(loadConfig(ENV).auth.magicLink.callbackUrl, "https://exam2ple.com/auth/email/callback");
+
+  const { GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI, ...env } = ENV;
+  assert.deepEqual(loadConfig({ ...env, LOGIN_PROVIDERS: "email" }).auth.providers, ["email"]);
+  assert.throws(() => loadConfig({ ...ENV, LOGIN_PROVIDERS: "email,oidc" }), /OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET, OIDC_REDIRECT_URI/);
+  assert.throws(() => loadConfig({ ...ENV, LOGIN_PROVIDERS: "google,facebook" }), /不支援的登入方式: facebook/);
+  assert.throws(() => loadConfig({ ...ENV, MAIL_TRANSPORT: "none" }), /無法寄送登入連結/);
+  assert.equal(loadConfig({ ...ENV, MAIL_TRANSPORT: "none", LOGIN_PROVIDERS: "google" }).mail.transport, "none");
+});
+
+test("guest checkout is off by default and needs a mail transport for lookup codes", () => {
+  assert.deepEqual(loadConfig(ENV).guestCheckout, { enabled: false, lookupCodeTtlMinutes: 10 });
+  assert.deepEqual(loadConfig({ ...ENV, GUEST_CHECKOUT_ENABLE: "true", GUEST_LOOKUP_CODE_TTL_MINUTES: "5" }).guestCheckout, { enabled: true, lookupCodeTtlMinutes: 5 });
+  assert.throws(() => loadConfig({ ...ENV, GUEST_CHECKOUT_ENABLE: "true", LOGIN_PROVIDERS: "google", MAIL_TRANSPORT: "none" }), /無法寄送訪客查詢訂單的驗證碼/);
+  assert.throws(() => loadConfig({ ...ENV, GUEST_LOOKUP_CODE_TTL_MINUTES: "0" }), /GUEST_LOOKUP_CODE_TTL_MINUTES/);
+});
+
+test("reads the merchants listed in PAYUNI_MERCHANTS with their own keys", () => {
+  const camp = { PAYUNI_MERCHANTS: "Camp", PAYUNI_CAMP_MERCHANT_ID: "S02", PAYUNI_CAMP_HASH_KEY: "abcdefghijklmnopqrstuvwxyz123456", PAYUNI_CAMP_HASH_IV: "abcdefghijklmnop", PAYUNI_CAMP_HOSTS: "Camp.Example.com" };
+  const { merchants } = loadConfig({ ...ENV, ...camp });
+  assert.deepEqual(
+    merchants.map(({ id, merID, notifyUrl, returnUrl, hosts }) => ({ id, merID, notifyUrl, returnUrl, hosts })),
+    [
+      { id: "default", merID: "S01", notifyUrl: ENV.NOTIFY_URL, returnUrl: "https://exam2ple.com", hosts: [] },
+      { id: "camp", merID: "S02", notifyUrl: ENV.NOTIFY_URL, returnUrl: "https://exam2ple.com", hosts: ["camp.example.com"] },
+    ]
+  );
+
+  const { PAYUNI_CAMP_HASH_IV, ...missingIV } = camp;
+  assert.throws(() => loadConfig({ ...ENV, ...missingIV }), /PAYUNI_CAMP_HASH_IV/);
+  assert.throws(() => loadConfig({ ...ENV, PAYUNI_MERCHANTS: "default" }), /PAYUNI_MERCHANTS 包含不正確的商店代碼: default/);
+  assert.throws(() => loadConfig({ ...ENV, ...camp, PAYUNI_CAMP_MERCHANT_ID: "S01" }), /商店 default 與 camp 使用相同的 MerID S01/);
+  assert.throws(() => loadConfig({ ...ENV, ...camp, PAYUNI_ENV: "production", PAYUNI_API_URL: "https://api.payuni.com.tw/api/upp", NOTIFY_URL: "https://shop.example.com/payuni-webhook", SESSION_SECRET: "x".repeat(32), PAYUNI_CAMP_RETURN_URL: "http://camp.example.com/payment-return" }), /PAYUNI_CAMP_RETURN_URL 在正式環境必須使用 HTTPS/);
+});
+
+test("uses the profile's gateway when PAYUNI_API_URL is not set", () => {
+  const { PAYUNI_API_URL, ...env } = ENV;
+  assert.equal(loadConfig(env).payuni.apiUrl, "https://sandbox-api.payuni.com.tw/api/upp");
+});
+
+test("production profile requires HTTPS callbacks, a long session secret and the production gateway", () => {
+  const production = { ...ENV, PAYUNI_ENV: "production", NOTIFY_URL: "https://shop.example.com/payuni-webhook", PAYUNI_RETURN_URL: "https://shop.example.com/payment-return", SESSION_SECRET: "x".repeat(32) };
+  assert.throws(() => loadConfig(production), /不可使用沙箱或本機模擬金流/);
+
+  const { PAYUNI_API_URL, ...env } = production;
+  const config = loadConfig({ ...env, NODE_ENV: "production", TURNSTILE_ENABLE: "true", KV_STORE: "redis", REDIS_URL: "redis://localhost:6379", SMTP_HOST: "smtp.example.com", MAIL_FROM: "shop@example.com", INVOICE_PROVIDER: "none" });
+  assert.equal(config.profile.name, "production");
+  assert.equal(config.payuni.apiUrl, "https://api.payuni.com.tw/api/upp");
+  assert.deepEqual(config.warnings, ["目前使用 PAYUNi 正式環境，將產生真實交易。"]);
+
+  assert.throws(
+    () => loadConfig({ ...env, NOTIFY_URL: "http://shop.example.com/payuni-webhook", SESSION_SECRET: "short" }),
+    (error) => error.problems.length === 2 && /NOTIFY_URL/.test(error.problems[0]) && /SESSION_SECRET/.test(error.problems[1])
+  );
+});
+
+test("sandbox profile refuses the production gateway", () => {
+  assert.throws(() => loadConfig({ ...ENV, PAYUNI_ENV: "sandbox", PAYUNI_API_URL: "https://api.payuni.com.tw/api/upp" }), /不可使用正式環境/);
+});
+
+test("infers the profile from PAYUNI_API_URL and warns about production and local gateways", () => {
+  const production = loadConfig({ ...ENV, PAYUNI_API_URL: "https://api.payuni.com.tw/api/upp", SESSION_SECRET: "x".repeat(32), NOTIFY_URL: "https://shop.example.com/payuni-webhook" });
+  assert.equal(production.profile.name, "production");
+  assert.match(production.warnings.join("\n"), /正式環境未啟用 Turnstile/);
+
+  const local = loadConfig({ ...ENV, PAYUNI_API_URL: "http://localhost:4000/api/upp" });
+  assert.equal(local.payuni.isLocalGateway, true);
+  assert.equal(local.payuni.origin, "http://localhost:4000");
+  assert.match(local.warnings[0], /本機模擬金流/);
+});
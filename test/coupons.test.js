@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestContext, login, fetchCsrfToken, sealTradeInfo, openTradeInfo } = require("./helpers");
+
+// 結帳有每分鐘的速率限制，每個測試各自建立 app
+function setup(t) {
+  const context = createTestContext();
+  t.after(() => context.cleanup());
+
+  async function loggedInAgent(email) {
+    const agent = context.agent();
+    await login(agent, email);
+    const csrfToken = await fetchCsrfToken(agent);
+    return { agent, csrfToken };
+  }
+
+  async function createCoupon(coupon, status = 201) {
+    const admin = await loggedInAgent("admin@example.com");
+    return (await admin.agent.post("/api/admin/coupons").set("X-CSRF-Token", admin.csrfToken).send(coupon).expect(status)).body;
+  }
+
+  function preview(buyer, couponCode, productID = "P001") {
+    return buyer.agent.post("/api/coupons/preview").set("X-CSRF-Token", buyer.csrfToken).send({ couponCode, productID });
+  }
+
+  function checkout(buyer, couponCode, productID = "P001") {
+    return buyer.agent.post("/create-payment").set("X-CSRF-Token", buyer.csrfToken).send({ productID, couponCode });
+  }
+
+  function notify(tradeInfo, status) {
+    return context.agent().post("/payuni-webhook").type("form").send(sealTradeInfo(tradeInfo, status)).expect(200);
+  }
+
+  return { context, loggedInAgent, createCoupon, preview, checkout, notify };
+}
+
+test("validates coupon settings in the admin API", async (t) => {
+  const { createCoupon } = setup(t);
+
+  assert.match((await createCoupon({ code: "BAD", type: "percent", value: 120 }, 400)).details[0], /百分比折扣不可超過 100/);
+  assert.match((await createCoupon({ code: "BAD", type: "fixed", value: 100, maxUses: 0 }, 400)).details[0], /總使用次數必須是正整數/);
+
+  assert.equal((await createCoupon({ code: "save300", type: "fixed", value: 300 })).code, "SAVE300");
+  await createCoupon({ code: "SAVE300", type: "fixed", value: 100 }, 409);
+});
+
+test("checks the percent limit against the stored coupon on partial updates", async (t) => {
+  const { loggedInAgent, createCoupon } = setup(t);
+  await createCoupon({ code: "PCT10", type: "percent", value: 10 });
+  await createCoupon({ code: "FIX500", type: "fixed", value: 500 });
+  const admin = await loggedInAgent("admin@example.com");
+  const update = (code, changes) => admin.agent.put(`/api/admin/coupons/${code}`).set("X-CSRF-Token", admin.csrfToken).send(changes);
+
+  assert.deepEqual((await update("PCT10", { value: 150 }).expect(400)).body.details, ["百分比折扣不可超過 100"]);
+  assert.deepEqual((await update("FIX500", { type: "percent" }).expect(400)).body.details, ["百分比折扣不可超過 100"]);
+  assert.equal((await update("PCT10", { value: 20 }).expect(200)).body.value, 20);
+  assert.equal((await update("FIX500", { type: "percent", value: 50 }).expect(200)).body.type, "percent");
+  await update("MISSING", { value: 10 }).expect(404);
+
+  const coupons = (await admin.agent.get("/api/admin/coupons").expect(200)).body;
+  assert.deepEqual(coupons.map((coupon) => [coupon.code, coupon.type, coupon.value]), [["PCT10", "percent", 20], ["FIX500", "percent", 50]]);
+});
+
+test("applies minimum spend, product restrictions and the validity window", async (t) => {
+  const { loggedInAgent, createCoupon, preview } = setup(t);
+  const hour = 60 * 60 * 1000;
+  await createCoupon({ code: "MIN5000", type: "fixed", value: 500, minSpend: 5000 });
+  await createCoupon({ code: "SCOPE10", type: "percent", value: 10, productIDs: ["P002"] });
+  await createCoupon({ code: "LATER", type: "fixed", value: 100, startsAt: new Date(Date.now() + hour).toISOString() });
+  await createCoupon({ code: "ENDED", type: "fixed", value: 100, endsAt: new Date(Date.now() - hour).toISOString() });
+  await createCoupon({ code: "OFF", type: "fixed", value: 100, active: false });
+  const buyer = await loggedInAgent("window@example.com");
+
+  assert.equal((await preview(buyer, "MIN5000").expect(400)).body.error, "訂單金額需滿 5000 元才能使用此優惠碼");
+  assert.deepEqual((await preview(buyer, "min5000", "P002").expect(200)).body, { code: "MIN5000", discount: 500, total: 8200, discountedTotal: 7700 });
+
+  assert.equal((await preview(buyer, "SCOPE10").expect(400)).body.error, "購買的商品不適用此優惠碼");
+  assert.equal((await preview(buyer, "SCOPE10", "P002").expect(200)).body.discount, 820);
+
+  assert.equal((await preview(buyer, "LATER").expect(400)).body.error, "優惠碼尚未開始使用");
+  assert.equal((await preview(buyer, "ENDED").expect(400)).body.error, "優惠碼已過期");
+  assert.equal((await preview(buyer, "OFF").expect(400)).body.error, "優惠碼無效");
+  assert.equal((await preview(buyer, "NOPE").expect(400)).body.error, "優惠碼無效");
+});
+
+test("counts reserved orders toward the total limit and returns the use when the payment fails", async (t) => {
+  const { context, loggedInAgent, createCoupon, preview, checkout, notify } = setup(t);
+  await createCoupon({ code: "ONCE", type: "fixed", value: 200, maxUses: 1 });
+  const first = await loggedInAgent("first@example.com");
+  const second = await loggedInAgent("second@example.com");
+
+  const res = await checkout(first, "ONCE").expect(200);
+  const tradeNo = openTradeInfo(res.body.data.EncryptInfo).MerTradeNo;
+  const order = await context.orderRepository.getOrder(tradeNo);
+  assert.equal(order.tradeAmt, 3300);
+  assert.equal(order.discount, 200);
+
+  // 待支付訂單佔用的次數也計入上限
+  assert.equal((await preview(second, "ONCE").expect(400)).body.error, "優惠碼已達使用上限");
+  assert.equal((await checkout(second, "ONCE").expect(400)).body.error, "優惠碼已達使用上限");
+
+  await notify({ MerTradeNo: tradeNo, TradeNo: "T-ONCE", TradeAmt: 3300, TradeStatus: 2 }, "FAIL");
+  assert.equal((await preview(second, "ONCE").expect(200)).body.discountedTotal, 3300);
+  await checkout(second, "ONCE").expect(200);
+});
+
+test("limits uses per account once the order is paid", async (t) => {
+  const { context, loggedInAgent, createCoupon, preview, checkout, notify } = setup(t);
+  await createCoupon({ code: "PERUSER", type: "fixed", value: 200, maxUsesPerUser: 1 });
+  const buyer = await loggedInAgent("loyal@example.com");
+
+  const res = await checkout(buyer, "PERUSER").expect(200);
+  const tradeNo = openTradeInfo(res.body.data.EncryptInfo).MerTradeNo;
+  assert.equal((await notify({ MerTradeNo: tradeNo, TradeNo: "T-PERUSER", TradeAmt: 3300, TradeStatus: 1 })).text, "OK");
+  assert.equal((await context.orderRepository.getOrder(tradeNo)).status, "已完成");
+
+  assert.equal((await preview(buyer, "PERUSER").expect(400)).body.error, "您已使用過此優惠碼");
+  assert.equal((await checkout(buyer, "PERUSER").expect(400)).body.error, "您已使用過此優惠碼");
+
+  const other = await loggedInAgent("other@example.com");
+  assert.equal((await preview(other, "PERUSER").expect(200)).body.discount, 200);
+
+  const admin = await loggedInAgent("admin@example.com");
+  const coupon = (await admin.agent.get("/api/admin/coupons").expect(200)).body.find((listed) => listed.code === "PERUSER");
+  assert.equal(coupon.used, 1);
+});
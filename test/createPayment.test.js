@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestContext, login, fetchCsrfToken, openTradeInfo } = require("./helpers");
+
+// /create-payment 每個 IP 每分鐘限 5 次，需要多次建立訂單的案例各自使用獨立的 app
+async function loggedInAgent(context, email) {
+  const agent = context.agent();
+  await login(agent, email);
+  const csrfToken = await fetchCsrfToken(agent);
+  return { agent, csrfToken };
+}
+
+test("rejects requests without a CSRF token", async (t) => {
+  const context = createTestContext();
+  t.after(() => context.cleanup());
+  const agent = context.agent();
+  await login(agent);
+
+  const res = await agent.post("/create-payment").send({ productID: "P001" }).expect(403);
+  assert.equal(res.body.code, "CSRF_VALIDATION_FAILED");
+});
+
+test("requires login", async (t) => {
+  const context = createTestContext();
+  t.after(() => context.cleanup());
+  const agent = context.agent();
+  const csrfToken = await fetchCsrfToken(agent);
+
+  const res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001" }).expect(401);
+  assert.equal(res.body.error, "請先登入後再操作");
+});
+
+test("validates the request body", async (t) => {
+  const context = createTestContext();
+  t.after(() => context.cleanup());
+  const { agent, csrfToken } = await loggedInAgent(context);
+
+  let res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001", payType: "CVS" }).expect(400);
+  assert.equal(res.body.error, "輸入資料不正確");
+  assert.deepEqual(res.body.details, ["不支援的付款方式"]);
+
+  res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({}).expect(400);
+  assert.deepEqual(res.body.details, ["商品 ID 不正確"]);
+
+  res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "NOPE" }).expect(404);
+  assert.ok(res.body.error);
+  assert.deepEqual(await context.orderRepository.getOrdersByEmail("user@example.com"), []);
+});
+
+test("creates an encrypted PAYUNi request and a pending order", async (t) => {
+  const context = createTestContext();
+  t.after(() => context.cleanup());
+  const { agent, csrfToken } = await loggedInAgent(context);
+
+  const res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001" }).expect(200);
+  assert.equal(res.body.payUrl, context.env.PAYUNI_API_URL);
+  assert.equal(res.body.data.MerID, "S01");
+
+  const tradeInfo = openTradeInfo(res.body.data.EncryptInfo);
+  assert.equal(tradeInfo.TradeAmt, "3500");
+  assert.equal(tradeInfo.PayType, "C");
+  assert.equal(tradeInfo.UsrMail, "user@example.com");
+  assert.equal(tradeInfo.ReturnURL, context.env.PAYUNI_RETURN_URL);
+  assert.equal(tradeInfo.NotifyURL, context.env.NOTIFY_URL);
+
+  const order = await context.orderRepository.getOrder(tradeInfo.MerTradeNo);
+  assert.equal(order.status, "待支付");
+  assert.equal(Number(order.tradeAmt), 3500);
+  assert.equal(order.email, "user@example.com");
+
+  // 同一商品、同一付款方式再次結帳時沿用待支付訂單
+  const again = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001" }).expect(200);
+  assert.equal(again.body.data.MerTradeNo, tradeInfo.MerTradeNo);
+  assert.equal(openTradeInfo(again.body.data.EncryptInfo).MerTradeNo, tradeInfo.MerTradeNo);
+});
+
+test("does not reuse a pending order whose amount no longer matches the current price or coupon", async (t) => {
+  const context = createTestContext();
+  t.after(() => context.cleanup());
+  const admin = await loggedInAgent(context, "admin@example.com");
+  const { agent, csrfToken } = await loggedInAgent(context);
+  const checkout = async (body) => openTradeInfo((await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send(body).expect(200)).body.data.EncryptInfo);
+
+  const first = await checkout({ productID: "P001" });
+  await admin.agent.put("/api/admin/products/P001").set("X-CSRF-Token", admin.csrfToken).send({ price: 3000 }).expect(200);
+
+  // 價格調整後重新結帳：取消舊訂單並釋放庫存，以新價格建立訂單
+  const repriced = await checkout({ productID: "P001" });
+  assert.notEqual(repriced.MerTradeNo, first.MerTradeNo);
+  assert.equal(repriced.TradeAmt, "3000");
+  assert.equal((await context.orderRepository.getOrder(first.MerTradeNo)).status, "已取消");
+  const product = (await admin.agent.get("/api/admin/products").expect(200)).body.find((listed) => listed.id === "P001");
+  assert.equal(product.reserved, 1);
+
+  // 優惠券折扣調整後同樣不沿用，舊訂單佔用的次數也會歸還
+  await admin.agent.post("/api/admin/coupons").set("X-CSRF-Token", admin.csrfToken).send({ code: "ONCE", type: "fixed", value: 200, maxUsesPerUser: 1 }).expect(201);
+  const discounted = await checkout({ productID: "P001", couponCode: "ONCE" });
+  assert.equal(discounted.TradeAmt, "2800");
+  await admin.agent.put("/api/admin/coupons/ONCE").set("X-CSRF-Token", admin.csrfToken).send({ value: 300 }).expect(200);
+  const rediscounted = await checkout({ productID: "P001", couponCode: "ONCE" });
+  assert.notEqual(rediscounted.MerTradeNo, discounted.MerTradeNo);
+  assert.equal(rediscounted.TradeAmt, "2700");
+  assert.equal((await context.orderRepository.getOrder(rediscounted.MerTradeNo)).discount, 300);
+});
+
+test("passes the chosen installment count to PAYUNi only for eligible products", async (t) => {
+  const context = createTestContext();
+  t.after(() => context.cleanup());
+  const { agent, csrfToken } = await loggedInAgent(context);
+
+  let res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P002", installment: 5 }).expect(400);
+  assert.deepEqual(res.body.details, ["不支援的分期期數"]);
+  res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001", installment: 6 }).expect(400);
+  assert.equal(res.body.error, "此商品不提供 6 期分期");
+  res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P002", payType: "ATM", installment: 6 }).expect(400);
+  assert.equal(res.body.error, "分期付款僅限信用卡");
+
+  res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P002", installment: 6 }).expect(200);
+  const tradeInfo = openTradeInfo(res.body.data.EncryptInfo);
+  assert.equal(tradeInfo.TradeAmt, "8200");
+  assert.equal(tradeInfo.CreditInst, "6");
+  assert.equal((await context.orderRepository.getOrder(tradeInfo.MerTradeNo)).installment, 6);
+
+  // 改為一次付清時不沿用分期的待支付訂單
+  res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P002" }).expect(200);
+  const lumpSum = openTradeInfo(res.body.data.EncryptInfo);
+  assert.notEqual(lumpSum.MerTradeNo, tradeInfo.MerTradeNo);
+  assert.equal(lumpSum.CreditInst, undefined);
+});
+
+test("verifies the Turnstile token when enabled", async (t) => {
+  const context = createTestContext({ env: { TURNSTILE_ENABLE: "true" }, turnstileSuccess: false });
+  t.after(() => context.cleanup());
+  const { agent, csrfToken } = await loggedInAgent(context);
+
+  let res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001" }).expect(400);
+  assert.ok(res.body.details.includes("驗證 token 不可為空"));
+  assert.equal(context.turnstileRequests.length, 0);
+
+  res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001", turnstileToken: "bad-token" }).expect(400);
+  assert.equal(res.body.error, "Turnstile verification failed");
+  assert.equal(context.turnstileRequests.length, 1);
+  assert.deepEqual(context.turnstileRequests[0].payload, { secret: "test-turnstile-secret", response: "bad-token" });
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { encrypt, decrypt, sha256 } = require("../utils/crypto");
+const { HASH_KEY, HASH_IV } = require("./helpers");
+
+const iv = Buffer.from(HASH_IV, "utf8");
+const plaintext = "MerID=S01&MerTradeNo=test1700000000000&TradeAmt=3500";
+
+// 固定向量：AES-256-GCM 密文與 tag 以 ":::" 串接後轉 hex，HashInfo 為 SHA256(HashKey + EncryptInfo + HashIV) 大寫
+const VECTOR = {
+  encryptInfo:
+    "47396636346f66735431584667396942344f587a3775696b34752b59714c5950303373515a5a4370314658676d6355556a6462524a44643477725544496930374b72475955413d3d3a3a3a42332f4932787844796950666b69694749486c7572513d3d",
+  hashInfo: "AEC4E8A0D276A646523F30F4B5D36F746BE67D9A1B8ADBA64EA54C296575792B",
+};
+
+test("encrypt produces the PAYUNi EncryptInfo format for a known vector", () => {
+  const encryptInfo = encrypt(plaintext, HASH_KEY, iv);
+  assert.equal(encryptInfo, VECTOR.encryptInfo);
+
+  const [cipherText, tag] = Buffer.from(encryptInfo, "hex").toString().split(":::");
+  assert.ok(cipherText && tag, "EncryptInfo 應包含密文與 tag");
+  assert.equal(Buffer.from(tag, "base64").length, 16);
+});
+
+test("decrypt restores the known vector", () => {
+  assert.equal(decrypt(VECTOR.encryptInfo, HASH_KEY, iv), plaintext);
+});
+
+test("sha256 matches the known HashInfo and accepts the IV as string or buffer", () => {
+  assert.equal(sha256(VECTOR.encryptInfo, HASH_KEY, HASH_IV), VECTOR.hashInfo);
+  assert.equal(sha256(VECTOR.encryptInfo, HASH_KEY, iv), VECTOR.hashInfo);
+});
+
+test("encrypt and decrypt round-trip UTF-8 trade data", () => {
+  const data = "ProdDesc=時光旅人豪華帳篷 x 2&UsrMail=user@example.com&TradeAmt=7000";
+  assert.equal(decrypt(encrypt(data, HASH_KEY, iv), HASH_KEY, iv), data);
+});
+
+test("decrypt rejects a tampered auth tag", () => {
+  const [cipherText] = Buffer.from(VECTOR.encryptInfo, "hex").toString().split(":::");
+  const tampered = Buffer.from(`${cipherText}:::${Buffer.alloc(16).toString("base64")}`).toString("hex");
+  assert.throws(() => decrypt(tampered, HASH_KEY, iv));
+});
+
+test("decrypt rejects a different key", () => {
+  assert.throws(() => decrypt(VECTOR.encryptInfo, "abcdefghijklmnopqrstuvwxyz123456", iv));
+});
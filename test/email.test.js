@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { HASH_KEY, HASH_IV, createTestContext, login, fetchCsrfToken, sealTradeInfo } = require("./helpers");
+const { createPayuniClient } = require("../utils/payuni");
+const { createEmailService } = require("../services/email");
+const { createEmailLog } = require("../repositories/emailLog");
+const { createOutboxTransport } = require("../mail/outboxTransport");
+const { EMAIL_KIND, renderEmail } = require("../mail/templates");
+const logger = require("../utils/logger");
+
+// 替身寄送方式：記錄寄出的信件
+function createCapturingTransport() {
+  const sent = [];
+  return {
+    name: "capture",
+    sent,
+    send: async (message) => {
+      sent.push(message);
+      return { messageId: `m${sent.length}` };
+    },
+  };
+}
+
+// 沿用真實的簽章驗證，只替換退款 API
+const payuniClient = {
+  ...createPayuniClient({ apiUrl: "https://sandbox-api.payuni.com.tw/api/upp", merID: "S01", hashKey: HASH_KEY, hashIV: HASH_IV }),
+  closeTrade: async () => ({ success: true, tradeInfo: {}, message: "退款成功" }),
+};
+
+const transport = createCapturingTransport();
+const context = createTestContext({ mailTransport: transport, payuniClient });
+test.after(() => context.cleanup());
+
+async function createPendingOrder(tradeNo) {
+  await context.orderRepository.createOrder({ tradeNo, merID: "S01", tradeAmt: 3300, email: "user@example.com", userName: "小明", productID: "P001", productName: "時光旅人豪華帳篷", items: [{ productID: "P001", name: "時光旅人豪華帳篷", price: 3500, quantity: 1 }], payType: "C", couponCode: "SAVE200", discount: 200 });
+}
+
+function notify(form) {
+  return context.agent().post("/payuni-webhook").type("form").send(form).expect(200);
+}
+
+test("sends one order confirmation per paid order, even when the notification is resent", async () => {
+  await createPendingOrder("test5000");
+  const form = sealTradeInfo({ MerTradeNo: "test5000", TradeNo: "T5", TradeAmt: 3300, TradeStatus: 1 });
+
+  assert.equal((await notify(form)).text, "OK");
+  assert.equal((await notify(form)).text, "OK");
+  await context.emailService.whenIdle();
+
+  const sent = transport.sent.filter((message) => message.subject.includes("test5000"));
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, "user@example.com");
+  assert.match(sent[0].subject, /付款成功/);
+  assert.match(sent[0].text, /小明 您好/);
+  assert.match(sent[0].text, /時光旅人豪華帳篷 x 1：NT\$ 3,500/);
+  assert.match(sent[0].text, /優惠折抵：-NT\$ 200 \(SAVE200\)/);
+  assert.match(sent[0].html, /<html lang="zh-TW">/);
+
+  const [entry] = await context.emailService.listEmails("test5000");
+  assert.equal(entry.kind, EMAIL_KIND.ORDER_CONFIRMATION);
+  assert.equal(entry.status, "sent");
+});
+
+test("sends a payment failed email", async () => {
+  await createPendingOrder("test5100");
+  await notify(sealTradeInfo({ MerTradeNo: "test5100", TradeNo: "T51", TradeAmt: 3300, TradeStatus: 2 }, "FAIL"));
+  await context.emailService.whenIdle();
+
+  const [entry] = await context.emailService.listEmails("test5100");
+  assert.equal(entry.kind, EMAIL_KIND.PAYMENT_FAILED);
+  assert.match(entry.subject, /付款失敗/);
+});
+
+test("sends a refund email and lists the emails of an order for admins", async () => {
+  await createPendingOrder("test5200");
+  await notify(sealTradeInfo({ MerTradeNo: "test5200", TradeNo: "T52", TradeAmt: 3300, TradeStatus: 1 }));
+
+  const agent = context.agent();
+  await login(agent, "admin@example.com");
+  const csrfToken = await fetchCsrfToken(agent);
+  await agent.post("/api/admin/orders/test5200/refund").set("X-CSRF-Token", csrfToken).send({ amount: 1000 }).expect(200);
+  await context.emailService.whenIdle();
+
+  const refundEmail = transport.sent.find((message) => message.subject === "退款通知 - 訂單 test5200");
+  assert.match(refundEmail.text, /本次退款金額：NT\$ 1,000/);
+  assert.match(refundEmail.text, /累計退款金額：NT\$ 1,000/);
+
+  const res = await agent.get("/api/admin/orders/test5200/emails").expect(200);
+  assert.deepEqual(
+    res.body.emails.map((entry) => entry.kind),
+    [EMAIL_KIND.ORDER_CONFIRMATION, EMAIL_KIND.REFUND]
+  );
+});
+
+test("retries failed deliveries and records the final failure", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "payuni-email-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const order = { tradeNo: "test5300", tradeAmt: 100, email: "user@example.com", productName: "測試商品" };
+  const orderRepository = { getOrder: async () => order };
+  let calls = 0;
+  const flakyTransport = {
+    name: "flaky",
+    send: async () => {
+      calls++;
+      if (calls < 3) throw new Error("SMTP timeout");
+      return { messageId: "ok" };
+    },
+  };
+
+  const emailLog = createEmailLog({ filePath: path.join(dir, "emails.json") });
+  const service = createEmailService({ transport: flakyTransport, emailLog, orderRepository, from: "shop@example.com", siteUrl: "https://shop.example.com", logger, retryDelayMs: 1 });
+  const sent = await service.notifyOrderStatus("test5300", "已完成");
+  assert.equal(sent.status, "sent");
+  assert.equal(sent.attempts, 3);
+
+  const failing = createEmailService({ transport: { name: "down", send: async () => Promise.reject(new Error("connection refused")) }, emailLog, orderRepository, from: "shop@example.com", siteUrl: "https://shop.example.com", logger, retryAttempts: 2, retryDelayMs: 1 });
+  const failed = await failing.notifyOrderStatus("test5300", "已失敗");
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.error, "connection refused");
+  assert.deepEqual(
+    (await emailLog.listByTradeNo("test5300")).map((entry) => entry.status),
+    ["sent", "failed"]
+  );
+});
+
+test("outbox transport writes a previewable copy of each email", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "payuni-outbox-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const outbox = createOutboxTransport({ dir });
+  const message = { from: "shop@example.com", to: "user@example.com", ...renderEmail(EMAIL_KIND.PAYMENT_FAILED, { tradeNo: "test5400", tradeAmt: 100, userName: "<b>駭客</b>", productName: "測試商品" }, { siteUrl: "https://shop.example.com" }) };
+
+  const { messageId } = await outbox.send(message);
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, `${messageId}.json`), "utf8"));
+  assert.equal(saved.to, "user@example.com");
+  const html = fs.readFileSync(path.join(dir, `${messageId}.html`), "utf8");
+  assert.match(html, /&lt;b&gt;駭客&lt;\/b&gt;/);
+});
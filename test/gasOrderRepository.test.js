@@ -0,0 +1,178 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createGasClient, GasUnavailableError } = require("../utils/gasClient");
+const { createGasOrderRepository } = require("../repositories/gasOrderRepository");
+const logger = require("../utils/logger");
+
+function networkError(code = "ECONNRESET") {
+  return Object.assign(new Error(code), { code });
+}
+
+/** 替身 GAS：down 為 true 時所有請求都逾時，否則以記憶體模擬 Sheet */
+function createFakeGas() {
+  const gas = { down: false, requests: [], orders: new Map() };
+  gas.httpClient = {
+    post: async (url, payload, options) => {
+      const action = new URL(url).searchParams.get("action");
+      gas.requests.push({ action, payload, options });
+      if (gas.down) {
+        throw Object.assign(new Error("timeout of 10000ms exceeded"), { code: "ECONNABORTED" });
+      }
+      switch (action) {
+        case "createOrder":
+          if (gas.orders.has(payload.tradeNo)) return { data: { success: false, message: "訂單編號重複" } };
+          gas.orders.set(payload.tradeNo, { ...payload, status: "待支付" });
+          return { data: { success: true } };
+        case "updateOrder": {
+          const order = gas.orders.get(payload.MerTradeNo);
+          if (!order) return { data: { success: false, message: "找不到訂單" } };
+          Object.assign(order, { status: payload.Status, tradeSeq: payload.TradeSeq });
+          return { data: { success: true } };
+        }
+        case "getOrder":
+          return { data: { success: true, order: gas.orders.get(payload.tradeNo) || null } };
+        default:
+          return { data: { success: false } };
+      }
+    },
+  };
+  return gas;
+}
+
+function createRepository(t, gas, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "payuni-gas-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createGasOrderRepository({ webhookUrl: "https://script.google.com/macros/s/test/exec", token: "secret", queuePath: path.join(dir, "gas-queue.json"), httpClient: gas.httpClient, logger, retryDelayMs: 1, ...options });
+}
+
+test("gas client sets a timeout and retries transient failures", async () => {
+  const requests = [];
+  const client = createGasClient({
+    webhookUrl: "https://gas.example.com/exec",
+    token: "secret",
+    timeoutMs: 1234,
+    retryDelayMs: 1,
+    httpClient: {
+      post: async (url, payload, options) => {
+        requests.push({ url, options });
+        if (requests.length < 3) throw networkError();
+        return { data: { success: true } };
+      },
+    },
+  });
+
+  assert.deepEqual(await client.call("getOrder", { tradeNo: "test1" }), { success: true });
+  assert.equal(requests.length, 3);
+  assert.equal(requests[0].url, "https://gas.example.com/exec?action=getOrder");
+  assert.equal(requests[0].options.timeout, 1234);
+  assert.equal(requests[0].options.headers.Cookie, "token=secret");
+});
+
+test("gas client does not retry client errors", async () => {
+  let calls = 0;
+  const client = createGasClient({
+    webhookUrl: "https://gas.example.com/exec",
+    retryDelayMs: 1,
+    httpClient: {
+      post: async () => {
+        calls++;
+        throw Object.assign(new Error("Request failed with status code 401"), { response: { status: 401 } });
+      },
+    },
+  });
+  await assert.rejects(client.call("getOrder", {}), GasUnavailableError);
+  assert.equal(calls, 1);
+});
+
+test("gas client opens the circuit after repeated failures and probes after the cooldown", async () => {
+  let clock = 0;
+  let calls = 0;
+  let healthy = false;
+  const client = createGasClient({
+    webhookUrl: "https://gas.example.com/exec",
+    retryAttempts: 1,
+    failureThreshold: 2,
+    cooldownMs: 1000,
+    now: () => clock,
+    httpClient: {
+      post: async () => {
+        calls++;
+        if (!healthy) throw networkError();
+        return { data: { success: true } };
+      },
+    },
+  });
+
+  await assert.rejects(client.call("getOrder", {}), GasUnavailableError);
+  await assert.rejects(client.call("getOrder", {}), GasUnavailableError);
+  assert.equal(client.status().circuit, "open");
+  await assert.rejects(client.call("getOrder", {}), /斷路器開啟中/);
+  assert.equal(calls, 2);
+
+  clock = 1000;
+  assert.equal(client.status().circuit, "half-open");
+  await assert.rejects(client.call("getOrder", {}), GasUnavailableError);
+  assert.equal(client.status().circuit, "open");
+
+  clock = 2000;
+  healthy = true;
+  await client.call("getOrder", {});
+  assert.deepEqual(client.status(), { circuit: "closed", consecutiveFailures: 0, openedAt: null });
+});
+
+test("queues writes while GAS is down and replays them in order", async (t) => {
+  const gas = createFakeGas();
+  const repository = createRepository(t, gas);
+
+  gas.down = true;
+  await repository.createOrder({ tradeNo: "test7000", tradeAmt: 3500, email: "user@example.com" });
+  await repository.updateOrder("test7000", { status: "已完成", tradeSeq: "T70" });
+
+  // GAS 無法連線時仍可讀到佇列中的訂單
+  const queued = await repository.getOrder("test7000");
+  assert.equal(queued.status, "已完成");
+  assert.equal(queued.tradeSeq, "T70");
+
+  let status = await repository.writeQueue.status();
+  assert.deepEqual(
+    status.pending.map((entry) => entry.action),
+    ["createOrder", "updateOrder"]
+  );
+
+  gas.down = false;
+  assert.deepEqual(await repository.writeQueue.flush(), { sent: 2, rejected: 0, pending: 0 });
+  assert.equal(gas.orders.get("test7000").status, "已完成");
+  assert.equal((await repository.getOrder("test7000")).tradeSeq, "T70");
+});
+
+test("a new write waits behind queued writes instead of overtaking them", async (t) => {
+  const gas = createFakeGas();
+  const repository = createRepository(t, gas);
+
+  gas.down = true;
+  await repository.createOrder({ tradeNo: "test7100", tradeAmt: 100, email: "user@example.com" });
+  gas.down = false;
+  await repository.updateOrder("test7100", { status: "已完成", tradeSeq: "T71" });
+
+  // 先重送佇列中的 createOrder，再送出新的 updateOrder
+  assert.deepEqual(
+    gas.requests.slice(-2).map((request) => request.action),
+    ["createOrder", "updateOrder"]
+  );
+  assert.equal(gas.orders.get("test7100").status, "已完成");
+  assert.deepEqual((await repository.writeQueue.status()).pending, []);
+});
+
+test("surfaces writes that GAS rejects and keeps them for review", async (t) => {
+  const gas = createFakeGas();
+  const repository = createRepository(t, gas);
+
+  await assert.rejects(repository.updateOrder("test7200", { status: "已完成" }), /找不到訂單/);
+  const { pending, failed } = await repository.writeQueue.status();
+  assert.deepEqual(pending, []);
+  assert.equal(failed[0].tradeNo, "test7200");
+  assert.equal(failed[0].lastError, "找不到訂單");
+});
@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestContext, fetchCsrfToken, openTradeInfo } = require("./helpers");
+
+const GUEST_ENV = { GUEST_CHECKOUT_ENABLE: "true" };
+
+// 替身寄送方式：記錄寄出的信件
+function createCapturingTransport() {
+  const sent = [];
+  return {
+    name: "capture",
+    sent,
+    send: async (message) => {
+      sent.push(message);
+      return { messageId: `m${sent.length}` };
+    },
+  };
+}
+
+async function guestAgent(context) {
+  const agent = context.agent();
+  const csrfToken = await fetchCsrfToken(agent);
+  return { agent, csrfToken };
+}
+
+const codeOf = (message) => message.text.match(/驗證碼：(\d{6})/)[1];
+
+test("keeps requiring login when guest checkout is disabled", async (t) => {
+  const context = createTestContext();
+  t.after(() => context.cleanup());
+  const { agent, csrfToken } = await guestAgent(context);
+
+  await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001", guestEmail: "guest@example.com" }).expect(401);
+  await agent.post("/api/guest-orders/code").set("X-CSRF-Token", csrfToken).send({ email: "guest@example.com" }).expect(404);
+  assert.equal((await agent.get("/api/client-config").expect(200)).body.guestCheckoutEnabled, false);
+});
+
+test("creates a guest order with the entered email", async (t) => {
+  const context = createTestContext({ env: GUEST_ENV });
+  t.after(() => context.cleanup());
+  const { agent, csrfToken } = await guestAgent(context);
+
+  let res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001" }).expect(400);
+  assert.deepEqual(res.body.details, ["請輸入正確的 Email"]);
+  res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001", guestEmail: "guest@example.com", couponCode: "SAVE200" }).expect(400);
+  assert.equal(res.body.error, "優惠碼僅限登入會員使用");
+
+  res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001", guestEmail: " Guest@Example.com " }).expect(200);
+  const tradeInfo = openTradeInfo(res.body.data.EncryptInfo);
+  assert.equal(tradeInfo.UsrMail, "guest@example.com");
+
+  const order = await context.orderRepository.getOrder(tradeInfo.MerTradeNo);
+  assert.equal(order.email, "guest@example.com");
+  assert.equal(order.userGoogleId, null);
+
+  // 訪客的待支付訂單不會被同一個 email 沿用
+  res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001", guestEmail: "guest@example.com" }).expect(200);
+  assert.notEqual(openTradeInfo(res.body.data.EncryptInfo).MerTradeNo, tradeInfo.MerTradeNo);
+});
+
+test("lists the orders of an email after verifying the emailed one-time code", async (t) => {
+  const transport = createCapturingTransport();
+  const context = createTestContext({ env: GUEST_ENV, mailTransport: transport });
+  t.after(() => context.cleanup());
+  const { agent, csrfToken } = await guestAgent(context);
+  await context.orderRepository.createOrder({ tradeNo: "G001", merID: "S01", tradeAmt: 3500, email: "guest@example.com", productID: "P001", productName: "商品", payType: "C", userGoogleId: null });
+
+  await agent.post("/api/guest-orders/code").set("X-CSRF-Token", csrfToken).send({ email: "not-an-email" }).expect(400);
+  await agent.post("/api/guest-orders/code").set("X-CSRF-Token", csrfToken).send({ email: "Guest@example.com" }).expect(200);
+  assert.equal(transport.sent.length, 1);
+  assert.equal(transport.sent[0].to, "guest@example.com");
+  const code = codeOf(transport.sent[0]);
+
+  const wrong = code === "000000" ? "111111" : "000000";
+  let res = await agent.post("/api/guest-orders").set("X-CSRF-Token", csrfToken).send({ email: "guest@example.com", code: wrong }).expect(400);
+  assert.equal(res.body.error, "驗證碼不正確");
+
+  res = await agent.post("/api/guest-orders").set("X-CSRF-Token", csrfToken).send({ email: "guest@example.com", code }).expect(200);
+  assert.deepEqual(res.body.orders.map((order) => order.tradeNo), ["G001"]);
+
+  // 驗證碼只能使用一次
+  res = await agent.post("/api/guest-orders").set("X-CSRF-Token", csrfToken).send({ email: "guest@example.com", code }).expect(400);
+  assert.match(res.body.error, /無效或已過期/);
+});
+
+test("revokes the code after too many wrong attempts", async (t) => {
+  const transport = createCapturingTransport();
+  const context = createTestContext({ env: GUEST_ENV, mailTransport: transport });
+  t.after(() => context.cleanup());
+  const { agent, csrfToken } = await guestAgent(context);
+
+  await agent.post("/api/guest-orders/code").set("X-CSRF-Token", csrfToken).send({ email: "guest@example.com" }).expect(200);
+  const code = codeOf(transport.sent[0]);
+  const wrong = code === "000000" ? "111111" : "000000";
+  for (let attempt = 1; attempt < 5; attempt++) {
+    await agent.post("/api/guest-orders").set("X-CSRF-Token", csrfToken).send({ email: "guest@example.com", code: wrong }).expect(400);
+  }
+  await agent.post("/api/guest-orders").set("X-CSRF-Token", csrfToken).send({ email: "guest@example.com", code: wrong }).expect(429);
+  await agent.post("/api/guest-orders").set("X-CSRF-Token", csrfToken).send({ email: "guest@example.com", code }).expect(400);
+});
+
+test("counts wrong codes submitted at the same time", async (t) => {
+  const transport = createCapturingTransport();
+  const context = createTestContext({ env: GUEST_ENV, mailTransport: transport });
+  t.after(() => context.cleanup());
+  const { agent, csrfToken } = await guestAgent(context);
+
+  await agent.post("/api/guest-orders/code").set("X-CSRF-Token", csrfToken).send({ email: "guest@example.com" }).expect(200);
+  const code = codeOf(transport.sent[0]);
+  const wrongCodes = ["000000", "111111", "222222", "333333", "444444", "555555", "666666", "777777"].filter((wrong) => wrong !== code).slice(0, 7);
+  const results = await Promise.all(wrongCodes.map((wrong) => agent.post("/api/guest-orders").set("X-CSRF-Token", csrfToken).send({ email: "guest@example.com", code: wrong })));
+  assert.ok(results.filter((res) => res.body.error === "驗證碼不正確").length <= 4);
+  assert.ok(results.some((res) => res.status === 429));
+
+  await agent.post("/api/guest-orders").set("X-CSRF-Token", csrfToken).send({ email: "guest@example.com", code }).expect(400);
+});
+
+test("requires Turnstile before sending a lookup code when enabled", async (t) => {
+  const transport = createCapturingTransport();
+  const context = createTestContext({ env: { ...GUEST_ENV, TURNSTILE_ENABLE: "true" }, mailTransport: transport });
+  t.after(() => context.cleanup());
+  const { agent, csrfToken } = await guestAgent(context);
+
+  await agent.post("/api/guest-orders/code").set("X-CSRF-Token", csrfToken).send({ email: "guest@example.com" }).expect(400);
+  assert.equal(transport.sent.length, 0);
+
+  await agent.post("/api/guest-orders/code").set("X-CSRF-Token", csrfToken).send({ email: "guest@example.com", turnstileToken: "token" }).expect(200);
+  assert.equal(context.turnstileRequests.length, 1);
+  assert.equal(transport.sent.length, 1);
+});
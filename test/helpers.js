@@ -0,0 +1,150 @@
+// 測試共用工具：建立隔離的 app (本機暫存檔案儲存、替身 Google 登入、OpenID Connect 與 Turnstile)
+process.env.NODE_ENV = "test";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const querystring = require("querystring");
+const request = require("supertest");
+const { createApp } = require("../app");
+const { createFileOrderRepository } = require("../repositories/fileOrderRepository");
+const { encrypt, decrypt, sha256 } = require("../utils/crypto");
+
+const HASH_KEY = "12345678901234567890123456789012";
+const HASH_IV = "1234567890123456";
+
+const BASE_ENV = {
+  NODE_ENV: "test",
+  PAYUNI_API_URL: "https://sandbox-api.payuni.com.tw/api/upp",
+  PAYUNI_MERCHANT_ID: "S01",
+  PAYUNI_HASH_KEY: HASH_KEY,
+  PAYUNI_HASH_IV: HASH_IV,
+  PAYUNI_PAY_TYPES: "C,ATM",
+  PAYUNI_RETURN_URL: "http://localhost/payment-return",
+  NOTIFY_URL: "http://localhost/payuni-webhook",
+  TURNSTILE_ENABLE: "false",
+  TURNSTILE_SECRET_KEY: "test-turnstile-secret",
+  GOOGLE_CLIENT_ID: "test-client-id",
+  GOOGLE_CLIENT_SECRET: "test-client-secret",
+  GOOGLE_REDIRECT_URI: "http://localhost/auth/google/callback",
+  SESSION_SECRET: "test-session-secret-at-least-32-characters",
+  ADMIN_EMAILS: "admin@example.com",
+  ORDER_STORE: "file",
+};
+
+/**
+ * 替身 Google OAuth 用戶端：授權碼即為登入的 email
+ * /auth/google/callback?code=user@example.com 會以該帳號登入
+ */
+function createStubOAuthClient() {
+  return {
+    generateAuthUrl: () => "https://accounts.google.com/o/oauth2/v2/auth?client_id=test-client-id",
+    getToken: async (code) => ({ tokens: { id_token: code } }),
+    setCredentials: () => {},
+    verifyIdToken: async ({ idToken }) => ({
+      getPayload: () => ({ sub: `google-${idToken}`, email: idToken, email_verified: true, name: idToken.split("@")[0], picture: "" }),
+    }),
+  };
+}
+
+/**
+ * 建立測試用 app，所有資料寫在暫存目錄
+ * @param {object} [options]
+ * @param {object} [options.env] - 覆寫的環境變數
+ * @param {boolean} [options.turnstileSuccess] - 替身 Turnstile 驗證結果
+ * @param {object} [options.kvStore] - 共用的鍵值儲存 (模擬多個執行個體)
+ * @param {object} [options.mailTransport] - 替身寄送方式，預設寫入暫存目錄的 outbox
+ * @param {object|null} [options.invoiceProvider] - 替身發票開立方式，預設在暫存目錄本機配號
+ * @param {object} [options.payuniClient] - 替身 PAYUNi 後台 API 用戶端
+ * @param {object[]} [options.plans] - 訂閱方案，預設為 data/plans.js
+ * @param {Function} [options.webhookReceiver] - 替身商家 Webhook 接收端 (url, body, options) => HTTP 狀態碼
+ * @param {object} [options.oidcServer] - 替身 OpenID Connect 伺服器 { issuer, get(url, options), post(url, body, options) }，網址以 issuer 開頭的請求轉給它
+ */
+function createTestContext({ env = {}, turnstileSuccess = true, kvStore, mailTransport, invoiceProvider, payuniClient, plans, webhookReceiver, oidcServer } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "payuni-test-"));
+  const testEnv = {
+    ...BASE_ENV,
+    ORDER_STORE_PATH: path.join(dir, "orders.json"),
+    PRODUCT_STORE_PATH: path.join(dir, "products.json"),
+    COUPON_STORE_PATH: path.join(dir, "coupons.json"),
+    NOTIFICATION_LEDGER_PATH: path.join(dir, "notifications.json"),
+    KV_STORE_PATH: path.join(dir, "kv.json"),
+    EMAIL_LOG_PATH: path.join(dir, "emails.json"),
+    MAIL_OUTBOX_DIR: path.join(dir, "outbox"),
+    WEBHOOK_DEAD_LETTER_PATH: path.join(dir, "webhook-dead-letters.json"),
+    INVOICE_STUB_PATH: path.join(dir, "invoices.json"),
+    SUBSCRIPTION_STORE_PATH: path.join(dir, "subscriptions.json"),
+    ACCOUNT_STORE_PATH: path.join(dir, "accounts.json"),
+    ...env,
+  };
+  const orderRepository = createFileOrderRepository({ filePath: testEnv.ORDER_STORE_PATH });
+  const turnstileRequests = [];
+  const { app, emailService, invoiceService, webhookDispatcher } = createApp({
+    env: testEnv,
+    orderRepository,
+    ...(kvStore && { kvStore }),
+    ...(mailTransport && { mailTransport }),
+    ...(invoiceProvider !== undefined && { invoiceProvider }),
+    ...(payuniClient && { payuniClient }),
+    ...(plans && { plans }),
+    oauth2Client: createStubOAuthClient(),
+    httpClient: {
+      get: async (url, options) => {
+        if (oidcServer && url.startsWith(oidcServer.issuer)) {
+          return { status: 200, data: await oidcServer.get(url, options) };
+        }
+        throw new Error(`Unexpected GET ${url}`);
+      },
+      post: async (url, payload, options) => {
+        if (oidcServer && url.startsWith(oidcServer.issuer)) {
+          return { status: 200, data: await oidcServer.post(url, payload, options) };
+        }
+        if (webhookReceiver && !url.includes("turnstile")) {
+          return { status: await webhookReceiver(url, payload, options), data: "" };
+        }
+        turnstileRequests.push({ url, payload });
+        return { data: { success: turnstileSuccess } };
+      },
+    },
+  });
+
+  return {
+    app,
+    env: testEnv,
+    orderRepository,
+    emailService,
+    invoiceService,
+    webhookDispatcher,
+    turnstileRequests,
+    agent: () => request.agent(app),
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+}
+
+/** 以替身 Google 帳號登入 */
+async function login(agent, email = "user@example.com") {
+  await agent.get(`/auth/google/callback?code=${encodeURIComponent(email)}`).expect(302);
+}
+
+/** 取得 CSRF token (同時建立 session) */
+async function fetchCsrfToken(agent) {
+  const res = await agent.get("/csrf-token").expect(200);
+  return res.body.csrfToken;
+}
+
+// 預設商店 (PAYUNI_MERCHANT_ID) 的商店代號與金鑰
+const DEFAULT_MERCHANT = { merID: BASE_ENV.PAYUNI_MERCHANT_ID, hashKey: HASH_KEY, hashIV: HASH_IV };
+
+/** 以商店金鑰加密，產生 PAYUNi Notify / Return 的表單欄位 (預設為預設商店) */
+function sealTradeInfo(fields, status = "SUCCESS", { merID, hashKey, hashIV } = DEFAULT_MERCHANT) {
+  const iv = Buffer.from(hashIV, "utf8");
+  const encryptInfo = encrypt(querystring.stringify(fields), hashKey, iv);
+  return { MerID: merID, Version: "1.0", Status: status, EncryptInfo: encryptInfo, HashInfo: sha256(encryptInfo, hashKey, iv) };
+}
+
+/** 解開 /create-payment 回傳的 EncryptInfo (預設以預設商店的金鑰) */
+function openTradeInfo(encryptInfo, { hashKey, hashIV } = DEFAULT_MERCHANT) {
+  return querystring.parse(decrypt(encryptInfo, hashKey, Buffer.from(hashIV, "utf8")));
+}
+
+module.exports = { HASH_KEY, HASH_IV, createTestContext, login, fetchCsrfToken, sealTradeInfo, openTradeInfo };
@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { HASH_KEY, HASH_IV, createTestContext, login, fetchCsrfToken, sealTradeInfo, openTradeInfo } = require("./helpers");
+const { createPayuniClient } = require("../utils/payuni");
+
+// 替身交易查詢：回傳 gateway 中記錄的交易
+const gateway = new Map();
+const payuniClient = {
+  ...createPayuniClient({ apiUrl: "https://sandbox-api.payuni.com.tw/api/upp", merID: "S01", hashKey: HASH_KEY, hashIV: HASH_IV }),
+  queryTrade: async (tradeNo) => {
+    const trade = gateway.get(tradeNo);
+    return trade ? { found: true, status: trade.status, tradeInfo: trade.tradeInfo, message: "" } : { found: false, status: null, tradeInfo: null, message: "查無交易" };
+  },
+};
+
+const context = createTestContext({ payuniClient, env: { PENDING_ORDER_TTL_MINUTES: "30", ORDER_EXPIRY_CHECK_GATEWAY: "false" } });
+test.after(() => context.cleanup());
+
+async function loggedInAgent(email) {
+  const agent = context.agent();
+  await login(agent, email);
+  const csrfToken = await fetchCsrfToken(agent);
+  return { agent, csrfToken };
+}
+
+async function createProduct(admin, id, stock) {
+  await admin.agent.post("/api/admin/products").set("X-CSRF-Token", admin.csrfToken).send({ id, name: `庫存測試 ${id}`, price: 1000, stock }).expect(201);
+}
+
+async function productOf(admin, id) {
+  return (await admin.agent.get("/api/admin/products").expect(200)).body.find((product) => product.id === id);
+}
+
+async function checkout(buyer, productID) {
+  const res = await buyer.agent.post("/create-payment").set("X-CSRF-Token", buyer.csrfToken).send({ productID }).expect(200);
+  return openTradeInfo(res.body.data.EncryptInfo).MerTradeNo;
+}
+
+// 把訂單的建立時間往前移，模擬已超過有效期限
+function backdateOrder(tradeNo, minutes) {
+  const data = JSON.parse(fs.readFileSync(context.env.ORDER_STORE_PATH, "utf8"));
+  const order = data.orders.find((existing) => existing.tradeNo === tradeNo);
+  order.createdAt = new Date(Date.now() - minutes * 60 * 1000).toISOString();
+  fs.writeFileSync(context.env.ORDER_STORE_PATH, JSON.stringify(data, null, 2));
+}
+
+function notify(form) {
+  return context.agent().post("/payuni-webhook").type("form").send(form).expect(200);
+}
+
+test("deducts stock when reconciliation finds an expired order was paid", async () => {
+  const admin = await loggedInAgent("admin@example.com");
+  await createProduct(admin, "EXP1", 2);
+  const buyer = await loggedInAgent("stock1@example.com");
+
+  const tradeNo = await checkout(buyer, "EXP1");
+  assert.equal((await productOf(admin, "EXP1")).available, 1);
+
+  backdateOrder(tradeNo, 60);
+  const swept = (await admin.agent.post("/api/admin/orders/expire").set("X-CSRF-Token", admin.csrfToken).expect(200)).body;
+  assert.equal(swept.expired, 1);
+  assert.equal((await productOf(admin, "EXP1")).available, 2);
+
+  gateway.set(tradeNo, { status: "已完成", tradeInfo: { MerTradeNo: tradeNo, TradeNo: "T-EXP1", TradeAmt: 1000, TradeStatus: 1 } });
+  const res = await admin.agent.post(`/api/admin/orders/${tradeNo}/reconcile`).set("X-CSRF-Token", admin.csrfToken).expect(200);
+  assert.equal(res.body.updated, true);
+
+  const product = await productOf(admin, "EXP1");
+  assert.equal(product.stock, 1);
+  assert.equal(product.reserved, 0);
+});
+
+test("deducts stock when the notification of an expired order arrives", async () => {
+  const admin = await loggedInAgent("admin@example.com");
+  await createProduct(admin, "EXP2", 2);
+  const buyer = await loggedInAgent("stock2@example.com");
+
+  const tradeNo = await checkout(buyer, "EXP2");
+  backdateOrder(tradeNo, 60);
+  await admin.agent.post("/api/admin/orders/expire").set("X-CSRF-Token", admin.csrfToken).expect(200);
+  assert.equal((await context.orderRepository.getOrder(tradeNo)).status, "已取消");
+
+  assert.equal((await notify(sealTradeInfo({ MerTradeNo: tradeNo, TradeNo: "T-EXP2", TradeAmt: 1000, TradeStatus: 1 }))).text, "OK");
+  const product = await productOf(admin, "EXP2");
+  assert.equal(product.stock, 1);
+  assert.equal(product.available, 1);
+});
+
+test("reserves stock at checkout and refuses orders beyond the available quantity", async (t) => {
+  // 結帳有每分鐘的速率限制，另外建立 app
+  const stockContext = createTestContext();
+  t.after(() => stockContext.cleanup());
+  const admin = { agent: stockContext.agent() };
+  await login(admin.agent, "admin@example.com");
+  admin.csrfToken = await fetchCsrfToken(admin.agent);
+  await createProduct(admin, "RSV1", 1);
+
+  const first = stockContext.agent();
+  await login(first, "first@example.com");
+  const firstToken = await fetchCsrfToken(first);
+  await first.post("/create-payment").set("X-CSRF-Token", firstToken).send({ productID: "RSV1" }).expect(200);
+
+  const product = (await stockContext.agent().get("/api/products").expect(200)).body.find((listed) => listed.id === "RSV1");
+  assert.equal(product.available, 0);
+  assert.equal(product.soldOut, true);
+
+  const second = stockContext.agent();
+  await login(second, "second@example.com");
+  const secondToken = await fetchCsrfToken(second);
+  const res = await second.post("/create-payment").set("X-CSRF-Token", secondToken).send({ productID: "RSV1" }).expect(409);
+  assert.equal(res.body.error, "商品已售完或庫存不足");
+  assert.equal(res.body.productID, "RSV1");
+
+  // 仍有保留中的庫存時不能刪除商品
+  await admin.agent.delete("/api/admin/products/RSV1").set("X-CSRF-Token", admin.csrfToken).expect(409);
+});
+
+test("commits the reservation once when the order is paid", async () => {
+  const admin = await loggedInAgent("admin@example.com");
+  await createProduct(admin, "CMT1", 3);
+  const buyer = await loggedInAgent("commit@example.com");
+  const tradeNo = await checkout(buyer, "CMT1");
+
+  const form = sealTradeInfo({ MerTradeNo: tradeNo, TradeNo: "T-CMT1", TradeAmt: 1000, TradeStatus: 1 });
+  assert.equal((await notify(form)).text, "OK");
+  assert.equal((await notify(form)).text, "OK");
+
+  const product = await productOf(admin, "CMT1");
+  assert.equal(product.stock, 2);
+  assert.equal(product.reserved, 0);
+  assert.equal(product.available, 2);
+});
+
+test("releases the reservation when the payment fails or an admin cancels the order", async () => {
+  const admin = await loggedInAgent("admin@example.com");
+  await createProduct(admin, "REL1", 2);
+  const buyer = await loggedInAgent("release@example.com");
+
+  const failed = await checkout(buyer, "REL1");
+  assert.equal((await productOf(admin, "REL1")).available, 1);
+  await notify(sealTradeInfo({ MerTradeNo: failed, TradeNo: "T-REL1", TradeAmt: 1000, TradeStatus: 2 }, "FAIL"));
+  assert.equal((await productOf(admin, "REL1")).available, 2);
+
+  // 失敗的訂單不再沿用，重新結帳建立新的訂單並保留庫存
+  const cancelled = await checkout(buyer, "REL1");
+  assert.notEqual(cancelled, failed);
+  assert.equal((await productOf(admin, "REL1")).available, 1);
+  await admin.agent.post(`/api/admin/orders/${cancelled}/cancel`).set("X-CSRF-Token", admin.csrfToken).expect(200);
+
+  const product = await productOf(admin, "REL1");
+  assert.equal(product.available, 2);
+  assert.equal(product.reserved, 0);
+  assert.equal(product.stock, 2);
+});
@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestContext, login, fetchCsrfToken, sealTradeInfo } = require("./helpers");
+const { isValidTaxId, validateInvoice, normalizeInvoice, INVOICE_TYPES } = require("../services/invoice");
+
+// 替身發票開立方式：可切換成失敗，記錄每次開立的內容
+function createFlakyProvider() {
+  const issued = [];
+  return {
+    name: "flaky",
+    issued,
+    failing: false,
+    async issue(request) {
+      if (this.failing) {
+        throw new Error("加值中心連線逾時");
+      }
+      issued.push(request);
+      return { number: `AB${String(10000000 + issued.length)}`, randomCode: "1234", issuedAt: new Date().toISOString() };
+    },
+  };
+}
+
+async function loggedInAgent(context, email) {
+  const agent = context.agent();
+  await login(agent, email);
+  const csrfToken = await fetchCsrfToken(agent);
+  return { agent, csrfToken };
+}
+
+async function createPaidOrder(context, tradeNo, invoice) {
+  await context.orderRepository.createOrder({ tradeNo, merID: "S01", tradeAmt: 3500, email: "user@example.com", productID: "P001", productName: "時光旅人豪華帳篷", items: [{ productID: "P001", name: "時光旅人豪華帳篷", price: 3500, quantity: 1 }], payType: "C", couponCode: null, discount: 0, invoice });
+  const form = sealTradeInfo({ MerTradeNo: tradeNo, TradeNo: `T-${tradeNo}`, TradeAmt: 3500, TradeStatus: 1 });
+  const res = await context.agent().post("/payuni-webhook").type("form").send(form).expect(200);
+  assert.equal(res.text, "OK");
+  return form;
+}
+
+test("validates carrier, donation and tax ID formats", () => {
+  assert.equal(isValidTaxId("04595257"), true);
+  assert.equal(isValidTaxId("04595258"), false);
+  assert.equal(isValidTaxId("0459525"), false);
+
+  assert.equal(validateInvoice(undefined), null);
+  assert.equal(validateInvoice({ type: INVOICE_TYPES.MEMBER }), null);
+  assert.equal(validateInvoice({ type: INVOICE_TYPES.MOBILE, carrier: "/abc+123" }), null);
+  assert.match(validateInvoice({ type: INVOICE_TYPES.MOBILE, carrier: "ABC1234" }), /手機條碼/);
+  assert.equal(validateInvoice({ type: INVOICE_TYPES.CERTIFICATE, carrier: "AB12345678901234" }), null);
+  assert.match(validateInvoice({ type: INVOICE_TYPES.CERTIFICATE, carrier: "A123456789" }), /自然人憑證/);
+  assert.equal(validateInvoice({ type: INVOICE_TYPES.DONATION, loveCode: "168" }), null);
+  assert.match(validateInvoice({ type: INVOICE_TYPES.DONATION, loveCode: "12" }), /愛心碼/);
+  assert.match(validateInvoice({ type: INVOICE_TYPES.COMPANY, taxId: "04595258", companyName: "時光旅人有限公司" }), /統一編號/);
+  assert.match(validateInvoice({ type: INVOICE_TYPES.COMPANY, taxId: "04595257" }), /公司抬頭/);
+  assert.match(validateInvoice({ type: "paper" }), /不支援的發票類型/);
+
+  assert.deepEqual(normalizeInvoice({ type: INVOICE_TYPES.MOBILE, carrier: " /abc+123 ", taxId: "04595257" }), { type: "mobile", carrier: "/ABC+123" });
+  assert.deepEqual(normalizeInvoice(undefined), { type: "member" });
+});
+
+test("stores the invoice details on the order at checkout and rejects invalid ones", async (t) => {
+  const context = createTestContext();
+  t.after(() => context.cleanup());
+  const { agent, csrfToken } = await loggedInAgent(context);
+
+  const config = await agent.get("/api/client-config").expect(200);
+  assert.equal(config.body.invoiceEnabled, true);
+
+  let res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001", invoice: { type: "company", taxId: "12345678", companyName: "時光旅人有限公司" } }).expect(400);
+  assert.deepEqual(res.body.details, ["統一編號不正確"]);
+
+  res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001", invoice: { type: "company", taxId: "04595257", companyName: "時光旅人有限公司" } }).expect(200);
+  const [order] = await context.orderRepository.listOrders();
+  assert.deepEqual(order.invoice, { type: "company", taxId: "04595257", companyName: "時光旅人有限公司" });
+
+  // 發票資料不同時不沿用原本的待支付訂單
+  await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001", invoice: { type: "mobile", carrier: "/ABC+123" } }).expect(200);
+  const orders = await context.orderRepository.listOrders();
+  assert.equal(orders.length, 2);
+  assert.deepEqual(orders[1].invoice, { type: "mobile", carrier: "/ABC+123" });
+});
+
+test("issues one invoice after payment and shows the number in my orders", async (t) => {
+  const provider = createFlakyProvider();
+  const context = createTestContext({ invoiceProvider: provider });
+  t.after(() => context.cleanup());
+
+  const form = await createPaidOrder(context, "test7000", { type: "donation", loveCode: "168" });
+  await context.invoiceService.whenIdle();
+  // 重送的 Notify 不重複開立
+  await context.agent().post("/payuni-webhook").type("form").send(form).expect(200);
+  await context.invoiceService.whenIdle();
+
+  assert.equal(provider.issued.length, 1);
+  assert.equal(provider.issued[0].tradeNo, "test7000");
+  assert.equal(provider.issued[0].amount, 3500);
+  assert.deepEqual(provider.issued[0].invoice, { type: "donation", loveCode: "168" });
+
+  const { agent } = await loggedInAgent(context);
+  const res = await agent.get("/api/my-orders").expect(200);
+  assert.equal(res.body.orders[0].invoice.number, "AB10000001");
+  assert.equal(res.body.orders[0].invoice.status, "issued");
+});
+
+test("records a failed issuance and lets admins issue it again", async (t) => {
+  const provider = createFlakyProvider();
+  provider.failing = true;
+  const context = createTestContext({ invoiceProvider: provider });
+  t.after(() => context.cleanup());
+
+  await createPaidOrder(context, "test7100");
+  await context.invoiceService.whenIdle();
+  let order = await context.orderRepository.getOrder("test7100");
+  assert.equal(order.invoice.status, "failed");
+  assert.equal(order.invoice.error, "加值中心連線逾時");
+
+  const { agent, csrfToken } = await loggedInAgent(context, "admin@example.com");
+  let res = await agent.post("/api/admin/orders/test7100/invoice").set("X-CSRF-Token", csrfToken).expect(502);
+  assert.equal(res.body.error, "發票開立失敗：加值中心連線逾時");
+
+  provider.failing = false;
+  res = await agent.post("/api/admin/orders/test7100/invoice").set("X-CSRF-Token", csrfToken).expect(200);
+  assert.equal(res.body.invoice.number, "AB10000001");
+  assert.equal(res.body.invoice.type, "member");
+  order = await context.orderRepository.getOrder("test7100");
+  assert.equal(order.invoice.status, "issued");
+
+  await agent.post("/api/admin/orders/NOPE/invoice").set("X-CSRF-Token", csrfToken).expect(404);
+});
+
+test("uses the local stub provider by default and can be turned off", async (t) => {
+  const context = createTestContext();
+  t.after(() => context.cleanup());
+  await createPaidOrder(context, "test7200", { type: "member" });
+  await context.invoiceService.whenIdle();
+  const order = await context.orderRepository.getOrder("test7200");
+  assert.match(order.invoice.number, /^ZZ\d{8}$/);
+  assert.match(order.invoice.randomCode, /^\d{4}$/);
+  assert.equal(order.invoice.provider, "stub");
+
+  const disabled = createTestContext({ env: { INVOICE_PROVIDER: "none" } });
+  t.after(() => disabled.cleanup());
+  const { agent, csrfToken } = await loggedInAgent(disabled);
+  assert.equal((await agent.get("/api/client-config").expect(200)).body.invoiceEnabled, false);
+  await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001", invoice: { type: "paper" } }).expect(200);
+  const [pending] = await disabled.orderRepository.listOrders();
+  assert.equal(pending.invoice, null);
+});
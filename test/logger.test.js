@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+const { sanitizeLog } = require("../utils/logger");
+
+test("sanitizeLog redacts sensitive keys case-insensitively", () => {
+  const result = sanitizeLog({ EncryptInfo: "abc", hashinfo: "def", CardNo: "4000221111111111", sessionToken: "t", tradeNo: "test1" });
+  assert.deepEqual(result, {
+    EncryptInfo: "***REDACTED***",
+    hashinfo: "***REDACTED***",
+    CardNo: "***REDACTED***",
+    sessionToken: "***REDACTED***",
+    tradeNo: "test1",
+  });
+});
+
+test("sanitizeLog redacts nested objects and arrays", () => {
+  const result = sanitizeLog({ order: { tradeNo: "test1", rawData: { HashInfo: "x" } }, items: [{ apiKey: "k", name: "帳篷" }] });
+  assert.deepEqual(result, {
+    order: { tradeNo: "test1", rawData: { HashInfo: "***REDACTED***" } },
+    items: [{ apiKey: "***REDACTED***", name: "帳篷" }],
+  });
+});
+
+test("sanitizeLog does not modify the original object", () => {
+  const original = { secret: "s", nested: { password: "p" } };
+  sanitizeLog(original);
+  assert.deepEqual(original, { secret: "s", nested: { password: "p" } });
+});
+
+test("sanitizeLog passes through non-object values", () => {
+  assert.equal(sanitizeLog("message"), "message");
+  assert.equal(sanitizeLog(42), 42);
+  assert.equal(sanitizeLog(null), null);
+});
@@ -0,0 +1,219 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestContext, login, fetchCsrfToken } = require("./helpers");
+
+const ISSUER = "https://id.example.com";
+const OIDC_ENV = {
+  LOGIN_PROVIDERS: "google,email,oidc",
+  OIDC_ISSUER: ISSUER,
+  OIDC_CLIENT_ID: "shop",
+  OIDC_CLIENT_SECRET: "shop-secret",
+  OIDC_REDIRECT_URI: "http://localhost/auth/oidc/callback",
+  OIDC_LABEL: "公司帳號",
+};
+
+// 替身寄送方式：記錄寄出的信件
+function createCapturingTransport() {
+  const sent = [];
+  return {
+    name: "capture",
+    sent,
+    send: async (message) => {
+      sent.push(message);
+      return { messageId: `m${sent.length}` };
+    },
+  };
+}
+
+// 替身 OpenID Connect 伺服器：token endpoint 以 profile 簽發 id_token (nonce 由測試從授權網址取出後帶入)
+function createOidcServer() {
+  const server = {
+    issuer: ISSUER,
+    discoveredIssuer: ISSUER,
+    profile: {},
+    tokenRequests: [],
+    get: async (url) => {
+      assert.equal(url, `${ISSUER}/.well-known/openid-configuration`);
+      return { issuer: server.discoveredIssuer, authorization_endpoint: `${ISSUER}/authorize`, token_endpoint: `${ISSUER}/token` };
+    },
+    post: async (url, body) => {
+      assert.equal(url, `${ISSUER}/token`);
+      server.tokenRequests.push(new URLSearchParams(body));
+      const claims = { iss: ISSUER, aud: "shop", exp: Math.floor(Date.now() / 1000) + 300, ...server.profile };
+      const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+      return { id_token: `${encode({ alg: "RS256" })}.${encode(claims)}.signature`, access_token: "access" };
+    },
+  };
+  return server;
+}
+
+async function requestLoginLink(agent, email) {
+  const csrfToken = await fetchCsrfToken(agent);
+  return agent.post("/auth/email").set("X-CSRF-Token", csrfToken).send({ email });
+}
+
+function loginLinkOf(message) {
+  return new URL(message.text.match(/https?:\/\/\S+/)[0]);
+}
+
+// 開啟登入連結的確認頁，再按下確認 (POST 權杖)
+async function confirmLoginLink(agent, link) {
+  const page = await agent.get(`${link.pathname}${link.search}`).expect(200);
+  assert.match(page.text, /確認登入/);
+  const csrfToken = await fetchCsrfToken(agent);
+  return agent.post(link.pathname).set("X-CSRF-Token", csrfToken).send({ token: link.searchParams.get("token") });
+}
+
+test("lists the enabled login providers in client-config", async (t) => {
+  const context = createTestContext();
+  t.after(() => context.cleanup());
+
+  const res = await context.agent().get("/api/client-config").expect(200);
+  assert.deepEqual(res.body.loginProviders, [
+    { name: "google", label: "Google", type: "redirect" },
+    { name: "email", label: "Email", type: "email" },
+  ]);
+  await context.agent().get("/auth/oidc").expect(404);
+});
+
+test("signs in with a one-time email link and keeps the order history of the same email", async (t) => {
+  const transport = createCapturingTransport();
+  const context = createTestContext({ mailTransport: transport });
+  t.after(() => context.cleanup());
+
+  // 先以 Google 登入並留下訂單
+  const googleAgent = context.agent();
+  await login(googleAgent, "user@example.com");
+  const googleUser = (await googleAgent.get("/api/me").expect(200)).body.user;
+  await context.orderRepository.createOrder({ tradeNo: "ML001", merID: "S01", tradeAmt: 100, email: "user@example.com", productID: "P001", productName: "商品", payType: "C", userGoogleId: googleUser.id });
+
+  const agent = context.agent();
+  await agent.post("/auth/email").send({ email: "user@example.com" }).expect(403);
+  assert.equal((await requestLoginLink(agent, "not-an-email")).status, 400);
+  const sent = await requestLoginLink(agent, "User@Example.com");
+  assert.equal(sent.status, 200);
+  assert.equal(transport.sent.length, 1);
+  assert.equal(transport.sent[0].to, "user@example.com");
+
+  const link = loginLinkOf(transport.sent[0]);
+  assert.equal(link.pathname, "/auth/email/callback");
+  // 連結掃描器只會開啟確認頁，不會用掉權杖；沒有 CSRF token 的 POST 也不接受
+  await context.agent().get(`${link.pathname}${link.search}`).expect(200);
+  await context.agent().post(link.pathname).send({ token: link.searchParams.get("token") }).expect(403);
+  assert.equal((await confirmLoginLink(agent, link)).status, 200);
+
+  const me = (await agent.get("/api/me").expect(200)).body;
+  assert.equal(me.user.id, googleUser.id);
+  assert.equal(me.user.provider, "email");
+  const orders = (await agent.get("/api/my-orders").expect(200)).body.orders;
+  assert.deepEqual(orders.map((order) => order.tradeNo), ["ML001"]);
+
+  // 連結只能使用一次
+  const reused = await confirmLoginLink(context.agent(), link);
+  assert.equal(reused.status, 400);
+  assert.match(reused.body.error, /無效或已過期/);
+});
+
+test("issues a new session id when the email link is confirmed", async (t) => {
+  const transport = createCapturingTransport();
+  const context = createTestContext({ mailTransport: transport });
+  t.after(() => context.cleanup());
+
+  const agent = context.agent();
+  const before = await agent.get("/csrf-token").expect(200);
+  const anonymousCookie = before.headers["set-cookie"][0].split(";")[0];
+  assert.equal((await requestLoginLink(agent, "fixation@example.com")).status, 200);
+
+  const confirmed = await confirmLoginLink(agent, loginLinkOf(transport.sent[0]));
+  assert.equal(confirmed.status, 200);
+  const signedInCookie = confirmed.headers["set-cookie"][0].split(";")[0];
+  assert.notEqual(signedInCookie, anonymousCookie);
+
+  assert.equal((await context.agent().get("/api/me").set("Cookie", anonymousCookie).expect(200)).body.loggedIn, false);
+  assert.equal((await agent.get("/api/me").expect(200)).body.user.email, "fixation@example.com");
+});
+
+test("creates a new account for an email without previous logins", async (t) => {
+  const transport = createCapturingTransport();
+  const context = createTestContext({ mailTransport: transport });
+  t.after(() => context.cleanup());
+
+  const agent = context.agent();
+  await requestLoginLink(agent, "new@example.com");
+  assert.equal((await confirmLoginLink(agent, loginLinkOf(transport.sent[0]))).status, 200);
+
+  const { user } = (await agent.get("/api/me").expect(200)).body;
+  assert.match(user.id, /^u[0-9a-f]{16}$/);
+  assert.equal(user.email, "new@example.com");
+  assert.equal(user.name, "new");
+});
+
+test("signs in with OpenID Connect and links the account by verified email", async (t) => {
+  const oidcServer = createOidcServer();
+  const context = createTestContext({ env: OIDC_ENV, oidcServer });
+  t.after(() => context.cleanup());
+
+  const googleAgent = context.agent();
+  await login(googleAgent, "user@example.com");
+  const googleUser = (await googleAgent.get("/api/me").expect(200)).body.user;
+
+  const agent = context.agent();
+  const redirect = await agent.get("/auth/oidc").expect(302);
+  const authorizeUrl = new URL(redirect.headers.location);
+  assert.equal(authorizeUrl.origin + authorizeUrl.pathname, `${ISSUER}/authorize`);
+  assert.equal(authorizeUrl.searchParams.get("client_id"), "shop");
+  assert.equal(authorizeUrl.searchParams.get("scope"), "openid email profile");
+  const state = authorizeUrl.searchParams.get("state");
+
+  // state 不符時拒絕，且不再接受原本的 state
+  await agent.get("/auth/oidc/callback?code=abc&state=forged").expect(400);
+  await agent.get(`/auth/oidc/callback?code=abc&state=${state}`).expect(400);
+  assert.equal(oidcServer.tokenRequests.length, 0);
+
+  const retry = new URL((await agent.get("/auth/oidc").expect(302)).headers.location);
+  oidcServer.profile = { sub: "corp-42", email: "user@example.com", email_verified: true, name: "小明", nonce: retry.searchParams.get("nonce") };
+  await agent.get(`/auth/oidc/callback?code=abc&state=${retry.searchParams.get("state")}`).expect(302);
+
+  assert.equal(oidcServer.tokenRequests[0].get("code"), "abc");
+  assert.equal(oidcServer.tokenRequests[0].get("client_secret"), "shop-secret");
+  const { user } = (await agent.get("/api/me").expect(200)).body;
+  assert.equal(user.id, googleUser.id);
+  assert.equal(user.provider, "oidc");
+  assert.equal(user.name, "小明");
+});
+
+test("rejects OpenID Connect logins with an unverified email or a mismatched nonce", async (t) => {
+  const oidcServer = createOidcServer();
+  const context = createTestContext({ env: OIDC_ENV, oidcServer });
+  t.after(() => context.cleanup());
+
+  async function callback(profile) {
+    const agent = context.agent();
+    const authorizeUrl = new URL((await agent.get("/auth/oidc").expect(302)).headers.location);
+    oidcServer.profile = { nonce: authorizeUrl.searchParams.get("nonce"), ...profile };
+    const res = await agent.get(`/auth/oidc/callback?code=abc&state=${authorizeUrl.searchParams.get("state")}`);
+    return { res, me: (await agent.get("/api/me").expect(200)).body };
+  }
+
+  let { res, me } = await callback({ sub: "corp-1", email: "user@example.com", email_verified: false });
+  assert.equal(res.status, 403);
+  assert.equal(me.loggedIn, false);
+
+  ({ res, me } = await callback({ sub: "corp-1", email: "user@example.com", email_verified: true, nonce: "replayed" }));
+  assert.equal(res.status, 401);
+  assert.equal(me.loggedIn, false);
+
+  ({ res, me } = await callback({ sub: "corp-1", email: "user@example.com", email_verified: true, iss: "https://evil.example.com" }));
+  assert.equal(res.status, 401);
+  assert.equal(me.loggedIn, false);
+});
+
+test("refuses a discovery document that names another issuer", async (t) => {
+  const oidcServer = createOidcServer();
+  oidcServer.discoveredIssuer = "https://evil.example.com";
+  const context = createTestContext({ env: OIDC_ENV, oidcServer });
+  t.after(() => context.cleanup());
+
+  await context.agent().get("/auth/oidc").expect(500);
+  assert.equal(oidcServer.tokenRequests.length, 0);
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createTestContext, login, fetchCsrfToken, sealTradeInfo } = require("./helpers");
+const { createEventBus, ORDER_EVENTS } = require("../services/events");
+const { createWebhookDispatcher, signPayload } = require("../services/merchantWebhooks");
+const { createWebhookDeadLetters } = require("../repositories/webhookDeadLetters");
+const logger = require("../utils/logger");
+
+const SECRET = "merchant-webhook-secret";
+
+async function createPendingOrder(context, tradeNo) {
+  await context.orderRepository.createOrder({ tradeNo, merID: "S01", tradeAmt: 3500, email: "user@example.com", userGoogleId: "google-user", productID: "P001", productName: "時光旅人豪華帳篷", items: [{ productID: "P001", name: "時光旅人豪華帳篷", price: 3500, quantity: 1 }], payType: "C" });
+}
+
+function notify(context, form) {
+  return context.agent().post("/payuni-webhook").type("form").send(form).expect(200);
+}
+
+test("sends a signed order.paid event to every subscriber URL", async (t) => {
+  const received = [];
+  const context = createTestContext({
+    env: { MERCHANT_WEBHOOK_URLS: "https://crm.example.com/hooks, https://fulfilment.example.com/hooks", MERCHANT_WEBHOOK_SECRET: SECRET },
+    webhookReceiver: async (url, body, options) => {
+      received.push({ url, body, headers: options.headers });
+      return 200;
+    },
+  });
+  t.after(() => context.cleanup());
+
+  await createPendingOrder(context, "test6000");
+  assert.equal((await notify(context, sealTradeInfo({ MerTradeNo: "test6000", TradeNo: "T60", TradeAmt: 3500, TradeStatus: 1 }))).text, "OK");
+  await context.webhookDispatcher.whenIdle();
+
+  assert.deepEqual(received.map(({ url }) => url).sort(), ["https://crm.example.com/hooks", "https://fulfilment.example.com/hooks"]);
+  const { body, headers } = received[0];
+  assert.equal(headers["X-Webhook-Event"], ORDER_EVENTS.PAID);
+  assert.equal(headers["X-Webhook-Signature"], `sha256=${signPayload(body, SECRET, headers["X-Webhook-Timestamp"])}`);
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.type, ORDER_EVENTS.PAID);
+  assert.equal(payload.data.tradeNo, "test6000");
+  assert.equal(payload.data.order.status, "已完成");
+  assert.equal(payload.data.order.tradeSeq, "T60");
+  assert.equal(payload.data.order.userGoogleId, undefined);
+  assert.equal(payload.data.order.remark, undefined);
+});
+
+test("moves undeliverable events to the dead-letter list and replays them", async (t) => {
+  let receiverStatus = 500;
+  const context = createTestContext({
+    env: { MERCHANT_WEBHOOK_URLS: "https://crm.example.com/hooks", MERCHANT_WEBHOOK_SECRET: SECRET, MERCHANT_WEBHOOK_MAX_ATTEMPTS: "1" },
+    webhookReceiver: async () => receiverStatus,
+  });
+  t.after(() => context.cleanup());
+
+  await createPendingOrder(context, "test6100");
+  await notify(context, sealTradeInfo({ MerTradeNo: "test6100", TradeNo: "T61", TradeAmt: 3500, TradeStatus: 2 }, "FAIL"));
+  await context.webhookDispatcher.whenIdle();
+
+  const agent = context.agent();
+  await login(agent, "admin@example.com");
+  const csrfToken = await fetchCsrfToken(agent);
+
+  let res = await agent.get("/api/admin/webhooks/dead-letters").expect(200);
+  assert.equal(res.body.deadLetters.length, 1);
+  const [deadLetter] = res.body.deadLetters;
+  assert.equal(deadLetter.payload.type, ORDER_EVENTS.FAILED);
+  assert.equal(deadLetter.lastError, "HTTP 500");
+
+  res = await agent.post(`/api/admin/webhooks/dead-letters/${deadLetter.id}/replay`).set("X-CSRF-Token", csrfToken).expect(502);
+  assert.equal(res.body.error, "重送失敗：HTTP 500");
+
+  receiverStatus = 204;
+  await agent.post(`/api/admin/webhooks/dead-letters/${deadLetter.id}/replay`).set("X-CSRF-Token", csrfToken).expect(200);
+  res = await agent.get("/api/admin/webhooks/dead-letters").expect(200);
+  assert.deepEqual(res.body.deadLetters, []);
+
+  await agent.post(`/api/admin/webhooks/dead-letters/${deadLetter.id}/replay`).set("X-CSRF-Token", csrfToken).expect(404);
+});
+
+test("retries with backoff before giving up", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "payuni-webhooks-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const deadLetters = createWebhookDeadLetters({ filePath: path.join(dir, "dead-letters.json") });
+  let calls = 0;
+  const httpClient = {
+    post: async () => {
+      calls++;
+      if (calls === 1) throw new Error("ECONNRESET");
+      return { status: calls === 2 ? 503 : 200 };
+    },
+  };
+  const dispatcher = createWebhookDispatcher({ urls: ["https://crm.example.com/hooks"], secret: SECRET, httpClient, deadLetters, orderRepository: { getOrder: async () => null }, logger, maxAttempts: 3, retryDelayMs: 1 });
+
+  const [result] = await dispatcher.dispatch({ id: "e1", type: ORDER_EVENTS.CANCELLED, occurredAt: new Date().toISOString(), data: { tradeNo: "test6200", status: "已取消" } });
+  assert.deepEqual(result, { url: "https://crm.example.com/hooks", delivered: true, attempts: 3 });
+  assert.deepEqual(await deadLetters.list(), []);
+});
+
+test("a failing subscriber does not stop the others", async () => {
+  const events = createEventBus({ logger });
+  const seen = [];
+  events.subscribe([ORDER_EVENTS.PAID], "broken", () => {
+    throw new Error("boom");
+  });
+  events.subscribe("*", "recorder", (event) => seen.push(event.type));
+  events.subscribe([ORDER_EVENTS.REFUNDED], "refund-only", (event) => seen.push(`refund:${event.type}`));
+
+  const event = await events.publish(ORDER_EVENTS.PAID, { tradeNo: "test6300", status: "已完成" });
+  assert.equal(event.type, ORDER_EVENTS.PAID);
+  assert.deepEqual(seen, [ORDER_EVENTS.PAID]);
+});
@@ -0,0 +1,161 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFileOrderRepository } = require("../repositories/fileOrderRepository");
+const { createMerchantOrderRepository } = require("../repositories/merchantOrderRepository");
+const { createTestContext, login, fetchCsrfToken, sealTradeInfo, openTradeInfo } = require("./helpers");
+
+// 第二個商店 camp：自己的商店代號、金鑰、回呼網址與網域
+const CAMP = { merID: "S02", hashKey: "abcdefghijklmnopqrstuvwxyz123456", hashIV: "abcdefghijklmnop" };
+
+const CAMP_ENV = {
+  PAYUNI_MERCHANTS: "camp",
+  PAYUNI_CAMP_MERCHANT_ID: CAMP.merID,
+  PAYUNI_CAMP_HASH_KEY: CAMP.hashKey,
+  PAYUNI_CAMP_HASH_IV: CAMP.hashIV,
+  PAYUNI_CAMP_NOTIFY_URL: "http://camp.example.com/payuni-webhook",
+  PAYUNI_CAMP_RETURN_URL: "http://camp.example.com/payment-return",
+  PAYUNI_CAMP_HOSTS: "camp.example.com",
+};
+
+const context = createTestContext({ env: CAMP_ENV });
+test.after(() => context.cleanup());
+
+async function loggedInAgent(email = "user@example.com") {
+  const agent = context.agent();
+  await login(agent, email);
+  const csrfToken = await fetchCsrfToken(agent);
+  return { agent, csrfToken };
+}
+
+async function createPendingOrder(tradeNo, merID) {
+  await context.orderRepository.createOrder({ tradeNo, merID, tradeAmt: 3500, email: "user@example.com", productID: "P001", productName: "時光旅人豪華帳篷", items: [{ productID: "P001", name: "時光旅人豪華帳篷", price: 3500, quantity: 1 }], payType: "C" });
+}
+
+test("assigns products to a configured merchant through the admin API", async () => {
+  const { agent, csrfToken } = await loggedInAgent("admin@example.com");
+
+  const { merchants } = (await agent.get("/api/admin/merchants").expect(200)).body;
+  assert.deepEqual(merchants, [
+    { id: "default", merID: "S01", hosts: [] },
+    { id: "camp", merID: "S02", hosts: ["camp.example.com"] },
+  ]);
+
+  const res = await agent.put("/api/admin/products/P002").set("X-CSRF-Token", csrfToken).send({ merchantId: "cafe" }).expect(400);
+  assert.match(res.body.details[0], /所屬商店只能是 default、camp/);
+  const updated = (await agent.put("/api/admin/products/P002").set("X-CSRF-Token", csrfToken).send({ merchantId: "camp" }).expect(200)).body;
+  assert.equal(updated.merchantId, "camp");
+});
+
+test("creates the payment form with the credentials and callbacks of the product's merchant", async () => {
+  const { agent, csrfToken } = await loggedInAgent();
+
+  let res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P002" }).expect(200);
+  assert.equal(res.body.data.MerID, "S02");
+  const tradeInfo = openTradeInfo(res.body.data.EncryptInfo, CAMP);
+  assert.equal(tradeInfo.MerID, "S02");
+  assert.equal(tradeInfo.NotifyURL, "http://camp.example.com/payuni-webhook");
+  assert.equal(tradeInfo.ReturnURL, "http://camp.example.com/payment-return");
+  assert.equal((await context.orderRepository.getOrder(tradeInfo.MerTradeNo)).merID, "S02");
+
+  res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ productID: "P001" }).expect(200);
+  assert.equal(res.body.data.MerID, "S01");
+  assert.equal(openTradeInfo(res.body.data.EncryptInfo).ReturnURL, "http://localhost/payment-return");
+});
+
+test("picks the merchant by host name and refuses carts that span merchants", async () => {
+  const { agent, csrfToken } = await loggedInAgent("host@example.com");
+
+  let res = await agent.post("/create-payment").set("Host", "camp.example.com").set("X-CSRF-Token", csrfToken).send({ productID: "P001" }).expect(200);
+  assert.equal(res.body.data.MerID, "S02");
+
+  await agent.post("/api/cart/items").set("X-CSRF-Token", csrfToken).send({ productID: "P001" }).expect(200);
+  await agent.post("/api/cart/items").set("X-CSRF-Token", csrfToken).send({ productID: "P002" }).expect(200);
+  res = await agent.post("/create-payment").set("X-CSRF-Token", csrfToken).send({ source: "cart" }).expect(400);
+  assert.equal(res.body.error, "購物車中的商品屬於不同商店，請分開結帳");
+});
+
+test("verifies notifications with the keys of the MerID they carry", async () => {
+  await createPendingOrder("merchant400", CAMP.merID);
+  const fields = { MerTradeNo: "merchant400", TradeNo: "T400", TradeAmt: 3500, TradeStatus: 1 };
+  const notify = (form) => context.agent().post("/payuni-webhook").type("form").send(form).expect(200);
+
+  // 以預設商店的金鑰簽章卻宣稱是 camp，或不認得的 MerID，都不處理
+  assert.equal((await notify({ ...sealTradeInfo(fields), MerID: CAMP.merID })).text, "FAIL");
+  assert.equal((await notify(sealTradeInfo(fields, "SUCCESS", { ...CAMP, merID: "S99" }))).text, "FAIL");
+  assert.equal((await context.orderRepository.getOrder("merchant400")).status, "待支付");
+
+  assert.equal((await notify(sealTradeInfo(fields, "SUCCESS", CAMP))).text, "OK");
+  assert.equal((await context.orderRepository.getOrder("merchant400")).status, "已完成");
+});
+
+test("reads the payment return with the keys of the MerID it carries", async () => {
+  const fields = { MerTradeNo: "merchant500", TradeNo: "T500", TradeAmt: 3500, TradeStatus: 1 };
+  const paymentReturn = (form) => context.agent().post("/payment-return").type("form").send(form).expect(302);
+
+  let res = await paymentReturn({ ...sealTradeInfo(fields), MerID: CAMP.merID });
+  assert.equal(res.headers.location, "/result.html?status=fail&reason=invalid_hash");
+  res = await paymentReturn(sealTradeInfo(fields, "SUCCESS", CAMP));
+  assert.match(res.headers.location, /^\/result\.html\?token=[0-9a-f]{64}$/);
+});
+
+test("keeps each merchant's orders in its own repository", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "payuni-merchants-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const defaultOrders = createFileOrderRepository({ filePath: path.join(dir, "default.json") });
+  const campOrders = createFileOrderRepository({ filePath: path.join(dir, "camp.json") });
+  const repository = createMerchantOrderRepository({
+    stores: [
+      { id: "default", merIDs: ["S01"], repository: defaultOrders },
+      { id: "camp", merIDs: ["S02"], repository: campOrders },
+    ],
+  });
+
+  const order = { email: "user@example.com", productID: "P001", productName: "時光旅人豪華帳篷", tradeAmt: 3500, payType: "C" };
+  await repository.createOrder({ ...order, tradeNo: "route100", merID: "S01" });
+  await repository.createOrder({ ...order, tradeNo: "route200", merID: "S02" });
+  assert.equal(await campOrders.getOrder("route100"), null);
+  assert.equal((await campOrders.getOrder("route200")).merID, "S02");
+
+  await repository.updateOrder("route200", { status: "已完成", tradeSeq: "T200", rawData: {} });
+  assert.equal((await campOrders.getOrder("route200")).status, "已完成");
+  assert.equal((await repository.findPendingOrder({ email: "user@example.com", productID: "P001", merID: "S01" })).tradeNo, "route100");
+  assert.equal(await repository.findPendingOrder({ email: "user@example.com", productID: "P001", merID: "S02" }), null);
+  assert.deepEqual((await repository.listOrders()).map((listed) => listed.tradeNo).sort(), ["route100", "route200"]);
+  assert.deepEqual((await repository.listPendingOrders()).map((listed) => listed.tradeNo), ["route100"]);
+  assert.equal(repository.writeQueue, undefined);
+});
+
+test("creates subscriptions with the keys of the plan's merchant or the host's merchant", async (t) => {
+  // 訂閱與結帳共用每分鐘的速率限制，另外建立 app
+  const plans = [
+    { id: "PLAN-CAMP", name: "營地月訂閱", price: 699, interval: "month", periodTimes: 12, description: "營地專屬方案", merchantId: "camp" },
+    { id: "PLAN-M", name: "露營補給月訂閱", price: 499, interval: "month", periodTimes: 99, description: "未指定商店的方案" },
+  ];
+  const planContext = createTestContext({ env: CAMP_ENV, plans });
+  t.after(() => planContext.cleanup());
+  const agent = planContext.agent();
+  await login(agent);
+  const csrfToken = await fetchCsrfToken(agent);
+  const subscribe = (planId, host = "localhost") => agent.post("/api/subscriptions").set("Host", host).set("X-CSRF-Token", csrfToken).send({ planId }).expect(200);
+
+  let res = await subscribe("PLAN-CAMP");
+  assert.equal(res.body.data.MerID, "S02");
+  const fields = openTradeInfo(res.body.data.EncryptInfo, CAMP);
+  assert.equal(fields.MerID, "S02");
+  assert.equal(fields.NotifyURL, "http://camp.example.com/payuni-webhook");
+  assert.equal(fields.ReturnURL, "http://camp.example.com/payment-return");
+
+  res = await subscribe("PLAN-M", "camp.example.com");
+  assert.equal(openTradeInfo(res.body.data.EncryptInfo, CAMP).MerID, "S02");
+  res = await subscribe("PLAN-M");
+  assert.equal(openTradeInfo(res.body.data.EncryptInfo).MerID, "S01");
+
+  // 每期扣款的訂單記下訂閱所屬商店，之後的對帳與退款使用該商店的金鑰
+  const charge = { MerTradeNo: fields.MerTradeNo, PeriodTradeNo: "PT-CAMP", TradeNo: "T-CAMP", TradeAmt: 699, ThisPeriod: 1, TotalTimes: 12, TradeStatus: 1 };
+  const notified = await planContext.agent().post("/payuni-webhook").type("form").send(sealTradeInfo(charge, "SUCCESS", CAMP)).expect(200);
+  assert.equal(notified.text, "OK");
+  assert.equal((await planContext.orderRepository.getOrder(`${fields.MerTradeNo}-P1`)).merID, "S02");
+});
@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestContext, login, fetchCsrfToken, sealTradeInfo, openTradeInfo } = require("./helpers");
+
+const context = createTestContext();
+test.after(() => context.cleanup());
+
+async function createPendingOrder(tradeNo, { email = "user@example.com", payType = "C" } = {}) {
+  await context.orderRepository.createOrder({ tradeNo, merID: "S01", tradeAmt: 3500, email, productID: "P001", productName: "時光旅人豪華帳篷", items: [{ productID: "P001", name: "時光旅人豪華帳篷", price: 3500, quantity: 1 }], payType, userGoogleId: "google-user" });
+}
+
+function notify(fields) {
+  return context.agent().post("/payuni-webhook").type("form").send(sealTradeInfo(fields)).expect(200);
+}
+
+async function loggedInAgent(email = "user@example.com") {
+  const agent = context.agent();
+  await login(agent, email);
+  return agent;
+}
+
+test("only shows the order to its owner", async () => {
+  await createPendingOrder("detail100");
+
+  await context.agent().get("/api/my-orders/detail100").expect(401);
+  const other = await loggedInAgent("other@example.com");
+  await other.get("/api/my-orders/detail100").expect(404);
+  await (await loggedInAgent()).get("/api/my-orders/missing").expect(404);
+});
+
+test("matches the owner's email without regard to case", async () => {
+  // 正規化之前寫入的訂單保留了結帳時的大小寫
+  await createPendingOrder("detail150", { email: "Case@Example.com" });
+
+  const agent = await loggedInAgent("CASE@example.com");
+  assert.equal((await agent.get("/api/me").expect(200)).body.user.email, "case@example.com");
+  const orders = (await agent.get("/api/my-orders").expect(200)).body.orders;
+  assert.deepEqual(orders.map((order) => order.tradeNo), ["detail150"]);
+  await agent.get("/api/my-orders/detail150").expect(200);
+});
+
+test("shows the payment details and the full timeline of a refunded order", async () => {
+  await createPendingOrder("detail200");
+  await notify({ MerTradeNo: "detail200", TradeNo: "T200A", TradeAmt: 3500, TradeStatus: 2 });
+  await notify({ MerTradeNo: "detail200", TradeNo: "T200B", TradeAmt: 3500, TradeStatus: 1, Card4No: "1111", AuthBankName: "台新銀行" });
+  await context.orderRepository.addRefund("detail200", { amount: 500, type: "refund", refundedAt: new Date(Date.now() + 1000).toISOString(), operator: "admin@example.com" }, "部分退款");
+
+  const { order } = (await (await loggedInAgent()).get("/api/my-orders/detail200").expect(200)).body;
+  assert.equal(order.status, "部分退款");
+  assert.equal(order.tradeSeq, "T200B");
+  assert.equal(order.payTypeLabel, "信用卡");
+  assert.deepEqual(order.cardInfo, { card4No: "1111", bank: "台新銀行" });
+  assert.deepEqual(order.refunds, [{ amount: 500, refundedAt: order.refunds[0].refundedAt }]);
+  assert.equal(order.canPayAgain, false);
+  assert.deepEqual(
+    order.timeline.map((event) => event.type),
+    ["created", "payment_failed", "paid", "refunded"]
+  );
+  assert.equal(order.timeline[2].tradeSeq, "T200B");
+  // 金流原始資料與帳號資訊不回傳給顧客
+  assert.equal(order.remark, undefined);
+  assert.equal(order.userGoogleId, undefined);
+});
+
+test("uses the completion time when the payment was reconciled without a notification", async () => {
+  await createPendingOrder("detail300");
+  await context.orderRepository.updateOrder("detail300", { status: "已完成", tradeSeq: "T300", rawData: { source: "reconcile" } });
+
+  const { order } = (await (await loggedInAgent()).get("/api/my-orders/detail300").expect(200)).body;
+  assert.deepEqual(
+    order.timeline.map((event) => event.type),
+    ["created", "paid"]
+  );
+  assert.equal(order.timeline[1].at, order.completedAt);
+});
+
+test("pays again for a pending order with the same trade number", async () => {
+  await createPendingOrder("detail400");
+  const agent = await loggedInAgent();
+  const csrfToken = await fetchCsrfToken(agent);
+
+  const { order } = (await agent.get("/api/my-orders/detail400").expect(200)).body;
+  assert.equal(order.canPayAgain, true);
+  assert.ok(order.expiresAt);
+
+  const anonymous = context.agent();
+  const anonymousCsrfToken = await fetchCsrfToken(anonymous);
+  await anonymous.post("/api/my-orders/detail400/pay").set("X-CSRF-Token", anonymousCsrfToken).expect(401);
+  const res = await agent.post("/api/my-orders/detail400/pay").set("X-CSRF-Token", csrfToken).expect(200);
+  const tradeInfo = openTradeInfo(res.body.data.EncryptInfo);
+  assert.equal(tradeInfo.MerTradeNo, "detail400");
+  assert.equal(tradeInfo.TradeAmt, "3500");
+  assert.equal(tradeInfo.UsrMail, "user@example.com");
+  assert.equal((await context.orderRepository.listOrders()).filter((existing) => existing.tradeNo.startsWith("detail400")).length, 1);
+});
+
+test("refuses to pay again for paid orders or orders with an issued payment code", async () => {
+  await createPendingOrder("detail500");
+  await notify({ MerTradeNo: "detail500", TradeNo: "T500", TradeAmt: 3500, TradeStatus: 1 });
+  await createPendingOrder("detail600", { payType: "ATM" });
+  await notify({ MerTradeNo: "detail600", TradeNo: "T600", TradeAmt: 3500, TradeStatus: 0, PaymentType: 2, PayNo: "1234567890", BankType: "822", ExpireDate: "2099-12-31" });
+
+  const agent = await loggedInAgent();
+  const csrfToken = await fetchCsrfToken(agent);
+  let res = await agent.post("/api/my-orders/detail500/pay").set("X-CSRF-Token", csrfToken).expect(409);
+  assert.match(res.body.error, /已完成/);
+  res = await agent.post("/api/my-orders/detail600/pay").set("X-CSRF-Token", csrfToken).expect(409);
+  assert.equal(res.body.error, "已取得繳費代碼，請依繳費資訊付款");
+
+  const { order } = (await agent.get("/api/my-orders/detail600").expect(200)).body;
+  assert.equal(order.payTypeLabel, "ATM 轉帳");
+  assert.equal(order.paymentInfo.payNo, "1234567890");
+  assert.deepEqual(
+    order.timeline.map((event) => event.type),
+    ["created", "payment_code"]
+  );
+
+  const other = await loggedInAgent("other@example.com");
+  const otherCsrfToken = await fetchCsrfToken(other);
+  await other.post("/api/my-orders/detail400/pay").set("X-CSRF-Token", otherCsrfToken).expect(404);
+});
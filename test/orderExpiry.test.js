@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { HASH_KEY, HASH_IV, createTestContext, login, fetchCsrfToken, sealTradeInfo } = require("./helpers");
+const { createPayuniClient } = require("../utils/payuni");
+
+// 替身交易查詢：先執行 onQuery (模擬查詢期間送達的 Notify)，再回傳 gateway 中記錄的交易
+const gateway = new Map();
+const onQuery = new Map();
+const payuniClient = {
+  ...createPayuniClient({ apiUrl: "https://sandbox-api.payuni.com.tw/api/upp", merID: "S01", hashKey: HASH_KEY, hashIV: HASH_IV }),
+  queryTrade: async (tradeNo) => {
+    if (onQuery.has(tradeNo)) {
+      await onQuery.get(tradeNo)();
+    }
+    const trade = gateway.get(tradeNo);
+    return trade ? { found: true, status: trade.status, tradeInfo: trade.tradeInfo, message: "" } : { found: false, status: null, tradeInfo: null, message: "查無交易" };
+  },
+};
+
+const context = createTestContext({ payuniClient, env: { PENDING_ORDER_TTL_MINUTES: "30" } });
+test.after(() => context.cleanup());
+
+async function adminAgent() {
+  const agent = context.agent();
+  await login(agent, "admin@example.com");
+  const csrfToken = await fetchCsrfToken(agent);
+  return { agent, csrfToken };
+}
+
+// 建立待支付訂單，並把建立時間往前移 minutesAgo 分鐘
+async function createPendingOrder(tradeNo, minutesAgo) {
+  await context.orderRepository.createOrder({ tradeNo, merID: "S01", tradeAmt: 3500, email: "user@example.com", productID: "P001", productName: "時光旅人豪華帳篷", items: [{ productID: "P001", name: "時光旅人豪華帳篷", price: 3500, quantity: 1 }], payType: "C" });
+  const data = JSON.parse(fs.readFileSync(context.env.ORDER_STORE_PATH, "utf8"));
+  data.orders.find((order) => order.tradeNo === tradeNo).createdAt = new Date(Date.now() - minutesAgo * 60 * 1000).toISOString();
+  fs.writeFileSync(context.env.ORDER_STORE_PATH, JSON.stringify(data, null, 2));
+}
+
+function notify(form) {
+  return context.agent().post("/payuni-webhook").type("form").send(form).expect(200);
+}
+
+async function sweep() {
+  const { agent, csrfToken } = await adminAgent();
+  return (await agent.post("/api/admin/orders/expire").set("X-CSRF-Token", csrfToken).expect(200)).body;
+}
+
+test("cancels expired pending orders and keeps the ones still within validity", async () => {
+  await createPendingOrder("expire100", 60);
+  await createPendingOrder("expire101", 5);
+
+  const summary = await sweep();
+  assert.deepEqual(summary.results.map((result) => [result.tradeNo, result.expired]), [["expire100", true]]);
+  assert.equal((await context.orderRepository.getOrder("expire100")).status, "已取消");
+  assert.equal((await context.orderRepository.getOrder("expire101")).status, "待支付");
+});
+
+test("marks an expired order paid when the gateway already has the payment", async () => {
+  await createPendingOrder("expire200", 60);
+  gateway.set("expire200", { status: "已完成", tradeInfo: { MerTradeNo: "expire200", TradeNo: "T200", TradeAmt: 3500, TradeStatus: 1 } });
+
+  const summary = await sweep();
+  assert.deepEqual(summary.results, [{ tradeNo: "expire200", expired: false, status: "已完成" }]);
+  assert.equal((await context.orderRepository.getOrder("expire200")).status, "已完成");
+});
+
+test("does not cancel an order whose payment notification arrives during the sweep", async () => {
+  await createPendingOrder("expire300", 60);
+  onQuery.set("expire300", async () => {
+    assert.equal((await notify(sealTradeInfo({ MerTradeNo: "expire300", TradeNo: "T300", TradeAmt: 3500, TradeStatus: 1 }))).text, "OK");
+  });
+
+  const summary = await sweep();
+  assert.deepEqual(summary.results, [{ tradeNo: "expire300", expired: false, status: "已完成" }]);
+  assert.equal((await context.orderRepository.getOrder("expire300")).status, "已完成");
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestContext, sealTradeInfo } = require("./helpers");
+
+const context = createTestContext();
+test.after(() => context.cleanup());
+
+function paymentReturn(agent, form) {
+  return agent.post("/payment-return").type("form").send(form).expect(302);
+}
+
+function tokenOf(res) {
+  const match = res.headers.location.match(/^\/result\.html\?token=([0-9a-f]{64})$/);
+  assert.ok(match, `unexpected redirect: ${res.headers.location}`);
+  return match[1];
+}
+
+test("redirects to the failure page when HashInfo does not match", async () => {
+  const form = sealTradeInfo({ MerTradeNo: "test1000", TradeNo: "T1", TradeAmt: 3500, TradeStatus: 1 });
+  const res = await paymentReturn(context.agent(), { ...form, HashInfo: "0".repeat(64) });
+  assert.equal(res.headers.location, "/result.html?status=fail&reason=invalid_hash");
+});
+
+test("exchanges the one-time token for the result exactly once", async () => {
+  const agent = context.agent();
+  const res = await paymentReturn(agent, sealTradeInfo({ MerTradeNo: "test1000", TradeNo: "T1", TradeAmt: 3500, TradeStatus: 1, PayTime: "2024-01-01 12:00:00", Message: "授權成功" }));
+  const token = tokenOf(res);
+
+  const result = await agent.get(`/api/order-result/${token}`).expect(200);
+  assert.deepEqual(result.body, { status: "success", tradeNo: "test1000", tradeSeq: "T1", tradeAmt: "3500", payTime: "2024-01-01 12:00:00", message: "授權成功", paymentInfo: null, cardInfo: null });
+
+  const reused = await agent.get(`/api/order-result/${token}`).expect(404);
+  assert.equal(reused.body.error, "無效或已過期的連結");
+});
+
+test("reports failed payments through the token", async () => {
+  const agent = context.agent();
+  const token = tokenOf(await paymentReturn(agent, sealTradeInfo({ MerTradeNo: "test2000", TradeNo: "T2", TradeAmt: 3500, TradeStatus: 2 }, "ERROR")));
+  assert.equal((await agent.get(`/api/order-result/${token}`).expect(200)).body.status, "fail");
+});
+
+test("reports ATM payment codes as pending", async () => {
+  const agent = context.agent();
+  const token = tokenOf(await paymentReturn(agent, sealTradeInfo({ MerTradeNo: "test3000", TradeNo: "T3", TradeAmt: 3500, TradeStatus: 0, PaymentType: 2, PayNo: "1234567890123", BankType: "822", ExpireDate: "2024-01-03" })));
+
+  const result = await agent.get(`/api/order-result/${token}`).expect(200);
+  assert.equal(result.body.status, "pending");
+  assert.deepEqual(result.body.paymentInfo, { payType: "ATM", payNo: "1234567890123", bankType: "822", expireDate: "2024-01-03" });
+});
+
+test("includes the card and installment details of credit card payments", async () => {
+  const agent = context.agent();
+  const token = tokenOf(await paymentReturn(agent, sealTradeInfo({ MerTradeNo: "test4000", TradeNo: "T4", TradeAmt: 8200, TradeStatus: 1, Card6No: "400022", Card4No: "1111", AuthBank: "812", CardInst: 3, FirstAmt: 2734, EachAmt: 2733 })));
+
+  const result = await agent.get(`/api/order-result/${token}`).expect(200);
+  assert.deepEqual(result.body.cardInfo, { card4No: "1111", bank: "812", installment: 3, firstAmt: 2734, eachAmt: 2733 });
+});
+
+test("rejects unknown tokens", async () => {
+  await context.agent().get(`/api/order-result/${"a".repeat(64)}`).expect(404);
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { HASH_KEY, HASH_IV, createTestContext, login, fetchCsrfToken, sealTradeInfo } = require("./helpers");
+const { createPayuniClient } = require("../utils/payuni");
+
+// 替身交易查詢：回傳 gateway 中記錄的交易，沿用真實的簽章驗證與退款替身
+const gateway = new Map();
+const payuniClient = {
+  ...createPayuniClient({ apiUrl: "https://sandbox-api.payuni.com.tw/api/upp", merID: "S01", hashKey: HASH_KEY, hashIV: HASH_IV }),
+  queryTrade: async (tradeNo) => {
+    const trade = gateway.get(tradeNo);
+    return trade ? { found: true, status: trade.status, tradeInfo: trade.tradeInfo, message: "" } : { found: false, status: null, tradeInfo: null, message: "查無交易" };
+  },
+  closeTrade: async () => ({ success: true, tradeInfo: {}, message: "退款成功" }),
+};
+
+const sent = [];
+const transport = {
+  name: "capture",
+  send: async (message) => {
+    sent.push(message);
+    return { messageId: `m${sent.length}` };
+  },
+};
+
+const context = createTestContext({ payuniClient, mailTransport: transport });
+test.after(() => context.cleanup());
+
+async function adminAgent() {
+  const agent = context.agent();
+  await login(agent, "admin@example.com");
+  const csrfToken = await fetchCsrfToken(agent);
+  return { agent, csrfToken };
+}
+
+async function createPendingOrder(tradeNo) {
+  await context.orderRepository.createOrder({ tradeNo, merID: "S01", tradeAmt: 3500, email: "user@example.com", productID: "P001", productName: "時光旅人豪華帳篷", items: [{ productID: "P001", name: "時光旅人豪華帳篷", price: 3500, quantity: 1 }], payType: "C" });
+}
+
+function paidTrade(tradeNo, tradeSeq, tradeAmt = 3500) {
+  gateway.set(tradeNo, { status: "已完成", tradeInfo: { MerTradeNo: tradeNo, TradeNo: tradeSeq, TradeAmt: tradeAmt, TradeStatus: 1 } });
+}
+
+function notify(form) {
+  return context.agent().post("/payuni-webhook").type("form").send(form).expect(200);
+}
+
+async function confirmations(tradeNo) {
+  await context.emailService.whenIdle();
+  return sent.filter((message) => message.subject.includes(tradeNo) && /付款成功/.test(message.subject)).length;
+}
+
+test("marks a pending order paid and acknowledges the late notification as a duplicate", async () => {
+  await createPendingOrder("recon100");
+  paidTrade("recon100", "T100");
+  const { agent, csrfToken } = await adminAgent();
+
+  const res = await agent.post("/api/admin/orders/recon100/reconcile").set("X-CSRF-Token", csrfToken).expect(200);
+  assert.equal(res.body.updated, true);
+  assert.equal(res.body.status, "已完成");
+
+  assert.equal((await notify(sealTradeInfo({ MerTradeNo: "recon100", TradeNo: "T100", TradeAmt: 3500, TradeStatus: 1 }))).text, "OK");
+  assert.equal((await context.orderRepository.getOrder("recon100")).status, "已完成");
+  assert.equal(await confirmations("recon100"), 1);
+});
+
+test("keeps a refunded order refunded when the gateway still reports the card trade as paid", async () => {
+  await createPendingOrder("recon200");
+  await notify(sealTradeInfo({ MerTradeNo: "recon200", TradeNo: "T200", TradeAmt: 3500, TradeStatus: 1 }));
+  const { agent, csrfToken } = await adminAgent();
+  await agent.post("/api/admin/orders/recon200/refund").set("X-CSRF-Token", csrfToken).send({ amount: 3500 }).expect(200);
+  paidTrade("recon200", "T200");
+
+  const res = await agent.post("/api/admin/orders/recon200/reconcile").set("X-CSRF-Token", csrfToken).expect(200);
+  assert.equal(res.body.updated, false);
+  assert.equal(res.body.reason, "invalid_transition");
+  assert.equal((await context.orderRepository.getOrder("recon200")).status, "已退款");
+  assert.equal(await confirmations("recon200"), 1);
+});
+
+test("does not apply a gateway result whose amount differs from the order", async () => {
+  await createPendingOrder("recon300");
+  paidTrade("recon300", "T300", 1);
+  const { agent, csrfToken } = await adminAgent();
+
+  const res = await agent.post("/api/admin/orders/recon300/reconcile").set("X-CSRF-Token", csrfToken).expect(200);
+  assert.equal(res.body.updated, false);
+  assert.equal(res.body.reason, "amount_mismatch");
+  assert.equal((await context.orderRepository.getOrder("recon300")).status, "待支付");
+});
+
+test("reconciles every pending order and leaves unknown trades alone", async () => {
+  await createPendingOrder("recon400");
+  await createPendingOrder("recon401");
+  paidTrade("recon400", "T400");
+  const { agent, csrfToken } = await adminAgent();
+
+  await agent.post("/api/admin/reconcile").set("X-CSRF-Token", csrfToken).expect(200);
+  assert.equal((await context.orderRepository.getOrder("recon400")).status, "已完成");
+  assert.equal((await context.orderRepository.getOrder("recon401")).status, "待支付");
+});
@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { HASH_KEY, HASH_IV, createTestContext, login, fetchCsrfToken, sealTradeInfo } = require("./helpers");
+const { createPayuniClient } = require("../utils/payuni");
+
+// 替身退款 API：記錄送出的請求，gatewayMessage 有值時模擬金流方拒絕
+const gatewayRequests = [];
+let gatewayMessage = null;
+const respond = () => (gatewayMessage ? { success: false, tradeInfo: {}, message: gatewayMessage } : { success: true, tradeInfo: {}, message: "成功" });
+const payuniClient = {
+  ...createPayuniClient({ apiUrl: "https://sandbox-api.payuni.com.tw/api/upp", merID: "S01", hashKey: HASH_KEY, hashIV: HASH_IV }),
+  closeTrade: async (tradeSeq, options) => {
+    gatewayRequests.push({ type: "refund", tradeSeq, ...options });
+    return respond();
+  },
+  cancelAuthorization: async (tradeSeq) => {
+    gatewayRequests.push({ type: "cancel", tradeSeq });
+    return respond();
+  },
+};
+
+const context = createTestContext({ payuniClient });
+test.after(() => context.cleanup());
+
+async function adminAgent() {
+  const agent = context.agent();
+  await login(agent, "admin@example.com");
+  const csrfToken = await fetchCsrfToken(agent);
+  return { agent, csrfToken };
+}
+
+async function createPaidOrder(tradeNo) {
+  await context.orderRepository.createOrder({ tradeNo, merID: "S01", tradeAmt: 3500, email: "user@example.com", productID: "P001", productName: "時光旅人豪華帳篷", items: [{ productID: "P001", name: "時光旅人豪華帳篷", price: 3500, quantity: 1 }], payType: "C" });
+  const res = await context.agent().post("/payuni-webhook").type("form").send(sealTradeInfo({ MerTradeNo: tradeNo, TradeNo: `T-${tradeNo}`, TradeAmt: 3500, TradeStatus: 1 })).expect(200);
+  assert.equal(res.text, "OK");
+}
+
+test("validates the refund amount and type", async () => {
+  await createPaidOrder("refund100");
+  const { agent, csrfToken } = await adminAgent();
+  const refund = (body) => agent.post("/api/admin/orders/refund100/refund").set("X-CSRF-Token", csrfToken).send(body);
+
+  assert.match((await refund({ amount: 0 }).expect(400)).body.details[0], /退款金額必須是正整數/);
+  assert.match((await refund({ amount: "abc" }).expect(400)).body.details[0], /退款金額必須是正整數/);
+  assert.match((await refund({ type: "void" }).expect(400)).body.details[0], /退款類型必須是 refund 或 cancel/);
+  assert.equal((await refund({ amount: 3501 }).expect(400)).body.error, "退款金額不正確，可退金額為 3500");
+  assert.equal(gatewayRequests.length, 0);
+});
+
+test("refunds partially, then the remaining amount, and refuses further refunds", async () => {
+  await createPaidOrder("refund200");
+  const { agent, csrfToken } = await adminAgent();
+  const refund = (body) => agent.post("/api/admin/orders/refund200/refund").set("X-CSRF-Token", csrfToken).send(body);
+
+  let res = await refund({ amount: 1000 }).expect(200);
+  assert.equal(res.body.status, "部分退款");
+  assert.equal(res.body.remainingAmt, 2500);
+  assert.deepEqual(gatewayRequests.at(-1), { type: "refund", tradeSeq: "T-refund200", closeType: 2, tradeAmt: 1000 });
+
+  // 已部分退款的訂單不能再取消授權
+  assert.equal((await refund({ type: "cancel" }).expect(400)).body.error, "取消授權只能針對尚未退款的訂單全額取消");
+
+  res = await refund({}).expect(200);
+  assert.equal(res.body.status, "已退款");
+  assert.equal(res.body.refund.amount, 2500);
+  const order = await context.orderRepository.getOrder("refund200");
+  assert.equal(order.status, "已退款");
+  assert.deepEqual(order.refunds.map((entry) => entry.amount), [1000, 2500]);
+
+  assert.equal((await refund({ amount: 1 }).expect(409)).body.error, "訂單狀態為「已退款」，無法退款");
+});
+
+test("cancels the authorization of an order that has not been refunded", async () => {
+  await createPaidOrder("refund300");
+  const { agent, csrfToken } = await adminAgent();
+
+  const res = await agent.post("/api/admin/orders/refund300/refund").set("X-CSRF-Token", csrfToken).send({ type: "cancel" }).expect(200);
+  assert.equal(res.body.status, "已退款");
+  assert.deepEqual(gatewayRequests.at(-1), { type: "cancel", tradeSeq: "T-refund300" });
+});
+
+test("refuses orders that cannot be refunded and keeps the order when the gateway rejects", async () => {
+  const { agent, csrfToken } = await adminAgent();
+  await agent.post("/api/admin/orders/missing/refund").set("X-CSRF-Token", csrfToken).send({}).expect(404);
+
+  await context.orderRepository.createOrder({ tradeNo: "refund400", merID: "S01", tradeAmt: 3500, email: "user@example.com", productID: "P001", productName: "時光旅人豪華帳篷", payType: "C" });
+  assert.equal((await agent.post("/api/admin/orders/refund400/refund").set("X-CSRF-Token", csrfToken).send({}).expect(409)).body.error, "訂單狀態為「待支付」，無法退款");
+
+  await createPaidOrder("refund500");
+  gatewayMessage = "超過可退款期限";
+  try {
+    const res = await agent.post("/api/admin/orders/refund500/refund").set("X-CSRF-Token", csrfToken).send({ amount: 500 }).expect(502);
+    assert.equal(res.body.error, "金流方拒絕此請求：超過可退款期限");
+  } finally {
+    gatewayMessage = null;
+  }
+  const order = await context.orderRepository.getOrder("refund500");
+  assert.equal(order.status, "已完成");
+  assert.deepEqual(order.refunds, []);
+});
+
+test("refuses ATM and convenience store payments without calling the gateway", async () => {
+  const { agent, csrfToken } = await adminAgent();
+  const requestCount = gatewayRequests.length;
+
+  for (const [tradeNo, payType, label] of [
+    ["refund600", "ATM", "ATM 轉帳"],
+    ["refund601", "CVS", "超商代碼繳費"],
+  ]) {
+    await context.orderRepository.createOrder({ tradeNo, merID: "S01", tradeAmt: 3500, email: "user@example.com", productID: "P001", productName: "時光旅人豪華帳篷", items: [{ productID: "P001", name: "時光旅人豪華帳篷", price: 3500, quantity: 1 }], payType });
+    await context.orderRepository.updateOrder(tradeNo, { status: "已完成", tradeSeq: `T-${tradeNo}` });
+    const res = await agent.post(`/api/admin/orders/${tradeNo}/refund`).set("X-CSRF-Token", csrfToken).send({}).expect(409);
+    assert.equal(res.body.error, `付款方式為「${label}」，無法透過 PAYUNi 線上退款`);
+    assert.equal((await context.orderRepository.getOrder(tradeNo)).status, "已完成");
+  }
+  assert.equal(gatewayRequests.length, requestCount);
+});
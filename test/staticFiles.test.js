@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestContext } = require("./helpers");
+const { blockPrivatePaths } = require("../middleware/security");
+
+const context = createTestContext();
+test.after(() => context.cleanup());
+
+test("serves the pages and public assets", async () => {
+  const agent = context.agent();
+  assert.match((await agent.get("/").expect(200)).text, /<html/);
+  await agent.get("/index.html").expect(200);
+  await agent.get("/result.html").expect(200);
+  await agent.get("/lookup.html").expect(200);
+  await agent.get("/public/style.css").expect(200);
+  await agent.get("/style.css").expect(200);
+});
+
+test("does not serve the project root", async () => {
+  const agent = context.agent();
+  await agent.get("/package.json").expect(404);
+  await agent.get("/storage/.gitkeep").expect(404);
+  await agent.get("/logs/combined.log").expect(404);
+  await agent.get("/config/index.js").expect(404);
+  await agent.get("/admin.html").expect(404);
+});
+
+test("blocks private folders however the path is encoded", async () => {
+  const agent = context.agent();
+  await agent.get("/%73torage/.gitkeep").expect(404);
+  await agent.get("/%6cogs/combined.log").expect(404);
+
+  const block = blockPrivatePaths(["/storage", "/logs"]);
+  const run = (requestPath) => {
+    let status = null;
+    let passed = false;
+    block({ path: requestPath }, { status: (code) => ({ end: () => (status = code) }) }, () => (passed = true));
+    return passed ? "next" : status;
+  };
+  assert.equal(run("/%73torage/orders.json"), 404);
+  assert.equal(run("/%6cogs/combined.log"), 404);
+  assert.equal(run("/STORAGE/orders.json"), 404);
+  assert.equal(run("//logs/error.log"), 404);
+  assert.equal(run("/%E0%A4%A"), 404);
+  assert.equal(run("/storage-policy.html"), "next");
+  assert.equal(run("/public/style.css"), "next");
+});
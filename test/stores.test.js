@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const { createMemoryStore } = require("../stores/memoryStore");
+const { createFileStore } = require("../stores/fileStore");
+const { createTestContext, sealTradeInfo } = require("./helpers");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "payuni-kv-test-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const adapters = {
+  memory: (now) => createMemoryStore({ now }),
+  file: (now) => createFileStore({ filePath: path.join(dir, `kv-${Math.random().toString(36).slice(2)}.json`), now }),
+};
+
+for (const [name, createStore] of Object.entries(adapters)) {
+  test(`${name} store keeps values until their TTL passes`, async () => {
+    let clock = 1000;
+    const store = createStore(() => clock);
+    await store.set("a", { nested: [1, 2] }, 500);
+    await store.set("forever", "x");
+    assert.deepEqual(await store.get("a"), { nested: [1, 2] });
+
+    clock += 499;
+    assert.deepEqual(await store.get("a"), { nested: [1, 2] });
+    await store.expire("a", 1000);
+    clock += 999;
+    assert.deepEqual(await store.get("a"), { nested: [1, 2] });
+    clock += 1;
+    assert.equal(await store.get("a"), undefined);
+    assert.equal(await store.get("forever"), "x");
+
+    await store.delete("forever");
+    assert.equal(await store.get("forever"), undefined);
+    await store.close();
+  });
+
+  test(`${name} store hands out a taken value only once`, async () => {
+    const store = createStore(Date.now);
+    await store.set("token", { tradeNo: "test1" }, 1000);
+    const results = await Promise.all([store.take("token"), store.take("token")]);
+    assert.deepEqual(results.filter(Boolean), [{ tradeNo: "test1" }]);
+    await store.close();
+  });
+
+  test(`${name} store counts within a window`, async () => {
+    let clock = 0;
+    const store = createStore(() => clock);
+    assert.deepEqual(await store.increment("ip", 1000), { count: 1, expiresAt: 1000 });
+    assert.deepEqual(await store.increment("ip", 1000), { count: 2, expiresAt: 1000 });
+    await store.decrement("ip");
+    clock = 500;
+    assert.deepEqual(await store.increment("ip", 1000), { count: 2, expiresAt: 1000 });
+    clock = 1000;
+    assert.deepEqual(await store.increment("ip", 1000), { count: 1, expiresAt: 2000 });
+    await store.close();
+  });
+}
+
+test("file store keeps sessions and result tokens across restarts", async (t) => {
+  const first = createTestContext();
+  t.after(() => first.cleanup());
+  const loginRes = await request(first.app).get("/auth/google/callback?code=user%40example.com").expect(302);
+  const sessionCookie = loginRes.headers["set-cookie"][0].split(";")[0];
+  const returnRes = await request(first.app).post("/payment-return").type("form").send(sealTradeInfo({ MerTradeNo: "test1000", TradeNo: "T1", TradeAmt: 3500, TradeStatus: 1 })).expect(302);
+  const token = returnRes.headers.location.split("token=")[1];
+
+  // 以相同的鍵值儲存檔案重新建立 app，模擬伺服器重新啟動
+  const restarted = createTestContext({ env: { KV_STORE_PATH: first.env.KV_STORE_PATH } });
+  t.after(() => restarted.cleanup());
+
+  const me = await request(restarted.app).get("/api/me").set("Cookie", sessionCookie).expect(200);
+  assert.equal(me.body.user.email, "user@example.com");
+  assert.equal((await request(restarted.app).get(`/api/order-result/${token}`).expect(200)).body.tradeNo, "test1000");
+  await request(first.app).get(`/api/order-result/${token}`).expect(404);
+});
+
+test("instances sharing a store share rate-limit counters", async (t) => {
+  const kvStore = createMemoryStore();
+  const first = createTestContext({ kvStore });
+  const second = createTestContext({ kvStore });
+  t.after(() => {
+    first.cleanup();
+    second.cleanup();
+    kvStore.close();
+  });
+
+  // /api/order-result 每個 IP 每分鐘限 10 次，兩個執行個體合計
+  for (let i = 0; i < 5; i++) {
+    await request(first.app).get("/api/order-result/unknown").expect(404);
+    await request(second.app).get("/api/order-result/unknown").expect(404);
+  }
+  await request(first.app).get("/api/order-result/unknown").expect(429);
+});
@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestContext, login, fetchCsrfToken, sealTradeInfo, openTradeInfo, HASH_KEY, HASH_IV } = require("./helpers");
+const { createPayuniClient } = require("../utils/payuni");
+
+// 沿用真實的簽章與表單，只替換終止委託 API
+function createStubPayuniClient() {
+  const terminated = [];
+  return {
+    ...createPayuniClient({ apiUrl: "https://sandbox-api.payuni.com.tw/api/upp", merID: "S01", hashKey: HASH_KEY, hashIV: HASH_IV }),
+    terminated,
+    terminatePeriod: async (periodTradeNo) => {
+      terminated.push(periodTradeNo);
+      return { success: true, tradeInfo: {}, message: "終止成功" };
+    },
+  };
+}
+
+async function loggedInAgent(context, email) {
+  const agent = context.agent();
+  await login(agent, email);
+  const csrfToken = await fetchCsrfToken(agent);
+  return { agent, csrfToken };
+}
+
+async function subscribe(agent, csrfToken, planId = "PLAN-M") {
+  const res = await agent.post("/api/subscriptions").set("X-CSRF-Token", csrfToken).send({ planId }).expect(200);
+  return { res, fields: openTradeInfo(res.body.data.EncryptInfo) };
+}
+
+function notifyCharge(context, fields, status = "SUCCESS") {
+  return context.agent().post("/payuni-webhook").type("form").send(sealTradeInfo(fields, status)).expect(200);
+}
+
+test("lists plans and starts a subscription with the PAYUNi period form", async (t) => {
+  const context = createTestContext();
+  t.after(() => context.cleanup());
+
+  const plans = await context.agent().get("/api/plans").expect(200);
+  assert.deepEqual(plans.body.map((plan) => plan.id), ["PLAN-M", "PLAN-Y"]);
+
+  await context.agent().post("/api/subscriptions").send({ planId: "PLAN-M" }).expect(403);
+  const { agent, csrfToken } = await loggedInAgent(context);
+  await agent.post("/api/subscriptions").set("X-CSRF-Token", csrfToken).send({ planId: "NOPE" }).expect(404);
+
+  const { res, fields } = await subscribe(agent, csrfToken);
+  assert.equal(res.body.payUrl, "https://sandbox-api.payuni.com.tw/api/period/Page");
+  assert.match(fields.MerTradeNo, /^sub\d+$/);
+  assert.equal(fields.PeriodAmt, "499");
+  assert.equal(fields.PeriodType, "month");
+  assert.equal(fields.UsrMail, "user@example.com");
+
+  const mine = await agent.get("/api/my-subscriptions").expect(200);
+  assert.equal(mine.body.subscriptions.length, 1);
+  assert.equal(mine.body.subscriptions[0].status, "待授權");
+});
+
+test("records each paid charge as a completed order and acknowledges resent notifications", async (t) => {
+  const context = createTestContext();
+  t.after(() => context.cleanup());
+  const { agent, csrfToken } = await loggedInAgent(context);
+  const { fields } = await subscribe(agent, csrfToken);
+  const charge = { MerTradeNo: fields.MerTradeNo, PeriodTradeNo: "PT001", TradeNo: "T001", TradeAmt: 499, ThisPeriod: 1, TotalTimes: 99, TradeStatus: 1 };
+
+  let res = await notifyCharge(context, charge);
+  assert.equal(res.text, "OK");
+  res = await notifyCharge(context, charge);
+  assert.equal(res.text, "OK");
+
+  const order = await context.orderRepository.getOrder(`${fields.MerTradeNo}-P1`);
+  assert.equal(order.status, "已完成");
+  assert.equal(order.tradeAmt, 499);
+  assert.equal(order.subscriptionId, fields.MerTradeNo);
+  assert.equal((await context.orderRepository.listOrders()).length, 1);
+
+  const [subscription] = (await agent.get("/api/my-subscriptions").expect(200)).body.subscriptions;
+  assert.equal(subscription.status, "訂閱中");
+  assert.equal(subscription.periodTradeNo, "PT001");
+  assert.equal(subscription.charges.length, 1);
+
+  // 金額與方案不符時不記錄
+  res = await notifyCharge(context, { ...charge, TradeNo: "T002", TradeAmt: 1, ThisPeriod: 2 });
+  assert.equal(res.text, "FAIL");
+  assert.equal(await context.orderRepository.getOrder(`${fields.MerTradeNo}-P2`), null);
+});
+
+test("marks the subscription failed when the first authorization fails", async (t) => {
+  const context = createTestContext();
+  t.after(() => context.cleanup());
+  const { agent, csrfToken } = await loggedInAgent(context);
+  const { fields } = await subscribe(agent, csrfToken);
+
+  await notifyCharge(context, { MerTradeNo: fields.MerTradeNo, PeriodTradeNo: "PT002", TradeAmt: 499, ThisPeriod: 1, TradeStatus: 2 }, "FAIL");
+
+  const [subscription] = (await agent.get("/api/my-subscriptions").expect(200)).body.subscriptions;
+  assert.equal(subscription.status, "授權失敗");
+  assert.deepEqual(await context.orderRepository.listOrders(), []);
+  await agent.post(`/api/subscriptions/${fields.MerTradeNo}/cancel`).set("X-CSRF-Token", csrfToken).expect(409);
+});
+
+test("cancels the PAYUNi mandate for the owner and admins only", async (t) => {
+  const payuniClient = createStubPayuniClient();
+  const context = createTestContext({ payuniClient });
+  t.after(() => context.cleanup());
+  const { agent, csrfToken } = await loggedInAgent(context);
+  const { fields } = await subscribe(agent, csrfToken);
+  await notifyCharge(context, { MerTradeNo: fields.MerTradeNo, PeriodTradeNo: "PT003", TradeNo: "T003", TradeAmt: 499, ThisPeriod: 1, TradeStatus: 1 });
+
+  const other = await loggedInAgent(context, "other@example.com");
+  await other.agent.post(`/api/subscriptions/${fields.MerTradeNo}/cancel`).set("X-CSRF-Token", other.csrfToken).expect(404);
+
+  const res = await agent.post(`/api/subscriptions/${fields.MerTradeNo}/cancel`).set("X-CSRF-Token", csrfToken).expect(200);
+  assert.equal(res.body.subscription.status, "已取消");
+  assert.deepEqual(payuniClient.terminated, ["PT003"]);
+
+  const admin = await loggedInAgent(context, "admin@example.com");
+  const list = await admin.agent.get("/api/admin/subscriptions").expect(200);
+  assert.equal(list.body.subscriptions[0].cancelledBy, "user@example.com");
+  await admin.agent.post(`/api/admin/subscriptions/${fields.MerTradeNo}/cancel`).set("X-CSRF-Token", admin.csrfToken).expect(409);
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestContext, sealTradeInfo } = require("./helpers");
+
+const context = createTestContext();
+test.after(() => context.cleanup());
+
+async function createPendingOrder(tradeNo, tradeAmt = 3500) {
+  await context.orderRepository.createOrder({ tradeNo, merID: "S01", tradeAmt, email: "user@example.com", productID: "P001", productName: "時光旅人豪華帳篷", items: [{ productID: "P001", name: "時光旅人豪華帳篷", price: 3500, quantity: 1 }], payType: "C" });
+}
+
+function notify(form) {
+  return context.agent().post("/payuni-webhook").type("form").send(form).expect(200);
+}
+
+test("replies FAIL when HashInfo does not match", async () => {
+  await createPendingOrder("test1000");
+  const form = sealTradeInfo({ MerTradeNo: "test1000", TradeNo: "T1", TradeAmt: 3500, TradeStatus: 1 });
+
+  const res = await notify({ ...form, HashInfo: "0".repeat(64) });
+  assert.equal(res.text, "FAIL");
+  assert.equal((await context.orderRepository.getOrder("test1000")).status, "待支付");
+});
+
+test("replies FAIL when EncryptInfo was altered after signing", async () => {
+  const form = sealTradeInfo({ MerTradeNo: "test1000", TradeNo: "T1", TradeAmt: 3500, TradeStatus: 1 });
+  const res = await notify({ ...form, EncryptInfo: sealTradeInfo({ MerTradeNo: "test1000", TradeNo: "T1", TradeAmt: 1, TradeStatus: 1 }).EncryptInfo });
+  assert.equal(res.text, "FAIL");
+});
+
+test("marks the order paid and acknowledges duplicates", async () => {
+  await createPendingOrder("test2000");
+  const form = sealTradeInfo({ MerTradeNo: "test2000", TradeNo: "T2", TradeAmt: 3500, TradeStatus: 1 });
+
+  assert.equal((await notify(form)).text, "OK");
+  const order = await context.orderRepository.getOrder("test2000");
+  assert.equal(order.status, "已完成");
+  assert.equal(order.tradeSeq, "T2");
+
+  assert.equal((await notify(form)).text, "OK");
+});
+
+test("acknowledges the notification of an order that reconciliation already marked paid", async () => {
+  await createPendingOrder("test2050");
+  await context.orderRepository.updateOrder("test2050", { status: "已完成", tradeSeq: "T205", rawData: { source: "reconcile" } });
+
+  assert.equal((await notify(sealTradeInfo({ MerTradeNo: "test2050", TradeNo: "T205", TradeAmt: 3500, TradeStatus: 1 }))).text, "OK");
+  assert.equal((await context.orderRepository.getOrder("test2050")).status, "已完成");
+
+  // 已完成的訂單不可倒退為失敗
+  assert.equal((await notify(sealTradeInfo({ MerTradeNo: "test2050", TradeNo: "T205", TradeAmt: 3500, TradeStatus: 2 }, "FAIL"))).text, "FAIL");
+  assert.equal((await context.orderRepository.getOrder("test2050")).status, "已完成");
+});
+
+test("stores the reported card details without the full card number", async () => {
+  await createPendingOrder("test2100", 8200);
+  await notify(sealTradeInfo({ MerTradeNo: "test2100", TradeNo: "T21", TradeAmt: 8200, TradeStatus: 1, Card6No: "400022", Card4No: "1111", AuthBankName: "台新銀行", CardInst: 6, FirstAmt: 1370, EachAmt: 1366 }));
+
+  const order = await context.orderRepository.getOrder("test2100");
+  assert.deepEqual(order.cardInfo, { card4No: "1111", bank: "台新銀行", installment: 6, firstAmt: 1370, eachAmt: 1366 });
+});
+
+test("rejects a notification whose amount differs from the order", async () => {
+  await createPendingOrder("test3000");
+  const res = await notify(sealTradeInfo({ MerTradeNo: "test3000", TradeNo: "T3", TradeAmt: 1, TradeStatus: 1 }));
+  assert.equal(res.text, "FAIL");
+  assert.equal((await context.orderRepository.getOrder("test3000")).status, "待支付");
+});
+
+test("replies FAIL for an unknown order", async () => {
+  const res = await notify(sealTradeInfo({ MerTradeNo: "test9999", TradeNo: "T9", TradeAmt: 3500, TradeStatus: 1 }));
+  assert.equal(res.text, "FAIL");
+});
@@ -0,0 +1,132 @@
+const axios = require("axios");
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRY_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN_MS = 30000;
+
+/**
+ * GAS 暫時無法連線 (逾時、連線失敗、非 2xx 回應或斷路器開啟)
+ * 與 GAS 回應 success: false 的業務錯誤不同，寫入時可以排入佇列稍後重送
+ */
+class GasUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GasUnavailableError";
+    this.statusCode = 503;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 4xx 代表請求本身有問題 (例如 WEBHOOK_TOKEN 錯誤)，重試也不會成功
+function isRetryable(error) {
+  const status = error.response && error.response.status;
+  return !status || status >= 500;
+}
+
+/**
+ * 建立 GAS Webhook 用戶端：沿用 `?action=` 協定，加上逾時、指數退避重試與斷路器
+ * 連續失敗達 failureThreshold 次後斷路器開啟，cooldownMs 內直接失敗不再呼叫，
+ * 冷卻後放行一個請求試探，成功即恢復
+ * @param {object} options
+ * @param {string} options.webhookUrl - GAS_WEBHOOK_URL
+ * @param {string} [options.token] - WEBHOOK_TOKEN，以 Cookie 帶給 Webhook 驗證
+ * @param {object} [options.httpClient] - HTTP 用戶端，預設為 axios
+ * @param {object} [options.logger] - winston logger
+ * @param {number} [options.timeoutMs] - 單次請求逾時
+ * @param {number} [options.retryAttempts] - 每次呼叫最多嘗試次數
+ * @param {number} [options.retryDelayMs] - 第一次重試前的等待時間，之後每次加倍
+ * @param {number} [options.failureThreshold] - 斷路器開啟前允許的連續失敗次數
+ * @param {number} [options.cooldownMs] - 斷路器開啟後的冷卻時間
+ * @param {() => number} [options.now] - 取得目前時間 (測試用)
+ */
+function createGasClient({ webhookUrl, token, httpClient = axios, logger, timeoutMs = DEFAULT_TIMEOUT_MS, retryAttempts = DEFAULT_RETRY_ATTEMPTS, retryDelayMs = DEFAULT_RETRY_DELAY_MS, failureThreshold = DEFAULT_FAILURE_THRESHOLD, cooldownMs = DEFAULT_COOLDOWN_MS, now = Date.now }) {
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let probing = false;
+
+  function circuitState() {
+    if (openedAt === null) return "closed";
+    return now() - openedAt >= cooldownMs ? "half-open" : "open";
+  }
+
+  function recordSuccess() {
+    if (openedAt !== null && logger) {
+      logger.info("GAS circuit closed");
+    }
+    consecutiveFailures = 0;
+    openedAt = null;
+  }
+
+  function recordFailure() {
+    consecutiveFailures++;
+    if (consecutiveFailures >= failureThreshold && (openedAt === null || circuitState() === "half-open")) {
+      openedAt = now();
+      if (logger) {
+        logger.error("GAS circuit opened", { consecutiveFailures, cooldownMs });
+      }
+    }
+  }
+
+  async function send(action, payload) {
+    const response = await httpClient.post(`${webhookUrl}?action=${action}`, payload, {
+      headers: {
+        Cookie: `token=${token}`,
+      },
+      timeout: timeoutMs,
+    });
+    return response.data || {};
+  }
+
+  /**
+   * 呼叫 Webhook
+   * @param {string} action - 例如 createOrder、getOrder
+   * @param {object} payload
+   * @returns {Promise<object>} Webhook 回應的 JSON
+   * @throws {GasUnavailableError} 重試後仍無法取得回應，或斷路器開啟中
+   */
+  async function call(action, payload) {
+    const state = circuitState();
+    if (state === "open" || (state === "half-open" && probing)) {
+      throw new GasUnavailableError("GAS 暫時無法連線 (斷路器開啟中)");
+    }
+    probing = state === "half-open";
+
+    try {
+      // 試探請求只送一次，失敗就重新開始冷卻
+      const attempts = probing ? 1 : retryAttempts;
+      let lastError;
+      for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+          const data = await send(action, payload);
+          recordSuccess();
+          return data;
+        } catch (error) {
+          lastError = error;
+          if (logger) {
+            logger.warn("GAS request failed", { action, attempt, error: error.message });
+          }
+          if (!isRetryable(error) || attempt === attempts) {
+            break;
+          }
+          await sleep(retryDelayMs * 2 ** (attempt - 1));
+        }
+      }
+      recordFailure();
+      throw new GasUnavailableError(`GAS 無法連線: ${lastError.message}`);
+    } finally {
+      probing = false;
+    }
+  }
+
+  /** 斷路器狀態 (管理後台顯示用) */
+  function status() {
+    return { circuit: circuitState(), consecutiveFailures, openedAt: openedAt === null ? null : new Date(openedAt).toISOString() };
+  }
+
+  return { call, status };
+}
+
+module.exports = { createGasClient, GasUnavailableError };
@@ -0,0 +1,52 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * 建立以 JSON 檔案為底的簡易儲存區
+ * 所有寫入依序排隊執行，並以「先寫暫存檔再改名」的方式避免檔案寫到一半損毀
+ * @param {string} filePath - JSON 檔案路徑
+ * @param {*} defaultValue - 檔案尚未建立時使用的初始資料
+ * @returns {{ read: Function, update: Function }}
+ */
+function createJsonStore(filePath, defaultValue) {
+  let queue = Promise.resolve();
+
+  async function read() {
+    try {
+      const raw = await fs.promises.readFile(filePath, "utf8");
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return JSON.parse(JSON.stringify(defaultValue));
+      }
+      throw error;
+    }
+  }
+
+  async function write(data) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * 讀取資料交給 mutator 修改後寫回
+   * @param {(data: any) => any} mutator - 直接修改傳入的資料，回傳值會成為 update() 的結果
+   */
+  function update(mutator) {
+    const task = queue.then(async () => {
+      const data = await read();
+      const result = await mutator(data);
+      await write(data);
+      return result;
+    });
+    // 單次失敗不應卡住後續的寫入
+    queue = task.catch(() => {});
+    return task;
+  }
+
+  return { read, update };
+}
+
+module.exports = { createJsonStore };
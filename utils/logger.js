@@ -24,6 +24,8 @@ function sanitizeLog(data) {
 
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || "info",
+  // 執行測試 (npm test) 時不輸出日誌
+  silent: process.env.NODE_ENV === "test",
   format: winston.format.combine(
     winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
     winston.format.errors({ stack: true }),
@@ -57,3 +59,4 @@ const logger = winston.createLogger({
 });
 
 module.exports = logger;
+module.exports.sanitizeLog = sanitizeLog;
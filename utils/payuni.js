@@ -0,0 +1,280 @@
+const axios = require("axios");
+const querystring = require("querystring");
+const { encrypt, decrypt, sha256 } = require("./crypto");
+const { ORDER_STATUS } = require("../repositories/orderStatus");
+
+// 支援的付款方式 (送給 PAYUNi 的 PayType)
+const PAY_TYPES = {
+  C: "信用卡",
+  ATM: "ATM 轉帳",
+  CVS: "超商代碼繳費",
+};
+
+// Notify / Return 中 PaymentType 對應的付款方式
+const PAYMENT_TYPE_MAP = {
+  1: "C",
+  2: "ATM",
+  3: "CVS",
+};
+
+// 信用卡請退款 (trade/close) 的 CloseType
+const CLOSE_TYPE = {
+  CAPTURE: 1, // 請款
+  REFUND: 2, // 退款
+  CANCEL_CAPTURE: 3, // 取消請款
+  CANCEL_REFUND: 4, // 取消退款
+};
+
+// PAYUNi 支援的信用卡分期期數 (CreditInst)
+const INSTALLMENT_OPTIONS = [3, 6, 9, 12, 18, 24, 30];
+
+// 定期定額的扣款週期 (PeriodType)
+const PERIOD_TYPES = {
+  month: "month",
+  year: "year",
+};
+
+// PAYUNi 交易狀態 (TradeStatus) 對應到訂單狀態
+// 0 取號成功、8 訂單待確認、9 未付款 仍視為待支付
+const TRADE_STATUS_MAP = {
+  0: ORDER_STATUS.PENDING,
+  1: ORDER_STATUS.PAID,
+  2: ORDER_STATUS.FAILED,
+  3: ORDER_STATUS.CANCELLED,
+  4: ORDER_STATUS.CANCELLED,
+  8: ORDER_STATUS.PENDING,
+  9: ORDER_STATUS.PENDING,
+};
+
+/**
+ * 由 PAYUNi 回傳的資料判斷訂單狀態
+ * 有 TradeStatus 時以它為準，否則退回用外層 Status 判斷
+ * @param {object} tradeInfo - 解密後的交易資料
+ * @param {string} [outerStatus] - 未加密的 Status 欄位
+ */
+function resolveOrderStatus(tradeInfo, outerStatus) {
+  if (tradeInfo.TradeStatus !== undefined && TRADE_STATUS_MAP[tradeInfo.TradeStatus]) {
+    return TRADE_STATUS_MAP[tradeInfo.TradeStatus];
+  }
+  return (outerStatus || tradeInfo.Status) === "SUCCESS" ? ORDER_STATUS.PAID : ORDER_STATUS.FAILED;
+}
+
+/**
+ * 取出 ATM / 超商代碼的繳費資訊 (取號成功的通知才會有)
+ * @param {object} tradeInfo - 解密後的交易資料
+ * @returns {{ payType: string, payNo: string, bankType?: string, store?: string, expireDate?: string } | null}
+ */
+function extractPaymentInfo(tradeInfo) {
+  if (!tradeInfo.PayNo) {
+    return null;
+  }
+  const payType = PAYMENT_TYPE_MAP[tradeInfo.PaymentType] || (tradeInfo.BankType ? "ATM" : "CVS");
+  return {
+    payType,
+    payNo: tradeInfo.PayNo,
+    ...(tradeInfo.BankType && { bankType: tradeInfo.BankType }),
+    ...(tradeInfo.Store && { store: tradeInfo.Store }),
+    ...(tradeInfo.ExpireDate && { expireDate: tradeInfo.ExpireDate }),
+  };
+}
+
+/**
+ * 取出信用卡交易回報的卡片資訊 (只保留卡號末四碼，不保存完整卡號)
+ * CardInst 為實際的分期期數，一次付清時不帶或為 1
+ * @param {object} tradeInfo - 解密後的交易資料
+ * @returns {{ card4No: string, bank?: string, installment?: number, firstAmt?: number, eachAmt?: number } | null}
+ */
+function extractCardInfo(tradeInfo) {
+  if (!tradeInfo.Card4No) {
+    return null;
+  }
+  const installment = Number(tradeInfo.CardInst) || 0;
+  const bank = tradeInfo.AuthBankName || tradeInfo.AuthBank;
+  return {
+    card4No: tradeInfo.Card4No,
+    ...(bank && { bank }),
+    ...(installment > 1 && { installment }),
+    ...(tradeInfo.FirstAmt !== undefined && { firstAmt: Number(tradeInfo.FirstAmt) }),
+    ...(tradeInfo.EachAmt !== undefined && { eachAmt: Number(tradeInfo.EachAmt) }),
+  };
+}
+
+/**
+ * 判斷 Notify 是否為定期定額的扣款通知 (一般交易沒有 PeriodTradeNo)
+ * @param {object} tradeInfo - 解密後的交易資料
+ */
+function isPeriodNotification(tradeInfo) {
+  return Boolean(tradeInfo.PeriodTradeNo);
+}
+
+/**
+ * 取出定期定額扣款通知的欄位
+ * MerTradeNo 為建立委託時的商店編號 (訂閱編號)，TradeNo 為本期扣款的交易序號
+ * @param {object} tradeInfo - 解密後的交易資料
+ * @param {string} [outerStatus] - 未加密的 Status 欄位
+ * @returns {{ merTradeNo: string, periodTradeNo: string, tradeSeq: string, amount: number, period: number, totalTimes: number|null, status: string }}
+ */
+function readPeriodNotification(tradeInfo, outerStatus) {
+  return {
+    merTradeNo: tradeInfo.MerTradeNo,
+    periodTradeNo: tradeInfo.PeriodTradeNo,
+    tradeSeq: tradeInfo.TradeNo,
+    amount: Number(tradeInfo.TradeAmt !== undefined ? tradeInfo.TradeAmt : tradeInfo.PeriodAmt),
+    period: Number(tradeInfo.ThisPeriod) || 1,
+    totalTimes: tradeInfo.TotalTimes !== undefined ? Number(tradeInfo.TotalTimes) : null,
+    status: resolveOrderStatus(tradeInfo, outerStatus),
+  };
+}
+
+/**
+ * 把查詢結果中的 Result[0][Field] 攤平成一般物件
+ * @param {object} parsed - querystring.parse 後的資料
+ */
+function pickFirstResult(parsed) {
+  const prefix = "Result[0][";
+  const result = {};
+  Object.keys(parsed).forEach((key) => {
+    if (key.startsWith(prefix)) {
+      result[key.slice(prefix.length, -1)] = parsed[key];
+    }
+  });
+  return Object.keys(result).length > 0 ? result : parsed;
+}
+
+/**
+ * 建立 PAYUNi API 用戶端
+ * @param {object} options
+ * @param {string} options.apiUrl - PAYUNI_API_URL，其他 API 端點由此網域推導
+ * @param {string} options.merID - 商店代號
+ * @param {string} options.hashKey - 32 字元 HashKey
+ * @param {string} options.hashIV - 16 字元 HashIV
+ * @param {string} [options.queryUrl] - 交易查詢端點，預設為 {apiUrl 網域}/api/trade/query
+ * 定期定額的委託頁 (api/period/Page) 與修改委託 (api/period/Modify) 端點同樣由 apiUrl 網域推導
+ * @param {number} [options.timeout] - HTTP 逾時 (毫秒)
+ */
+function createPayuniClient({ apiUrl, merID, hashKey, hashIV, queryUrl, timeout = 10000 }) {
+  const merIv = Buffer.from(hashIV, "utf8");
+  const endpoints = {
+    query: queryUrl || new URL("/api/trade/query", apiUrl).toString(),
+    close: new URL("/api/trade/close", apiUrl).toString(),
+    cancel: new URL("/api/trade/cancel", apiUrl).toString(),
+    period: new URL("/api/period/Page", apiUrl).toString(),
+    periodModify: new URL("/api/period/Modify", apiUrl).toString(),
+  };
+
+  /** 加密交易資料並產生 HashInfo */
+  function seal(fields) {
+    const encryptInfo = encrypt(querystring.stringify(fields), hashKey, merIv);
+    return { EncryptInfo: encryptInfo, HashInfo: sha256(encryptInfo, hashKey, merIv) };
+  }
+
+  /** 檢查 HashInfo 是否由同一組金鑰產生 */
+  function verify({ EncryptInfo, HashInfo }) {
+    return !!EncryptInfo && sha256(EncryptInfo, hashKey, hashIV) === HashInfo;
+  }
+
+  /** 驗證 HashInfo 並解密，驗證失敗時丟出錯誤 */
+  function open({ EncryptInfo, HashInfo }) {
+    if (!verify({ EncryptInfo, HashInfo })) {
+      throw new Error("PAYUNi 回應 Hash 驗證失敗");
+    }
+    return querystring.parse(decrypt(EncryptInfo, hashKey, merIv));
+  }
+
+  /**
+   * 產生送往 UPP 付款頁 (apiUrl) 的表單欄位，交易資料只以加密後的 EncryptInfo 傳送
+   * @param {object} tradeData - MerTradeNo、TradeAmt、ProdDesc 等 UPP 交易欄位
+   * @returns {{ payUrl: string, data: { MerID: string, Version: string, EncryptInfo: string, HashInfo: string } }}
+   */
+  function createPaymentForm(tradeData) {
+    return { payUrl: apiUrl, data: { MerID: merID, Version: "1.0", ...seal({ MerID: merID, Version: "1.0", ...tradeData }) } };
+  }
+
+  /**
+   * 產生送往定期定額委託頁的表單欄位，顧客在 PAYUNi 頁面輸入信用卡並授權後，之後每期自動扣款
+   * @param {object} periodData - MerTradeNo、PeriodAmt、PeriodType、PeriodDate、PeriodTimes 等委託欄位
+   * @returns {{ payUrl: string, data: { MerID: string, Version: string, EncryptInfo: string, HashInfo: string } }}
+   */
+  function createPeriodForm(periodData) {
+    return { payUrl: endpoints.period, data: { MerID: merID, Version: "1.0", ...seal({ MerID: merID, Version: "1.0", ...periodData }) } };
+  }
+
+  async function post(url, version, fields) {
+    const body = { MerID: merID, Version: version, ...seal(fields) };
+    const response = await axios.post(url, querystring.stringify(body), {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      timeout,
+    });
+    return response.data || {};
+  }
+
+  /**
+   * 查詢單筆交易 (QueryTrade)
+   * @param {string} merTradeNo - 商店訂單編號
+   * @returns {Promise<{ found: boolean, status: string|null, tradeInfo: object, message: string }>}
+   */
+  async function queryTrade(merTradeNo) {
+    const timestamp = Math.round(Date.now() / 1000);
+    const data = await post(endpoints.query, "2.0", { MerID: merID, MerTradeNo: merTradeNo, Timestamp: timestamp });
+
+    if (data.Status !== "SUCCESS" || !data.EncryptInfo) {
+      return { found: false, status: null, tradeInfo: {}, message: data.Message || data.Status || "查詢失敗" };
+    }
+
+    const parsed = open(data);
+    const tradeInfo = pickFirstResult(parsed);
+    // 查詢的 Status 只代表查詢成功，交易狀態必須看 TradeStatus
+    const status = TRADE_STATUS_MAP[tradeInfo.TradeStatus] || null;
+    return { found: true, status, tradeInfo, message: parsed.Message || "" };
+  }
+
+  /** 解析請退款、取消授權這類只需知道成功與否的回應 */
+  function parseActionResponse(data) {
+    if (data.Status !== "SUCCESS" || !data.EncryptInfo) {
+      return { success: false, tradeInfo: {}, message: data.Message || data.Status || "金流方未回應成功" };
+    }
+    const tradeInfo = open(data);
+    return { success: tradeInfo.Status === undefined || tradeInfo.Status === "SUCCESS", tradeInfo, message: tradeInfo.Message || "" };
+  }
+
+  /**
+   * 信用卡請退款
+   * @param {string} tradeSeq - PAYUNi 交易序號 (Notify 的 TradeNo)
+   * @param {object} options
+   * @param {number} options.closeType - CLOSE_TYPE 其中之一
+   * @param {number} [options.tradeAmt] - 部分退款金額，未帶入時為全額
+   * @returns {Promise<{ success: boolean, tradeInfo: object, message: string }>}
+   */
+  async function closeTrade(tradeSeq, { closeType, tradeAmt }) {
+    const timestamp = Math.round(Date.now() / 1000);
+    const fields = { MerID: merID, TradeNo: tradeSeq, CloseType: closeType, Timestamp: timestamp };
+    if (tradeAmt !== undefined) {
+      fields.TradeAmt = tradeAmt;
+    }
+    return parseActionResponse(await post(endpoints.close, "1.0", fields));
+  }
+
+  /**
+   * 信用卡取消授權 (尚未請款的交易)
+   * @param {string} tradeSeq - PAYUNi 交易序號
+   * @returns {Promise<{ success: boolean, tradeInfo: object, message: string }>}
+   */
+  async function cancelAuthorization(tradeSeq) {
+    const timestamp = Math.round(Date.now() / 1000);
+    return parseActionResponse(await post(endpoints.cancel, "1.0", { MerID: merID, TradeNo: tradeSeq, Timestamp: timestamp }));
+  }
+
+  /**
+   * 終止定期定額委託，之後不再扣款 (已扣款的期數不受影響)
+   * @param {string} periodTradeNo - PAYUNi 委託編號 (扣款通知的 PeriodTradeNo)
+   * @returns {Promise<{ success: boolean, tradeInfo: object, message: string }>}
+   */
+  async function terminatePeriod(periodTradeNo) {
+    const timestamp = Math.round(Date.now() / 1000);
+    return parseActionResponse(await post(endpoints.periodModify, "1.0", { MerID: merID, PeriodTradeNo: periodTradeNo, Status: "TERMINATE", Timestamp: timestamp }));
+  }
+
+  return { merID, seal, open, verify, createPaymentForm, createPeriodForm, queryTrade, closeTrade, cancelAuthorization, terminatePeriod };
+}
+
+module.exports = { createPayuniClient, resolveOrderStatus, extractPaymentInfo, extractCardInfo, isPeriodNotification, readPeriodNotification, TRADE_STATUS_MAP, CLOSE_TYPE, PAY_TYPES, PERIOD_TYPES, INSTALLMENT_OPTIONS };
@@ -0,0 +1,30 @@
+const TURNSTILE_VERIFY_URL = "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+
+/**
+ * Cloudflare Turnstile 驗證 (結帳與訪客查詢訂單共用)
+ * @param {object} options
+ * @param {boolean} options.enabled - TURNSTILE_ENABLE
+ * @param {string} [options.secretKey] - TURNSTILE_SECRET_KEY
+ * @param {object} options.httpClient - axios 相容的 HTTP 用戶端
+ * @param {object} options.logger - winston logger
+ */
+function createTurnstileVerifier({ enabled, secretKey, httpClient, logger }) {
+  return {
+    enabled,
+
+    /**
+     * 向 Cloudflare 驗證 Turnstile token
+     * @returns {Promise<boolean>}
+     */
+    async verify(token) {
+      const turnstileResponse = await httpClient.post(TURNSTILE_VERIFY_URL, { secret: secretKey, response: token });
+      if (!turnstileResponse.data.success) {
+        logger.warn("Turnstile verification failed", { errorCodes: turnstileResponse.data["error-codes"] });
+        return false;
+      }
+      return true;
+    },
+  };
+}
+
+module.exports = { createTurnstileVerifier };